@@ -0,0 +1,50 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { isAddress } from 'viem';
+import { getPoolPositions, getPoolCostBasis } from './tools/get-positions.js';
+import { PLASMA_CHAIN_ID } from './utils/gearbox-sdk.js';
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const wallet = req.query.wallet;
+
+    // Validate wallet address
+    if (typeof wallet !== 'string' || !isAddress(wallet)) {
+      return res.status(400).json({
+        error: 'Missing or invalid wallet address',
+        required: ['wallet']
+      });
+    }
+
+    // Cost basis of a single pool (scans its Deposit/Withdraw logs)
+    const { pool, chainId } = req.query;
+    if (pool !== undefined || chainId !== undefined) {
+      const chain = Number(chainId);
+      if (typeof pool !== 'string' || !isAddress(pool) || (chain !== 1 && chain !== PLASMA_CHAIN_ID)) {
+        return res.status(400).json({
+          error: 'Invalid pool or chainId',
+          required: ['wallet', 'chainId', 'pool']
+        });
+      }
+
+      const costBasis = await getPoolCostBasis(wallet, chain, pool);
+
+      return res.status(200).json({ costBasis });
+    }
+
+    const positions = await getPoolPositions(wallet);
+
+    return res.status(200).json({ positions });
+
+  } catch (error: any) {
+    console.error('Positions API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'Unknown error',
+    });
+  }
+}
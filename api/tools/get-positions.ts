@@ -0,0 +1,325 @@
+// Tool implementation: get_pool_positions
+// Reads a wallet's Gearbox pool positions from chain: share balances valued
+// with convertToAssets. Net deposits from ERC-4626 Deposit/Withdraw events are
+// a separate, per-pool request (getPoolCostBasis) since they need log scans.
+
+import { createPublicClient, http, defineChain, formatUnits, parseAbi, parseAbiItem, type Address } from 'viem';
+import { mainnet } from 'viem/chains';
+import { getGearboxSDK, PLASMA_CHAIN_ID, PLASMA_RPC_URL, PLASMA_POOLS, USDT0_ADDRESS } from '../utils/gearbox-sdk.js';
+
+export interface PoolPosition {
+  chainId: number;
+  chain: string;
+  poolAddress: string;
+  title: string;
+  underlyingToken: string;
+  underlyingSymbol: string;
+  decimals: number;
+  shares: string;
+  value: number; // Current value in underlying (convertToAssets)
+}
+
+export interface PoolCostBasis {
+  chainId: number;
+  poolAddress: string;
+  value: number; // Current value in underlying (convertToAssets)
+  deposited: number; // Sum of Deposit events
+  withdrawn: number; // Sum of Withdraw events
+  accruedInterest: number; // value - (deposited - withdrawn)
+  firstDepositAt: number; // Unix ms of the first deposit
+}
+
+interface DepositHistory {
+  toBlock: bigint; // Last block scanned
+  deposited: bigint;
+  withdrawn: bigint;
+  firstDepositBlock: bigint | null;
+}
+
+interface PoolInfo {
+  address: Address;
+  name: string;
+  underlying: Address;
+  symbol: string;
+  decimals: number;
+}
+
+const POOL_ABI = parseAbi([
+  'function balanceOf(address account) view returns (uint256)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+]);
+
+// First block to scan per chain (before Gearbox V3 pools were deployed), as in the bot's config.positions.history
+const START_BLOCKS: Record<number, bigint> = {
+  1: 18000000n,
+  [PLASMA_CHAIN_ID]: 0n,
+};
+
+// Blocks per eth_getLogs call, halved down to the minimum when the RPC rejects a range
+const LOG_CHUNK_SIZE = 50000n;
+const MIN_LOG_CHUNK_SIZE = 500n;
+
+// Pool deployment blocks never change, keep them for the life of the function instance
+const deploymentBlocks = new Map<string, bigint>();
+
+// Deposit history per wallet and pool; later requests only scan blocks after toBlock
+const depositHistories = new Map<string, DepositHistory>();
+
+const clients = new Map<number, any>();
+
+const DEPOSIT_EVENT = parseAbiItem('event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)');
+const WITHDRAW_EVENT = parseAbiItem('event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)');
+
+const plasma = defineChain({
+  id: PLASMA_CHAIN_ID,
+  name: 'Plasma',
+  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+  rpcUrls: { default: { http: [PLASMA_RPC_URL] } },
+});
+
+/**
+ * Mainnet pools from the Gearbox SDK (empty if the SDK can't load)
+ */
+async function getMainnetPools(): Promise<PoolInfo[]> {
+  try {
+    const sdk = await getGearboxSDK();
+
+    return sdk.marketRegister.markets.map((market: any) => {
+      const token = sdk.tokensMeta.get(market.pool.pool.underlying);
+      const symbol = token?.symbol || 'Unknown';
+
+      return {
+        address: market.pool.pool.address,
+        name: `${symbol} Pool`,
+        underlying: market.pool.pool.underlying,
+        symbol,
+        decimals: token?.decimals || 18,
+      };
+    });
+  } catch (error) {
+    console.error('⚠️ Could not load mainnet pools, skipping Ethereum:', error);
+    return [];
+  }
+}
+
+/**
+ * First block to scan for a pool's events
+ * Binary search for the first block with code at the pool, which needs an RPC
+ * serving historical state; falls back to the chain's start block otherwise.
+ */
+async function getDeploymentBlock(client: any, chainId: number, pool: Address): Promise<bigint> {
+  const key = `${chainId}-${pool.toLowerCase()}`;
+  const cached = deploymentBlocks.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const startBlock = START_BLOCKS[chainId] ?? 0n;
+
+  try {
+    let low = startBlock;
+    let high: bigint = await client.getBlockNumber();
+
+    while (low < high) {
+      const mid = (low + high) / 2n;
+      const code = await client.getCode({ address: pool, blockNumber: mid });
+      if (code && code !== '0x') {
+        high = mid;
+      } else {
+        low = mid + 1n;
+      }
+    }
+
+    deploymentBlocks.set(key, low);
+    return low;
+  } catch (error) {
+    console.warn(`⚠️ Deployment block unavailable for ${pool}, scanning from ${startBlock}:`, error instanceof Error ? error.message : error);
+    return startBlock;
+  }
+}
+
+/**
+ * eth_getLogs over a block range in chunks the RPC accepts
+ * Same approach as the bot's blockchain.getLogsPaginated()
+ */
+async function getLogsPaginated(client: any, filter: object, fromBlock: bigint, toBlock: bigint): Promise<any[]> {
+  let chunkSize = LOG_CHUNK_SIZE;
+  const logs: any[] = [];
+
+  let start = fromBlock;
+  while (start <= toBlock) {
+    const end = start + chunkSize - 1n < toBlock ? start + chunkSize - 1n : toBlock;
+
+    try {
+      logs.push(...await client.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+      start = end + 1n;
+    } catch (error) {
+      if (chunkSize <= MIN_LOG_CHUNK_SIZE) {
+        throw error;
+      }
+
+      chunkSize = chunkSize / 2n > MIN_LOG_CHUNK_SIZE ? chunkSize / 2n : MIN_LOG_CHUNK_SIZE;
+    }
+  }
+
+  return logs;
+}
+
+/**
+ * Public client of a supported chain (Ethereum or Plasma)
+ */
+function getClient(chainId: number): any {
+  if (!clients.has(chainId)) {
+    clients.set(chainId, chainId === PLASMA_CHAIN_ID
+      ? createPublicClient({ chain: plasma, transport: http(PLASMA_RPC_URL) })
+      : createPublicClient({ chain: mainnet, transport: http(process.env.ETHEREUM_RPC_URL || 'https://eth.llamarpc.com') }));
+  }
+  return clients.get(chainId);
+}
+
+/**
+ * Sum a wallet's deposits into and withdrawals out of a pool
+ * The first request scans from the pool's deployment block in paginated
+ * ranges; later ones (same function instance) continue from the last block.
+ * Throws if the RPC refuses the log query even at the smallest range
+ */
+async function syncDepositHistory(client: any, chainId: number, pool: Address, wallet: Address): Promise<DepositHistory> {
+  const key = `${chainId}-${pool.toLowerCase()}-${wallet.toLowerCase()}`;
+  const cached = depositHistories.get(key);
+
+  const [fromBlock, toBlock] = await Promise.all([
+    cached ? cached.toBlock + 1n : getDeploymentBlock(client, chainId, pool),
+    client.getBlockNumber() as Promise<bigint>,
+  ]);
+
+  if (cached && fromBlock > toBlock) {
+    return cached;
+  }
+
+  const [deposits, withdrawals] = await Promise.all([
+    getLogsPaginated(client, { address: pool, event: DEPOSIT_EVENT, args: { owner: wallet } }, fromBlock, toBlock),
+    getLogsPaginated(client, { address: pool, event: WITHDRAW_EVENT, args: { owner: wallet } }, fromBlock, toBlock),
+  ]);
+
+  const sum = (logs: any[]): bigint => logs.reduce((total: bigint, log) => total + (log.args.assets as bigint), 0n);
+
+  const history: DepositHistory = {
+    toBlock,
+    deposited: (cached?.deposited ?? 0n) + sum(deposits),
+    withdrawn: (cached?.withdrawn ?? 0n) + sum(withdrawals),
+    firstDepositBlock: cached?.firstDepositBlock ?? (deposits.length > 0 ? deposits[0].blockNumber : null),
+  };
+
+  depositHistories.set(key, history);
+  return history;
+}
+
+/**
+ * Cost basis of one pool position from its Deposit/Withdraw events
+ * Requested per pool (not with the position list) because the first scan of
+ * a pool's history takes many log queries.
+ * @param wallet - Wallet address
+ * @param chainId - 1 (Ethereum) or Plasma
+ * @param pool - Pool address
+ * @returns Cost basis, or null if the wallet has no logged deposit (e.g. shares received by transfer)
+ *   or the history can't be read
+ */
+export async function getPoolCostBasis(wallet: Address, chainId: number, pool: Address): Promise<PoolCostBasis | null> {
+  const client = getClient(chainId);
+
+  try {
+    const [shares, decimals, history] = await Promise.all([
+      client.readContract({ address: pool, abi: POOL_ABI, functionName: 'balanceOf', args: [wallet] }) as Promise<bigint>,
+      client.readContract({ address: pool, abi: POOL_ABI, functionName: 'decimals' }) as Promise<number>,
+      syncDepositHistory(client, chainId, pool, wallet),
+    ]);
+
+    if (history.firstDepositBlock === null) {
+      return null;
+    }
+
+    const [assets, block] = await Promise.all([
+      client.readContract({ address: pool, abi: POOL_ABI, functionName: 'convertToAssets', args: [shares] }) as Promise<bigint>,
+      client.getBlock({ blockNumber: history.firstDepositBlock }),
+    ]);
+
+    const toNumber = (amount: bigint) => Number(formatUnits(amount, decimals));
+
+    return {
+      chainId,
+      poolAddress: pool,
+      value: toNumber(assets),
+      deposited: toNumber(history.deposited),
+      withdrawn: toNumber(history.withdrawn),
+      accruedInterest: toNumber(assets - (history.deposited - history.withdrawn)),
+      firstDepositAt: Number(block.timestamp) * 1000,
+    };
+  } catch (error) {
+    console.warn(`⚠️ Deposit history unavailable for ${pool}:`, error instanceof Error ? error.message : error);
+    return null;
+  }
+}
+
+/**
+ * Read positions on one chain
+ */
+async function scanChain(client: any, chainId: number, chain: string, pools: PoolInfo[], wallet: Address): Promise<PoolPosition[]> {
+  const balances = await Promise.all(
+    pools.map(pool =>
+      client.readContract({ address: pool.address, abi: POOL_ABI, functionName: 'balanceOf', args: [wallet] })
+        .catch((error: any) => {
+          console.warn(`⚠️ Could not read ${pool.name} balance:`, error.message);
+          return 0n;
+        })
+    )
+  );
+
+  const held = pools
+    .map((pool, i) => ({ pool, shares: balances[i] as bigint }))
+    .filter(({ shares }) => shares > 0n);
+
+  return Promise.all(held.map(async ({ pool, shares }) => {
+    const assets = await client.readContract({ address: pool.address, abi: POOL_ABI, functionName: 'convertToAssets', args: [shares] }) as bigint;
+
+    return {
+      chainId,
+      chain,
+      poolAddress: pool.address,
+      title: pool.name,
+      underlyingToken: pool.underlying,
+      underlyingSymbol: pool.symbol,
+      decimals: pool.decimals,
+      shares: formatUnits(shares, pool.decimals),
+      value: Number(formatUnits(assets, pool.decimals)),
+    };
+  }));
+}
+
+/**
+ * Get all Gearbox pool positions for a wallet (Ethereum + Plasma)
+ * @param wallet - Wallet address
+ * @returns Positions with a non-zero share balance
+ */
+export async function getPoolPositions(wallet: Address): Promise<PoolPosition[]> {
+  const mainnetClient = getClient(1);
+  const plasmaClient = getClient(PLASMA_CHAIN_ID);
+
+  const plasmaPools: PoolInfo[] = PLASMA_POOLS.map(pool => ({
+    address: pool.address,
+    name: `USDT0 ${pool.name}`,
+    underlying: USDT0_ADDRESS as Address,
+    symbol: 'USDT0',
+    decimals: 6,
+  }));
+
+  const [ethereum, plasmaPositions] = await Promise.all([
+    getMainnetPools().then(pools => scanChain(mainnetClient, 1, 'Ethereum', pools, wallet)),
+    scanChain(plasmaClient, PLASMA_CHAIN_ID, 'Plasma', plasmaPools, wallet),
+  ]);
+
+  const positions = [...ethereum, ...plasmaPositions];
+  console.log(`✅ Found ${positions.length} pool position(s) for ${wallet.slice(0, 10)}...`);
+
+  return positions;
+}
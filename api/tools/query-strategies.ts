@@ -4,6 +4,8 @@
 import { getGearboxSDK } from '../utils/gearbox-sdk.js';
 import { getCurrentGasPrice, estimateGasUnits } from '../utils/gas-estimator.js';
 import { getTokenPriceUSD } from '../utils/price-oracle.js';
+import riskModel from '../../telegram-bot/utils/risk-model.js';
+import type { RiskFactor, RiskLevel } from '../../telegram-bot/utils/risk-model.js';
 
 export interface GearboxOpportunity {
   // Strategy type classification
@@ -17,7 +19,9 @@ export interface GearboxOpportunity {
   projAPY: number;
   collateralAPY: number;
   tvl: number;
-  risk: 'low' | 'medium' | 'high';
+  risk: RiskLevel;
+  riskScore: number; // 0 (safe) - 100 (risky), shared model in telegram-bot/utils/risk-model.js
+  riskFactors: RiskFactor[]; // Breakdown; factors without data have available: false
 
   // Gearbox-specific fields
   poolAddress: string;
@@ -97,9 +101,22 @@ export async function queryFarmOpportunities(params: {
       // supplyRate of 2551000000000000000000000000 = 25.51%
       const supplyAPY = Number(market.pool.pool.supplyRate) / 1e25;
 
-      // Calculate TVL (convert from wei to USD)
+      // Calculate TVL (in underlying token units)
       const tvl = Number(market.pool.pool.expectedLiquidity) / Math.pow(10, poolDecimals);
 
+      // Borrowed share of the pool (NaN if the SDK doesn't report liquidity, the model skips it)
+      const utilization = 1 - Number(market.pool.pool.availableLiquidity) / Number(market.pool.pool.expectedLiquidity);
+
+      // Risk model inputs for this pool. TVL trend, APY volatility and pool age
+      // come from the Telegram bot's history, so those factors are left out here.
+      const poolRiskInputs = {
+        utilization,
+        tvlUsd: tvl * await getTokenPriceUSD(underlyingSymbol),
+        symbol: underlyingSymbol,
+        poolAddress: market.pool.pool.address,
+        chainId: chainId ?? 1,
+      };
+
       // Map pool addresses to beautiful friendly names
       const poolNameMap: Record<string, string> = {
         // Plasma pools
@@ -139,24 +156,32 @@ export async function queryFarmOpportunities(params: {
         friendlyTitle = underlyingSymbol;
       }
 
-      // 1. ALWAYS create passive lending opportunity
-      opportunities.push({
-        id: `${market.pool.pool.address}-lending`,
-        title: friendlyTitle, // ← Friendly name
-        chain: sdk.networkType,
-        strategy: `Passive Lending`,
-        strategyType: 'passive_lending',
-        projAPY: Number(supplyAPY.toFixed(2)),
-        collateralAPY: Number(supplyAPY.toFixed(2)),
-        tvl: Number(tvl.toFixed(0)),
-        risk: 'low', // Lending is always low risk
-        poolAddress: market.pool.pool.address,
-        underlyingToken: market.pool.pool.underlying,
-        underlyingSymbol,
-        supportedCollateral: [underlyingSymbol], // Can only deposit the underlying token
-      });
+      // 1. Create passive lending opportunity (unless riskier than the user accepts)
+      const lendingRisk = riskModel.scorePool({ ...poolRiskInputs, apy: supplyAPY, leverage: 1 });
+
+      if (riskModel.withinTolerance(lendingRisk.level, params.risk_tolerance)) {
+        opportunities.push({
+          id: `${market.pool.pool.address}-lending`,
+          title: friendlyTitle, // ← Friendly name
+          chain: sdk.networkType,
+          strategy: `Passive Lending`,
+          strategyType: 'passive_lending',
+          projAPY: Number(supplyAPY.toFixed(2)),
+          collateralAPY: Number(supplyAPY.toFixed(2)),
+          tvl: Number(tvl.toFixed(0)),
+          risk: lendingRisk.level,
+          riskScore: lendingRisk.score,
+          riskFactors: lendingRisk.factors,
+          poolAddress: market.pool.pool.address,
+          underlyingToken: market.pool.pool.underlying,
+          underlyingSymbol,
+          supportedCollateral: [underlyingSymbol], // Can only deposit the underlying token
+        });
 
-      console.log(`✅ Added passive lending pool: ${friendlyTitle} @ ${supplyAPY.toFixed(2)}% APY`);
+        console.log(`✅ Added passive lending pool: ${friendlyTitle} @ ${supplyAPY.toFixed(2)}% APY (${lendingRisk.level} risk, ${lendingRisk.score}/100)`);
+      } else {
+        console.log(`⏭️  Skipping ${friendlyTitle}: risk ${lendingRisk.level} doesn't match tolerance ${params.risk_tolerance}`);
+      }
 
       /*
       // COMMENTED OUT: Leveraged credit account strategies
@@ -214,11 +239,11 @@ export async function queryFarmOpportunities(params: {
         }
 
         // Calculate risk for leveraged position
-        const risk = assessRisk(projAPY, tvl, optimalLeverage);
+        const risk = riskModel.scorePool({ ...poolRiskInputs, apy: projAPY, leverage: optimalLeverage });
 
         // Filter by risk tolerance
-        if (!matchesRiskTolerance(risk, params.risk_tolerance)) {
-          console.log(`⏭️  Skipping ${underlyingSymbol} ${cm.name}: risk ${risk} doesn't match tolerance ${params.risk_tolerance}`);
+        if (!riskModel.withinTolerance(risk.level, params.risk_tolerance)) {
+          console.log(`⏭️  Skipping ${underlyingSymbol} ${cm.name}: risk ${risk.level} doesn't match tolerance ${params.risk_tolerance}`);
           continue;
         }
 
@@ -249,7 +274,9 @@ export async function queryFarmOpportunities(params: {
           projAPY: Number(projAPY.toFixed(2)),
           collateralAPY: Number(supplyAPY.toFixed(2)),
           tvl: Number(tvl.toFixed(0)),
-          risk,
+          risk: risk.level,
+          riskScore: risk.score,
+          riskFactors: risk.factors,
           leverage: optimalLeverage,
           estimatedGas: gasCostUSD,
           poolAddress: market.pool.pool.address,
@@ -270,7 +297,7 @@ export async function queryFarmOpportunities(params: {
       // END OF COMMENTED OUT SECTION
     }
 
-    // Return ALL passive lending pools sorted by APY (no limit)
+    // Return ALL passive lending pools within the risk tolerance, sorted by APY (no limit)
     const sorted = opportunities
       .sort((a, b) => b.projAPY - a.projAPY);
 
@@ -295,20 +322,3 @@ export async function queryFarmOpportunities(params: {
     return [];
   }
 }
-
-function assessRisk(apy: number, tvl: number, leverage: number): 'low' | 'medium' | 'high' {
-  // High risk: >5x leverage or >30% APY
-  if (leverage > 5 || apy > 30) return 'high';
-
-  // Medium risk: 3-5x leverage or 20-30% APY or low TVL
-  if (leverage > 3 || apy > 20 || tvl < 10_000_000) return 'medium';
-
-  // Low risk: everything else
-  return 'low';
-}
-
-function matchesRiskTolerance(risk: string, tolerance?: string): boolean {
-  if (!tolerance || tolerance === 'high') return true;
-  if (tolerance === 'medium') return risk !== 'high';
-  return risk === 'low';
-}
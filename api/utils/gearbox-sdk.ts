@@ -1,7 +1,16 @@
 import { GearboxSDK } from '@gearbox-protocol/sdk';
 
 let sdkInstance: GearboxSDK | null = null;
-const PLASMA_CHAIN_ID = 9745; // Plasma's actual chain ID
+export const PLASMA_CHAIN_ID = 9745; // Plasma's actual chain ID
+export const PLASMA_RPC_URL = 'https://rpc.plasma.to';
+export const USDT0_ADDRESS = '0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb';
+
+// All Plasma pools for USDT0 (not discoverable through the SDK yet)
+export const PLASMA_POOLS = [
+  { name: 'Invariant Group', address: '0x76309a9a56309104518847bba321c261b7b4a43f' as `0x${string}` },
+  { name: 'Edge UltraYield', address: '0x53e4e9b8766969c43895839cc9c673bb6bc8ac97' as `0x${string}` },
+  { name: 'Hyperithm', address: '0xb74760fd26400030620027dd29d19d74d514700e' as `0x${string}` }
+];
 
 /**
  * Get or initialize Gearbox SDK singleton
@@ -58,8 +67,6 @@ export async function getGearboxSDK(chainId?: number): Promise<GearboxSDK> {
  * Returns a minimal SDK-compatible object with REAL on-chain data fetched via viem
  */
 async function createPlasmaSDK(): Promise<any> {
-  const USDT0_ADDRESS = '0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb';
-
   // Import viem dynamically (ESM module)
   const { createPublicClient, http, defineChain } = await import('viem');
 
@@ -70,15 +77,15 @@ async function createPlasmaSDK(): Promise<any> {
     network: 'plasma',
     nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
     rpcUrls: {
-      default: { http: ['https://rpc.plasma.to'] },
-      public: { http: ['https://rpc.plasma.to'] }
+      default: { http: [PLASMA_RPC_URL] },
+      public: { http: [PLASMA_RPC_URL] }
     }
   });
 
   // Create viem client
   const client = createPublicClient({
     chain: plasma,
-    transport: http('https://rpc.plasma.to')
+    transport: http(PLASMA_RPC_URL)
   });
 
   // Pool ABI (minimal)
@@ -87,15 +94,8 @@ async function createPlasmaSDK(): Promise<any> {
     { name: 'expectedLiquidity', outputs: [{ type: 'uint256' }], stateMutability: 'view', type: 'function', inputs: [] }
   ] as const;
 
-  // Define all Plasma pools for USDT0
-  const plasmaPools = [
-    { name: 'Invariant Group', address: '0x76309a9a56309104518847bba321c261b7b4a43f' as `0x${string}` },
-    { name: 'Edge UltraYield', address: '0x53e4e9b8766969c43895839cc9c673bb6bc8ac97' as `0x${string}` },
-    { name: 'Hyperithm', address: '0xb74760fd26400030620027dd29d19d74d514700e' as `0x${string}` }
-  ];
-
   // Fetch real data for all pools in parallel
-  const poolDataPromises = plasmaPools.map(async (pool) => {
+  const poolDataPromises = PLASMA_POOLS.map(async (pool) => {
     try {
       // Fetch both values in parallel
       const [supplyRate, expectedLiquidity] = await Promise.all([
@@ -6,7 +6,7 @@ const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY || '');
 export const TOOL_DEFINITIONS = [
   {
     name: 'query_farm_opportunities',
-    description: 'Search for ALL available Gearbox Protocol farming opportunities for a given token. Returns all strategies sorted by APY. Use filters (min_apy, risk_tolerance, max_leverage) ONLY when user explicitly specifies them. By default, show ALL opportunities.',
+    description: 'Search for ALL available Gearbox Protocol farming opportunities for a given token. Returns all strategies sorted by APY, each rated with a risk level, a riskScore (0 safe - 100 risky) and riskFactors (utilization, TVL, underlying asset, curator, APY level, leverage) explaining the rating. Use filters (min_apy, risk_tolerance, max_leverage) ONLY when user explicitly specifies them. By default, show ALL opportunities.',
     parameters: {
       type: SchemaType.OBJECT,
       properties: {
@@ -20,7 +20,7 @@ export const TOOL_DEFINITIONS = [
         },
         risk_tolerance: {
           type: SchemaType.STRING,
-          description: 'OPTIONAL: Only use if user explicitly states risk preference (low/medium/high). Otherwise omit to show all opportunities.',
+          description: 'OPTIONAL: Only use if user explicitly states risk preference (low/medium/high). Returns opportunities rated at or below this level. Otherwise omit to show all opportunities.',
           enum: ['low', 'medium', 'high'],
         },
         max_leverage: {
@@ -111,6 +111,7 @@ IMPORTANT Wallet Analysis Flow:
 Safety Guidelines:
 - ALWAYS recommend health factor >1.3 for conservative users, >1.5 for beginners
 - Warn about liquidation risks when leverage >5x
+- When asked why a pool is risky or safe, explain it with the opportunity's riskFactors (highest scores first), not guesses
 - Explain borrowing costs (current ~3-6% APY on most assets)
 - Never execute transactions without explicit user approval
 - If user's request is unclear, ask clarifying questions
@@ -128,6 +129,7 @@ Key Terms:
 - Leverage: Borrowing multiplier (3x means borrow 2x your collateral)
 - APY: Annual Percentage Yield (returns)
 - TVL: Total Value Locked (protocol size/security)
+- Risk Score: 0-100 rating of a pool from utilization, TVL, underlying asset, curator and yield (higher = riskier)
 - Liquidation: Forced position closure when HF drops too low
 
 Premium Features:
@@ -0,0 +1,70 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { createPublicClient, http, isAddress, isHex, getAddress, verifyTypedData } from 'viem';
+import { mainnet } from 'viem/chains';
+import mandateTypedData from '../telegram-bot/utils/mandate-typed-data.js';
+import type { Terms } from '../telegram-bot/utils/mandate-typed-data.js';
+
+// Verifies a web app mandate's EIP-712 signature before the app activates it.
+// Same domain and types as the Telegram bot (telegram-bot/utils/mandate-typed-data.js).
+// EOA signatures are recovered locally; anything else is checked on chain, which
+// also accepts smart contract wallets (ERC-1271).
+
+const client = createPublicClient({
+  chain: mainnet,
+  transport: http(process.env.ETHEREUM_RPC_URL || 'https://eth.llamarpc.com'),
+});
+
+/**
+ * Check that every signed field is present with the right type
+ */
+function isTerms(terms: any): terms is Terms {
+  return Boolean(terms) && mandateTypedData.TYPES.Mandate
+    .filter(field => field.name !== 'owner')
+    .every(field => typeof terms[field.name] === (field.type === 'string' ? 'string' : 'number'));
+}
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { terms, signer, signature } = req.body || {};
+
+    // Validate required parameters
+    if (!isTerms(terms) || typeof signer !== 'string' || !isAddress(signer) || typeof signature !== 'string' || !isHex(signature)) {
+      return res.status(400).json({
+        error: 'Missing or invalid parameters',
+        required: ['terms', 'signer', 'signature']
+      });
+    }
+
+    if (terms.expiresAt <= Date.now() / 1000) {
+      return res.status(400).json({ error: 'Mandate has expired' });
+    }
+
+    const owner = getAddress(signer);
+    const typedData = mandateTypedData.buildTypedData(terms, owner);
+
+    const params = {
+      address: owner,
+      domain: typedData.domain,
+      types: typedData.types,
+      primaryType: typedData.primaryType,
+      message: typedData.message,
+      signature,
+    };
+
+    const valid = await verifyTypedData(params).catch(() => false) || await client.verifyTypedData(params);
+
+    return res.status(200).json({ valid, signer: owner });
+
+  } catch (error: any) {
+    console.error('Mandate verification API error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'Unknown error',
+    });
+  }
+}
@@ -40,7 +40,7 @@ const server = http.createServer(async (req, res) => {
 
   // API endpoints
   if (req.url.startsWith('/api/')) {
-    if (req.url === '/api/chat' && req.method === 'POST') {
+    if ((req.url === '/api/chat' || req.url === '/api/verify-mandate') && req.method === 'POST') {
       let body = '';
       req.on('data', chunk => {
         body += chunk.toString();
@@ -61,7 +61,7 @@ const server = http.createServer(async (req, res) => {
           };
 
           // Dynamic import for ES modules
-          const { default: handler } = await import('./api/chat.ts');
+          const { default: handler } = await import(`./api${req.url}.ts`);
           await handler(mockReq, mockRes);
         } catch (error) {
           console.error('API Error:', error);
@@ -72,13 +72,38 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (req.url.startsWith('/api/positions') && req.method === 'GET') {
+      try {
+        const mockReq = {
+          method: 'GET',
+          query: Object.fromEntries(new URL(req.url, `http://localhost:${PORT}`).searchParams),
+        };
+        const mockRes = {
+          status: (code) => ({
+            json: (data) => {
+              res.writeHead(code, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify(data));
+            },
+          }),
+        };
+
+        const { default: handler } = await import('./api/positions.ts');
+        await handler(mockReq, mockRes);
+      } catch (error) {
+        console.error('API Error:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+      return;
+    }
+
     res.writeHead(404);
     res.end('API endpoint not found');
     return;
   }
 
   // Serve static files
-  let filePath = '.' + req.url;
+  let filePath = '.' + req.url.split('?')[0];
   if (filePath === './') {
     filePath = './index.html';
   }
@@ -107,6 +132,8 @@ server.listen(PORT, () => {
   console.log('Features available:');
   console.log('✅ Static files (HTML, JS, CSS)');
   console.log('✅ API endpoint: POST /api/chat');
+  console.log('✅ API endpoint: GET /api/positions?wallet=0x...');
+  console.log('✅ API endpoint: POST /api/verify-mandate');
   console.log('✅ Google Gemini AI integration');
   console.log('✅ Wallet connection');
   console.log('\nOpen http://localhost:3000 in your browser');
@@ -5,10 +5,25 @@
 
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 const TelegramBot = require('node-telegram-bot-api');
+const { isAddress, getAddress, formatUnits } = require('viem');
 const db = require('./database');
 const { queryFarmOpportunities } = require('./query-opportunities');
+const { formatRiskSummary } = require('./utils/pool-risk');
 const { scanWalletPositions } = require('./position-scanner');
 const positionCommands = require('./commands/positions');
+const config = require('./config');
+const { DAY_NAMES, describeSchedule } = require('./utils/digest-builder');
+const { normalizeTimezone, formatDate, formatTime, describeQuietHours } = require('./utils/timezone');
+const { createChallenge, verifyChallenge } = require('./utils/wallet-verification');
+const { mandateTerms, signingLink, activateMandate } = require('./utils/mandate-signing');
+const { buildTypedData } = require('./utils/mandate-typed-data');
+const { getDepositContext, parseAmount, buildDepositTransactions, depositLink } = require('./utils/deposit-builder');
+const { isExpectedDeposit, trackDeposits } = require('./utils/deposit-tracker');
+const { getClient } = require('./utils/blockchain');
+const { parseExportArgs, buildExport, createExportToken } = require('./utils/export-builder');
+const { getOraclePrice } = require('./utils/price-oracle');
+const { parsePriceAlertArgs, isCrossed, rearmPrice, formatPrice } = require('./utils/price-alerts');
+const { hasTrendConditions, formatTrendConditions, parseTrendInput } = require('./utils/apy-trends');
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
@@ -22,10 +37,16 @@ bot.setMyCommands([
   { command: 'start', description: '🏠 Start the bot and view main menu' },
   { command: 'create', description: '➕ Create a new yield alert' },
   { command: 'list', description: '📋 View your active alerts' },
+  { command: 'edit', description: '✏️ Edit one of your alerts' },
+  { command: 'resume', description: '▶️ Resume a paused alert' },
   { command: 'positions', description: '💼 View your active positions' },
+  { command: 'export', description: '📤 Export positions and alerts (CSV/JSON)' },
   { command: 'opportunities', description: '💎 Check current top yields' },
-  { command: 'wallet', description: '💳 Connect or view your wallet' },
+  { command: 'wallet', description: '💳 Add, remove or view your wallets' },
+  { command: 'pricealert', description: '💲 Alerts when a token crosses a price' },
   { command: 'stats', description: '📊 View your notification stats' },
+  { command: 'digest', description: '📰 Choose instant alerts or a digest' },
+  { command: 'settings', description: '⚙️ Timezone and quiet hours' },
   { command: 'help', description: '❓ Show help and instructions' }
 ]).then(() => {
   console.log('✅ Bot command menu configured');
@@ -33,8 +54,33 @@ bot.setMyCommands([
   console.error('❌ Error setting bot commands:', err);
 });
 
-// Session storage for multi-step flows (in-memory, resets on restart)
-const sessions = new Map();
+// Session storage for multi-step flows (persisted in SQLite, expires after
+// config.bot.keyboardTimeoutMinutes of inactivity)
+const sessions = {
+  get: (chatId) => db.getSession(chatId),
+  set: (chatId, session, ttlMinutes) => db.setSession(chatId, session, ttlMinutes),
+  delete: (chatId) => db.deleteSession(chatId),
+};
+
+// Drop abandoned sessions periodically
+setInterval(() => {
+  db.cleanupExpiredSessions().catch(err => console.error('❌ Error cleaning up sessions:', err.message));
+}, config.bot.keyboardTimeoutMinutes * 60 * 1000);
+
+// Follow deposits prepared from Telegram until their transactions confirm.
+// A pass can outlast the interval on a slow RPC; skip ticks until it finishes
+// so no deposit is checked (and announced) twice.
+let isTrackingDeposits = false;
+setInterval(() => {
+  if (isTrackingDeposits) {
+    return;
+  }
+
+  isTrackingDeposits = true;
+  trackDeposits(bot)
+    .catch(err => console.error('❌ Error tracking deposits:', err.message))
+    .finally(() => { isTrackingDeposits = false; });
+}, config.deposits.trackIntervalSeconds * 1000);
 
 // ==========================================
 // COMMAND: /start
@@ -47,7 +93,7 @@ bot.onText(/\/start/, async (msg) => {
   try {
     const user = await db.getOrCreateUser(chatId, username);
     const mandates = await db.getUserMandates(user.id);
-    const hasWallet = !!user.wallet_address;
+    const hasWallet = (await db.getUserWallets(user.id)).length > 0;
 
     if (mandates.length === 0 && !hasWallet) {
       // First-time user - show two clear onboarding paths
@@ -145,7 +191,7 @@ bot.onText(/\/create/, async (msg) => {
     const user = await db.getOrCreateUser(chatId);
 
     // Initialize session
-    sessions.set(chatId, { step: 'asset', userId: user.id });
+    await sessions.set(chatId, { step: 'asset', userId: user.id });
 
     await bot.sendMessage(
       chatId,
@@ -191,7 +237,7 @@ bot.on('callback_query', async (query) => {
     if (data === 'menu_create') {
       // Trigger /create command
       const user = await db.getOrCreateUser(chatId);
-      sessions.set(chatId, { step: 'asset', userId: user.id });
+      await sessions.set(chatId, { step: 'asset', userId: user.id });
       await bot.sendMessage(
         chatId,
         `🎯 *Let's create a yield mandate!*\n\n` +
@@ -225,15 +271,19 @@ bot.on('callback_query', async (query) => {
       } else {
         const mandatesList = mandates
           .map((m, i) => {
-            const status = m.signed ? '✅ Active' : '⏸️ Draft';
+            const status = m.signed ? '✅ Active' : '✍️ Awaiting signature';
             return (
               `${i + 1}. *${m.asset}* - Min ${m.min_apy}% APY\n` +
+              (hasTrendConditions(m) ? `   Trend: ${formatTrendConditions(m)}\n` : '') +
               `   Risk: ${m.risk}\n` +
               `   Status: ${status}`
             );
           })
           .join('\n\n');
-        await bot.sendMessage(chatId, `📋 *Your Active Alerts:*\n\n${mandatesList}`, { parse_mode: 'Markdown' });
+        await bot.sendMessage(chatId, `📋 *Your Active Alerts:*\n\n${mandatesList}`, {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: editButtons(mandates) }
+        });
         await showMainMenu(chatId);
       }
       return;
@@ -260,7 +310,8 @@ bot.on('callback_query', async (query) => {
       for (const mandate of mandates) {
         const opportunities = await queryFarmOpportunities({
           asset: mandate.asset,
-          min_apy: mandate.min_apy
+          min_apy: mandate.min_apy,
+          max_leverage: mandate.max_leverage
         });
 
         if (opportunities && opportunities.length > 0) {
@@ -269,7 +320,7 @@ bot.on('callback_query', async (query) => {
 
           responseText += `📋 *${mandate.asset}* (${mandate.min_apy}%+)\n`;
           top3.forEach((opp, i) => {
-            responseText += `${i + 1}. ${opp.pool_name || opp.strategy} - ${(opp.projAPY || opp.apy).toFixed(2)}% (${opp.chain})\n`;
+            responseText += `${i + 1}. ${opp.pool_name || opp.strategy} - ${(opp.projAPY || opp.apy).toFixed(2)}% (${opp.chain}) · ⚖️ ${formatRiskSummary(opp, 0)}\n`;
           });
           responseText += `\n`;
         }
@@ -301,15 +352,7 @@ bot.on('callback_query', async (query) => {
       return;
     } else if (data === 'menu_wallet') {
       const user = await db.getOrCreateUser(chatId);
-      const currentWallet = user.wallet_address || 'Not connected';
-      await bot.sendMessage(
-        chatId,
-        `💳 *Wallet Status*\n\n` +
-        `Current wallet: \`${currentWallet}\`\n\n` +
-        `To connect a wallet, send:\n` +
-        `/wallet 0xYourWalletAddress`,
-        { parse_mode: 'Markdown' }
-      );
+      await showWallets(chatId, user.id);
       await showMainMenu(chatId);
       return;
     } else if (data === 'menu_help') {
@@ -320,10 +363,16 @@ bot.on('callback_query', async (query) => {
         `/start - Start the bot\n` +
         `/create - Create new yield alert\n` +
         `/list - View your active alerts\n` +
+        `/edit - Edit an existing alert\n` +
+        `/resume - Resume a paused alert\n` +
         `/positions - View your active positions\n` +
+        `/export [csv|json] [YYYY-MM] - Export positions, APY history and alerts\n` +
         `/opportunities - Check current top yields\n` +
-        `/wallet [address] - Connect/view wallet\n` +
+        `/wallet [add|verify|remove] - Manage your wallets\n` +
+        `/pricealert [token below|above price] - Token price alerts\n` +
         `/stats - View notification stats\n` +
+        `/digest - Instant alerts or daily/weekly digest\n` +
+        `/settings - Timezone and quiet hours\n` +
         `/help - Show this help message\n\n` +
         `*How it works:*\n` +
         `1. Create an alert with your criteria\n` +
@@ -349,7 +398,8 @@ bot.on('callback_query', async (query) => {
         `• Position value updates\n` +
         `• Pool performance trends\n\n` +
         `Send your wallet address like this:\n` +
-        `/wallet 0xYourWalletAddress`,
+        `/wallet 0xYourWalletAddress Label\n\n` +
+        `_You can add several wallets (e.g. Treasury, Personal)._`,
         { parse_mode: 'Markdown' }
       );
       return;
@@ -422,10 +472,10 @@ bot.on('callback_query', async (query) => {
     // Handle asset selection
     if (data.startsWith('asset_')) {
       const asset = data.replace('asset_', '');
-      const session = sessions.get(chatId) || {};
+      const session = (await sessions.get(chatId)) || {};
       session.asset = asset;
       session.step = 'minAPY';
-      sessions.set(chatId, session);
+      await sessions.set(chatId, session);
 
       await bot.sendMessage(
         chatId,
@@ -439,50 +489,39 @@ bot.on('callback_query', async (query) => {
 
     // Handle mandate confirmation
     if (data.startsWith('confirm_mandate')) {
-      const session = sessions.get(chatId);
+      const session = await sessions.get(chatId);
       if (!session || !session.mandateId) {
         await bot.sendMessage(chatId, '❌ Session expired. Please use /create to start over.');
         return;
       }
 
-      await db.signMandate(session.mandateId);
-      sessions.delete(chatId);
+      await sessions.delete(chatId);
+      await requestMandateSignature(chatId, session.userId, session.mandateId);
+    }
 
-      const mandate = session.mandate;
+    // Handle mandate signing (from /list)
+    if (data.startsWith('sign_')) {
+      const mandateId = parseInt(data.replace('sign_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const mandate = await db.getMandateById(mandateId);
 
-      await bot.sendMessage(
-        chatId,
-        `✅ *Mandate Activated!*\n\n` +
-        `I'm now watching for *${mandate.asset}* opportunities with min ${mandate.minAPY}% APY.\n\n` +
-        `You'll get a Telegram alert when I find matching opportunities! 🚀\n\n` +
-        `_Monitoring runs every 15 minutes_`,
-        { parse_mode: 'Markdown' }
-      );
+      if (!mandate || mandate.user_id !== user.id) {
+        await bot.sendMessage(chatId, '❌ Alert not found.');
+        return;
+      }
 
-      // Encourage adding more mandates
-      await bot.sendMessage(
-        chatId,
-        `💡 *Want to cover more opportunities?*\n\n` +
-        `Consider adding mandates for different assets (WETH, wstETH) or risk levels to maximize your yield hunting!`,
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [
-                { text: '➕ Add Another Mandate', callback_data: 'menu_create' }
-              ],
-              [
-                { text: '📋 Back to Main Menu', callback_data: 'back_to_menu' }
-              ]
-            ]
-          }
-        }
-      );
+      if (mandate.signed) {
+        await bot.sendMessage(chatId, '✅ This alert is already signed and active.');
+        return;
+      }
+
+      await requestMandateSignature(chatId, user.id, mandateId);
+      return;
     }
 
     // Handle mandate cancellation
     if (data.startsWith('cancel_mandate')) {
-      sessions.delete(chatId);
+      await sessions.delete(chatId);
       await bot.sendMessage(chatId, '❌ Mandate creation cancelled.');
     }
 
@@ -490,36 +529,332 @@ bot.on('callback_query', async (query) => {
     if (data.startsWith('pause_')) {
       const mandateId = parseInt(data.replace('pause_', ''));
       await db.pauseMandate(mandateId);
-      await bot.sendMessage(chatId, '⏸️ Mandate paused. You won\'t receive alerts for this mandate.');
+      await bot.sendMessage(chatId, '⏸️ Mandate paused. You won\'t receive alerts for this mandate.\n\nUse /resume to turn it back on.');
+    }
+
+    // Handle mandate resume
+    if (data.startsWith('resume_')) {
+      const mandateId = parseInt(data.replace('resume_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const mandate = await db.getMandateById(mandateId);
+
+      if (!mandate || mandate.user_id !== user.id) {
+        await bot.sendMessage(chatId, '❌ Alert not found.');
+        return;
+      }
+
+      const { changes } = await db.resumeMandate(mandateId);
+
+      if (changes === 0) {
+        await bot.sendMessage(chatId, '⌛ This alert has expired. Renew it to start monitoring again.', {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: `🔄 Renew for ${config.mandates.durationDays} days`, callback_data: `renew_${mandateId}` }
+              ]
+            ]
+          }
+        });
+        return;
+      }
+
+      if (!mandate.signed) {
+        await bot.sendMessage(chatId, `▶️ *Alert Resumed!* Sign it to start watching *${mandate.asset}* opportunities:`, { parse_mode: 'Markdown' });
+        await requestMandateSignature(chatId, user.id, mandateId);
+        return;
+      }
+
+      await bot.sendMessage(
+        chatId,
+        `▶️ *Alert Resumed!*\n\n` +
+        `Watching *${mandate.asset}* opportunities with min ${mandate.min_apy}% APY again.`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+
+    // Handle mandate renewal (from expiry reminders)
+    if (data.startsWith('renew_')) {
+      const mandateId = parseInt(data.replace('renew_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const mandate = await db.getMandateById(mandateId);
+
+      if (!mandate || mandate.user_id !== user.id) {
+        await bot.sendMessage(chatId, '❌ Alert not found.');
+        return;
+      }
+
+      const { expiresAt } = await db.renewMandate(mandateId);
+
+      await bot.sendMessage(
+        chatId,
+        `🔄 *Alert Renewed!*\n\n` +
+        `*${mandate.asset}* (min ${mandate.min_apy}% APY) now runs until ${formatDate(expiresAt, user.timezone)}. ` +
+        `Sign the new expiry to keep monitoring:`,
+        { parse_mode: 'Markdown' }
+      );
+      await requestMandateSignature(chatId, user.id, mandateId);
+    }
+
+    // Handle APY trend conditions (saved without re-signing, they only narrow alerts)
+    const trendMatch = data.match(/^trend(?:f_([a-z]+))?_(\d+)$/);
+    if (trendMatch) {
+      const [, field, id] = trendMatch;
+      const user = await db.getOrCreateUser(chatId);
+      const mandate = await db.getMandateById(parseInt(id));
+
+      if (!mandate || mandate.user_id !== user.id) {
+        await bot.sendMessage(chatId, '❌ Alert not found.');
+        return;
+      }
+
+      if (!TREND_PROMPTS[field]) {
+        await showTrendMenu(chatId, mandate);
+        return;
+      }
+
+      await sessions.set(chatId, { step: 'trendValue', userId: user.id, mandateId: mandate.id, field });
+      await bot.sendMessage(chatId, TREND_PROMPTS[field], { parse_mode: 'Markdown' });
+      return;
+    }
+
+    // Handle mandate editing
+    if (/^edit_\d+$/.test(data)) {
+      const mandateId = parseInt(data.replace('edit_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const mandate = await db.getMandateById(mandateId);
+
+      if (!mandate || mandate.user_id !== user.id) {
+        await bot.sendMessage(chatId, '❌ Alert not found.');
+        return;
+      }
+
+      await sessions.set(chatId, { step: 'edit', userId: user.id, mandateId, edits: {} });
+      await showEditMenu(chatId, mandate, {});
+      return;
+    }
+
+    if (data.startsWith('editf_') || data.startsWith('editv_') || data === 'edit_save' || data === 'edit_cancel') {
+      const session = await sessions.get(chatId);
+      if (!session || !session.mandateId) {
+        await bot.sendMessage(chatId, '❌ Session expired. Please use /edit to start over.');
+        return;
+      }
+
+      const mandate = await db.getMandateById(session.mandateId);
+
+      if (data === 'edit_cancel') {
+        await sessions.delete(chatId);
+        await bot.sendMessage(chatId, '❌ Edit cancelled. Your alert is unchanged.');
+        return;
+      }
+
+      if (data === 'edit_save') {
+        if (Object.keys(session.edits).length === 0) {
+          await bot.sendMessage(chatId, 'ℹ️ Nothing to save - pick a field to change first.');
+          return;
+        }
+
+        // Update in place (keeps notification history); the new terms need a new signature
+        await db.updateMandate(session.mandateId, session.edits);
+        await sessions.delete(chatId);
+
+        await bot.sendMessage(chatId, '✏️ *Alert Updated!* Sign the new criteria to resume monitoring:', { parse_mode: 'Markdown' });
+        await requestMandateSignature(chatId, session.userId, session.mandateId);
+        return;
+      }
+
+      // Field picked from the edit menu: editf_<field>
+      if (data.startsWith('editf_')) {
+        const field = data.replace('editf_', '');
+
+        if (field === 'asset') {
+          await bot.sendMessage(chatId, `Pick the new asset:`, {
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  { text: '💵 USDC', callback_data: 'editv_asset_USDC' },
+                  { text: '💵 USDT', callback_data: 'editv_asset_USDT' }
+                ],
+                [
+                  { text: '⚡ WETH', callback_data: 'editv_asset_WETH' },
+                  { text: '🔷 wstETH', callback_data: 'editv_asset_wstETH' }
+                ],
+                [
+                  { text: '🪙 USDT0 (Plasma)', callback_data: 'editv_asset_USDT0' }
+                ]
+              ]
+            }
+          });
+        } else if (field === 'risk') {
+          await bot.sendMessage(chatId, `Pick the new risk level:`, {
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  { text: '🛡️ Low', callback_data: 'editv_risk_Low' },
+                  { text: '⚖️ Medium', callback_data: 'editv_risk_Medium' },
+                  { text: '🚀 High', callback_data: 'editv_risk_High' }
+                ]
+              ]
+            }
+          });
+        } else {
+          session.step = 'editValue';
+          session.field = field;
+          await sessions.set(chatId, session);
+          await bot.sendMessage(chatId, EDIT_PROMPTS[field], { parse_mode: 'Markdown' });
+        }
+        return;
+      }
+
+      // Value picked from a button: editv_<field>_<value>
+      const [, field, value] = data.match(/^editv_([a-z]+)_(.+)$/) || [];
+      if (field === 'asset' || field === 'risk') {
+        session.edits[field] = value;
+        session.step = 'edit';
+        await sessions.set(chatId, session);
+        await showEditMenu(chatId, mandate, session.edits);
+      }
+      return;
     }
 
     // Handle opportunity approval
     if (data.startsWith('approve_')) {
       const poolAddress = data.replace('approve_', '');
       const user = await db.getOrCreateUser(chatId);
+      const wallets = (await db.getUserWallets(user.id)).filter(w => w.verified_at);
 
-      if (!user.wallet_address) {
+      // Watch-only wallets may belong to anyone, so only verified ones count as "yours"
+      if (wallets.length === 0) {
         await bot.sendMessage(
           chatId,
-          `⚠️ Please connect your wallet first using /wallet\n\n` +
-          `Once connected, you can approve deposits directly from Telegram.`
+          `⚠️ Please connect and verify your wallet first using /wallet\n\n` +
+          `Once verified, you can approve deposits directly from Telegram.`
         );
         return;
       }
 
-      // Look up pool details to get chain ID
-      const pool = await db.getCachedPoolByAddress(poolAddress);
-      const chainId = pool?.chain_id || 1; // Default to Ethereum if not found
+      if (wallets.length > 1) {
+        await bot.sendMessage(chatId, '👛 Which wallet do you want to deposit from?', {
+          reply_markup: {
+            inline_keyboard: wallets.map(w => [
+              { text: `${w.label} (${w.address.slice(0, 6)}…${w.address.slice(-4)})`, callback_data: `depw_${w.id}_${poolAddress}` }
+            ])
+          }
+        });
+        return;
+      }
+
+      await startDeposit(chatId, user, wallets[0], poolAddress);
+      return;
+    }
+
+    // Handle deposit wallet choice (depw_<walletId>_<poolAddress>)
+    if (data.startsWith('depw_')) {
+      const [, walletId, poolAddress] = data.split('_');
+      const user = await db.getOrCreateUser(chatId);
+      const wallet = await db.getUserWallet(user.id, parseInt(walletId));
+
+      if (!wallet || !wallet.verified_at) {
+        await bot.sendMessage(chatId, '❌ Wallet not found or not verified. Check /wallet.');
+        return;
+      }
+
+      await startDeposit(chatId, user, wallet, poolAddress);
+      return;
+    }
+
+    // Handle wallet removal (from /wallet)
+    if (data.startsWith('wallet_remove_')) {
+      const walletId = parseInt(data.replace('wallet_remove_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const { changes } = await db.removeUserWallet(user.id, walletId);
+
+      await bot.sendMessage(chatId, changes > 0 ? '🗑️ Wallet removed. Its positions are no longer tracked.' : '❌ Wallet not found.');
+      await showWallets(chatId, user.id);
+      return;
+    }
+
+    // Handle wallet verification (from /wallet)
+    if (data.startsWith('wallet_verify_')) {
+      const walletId = parseInt(data.replace('wallet_verify_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const wallet = await db.getUserWallet(user.id, walletId);
+
+      if (!wallet) {
+        await bot.sendMessage(chatId, '❌ Wallet not found.');
+        return;
+      }
+
+      await startWalletVerification(chatId, user, wallet);
+      return;
+    }
+
+    // Handle price alert removal (from /pricealert and fired alerts)
+    if (data.startsWith('pricealert_remove_')) {
+      const alertId = parseInt(data.replace('pricealert_remove_', ''));
+      const user = await db.getOrCreateUser(chatId);
+      const { changes } = await db.deletePriceAlert(user.id, alertId);
+
+      await bot.sendMessage(chatId, changes > 0 ? '🔕 Price alert removed.' : '❌ Price alert not found.');
+      return;
+    }
+
+    // Handle alert delivery settings (digest_mode_X, digest_hour_N, digest_day_N)
+    if (data.startsWith('digest_')) {
+      const [, setting, value] = data.split('_');
+      const user = await db.getOrCreateUser(chatId);
+
+      if (setting === 'mode' && DELIVERY_MODES.includes(value)) {
+        await db.updateDeliveryPreferences(user.id, { mode: value });
+      } else if (setting === 'hour') {
+        await db.updateDeliveryPreferences(user.id, { hour: parseInt(value) });
+      } else if (setting === 'day') {
+        await db.updateDeliveryPreferences(user.id, { day: parseInt(value) });
+      }
+
+      await showDigestMenu(chatId, await db.getUserById(user.id));
+      return;
+    }
+
+    // Handle settings (timezone and quiet hours)
+    if (data === 'settings_tz') {
+      const user = await db.getOrCreateUser(chatId);
+      await sessions.set(chatId, { step: 'settingsTimezone', userId: user.id });
+      await bot.sendMessage(
+        chatId,
+        `🌍 Send your timezone, e.g. \`Europe/Berlin\`, \`America/New_York\`, \`Asia/Singapore\` or \`UTC\`.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
 
+    if (data === 'settings_quiet_custom') {
+      const user = await db.getOrCreateUser(chatId);
+      await sessions.set(chatId, { step: 'settingsQuietHours', userId: user.id });
       await bot.sendMessage(
         chatId,
-        `🔐 *Transaction Prepared*\n\n` +
-        `Pool: \`${poolAddress}\`\n` +
-        `Wallet: \`${user.wallet_address}\`\n\n` +
-        `To proceed, visit:\nhttps://app.gearbox.finance/pools/${chainId}/${poolAddress}\n\n` +
-        `_Future: Direct wallet signing from Telegram_`,
+        `🌙 Send your quiet hours as start-end in 24h format, e.g. \`22-7\` for 22:00 to 07:00.`,
         { parse_mode: 'Markdown' }
       );
+      return;
+    }
+
+    if (data.startsWith('settings_quiet_')) {
+      const user = await db.getOrCreateUser(chatId);
+      const [start, end] = data.replace('settings_quiet_', '').split('_');
+
+      await db.updateUserSettings(user.id, start === 'off'
+        ? { quietStart: null, quietEnd: null }
+        : { quietStart: parseInt(start), quietEnd: parseInt(end) });
+
+      await showSettingsMenu(chatId, await db.getUserById(user.id));
+      return;
+    }
+
+    if (data === 'settings_digest') {
+      const user = await db.getOrCreateUser(chatId);
+      await showDigestMenu(chatId, await db.getUserById(user.id));
+      return;
     }
 
     // Position-related callbacks
@@ -533,6 +868,11 @@ bot.on('callback_query', async (query) => {
       return;
     }
 
+    if (data === 'pnl_report') {
+      await positionCommands.handlePnLReport(bot, query);
+      return;
+    }
+
     if (data === 'refresh_positions') {
       await positionCommands.handleRefreshPositions(bot, query);
       return;
@@ -560,98 +900,316 @@ bot.on('message', async (msg) => {
   // Ignore commands
   if (text.startsWith('/')) return;
 
-  const session = sessions.get(chatId);
-  if (!session) return;
-
   try {
-    // Step: Enter minimum APY
-    if (session.step === 'minAPY') {
-      const minAPY = parseFloat(text);
-      if (isNaN(minAPY) || minAPY < 0 || minAPY > 100) {
-        await bot.sendMessage(chatId, '⚠️ Please enter a valid APY between 0 and 100.');
+    const session = await sessions.get(chatId);
+    if (!session) return;
+
+    // Step: Enter new value for a mandate field being edited
+    if (session.step === 'editValue') {
+      const value = parseFloat(text);
+      const error = validateEditValue(session.field, value);
+
+      if (error) {
+        await bot.sendMessage(chatId, `⚠️ ${error}`);
         return;
       }
 
-      // Apply smart defaults
-      session.minAPY = minAPY;
-
-      // Smart defaults for lending pools (no leverage involved)
-      if (minAPY < 5) {
-        session.risk = 'Low';
-      } else if (minAPY < 10) {
-        session.risk = 'Medium';
+      if (session.field === 'expiresAt') {
+        session.edits.expiresAt = new Date(Date.now() + value * 24 * 60 * 60 * 1000);
       } else {
-        session.risk = 'High';
+        session.edits[session.field] = value;
       }
-      session.maxLeverage = 1; // Lending pools are non-leveraged
-      session.maxPosition = 50000; // Default $50k max position for lending
-
-      session.step = 'confirm';
-      sessions.set(chatId, session);
-
-      // Create mandate in database immediately
-      const mandate = {
-        asset: session.asset,
-        minAPY: session.minAPY,
-        maxLeverage: session.maxLeverage,
-        risk: session.risk,
-        maxPosition: session.maxPosition
-      };
 
-      const createdMandate = await db.createMandate(session.userId, mandate);
-      session.mandateId = createdMandate.id;
-      session.mandate = mandate;
-      sessions.set(chatId, session);
+      session.step = 'edit';
+      delete session.field;
+      await sessions.set(chatId, session);
 
-      await bot.sendMessage(
-        chatId,
-        `📋 *Mandate Preview*\n\n` +
-        `💰 Asset: *${mandate.asset}*\n` +
-        `📈 Min APY: *${mandate.minAPY}%*\n\n` +
-        `Looks good?`,
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [
-                { text: '✅ Activate Mandate', callback_data: 'confirm_mandate' },
-                { text: '❌ Cancel', callback_data: 'cancel_mandate' }
-              ]
-            ]
-          }
-        }
-      );
+      const mandate = await db.getMandateById(session.mandateId);
+      await showEditMenu(chatId, mandate, session.edits);
+      return;
     }
-  } catch (error) {
-    console.error('Error in message handler:', error);
-    await bot.sendMessage(chatId, '❌ Error processing message. Please try again.');
-  }
-});
 
-// ==========================================
-// COMMAND: /list (View user's alerts)
-// ==========================================
+    // Step: Enter an APY trend condition (from the trend menu)
+    if (session.step === 'trendValue') {
+      const fields = parseTrendInput(session.field, text);
 
-bot.onText(/\/list/, async (msg) => {
-  const chatId = msg.chat.id;
+      if (fields.error) {
+        await bot.sendMessage(chatId, `⚠️ ${fields.error}`);
+        return;
+      }
 
-  try {
-    const user = await db.getOrCreateUser(chatId);
-    const mandates = await db.getUserMandates(user.id);
+      await db.updateMandateTrend(session.mandateId, fields);
+      await sessions.delete(chatId);
 
-    if (mandates.length === 0) {
-      await bot.sendMessage(
-        chatId,
-        `You don't have any active alerts yet.\n\nUse /create to set one up! 🚀`
-      );
+      await showTrendMenu(chatId, await db.getMandateById(session.mandateId));
       return;
     }
 
-    const mandatesList = mandates
+    // Step: Enter deposit amount (from the "💸 Deposit" button)
+    if (session.step === 'depositAmount') {
+      const balance = BigInt(session.balance);
+      const amount = text.trim().toLowerCase() === 'max' ? balance : parseAmount(text, session.decimals);
+
+      if (amount === null || amount === 0n) {
+        await bot.sendMessage(chatId, `⚠️ Please send a positive amount of ${session.symbol}, e.g. 1000, or "max".`);
+        return;
+      }
+
+      if (amount > balance) {
+        await bot.sendMessage(chatId, `⚠️ That's more than your balance of ${formatUnits(balance, session.decimals)} ${session.symbol}.`);
+        return;
+      }
+
+      await prepareDeposit(chatId, session, amount);
+      return;
+    }
+
+    // Step: Paste deposit transaction hash
+    if (session.step === 'depositTxHash') {
+      const txHash = text.trim();
+
+      if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+        await bot.sendMessage(chatId, '⚠️ Please paste the transaction hash (0x followed by 64 hex characters).');
+        return;
+      }
+
+      const request = await db.getDepositRequest(session.requestId);
+
+      // Reject obvious mix-ups (e.g. the approval hash) if the tx is already mined
+      const receipt = await getClient(request.chain_id).getTransactionReceipt({ hash: txHash }).catch(() => null);
+      if (receipt && receipt.status === 'success' && !isExpectedDeposit(receipt, request)) {
+        await bot.sendMessage(chatId, `⚠️ That transaction isn't a deposit from \`${request.wallet_address}\` into the pool. Paste the *deposit* transaction hash.`, { parse_mode: 'Markdown' });
+        return;
+      }
+
+      await db.submitDepositTx(request.id, txHash);
+      await sessions.delete(chatId);
+
+      await bot.sendMessage(
+        chatId,
+        `⏳ *Tracking Your Deposit*\n\n` +
+        `${request.amount} ${request.token_symbol} from \`${request.wallet_address}\`.\n` +
+        `I'll message you as soon as it confirms.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Step: Paste mandate signature (EIP-712)
+    if (session.step === 'mandateSignature') {
+      const mandate = await db.getMandateById(session.mandateId);
+
+      if (!mandate) {
+        await sessions.delete(chatId);
+        await bot.sendMessage(chatId, '❌ Alert not found.');
+        return;
+      }
+
+      const result = await activateMandate(mandate, session.terms, text.trim());
+
+      if (result.error === 'format') {
+        await bot.sendMessage(chatId, '⚠️ That doesn\'t look like a signature. Please paste the 0x... value your wallet returned.');
+        return;
+      }
+
+      if (result.error === 'mismatch') {
+        await bot.sendMessage(chatId, '⚠️ Signature doesn\'t match these terms for any of your wallets (/wallet). Sign with a connected wallet and paste it again.');
+        return;
+      }
+
+      await sessions.delete(chatId);
+
+      if (result.error) {
+        await bot.sendMessage(chatId, '⌛ This signing request is no longer valid. Tap 🔏 Sign in /list to get a new one.');
+        return;
+      }
+
+      await bot.sendMessage(
+        chatId,
+        `✅ *Mandate Activated!*\n\n` +
+        `Signed by *${result.wallet.label}* \`${result.wallet.address}\`.\n\n` +
+        `I'm now watching for *${mandate.asset}* opportunities with min ${mandate.min_apy}% APY.\n` +
+        `You'll get a Telegram alert when I find matching opportunities! 🚀\n\n` +
+        `_Monitoring runs every 15 minutes_`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '➕ Add Another Mandate', callback_data: 'menu_create' }
+              ],
+              [
+                { text: '📋 Back to Main Menu', callback_data: 'back_to_menu' }
+              ]
+            ]
+          }
+        }
+      );
+      return;
+    }
+
+    // Step: Paste wallet verification signature (from /wallet verify)
+    if (session.step === 'walletSignature') {
+      const wallet = await db.getUserWallet(session.userId, session.walletId);
+
+      if (!wallet) {
+        await sessions.delete(chatId);
+        await bot.sendMessage(chatId, '❌ Wallet not found.');
+        return;
+      }
+
+      const result = await verifyChallenge(wallet, text.trim());
+
+      if (result.error === 'format') {
+        await bot.sendMessage(chatId, '⚠️ That doesn\'t look like a signature. Please paste the 0x... value your wallet returned.');
+        return;
+      }
+
+      if (result.error === 'mismatch') {
+        await bot.sendMessage(
+          chatId,
+          `⚠️ Signature doesn't match *${wallet.label}*. Make sure you signed the exact message with \`${wallet.address}\`, then paste it again.`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      await sessions.delete(chatId);
+
+      if (result.error === 'expired') {
+        await bot.sendMessage(chatId, `⌛ This verification request expired. Start again with /wallet verify ${wallet.label}`);
+        return;
+      }
+
+      await bot.sendMessage(
+        chatId,
+        `✅ *${wallet.label} verified!*\n\n` +
+        `\`${wallet.address}\` is now confirmed as your wallet.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Step: Enter timezone (from /settings)
+    if (session.step === 'settingsTimezone') {
+      const timezone = normalizeTimezone(text.trim());
+
+      if (!timezone) {
+        await bot.sendMessage(chatId, '⚠️ Unknown timezone. Please send a name like Europe/Berlin or America/New_York.');
+        return;
+      }
+
+      await db.updateUserSettings(session.userId, { timezone });
+      await sessions.delete(chatId);
+      await showSettingsMenu(chatId, await db.getUserById(session.userId));
+      return;
+    }
+
+    // Step: Enter quiet hours (from /settings)
+    if (session.step === 'settingsQuietHours') {
+      const match = text.trim().match(/^(\d{1,2})\s*[-–]\s*(\d{1,2})$/);
+      const start = match ? parseInt(match[1]) : NaN;
+      const end = match ? parseInt(match[2]) : NaN;
+
+      if (!match || start > 23 || end > 23 || start === end) {
+        await bot.sendMessage(chatId, '⚠️ Please send two different hours between 0 and 23, e.g. 22-7.');
+        return;
+      }
+
+      await db.updateUserSettings(session.userId, { quietStart: start, quietEnd: end });
+      await sessions.delete(chatId);
+      await showSettingsMenu(chatId, await db.getUserById(session.userId));
+      return;
+    }
+
+    // Step: Enter minimum APY
+    if (session.step === 'minAPY') {
+      const minAPY = parseFloat(text);
+      if (isNaN(minAPY) || minAPY < 0 || minAPY > 100) {
+        await bot.sendMessage(chatId, '⚠️ Please enter a valid APY between 0 and 100.');
+        return;
+      }
+
+      // Apply smart defaults
+      session.minAPY = minAPY;
+
+      // Smart defaults for lending pools (no leverage involved)
+      if (minAPY < 5) {
+        session.risk = 'Low';
+      } else if (minAPY < 10) {
+        session.risk = 'Medium';
+      } else {
+        session.risk = 'High';
+      }
+      session.maxLeverage = 1; // Lending pools are non-leveraged
+      session.maxPosition = 50000; // Default $50k max position for lending
+
+      session.step = 'confirm';
+      await sessions.set(chatId, session);
+
+      // Create mandate in database immediately
+      const mandate = {
+        asset: session.asset,
+        minAPY: session.minAPY,
+        maxLeverage: session.maxLeverage,
+        risk: session.risk,
+        maxPosition: session.maxPosition
+      };
+
+      const createdMandate = await db.createMandate(session.userId, mandate);
+      session.mandateId = createdMandate.id;
+      await sessions.set(chatId, session);
+
+      await bot.sendMessage(
+        chatId,
+        `📋 *Mandate Preview*\n\n` +
+        `💰 Asset: *${mandate.asset}*\n` +
+        `📈 Min APY: *${mandate.minAPY}%*\n\n` +
+        `Looks good?`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '✍️ Sign & Activate', callback_data: 'confirm_mandate' },
+                { text: '❌ Cancel', callback_data: 'cancel_mandate' }
+              ]
+            ]
+          }
+        }
+      );
+    }
+  } catch (error) {
+    console.error('Error in message handler:', error);
+    await bot.sendMessage(chatId, '❌ Error processing message. Please try again.');
+  }
+});
+
+// ==========================================
+// COMMAND: /list (View user's alerts)
+// ==========================================
+
+bot.onText(/\/list/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    const mandates = await db.getUserMandates(user.id);
+
+    if (mandates.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        `You don't have any active alerts yet.\n\nUse /create to set one up! 🚀`
+      );
+      return;
+    }
+
+    const mandatesList = mandates
       .map((m, i) => {
-        const status = m.signed ? '✅ Active' : '⏸️ Draft';
+        const status = m.signed ? '✅ Active' : '✍️ Awaiting signature';
         return (
           `${i + 1}. *${m.asset}* - Min ${m.min_apy}% APY\n` +
+          (hasTrendConditions(m) ? `   Trend: ${formatTrendConditions(m)}\n` : '') +
           `   Risk: ${m.risk}\n` +
           `   Status: ${status}`
         );
@@ -661,7 +1219,10 @@ bot.onText(/\/list/, async (msg) => {
     await bot.sendMessage(
       chatId,
       `📋 *Your Active Alerts:*\n\n${mandatesList}`,
-      { parse_mode: 'Markdown' }
+      {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: editButtons(mandates) }
+      }
     );
   } catch (error) {
     console.error('Error in /list:', error);
@@ -669,6 +1230,82 @@ bot.onText(/\/list/, async (msg) => {
   }
 });
 
+// ==========================================
+// COMMAND: /edit (Edit an existing alert)
+// ==========================================
+
+bot.onText(/\/edit/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    const mandates = await db.getUserMandates(user.id);
+
+    if (mandates.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        `You don't have any alerts to edit.\n\nUse /create to set one up! 🚀`
+      );
+      return;
+    }
+
+    await bot.sendMessage(
+      chatId,
+      `✏️ *Which alert do you want to edit?*`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: editButtons(mandates) }
+      }
+    );
+  } catch (error) {
+    console.error('Error in /edit:', error);
+    await bot.sendMessage(chatId, '❌ Error loading alerts.');
+  }
+});
+
+// ==========================================
+// COMMAND: /resume (Resume paused alerts)
+// ==========================================
+
+bot.onText(/\/resume/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    const mandates = await db.getPausedMandates(user.id);
+
+    if (mandates.length === 0) {
+      await bot.sendMessage(chatId, `You don't have any paused alerts. 👍`);
+      return;
+    }
+
+    const mandatesList = mandates
+      .map((m, i) => (
+        `${i + 1}. *${m.asset}* - Min ${m.min_apy}% APY\n` +
+        `   Status: ${m.expired ? '⌛ Expired' : '⏸️ Paused'}`
+      ))
+      .join('\n\n');
+
+    await bot.sendMessage(
+      chatId,
+      `⏸️ *Your Paused Alerts:*\n\n${mandatesList}`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: mandates.map((m, i) => [
+            m.expired
+              ? { text: `🔄 Renew #${i + 1} ${m.asset}`, callback_data: `renew_${m.id}` }
+              : { text: `▶️ Resume #${i + 1} ${m.asset}`, callback_data: `resume_${m.id}` }
+          ])
+        }
+      }
+    );
+  } catch (error) {
+    console.error('Error in /resume:', error);
+    await bot.sendMessage(chatId, '❌ Error loading paused alerts.');
+  }
+});
+
 // ==========================================
 // COMMAND: /opportunities (Check current yields)
 // ==========================================
@@ -700,7 +1337,8 @@ bot.onText(/\/opportunities/, async (msg) => {
     for (const mandate of mandates) {
       const opportunities = await queryFarmOpportunities({
         asset: mandate.asset,
-        min_apy: mandate.min_apy
+        min_apy: mandate.min_apy,
+        max_leverage: mandate.max_leverage
       });
 
       if (opportunities && opportunities.length > 0) {
@@ -712,6 +1350,7 @@ bot.onText(/\/opportunities/, async (msg) => {
         top3.forEach((opp, i) => {
           responseText += `${i + 1}. ${opp.pool_name || opp.strategy}\n`;
           responseText += `   📈 ${(opp.projAPY || opp.apy).toFixed(2)}% APY\n`;
+          responseText += `   ⚖️ ${formatRiskSummary(opp)}\n`;
           responseText += `   🌐 ${opp.chain}\n`;
         });
 
@@ -739,48 +1378,84 @@ bot.onText(/\/opportunities/, async (msg) => {
 });
 
 // ==========================================
-// COMMAND: /wallet (Connect wallet)
+// COMMAND: /wallet (Manage wallets)
 // ==========================================
 
 bot.onText(/\/wallet(?:\s+(.+))?/, async (msg, match) => {
   const chatId = msg.chat.id;
-  const walletAddress = match[1]?.trim();
+  const args = match[1]?.trim().split(/\s+/) || [];
 
   try {
     const user = await db.getOrCreateUser(chatId);
 
-    if (!walletAddress) {
-      const currentWallet = user.wallet_address || 'Not connected';
-      await bot.sendMessage(
-        chatId,
-        `💳 *Wallet Status*\n\n` +
-        `Current wallet: \`${currentWallet}\`\n\n` +
-        `To connect a wallet, send:\n` +
-        `/wallet 0xYourWalletAddress`,
-        { parse_mode: 'Markdown' }
-      );
+    if (args.length === 0) {
+      await showWallets(chatId, user.id);
+      return;
+    }
+
+    // /wallet remove|verify <label|address>
+    const action = args[0].toLowerCase();
+    if (action === 'remove' || action === 'verify') {
+      const target = args.slice(1).join(' ').toLowerCase();
+      const wallets = await db.getUserWallets(user.id);
+      const wallet = wallets.find(w => w.label.toLowerCase() === target || w.address.toLowerCase() === target);
+
+      if (!wallet) {
+        await bot.sendMessage(chatId, '⚠️ No wallet with that label or address. Send /wallet to see your wallets.');
+        return;
+      }
+
+      if (action === 'verify') {
+        await startWalletVerification(chatId, user, wallet);
+        return;
+      }
+
+      await db.removeUserWallet(user.id, wallet.id);
+      await bot.sendMessage(chatId, `🗑️ Removed *${wallet.label}*. Its positions are no longer tracked.`, { parse_mode: 'Markdown' });
       return;
     }
 
-    // Basic validation
-    if (!walletAddress.startsWith('0x') || walletAddress.length !== 42) {
+    // /wallet [add] <address> [label]
+    if (args[0].toLowerCase() === 'add') {
+      args.shift();
+    }
+
+    const [walletAddress, ...labelWords] = args;
+
+    if (!walletAddress || !isAddress(walletAddress, { strict: false })) {
       await bot.sendMessage(chatId, '⚠️ Invalid wallet address. Must start with 0x and be 42 characters.');
       return;
     }
 
-    await db.updateUserWallet(user.id, walletAddress);
+    const address = getAddress(walletAddress);
+    const wallets = await db.getUserWallets(user.id);
+    const existing = wallets.find(w => w.address === address);
+
+    if (!existing && wallets.length >= config.positions.maxWalletsPerUser) {
+      await bot.sendMessage(chatId, `⚠️ You can track up to ${config.positions.maxWalletsPerUser} wallets. Remove one first with /wallet remove <label>.`);
+      return;
+    }
+
+    const label = labelWords.join(' ').slice(0, 32) || existing?.label || `Wallet ${wallets.length + 1}`;
+    await db.addUserWallet(user.id, address, label);
+
+    if (existing) {
+      await bot.sendMessage(chatId, `✏️ Wallet \`${address}\` is now labeled *${label}*.`, { parse_mode: 'Markdown' });
+      return;
+    }
 
     await bot.sendMessage(
       chatId,
-      `✅ *Wallet Connected!*\n\n` +
-      `Address: \`${walletAddress}\`\n\n` +
+      `✅ *Wallet Added!*\n\n` +
+      `*${label}*: \`${address}\`\n\n` +
+      `👀 Watch-only until you prove it's yours: /wallet verify ${label}\n\n` +
       `Scanning for existing positions...`,
       { parse_mode: 'Markdown' }
     );
 
     // Scan for positions
     try {
-      const positions = await scanWalletPositions(walletAddress);
+      const positions = await scanWalletPositions(address);
 
       if (positions.length > 0) {
         // Store positions in database
@@ -793,7 +1468,7 @@ bot.onText(/\/wallet(?:\s+(.+))?/, async (msg, match) => {
         await bot.sendMessage(
           chatId,
           `🔍 *Position Scan Complete*\n\n` +
-          `Found ${positions.length} active position(s)!\n` +
+          `Found ${positions.length} active position(s) in *${label}*!\n` +
           `Total value: $${totalValue.toFixed(2)}\n\n` +
           `Use /positions to view details`,
           { parse_mode: 'Markdown' }
@@ -801,7 +1476,7 @@ bot.onText(/\/wallet(?:\s+(.+))?/, async (msg, match) => {
       } else {
         await bot.sendMessage(
           chatId,
-          `📊 No active positions found.\n\n` +
+          `📊 No active positions found in *${label}*.\n\n` +
           `Create a mandate to find yield opportunities:\n/create`,
           { parse_mode: 'Markdown' }
         );
@@ -810,7 +1485,7 @@ bot.onText(/\/wallet(?:\s+(.+))?/, async (msg, match) => {
       console.error('Error scanning positions:', scanError);
       await bot.sendMessage(
         chatId,
-        `⚠️ Wallet connected, but position scan failed.\n\n` +
+        `⚠️ Wallet added, but position scan failed.\n\n` +
         `The monitoring service will scan your wallet automatically.`,
         { parse_mode: 'Markdown' }
       );
@@ -822,6 +1497,84 @@ bot.onText(/\/wallet(?:\s+(.+))?/, async (msg, match) => {
   }
 });
 
+// ==========================================
+// COMMAND: /pricealert (Token price alerts)
+// ==========================================
+
+bot.onText(/\/pricealert(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const args = match[1]?.trim().split(/\s+/) || [];
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+
+    if (args.length === 0) {
+      await showPriceAlerts(chatId, user.id);
+      return;
+    }
+
+    // /pricealert remove <id>
+    if (['remove', 'delete'].includes(args[0].toLowerCase())) {
+      const alertId = parseInt((args[1] || '').replace('#', ''));
+      const { changes } = Number.isInteger(alertId) ? await db.deletePriceAlert(user.id, alertId) : { changes: 0 };
+
+      await bot.sendMessage(chatId, changes > 0 ? '🔕 Price alert removed.' : '⚠️ No price alert with that number. Send /pricealert to see yours.');
+      return;
+    }
+
+    // /pricealert [add] <token> <below|above> <price>
+    if (args[0].toLowerCase() === 'add') {
+      args.shift();
+    }
+
+    const parsed = parsePriceAlertArgs(args);
+    if (parsed.error) {
+      await bot.sendMessage(chatId, parsed.error);
+      return;
+    }
+
+    const alerts = await db.getUserPriceAlerts(user.id);
+    if (alerts.length >= config.priceAlerts.maxAlertsPerUser) {
+      await bot.sendMessage(chatId, `⚠️ You can have up to ${config.priceAlerts.maxAlertsPerUser} price alerts. Remove one first with /pricealert remove <number>.`);
+      return;
+    }
+
+    await bot.sendMessage(chatId, `⏳ Looking up ${parsed.symbol} on the Gearbox price oracle...`);
+
+    const quote = await getOraclePrice(parsed.symbol);
+    if (!quote) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ The Gearbox price oracle has no price for ${parsed.symbol} (or is unreachable right now). ` +
+        `Use a Gearbox collateral token, e.g. wstETH, WETH or WBTC.`
+      );
+      return;
+    }
+
+    // Already past the target: the first alert waits until the price comes back through the band
+    const armed = !isCrossed(parsed.direction, quote.price, parsed.target);
+    const { id } = await db.createPriceAlert(user.id, quote.symbol, parsed.direction, parsed.target, armed);
+    const rearm = formatPrice(rearmPrice({ direction: parsed.direction, target_price: parsed.target }, config.priceAlerts.hysteresisPct));
+
+    const note = armed
+      ? `You'll get one alert when it crosses, and another only after it moves back past ${rearm} and crosses again.`
+      : `It's already ${parsed.direction} that, so the first alert comes after it moves back past ${rearm} and crosses again.`;
+
+    await bot.sendMessage(
+      chatId,
+      `✅ *Price Alert #${id} Set*\n\n` +
+      `\`${quote.symbol}\` ${parsed.direction} ${formatPrice(parsed.target)}\n` +
+      `Now: ${formatPrice(quote.price)}\n\n` +
+      `${note}\n\n` +
+      `_Checked every ${config.monitoring.priceAlertCheckInterval / 60000} minutes._`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    console.error('Error in /pricealert:', error);
+    await bot.sendMessage(chatId, '❌ Error managing price alerts.');
+  }
+});
+
 // ==========================================
 // COMMAND: /stats (Notification stats)
 // ==========================================
@@ -829,32 +1582,131 @@ bot.onText(/\/wallet(?:\s+(.+))?/, async (msg, match) => {
 bot.onText(/\/stats/, async (msg) => {
   const chatId = msg.chat.id;
 
-  try {
-    const user = await db.getOrCreateUser(chatId);
-    const stats = await db.getNotificationStats(user.id);
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    const stats = await db.getNotificationStats(user.id);
+
+    await bot.sendMessage(
+      chatId,
+      `📊 *Your Stats*\n\n` +
+      `🔔 Total alerts: ${stats.total_notifications || 0}\n` +
+      `📈 Average APY: ${stats.avg_apy ? stats.avg_apy.toFixed(2) + '%' : 'N/A'}\n` +
+      `⏰ Last alert: ${stats.last_notification || 'Never'}`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    console.error('Error in /stats:', error);
+    await bot.sendMessage(chatId, '❌ Error fetching stats.');
+  }
+});
+
+// ==========================================
+// COMMAND: /digest (Alert delivery mode)
+// ==========================================
+
+bot.onText(/\/digest/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    await showDigestMenu(chatId, await db.getUserById(user.id));
+  } catch (error) {
+    console.error('Error in /digest:', error);
+    await bot.sendMessage(chatId, '❌ Error loading delivery settings.');
+  }
+});
+
+// ==========================================
+// COMMAND: /settings (Timezone and quiet hours)
+// ==========================================
+
+bot.onText(/\/settings/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    await showSettingsMenu(chatId, await db.getUserById(user.id));
+  } catch (error) {
+    console.error('Error in /settings:', error);
+    await bot.sendMessage(chatId, '❌ Error loading settings.');
+  }
+});
+
+// ==========================================
+// COMMAND: /positions
+// ==========================================
+
+bot.onText(/\/positions/, async (msg) => {
+  await positionCommands.handlePositionsCommand(bot, msg);
+});
+
+// ==========================================
+// COMMAND: /export (CSV/JSON records)
+// ==========================================
+
+bot.onText(/\/export(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const args = match[1]?.trim().split(/\s+/) || [];
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+
+    // /export token|revoke - credentials for the HTTP endpoint
+    const action = args[0]?.toLowerCase();
+    if (action === 'token' || action === 'revoke') {
+      if (!config.exports.httpPort) {
+        await bot.sendMessage(chatId, 'ℹ️ The export API isn\'t enabled on this bot. Use /export to get files here.');
+        return;
+      }
+
+      if (action === 'revoke') {
+        await db.setExportTokenHash(user.id, null);
+        await bot.sendMessage(chatId, '🗑️ Export API token revoked.');
+        return;
+      }
+
+      const token = await createExportToken(user.id);
+      await bot.sendMessage(
+        chatId,
+        `🔑 *Export API Token*\n\n` +
+        `\`${token}\`\n\n` +
+        `Send it as \`Authorization: Bearer <token>\` to:\n` +
+        `\`GET /export?dataset=positions&format=csv&month=2025-01\`\n\n` +
+        `_Shown only once. Any previous token stops working; /export revoke disables it._`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const request = parseExportArgs(args);
+    if (request.error) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ ${request.error}\n\n` +
+        `Usage: /export [positions|apy|alerts|all] [csv|json] [YYYY-MM | from [to]]\n` +
+        `e.g. /export 2025-01 or /export alerts json 2025-01-01 2025-03-31`
+      );
+      return;
+    }
+
+    const files = await buildExport(user.id, request);
+    const lastDay = new Date(request.to.getTime() - 24 * 60 * 60 * 1000);
+    const period = `${request.from.toISOString().slice(0, 10)} – ${lastDay.toISOString().slice(0, 10)} (UTC)`;
 
-    await bot.sendMessage(
-      chatId,
-      `📊 *Your Stats*\n\n` +
-      `🔔 Total alerts: ${stats.total_notifications || 0}\n` +
-      `📈 Average APY: ${stats.avg_apy ? stats.avg_apy.toFixed(2) + '%' : 'N/A'}\n` +
-      `⏰ Last alert: ${stats.last_notification || 'Never'}`,
-      { parse_mode: 'Markdown' }
-    );
+    for (const file of files) {
+      await bot.sendDocument(
+        chatId,
+        file.content,
+        { caption: `📤 ${file.label}: ${file.rows} row(s), ${period}` },
+        { filename: file.filename, contentType: file.contentType }
+      );
+    }
   } catch (error) {
-    console.error('Error in /stats:', error);
-    await bot.sendMessage(chatId, '❌ Error fetching stats.');
+    console.error('Error in /export:', error);
+    await bot.sendMessage(chatId, '❌ Error building export. Please try again later.');
   }
 });
 
-// ==========================================
-// COMMAND: /positions
-// ==========================================
-
-bot.onText(/\/positions/, async (msg) => {
-  await positionCommands.handlePositionsCommand(bot, msg);
-});
-
 // ==========================================
 // COMMAND: /help
 // ==========================================
@@ -869,10 +1721,16 @@ bot.onText(/\/help/, async (msg) => {
     `/start - Start the bot\n` +
     `/create - Create new yield alert\n` +
     `/list - View your active alerts\n` +
+    `/edit - Edit an existing alert\n` +
+    `/resume - Resume a paused alert\n` +
     `/positions - View your active positions\n` +
+    `/export [csv|json] [YYYY-MM] - Export positions, APY history and alerts\n` +
     `/opportunities - Check current top yields\n` +
-    `/wallet [address] - Connect/view wallet\n` +
+    `/wallet [add|verify|remove] - Manage your wallets\n` +
+    `/pricealert [token below|above price] - Token price alerts\n` +
     `/stats - View notification stats\n` +
+    `/digest - Instant alerts or daily/weekly digest\n` +
+    `/settings - Timezone and quiet hours\n` +
     `/help - Show this help message\n\n` +
     `*How it works:*\n` +
     `1. Create an alert with your criteria\n` +
@@ -942,6 +1800,507 @@ function showMainMenu(chatId, message = '📋 *Main Menu*') {
   );
 }
 
+// ==========================================
+// HELPER: Mandate Editing
+// ==========================================
+
+const EDIT_PROMPTS = {
+  minAPY: `What's the new minimum APY?\n(e.g., send "5" for 5% APY)`,
+  maxLeverage: `What's the new max leverage?\n(send "1" for lending only, up to ${config.leverage.maxStrategyLeverage})`,
+  maxPosition: `What's the new max position size in USD?\n(e.g., send "25000")`,
+  expiresAt: `How many days from now should the alert expire?\n(1 to 365)`,
+};
+
+/**
+ * Validate a typed value for an editable mandate field
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEditValue(field, value) {
+  if (isNaN(value)) {
+    return 'Please send a number.';
+  }
+
+  switch (field) {
+    case 'minAPY':
+      return value < 0 || value > 100 ? 'Please enter a valid APY between 0 and 100.' : null;
+    case 'maxLeverage':
+      return value < 1 || value > config.leverage.maxStrategyLeverage
+        ? `Please enter a leverage between 1 and ${config.leverage.maxStrategyLeverage}.`
+        : null;
+    case 'maxPosition':
+      return value <= 0 ? 'Please enter a position size greater than 0.' : null;
+    case 'expiresAt':
+      return value < 1 || value > 365 ? 'Please enter a number of days between 1 and 365.' : null;
+    default:
+      return 'Unknown field.';
+  }
+}
+
+/**
+ * One "Edit" + "Trend" button row per mandate
+ */
+function editButtons(mandates) {
+  return mandates.map((m, i) => [
+    { text: `✏️ Edit #${i + 1} ${m.asset} (${m.min_apy}%+)`, callback_data: `edit_${m.id}` },
+    { text: '📊 Trend', callback_data: `trend_${m.id}` },
+    ...(m.signed ? [] : [{ text: '🔏 Sign', callback_data: `sign_${m.id}` }])
+  ]);
+}
+
+/**
+ * Render mandate fields as Markdown lines
+ */
+function formatMandateFields(m) {
+  return (
+    `💰 Asset: *${m.asset}*\n` +
+    `📈 Min APY: *${m.min_apy}%*\n` +
+    `⚖️ Max Leverage: *${m.max_leverage}x*\n` +
+    `🎯 Risk: *${m.risk}*\n` +
+    `💵 Max Position: *$${Number(m.max_position).toLocaleString()}*\n` +
+    `⏰ Expires: *${new Date(m.expires_at).toLocaleDateString()}*`
+  );
+}
+
+/**
+ * Show a mandate with pending edits applied and the field picker
+ */
+function showEditMenu(chatId, mandate, edits) {
+  const preview = {
+    ...mandate,
+    asset: edits.asset ?? mandate.asset,
+    min_apy: edits.minAPY ?? mandate.min_apy,
+    max_leverage: edits.maxLeverage ?? mandate.max_leverage,
+    risk: edits.risk ?? mandate.risk,
+    max_position: edits.maxPosition ?? mandate.max_position,
+    expires_at: edits.expiresAt ?? mandate.expires_at,
+  };
+
+  const pending = Object.keys(edits).length;
+
+  return bot.sendMessage(
+    chatId,
+    `✏️ *Edit Alert*\n\n${formatMandateFields(preview)}\n\n` +
+    (pending > 0
+      ? `_${pending} unsaved change${pending > 1 ? 's' : ''}. Saving asks you to sign the new terms._`
+      : `_Pick a field to change._`),
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '💰 Asset', callback_data: 'editf_asset' },
+            { text: '📈 Min APY', callback_data: 'editf_minAPY' }
+          ],
+          [
+            { text: '⚖️ Leverage', callback_data: 'editf_maxLeverage' },
+            { text: '🎯 Risk', callback_data: 'editf_risk' }
+          ],
+          [
+            { text: '💵 Max Position', callback_data: 'editf_maxPosition' },
+            { text: '⏰ Expiry', callback_data: 'editf_expiresAt' }
+          ],
+          [
+            { text: '✅ Save & Re-sign', callback_data: 'edit_save' },
+            { text: '❌ Cancel', callback_data: 'edit_cancel' }
+          ]
+        ]
+      }
+    }
+  );
+}
+
+// ==========================================
+// HELPER: APY Trend Conditions
+// ==========================================
+
+const TREND_PROMPTS = {
+  avg: `Minimum average APY, optionally over how many days (default ${config.mandateTrends.defaultAvgDays}).\n(e.g., "6" or "6 14", "off" to remove)`,
+  stable: `How far APY may move from its average, in points, optionally over how many days (default ${config.mandateTrends.defaultStableDays}).\n(e.g., "0.5" or "0.5 5", "off" to remove)`,
+  rise: `By how many points must APY have risen since yesterday?\n(e.g., "0.3", "off" to remove)`,
+};
+
+/**
+ * Show a mandate's APY trend conditions with buttons to change them
+ */
+function showTrendMenu(chatId, mandate) {
+  const current = hasTrendConditions(mandate)
+    ? `Alerts only when: *${formatTrendConditions(mandate)}*`
+    : `No trend conditions - any scan at or above ${mandate.min_apy}% alerts.`;
+
+  return bot.sendMessage(
+    chatId,
+    `📊 *APY Trend - ${mandate.asset} alert*\n\n` +
+    `${current}\n\n` +
+    `Checked against the pool's APY history so one-scan spikes don't alert. ` +
+    `Lending pools only; leveraged strategies have no APY history. ` +
+    `Changes apply right away, no new signature needed.`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '📊 Avg APY', callback_data: `trendf_avg_${mandate.id}` },
+            { text: '🧘 Stability', callback_data: `trendf_stable_${mandate.id}` },
+            { text: '🚀 Rise', callback_data: `trendf_rise_${mandate.id}` }
+          ]
+        ]
+      }
+    }
+  );
+}
+
+// ==========================================
+// HELPER: Wallets
+// ==========================================
+
+/**
+ * List a user's wallets with their verification status, plus verify/remove buttons
+ */
+async function showWallets(chatId, userId) {
+  const wallets = await db.getUserWallets(userId);
+
+  const usage =
+    `*Add a wallet:* /wallet add 0xAddress Label\n` +
+    `*Rename:* add the same address with a new label\n` +
+    `*Verify ownership:* /wallet verify Label\n` +
+    `*Remove:* /wallet remove Label`;
+
+  if (wallets.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `💳 *Your Wallets*\n\nNo wallets connected yet.\n\n${usage}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const list = wallets
+    .map((w, i) => `${i + 1}. *${w.label}* ${w.verified_at ? '✅ Verified' : '👀 Watch-only'}\n   \`${w.address}\``)
+    .join('\n\n');
+
+  return bot.sendMessage(
+    chatId,
+    `💳 *Your Wallets* (${wallets.length}/${config.positions.maxWalletsPerUser})\n\n${list}\n\n${usage}`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: wallets.map(w => [
+          ...(w.verified_at ? [] : [{ text: `🔏 Verify ${w.label}`, callback_data: `wallet_verify_${w.id}` }]),
+          { text: `🗑️ Remove ${w.label}`, callback_data: `wallet_remove_${w.id}` }
+        ])
+      }
+    }
+  );
+}
+
+/**
+ * Show a user's price alerts, with their leveraged collateral as suggestions
+ */
+async function showPriceAlerts(chatId, userId) {
+  const [alerts, positions] = await Promise.all([
+    db.getUserPriceAlerts(userId),
+    db.getUserPositions(userId),
+  ]);
+
+  const collateral = [...new Set(positions
+    .filter(p => p.credit_account)
+    .flatMap(p => (p.collateral_tokens || '').split(',').filter(Boolean)))];
+
+  const usage =
+    `*Add:* /pricealert wstETH below 3000\n` +
+    `*Remove:* /pricealert remove <number>` +
+    (collateral.length > 0 ? `\n\n*Your leveraged collateral:* ${collateral.join(', ')}` : '');
+
+  if (alerts.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `💲 *Price Alerts*\n\nNo price alerts yet.\n\n${usage}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const list = alerts.map(a => {
+    const state = a.armed
+      ? '🟢 Armed'
+      : `⏸️ Fired, re-arms at ${formatPrice(rearmPrice(a, config.priceAlerts.hysteresisPct))}`;
+    const last = a.last_price !== null ? ` · last ${formatPrice(a.last_price)}` : '';
+    return `#${a.id} \`${a.token_symbol}\` ${a.direction} ${formatPrice(a.target_price)}\n   ${state}${last}`;
+  }).join('\n\n');
+
+  return bot.sendMessage(
+    chatId,
+    `💲 *Price Alerts* (${alerts.length}/${config.priceAlerts.maxAlertsPerUser})\n\n${list}\n\n${usage}`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: alerts.map(a => [
+          { text: `🗑️ Remove #${a.id} ${a.token_symbol}`, callback_data: `pricealert_remove_${a.id}` }
+        ])
+      }
+    }
+  );
+}
+
+/**
+ * Ask how much to deposit from a verified wallet into a pool
+ */
+async function startDeposit(chatId, user, wallet, poolAddress) {
+  // Look up pool details to get chain ID
+  const pool = await db.getCachedPoolByAddress(poolAddress);
+  const chainId = pool?.chain_id || 1; // Default to Ethereum if not found
+
+  let context;
+  try {
+    context = await getDepositContext(poolAddress, wallet.address, chainId);
+  } catch (error) {
+    console.error('Error reading deposit context:', error.message);
+    await bot.sendMessage(
+      chatId,
+      `❌ Couldn't read the pool on-chain. You can deposit on Gearbox instead:\nhttps://app.gearbox.finance/pools/${chainId}/${poolAddress}`
+    );
+    return;
+  }
+
+  if (context.balance === 0n) {
+    await bot.sendMessage(chatId, `⚠️ *${wallet.label}* has no ${context.symbol} to deposit.`, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  await sessions.set(chatId, {
+    step: 'depositAmount',
+    userId: user.id,
+    walletAddress: wallet.address,
+    poolAddress,
+    chainId,
+    tokenAddress: context.tokenAddress,
+    symbol: context.symbol,
+    decimals: context.decimals,
+    balance: context.balance.toString(),
+  });
+
+  await bot.sendMessage(
+    chatId,
+    `💸 *Deposit into ${pool?.pool_name || 'Gearbox Pool'}*\n\n` +
+    `From: *${wallet.label}* \`${wallet.address}\`\n` +
+    `Balance: *${formatUnits(context.balance, context.decimals)} ${context.symbol}*\n\n` +
+    `How much ${context.symbol} do you want to deposit? Send an amount or "max".`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Build the approve + deposit transactions and hand them to the user for signing
+ */
+async function prepareDeposit(chatId, session, amount) {
+  // Re-read the allowance; it may have changed since the amount prompt
+  const context = await getDepositContext(session.poolAddress, session.walletAddress, session.chainId);
+  const transactions = buildDepositTransactions({
+    poolAddress: session.poolAddress,
+    tokenAddress: session.tokenAddress,
+    receiver: session.walletAddress,
+    amount,
+    allowance: context.allowance,
+  });
+
+  const requestId = await db.createDepositRequest(session.userId, {
+    walletAddress: session.walletAddress,
+    poolAddress: session.poolAddress,
+    chainId: session.chainId,
+    tokenAddress: session.tokenAddress,
+    tokenSymbol: session.symbol,
+    tokenDecimals: session.decimals,
+    amount: formatUnits(amount, session.decimals),
+    amountRaw: amount.toString(),
+  });
+  const request = await db.getDepositRequest(requestId);
+  const link = depositLink(request);
+
+  await sessions.set(chatId, { step: 'depositTxHash', userId: session.userId, requestId }, config.deposits.requestTtlMinutes);
+
+  const calls = transactions
+    .map((tx, i) => `*${i + 1}. ${tx.description}*\nTo: \`${tx.to}\`\nData:\n\`\`\`\n${tx.data}\n\`\`\``)
+    .join('\n\n');
+
+  await bot.sendMessage(
+    chatId,
+    `🧾 *Deposit Ready*\n\n` +
+    `*${request.amount} ${session.symbol}* from \`${session.walletAddress}\` (chain ${session.chainId})\n\n` +
+    (link ? `Tap the button to sign with your browser wallet, or send these transactions yourself (e.g. Safe Transaction Builder):\n\n` : `Send these transactions from your wallet (e.g. Safe Transaction Builder):\n\n`) +
+    `${calls}\n\n` +
+    `Then paste the *deposit* transaction hash here and I'll track it until it confirms.`,
+    {
+      parse_mode: 'Markdown',
+      ...(link && {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔐 Sign Deposit in Wallet', url: link }]]
+        }
+      })
+    }
+  );
+}
+
+/**
+ * Ask the user to sign a mandate's terms (EIP-712) before it is monitored
+ * Links to the web app signing page when config.bot.webAppUrl is set;
+ * otherwise the raw typed data is sent for any wallet that can sign it.
+ */
+async function requestMandateSignature(chatId, userId, mandateId) {
+  const mandate = await db.getMandateById(mandateId);
+  const wallets = await db.getUserWallets(userId);
+
+  if (wallets.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `✍️ *Signature Needed*\n\n` +
+      `Alerts are activated by signing them with your wallet, so this one is saved as a draft.\n\n` +
+      `Connect a wallet first: /wallet add 0xAddress Label\n` +
+      `Then tap 🔏 Sign in /list.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const terms = mandateTerms(mandate);
+  const link = signingLink(terms);
+  await sessions.set(chatId, { step: 'mandateSignature', userId, mandateId, terms }, config.mandates.signatureTtlMinutes);
+
+  const wallet = wallets.find(w => w.verified_at) || wallets[0];
+  const instructions = link
+    ? `Open the signing page, connect one of your wallets and sign.`
+    : `Sign this typed data (eth\\_signTypedData\\_v4) with *${wallet.label}*:\n\n` +
+      '```\n' + JSON.stringify(buildTypedData(terms, wallet.address), null, 2) + '\n```';
+
+  return bot.sendMessage(
+    chatId,
+    `✍️ *Sign to Activate*\n\n${formatMandateFields(mandate)}\n\n${instructions}\n\n` +
+    `Then paste the signature (0x...) here.\n` +
+    `_Signing is free and sends no transaction. The request expires in ${config.mandates.signatureTtlMinutes} minutes._`,
+    {
+      parse_mode: 'Markdown',
+      ...(link && {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔏 Sign with Wallet', url: link }]]
+        }
+      })
+    }
+  );
+}
+
+/**
+ * Send a wallet's signing challenge and wait for the signature in chat
+ */
+async function startWalletVerification(chatId, user, wallet) {
+  if (wallet.verified_at) {
+    return bot.sendMessage(chatId, `✅ *${wallet.label}* is already verified.`, { parse_mode: 'Markdown' });
+  }
+
+  const { message, expiresAt } = await createChallenge(wallet);
+  await sessions.set(chatId, { step: 'walletSignature', userId: user.id, walletId: wallet.id }, config.positions.verificationNonceTtlMinutes);
+
+  return bot.sendMessage(
+    chatId,
+    `🔏 *Verify ${wallet.label}*\n\n` +
+    `Sign this exact message with \`${wallet.address}\` ` +
+    `("Sign message" / personal\\_sign in your wallet, or etherscan.io/verifiedSignatures):\n\n` +
+    '```\n' + message + '\n```\n\n' +
+    `Then paste the signature (0x...) here.\n` +
+    `_Expires at ${formatTime(expiresAt, user.timezone)}. Signing is free and sends no transaction._`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+// ==========================================
+// HELPER: Alert Delivery (Digest) Settings
+// ==========================================
+
+const DELIVERY_MODES = ['instant', 'daily', 'weekly'];
+const DIGEST_HOURS = [6, 9, 12, 18, 21];
+
+/**
+ * Show the user's delivery mode with buttons to change mode, hour and day
+ */
+function showDigestMenu(chatId, user) {
+  const mode = user.delivery_mode || 'instant';
+  const mark = (selected, text) => (selected ? `✓ ${text}` : text);
+
+  const keyboard = [
+    [
+      { text: mark(mode === 'instant', '⚡ Instant'), callback_data: 'digest_mode_instant' },
+      { text: mark(mode === 'daily', '📅 Daily'), callback_data: 'digest_mode_daily' },
+      { text: mark(mode === 'weekly', '🗓️ Weekly'), callback_data: 'digest_mode_weekly' }
+    ]
+  ];
+
+  if (mode !== 'instant') {
+    keyboard.push(DIGEST_HOURS.map(hour => ({
+      text: mark(user.digest_hour === hour, `${String(hour).padStart(2, '0')}:00`),
+      callback_data: `digest_hour_${hour}`
+    })));
+  }
+
+  if (mode === 'weekly') {
+    // Monday first
+    const days = [1, 2, 3, 4, 5, 6, 0].map(day => ({
+      text: mark(user.digest_day === day, DAY_NAMES[day].slice(0, 3)),
+      callback_data: `digest_day_${day}`
+    }));
+    keyboard.push(days.slice(0, 4), days.slice(4));
+  }
+
+  return bot.sendMessage(
+    chatId,
+    `📰 *Alert Delivery*\n\n` +
+    `Current: *${describeSchedule({ ...user, delivery_mode: mode })}*\n\n` +
+    `⚡ *Instant* sends every alert as it happens.\n` +
+    `📅 *Daily* / 🗓️ *Weekly* bundle mandate matches, APY changes and new pools into one report at the chosen hour (your timezone, see /settings).\n\n` +
+    `_Liquidation and position-closed alerts are always sent instantly._`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    }
+  );
+}
+
+// ==========================================
+// HELPER: Settings (Timezone and Quiet Hours)
+// ==========================================
+
+/**
+ * Show timezone, quiet hours and delivery mode with buttons to change them
+ */
+function showSettingsMenu(chatId, user) {
+  const timezone = user.timezone || 'UTC';
+
+  return bot.sendMessage(
+    chatId,
+    `⚙️ *Settings*\n\n` +
+    `🌍 Timezone: *${timezone}* (now ${formatTime(new Date(), timezone)})\n` +
+    `🌙 Quiet hours: *${describeQuietHours(user)}*\n` +
+    `📰 Alert delivery: *${describeSchedule({ ...user, delivery_mode: user.delivery_mode || 'instant' })}*\n\n` +
+    `_During quiet hours alerts are held and summarized when they end. Liquidation alerts always come through._`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '🌍 Change Timezone', callback_data: 'settings_tz' }
+          ],
+          [
+            { text: '🌙 22:00–07:00', callback_data: 'settings_quiet_22_7' },
+            { text: '🌙 23:00–08:00', callback_data: 'settings_quiet_23_8' },
+            { text: '🌙 00:00–07:00', callback_data: 'settings_quiet_0_7' }
+          ],
+          [
+            { text: '✏️ Custom Quiet Hours', callback_data: 'settings_quiet_custom' },
+            { text: '🔔 No Quiet Hours', callback_data: 'settings_quiet_off' }
+          ],
+          [
+            { text: '📰 Alert Delivery', callback_data: 'settings_digest' }
+          ]
+        ]
+      }
+    }
+  );
+}
+
 // ==========================================
 // HELPER: Setup Default Mandates
 // ==========================================
@@ -978,35 +2337,14 @@ async function setupDefaultMandate(chatId, template) {
     if (!mandate) return;
 
     const createdMandate = await db.createMandate(user.id, mandate);
-    await db.signMandate(createdMandate.id);
 
     await bot.sendMessage(
       chatId,
-      `✅ *${template.charAt(0).toUpperCase() + template.slice(1)} Mandate Activated!*\n\n` +
-      `I'm now watching for *${mandate.asset}* lending pools with ${mandate.minAPY}%+ APY.\n\n` +
-      `You'll get alerts when matching opportunities appear! 🚀`,
+      `✅ *${template.charAt(0).toUpperCase() + template.slice(1)} Mandate Created!*\n\n` +
+      `Watching *${mandate.asset}* lending pools with ${mandate.minAPY}%+ APY starts once you sign it.`,
       { parse_mode: 'Markdown' }
     );
-
-    // Show options to add more or go to menu
-    await bot.sendMessage(
-      chatId,
-      `💡 *Want to cover more opportunities?*\n\n` +
-      `Consider adding mandates for different assets to maximize your yield hunting!`,
-      {
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: '➕ Add Another Mandate', callback_data: 'menu_create' }
-            ],
-            [
-              { text: '📋 Back to Main Menu', callback_data: 'back_to_menu' }
-            ]
-          ]
-        }
-      }
-    );
+    await requestMandateSignature(chatId, user.id, createdMandate.id);
   } catch (error) {
     console.error('Error setting up default mandate:', error);
     await bot.sendMessage(chatId, '❌ Error setting up mandate. Please try again.');
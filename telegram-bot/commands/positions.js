@@ -5,6 +5,51 @@
 
 const db = require('../database');
 const config = require('../config');
+const { getPositionPnL, getPnLReport } = require('../utils/pnl');
+const { getPositionPrices } = require('../utils/price-feed');
+const { renderAPYChart } = require('../utils/apy-chart');
+const { escapeMarkdown } = require('../utils/markdown');
+
+/**
+ * Format a signed amount, e.g. "+12.34"
+ */
+function signed(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+/**
+ * Describe how a PnL's APY was obtained
+ */
+function formatPnLApy(pnl) {
+  if (pnl.apy === null) {
+    return 'N/A';
+  }
+
+  const days = pnl.daysHeld !== null ? ` over ${Math.max(1, Math.round(pnl.daysHeld))}d` : '';
+  switch (pnl.apySource) {
+    case 'realized':
+      return `${pnl.apy.toFixed(2)}% realized${days}`;
+    case 'net_apy':
+      return `~${pnl.apy.toFixed(2)}% (current net APY)`;
+    default:
+      return `~${pnl.apy.toFixed(2)}% (avg pool APY${days})`;
+  }
+}
+
+/**
+ * Earnings lines of one position
+ */
+function formatPnLLines(pnl, symbol) {
+  const usd = value => (value !== null ? ` ($${value.toFixed(2)})` : '');
+  const earnedUsd = pnl.earnedUsd !== null ? ` (${pnl.earnedUsd >= 0 ? '+' : '-'}$${Math.abs(pnl.earnedUsd).toFixed(2)})` : '';
+
+  let lines = `• Deposited: ${pnl.deposited.toFixed(2)} ${symbol}\n`;
+  lines += `• Withdrawn: ${pnl.withdrawn !== null ? `${pnl.withdrawn.toFixed(2)} ${symbol}` : 'unknown'}\n`;
+  lines += `• Value: ${pnl.currentValue.toFixed(2)} ${symbol}${usd(pnl.valueUsd)}\n`;
+  lines += `• Earned: ${signed(pnl.earned)} ${symbol}${earnedUsd}\n`;
+  lines += `• APY: ${formatPnLApy(pnl)}\n`;
+  return lines;
+}
 
 /**
  * Handle /positions command - List all active positions
@@ -20,13 +65,14 @@ async function handlePositionsCommand(bot, msg) {
       return;
     }
 
-    // Check if wallet is connected
-    if (!user.wallet_address) {
+    // Check if any wallet is connected
+    const wallets = await db.getUserWallets(user.id);
+    if (wallets.length === 0) {
       await bot.sendMessage(
         chatId,
         '👛 No wallet connected\n\n' +
         'Connect your wallet to track positions:\n' +
-        '/wallet <your_wallet_address>',
+        '/wallet <your_wallet_address> [label]',
         { parse_mode: 'Markdown' }
       );
       return;
@@ -52,24 +98,50 @@ async function handlePositionsCommand(bot, msg) {
     const totalDeposited = positions.reduce((sum, p) => sum + (p.deposited_amount || 0), 0);
     const totalPnL = totalValue - totalDeposited;
     const totalPnLPercent = (totalPnL / totalDeposited) * 100;
+    const totalRealized = positions.reduce((sum, p) => sum + (p.realized_pnl || 0), 0);
 
     // Format positions message
     let message = `📊 **Your Positions** (${positions.length})\n\n`;
     message += `💰 Total Value: $${totalValue.toFixed(2)}\n`;
     message += `💸 Total Deposited: $${totalDeposited.toFixed(2)}\n`;
-    message += `${totalPnL >= 0 ? '📈' : '📉'} PnL: ${totalPnL >= 0 ? '+' : ''}$${totalPnL.toFixed(2)} (${totalPnLPercent >= 0 ? '+' : ''}${totalPnLPercent.toFixed(2)}%)\n\n`;
+    message += `${totalPnL >= 0 ? '📈' : '📉'} PnL: ${totalPnL >= 0 ? '+' : ''}$${totalPnL.toFixed(2)} (${totalPnLPercent >= 0 ? '+' : ''}${totalPnLPercent.toFixed(2)}%)\n`;
+    if (totalRealized !== 0) {
+      message += `💵 Realized: ${totalRealized >= 0 ? '+' : ''}$${totalRealized.toFixed(2)}\n`;
+    }
+    message += `\n`;
     message += `───────────────────\n\n`;
 
+    // Group by wallet (positions come ordered by wallet)
+    let currentWallet;
+
     positions.forEach((pos, index) => {
+      if (wallets.length > 1 && pos.wallet_address !== currentWallet) {
+        currentWallet = pos.wallet_address;
+        const walletValue = positions
+          .filter(p => p.wallet_address === currentWallet)
+          .reduce((sum, p) => sum + (p.current_value || 0), 0);
+        const shortAddress = currentWallet ? `${currentWallet.slice(0, 6)}…${currentWallet.slice(-4)}` : 'unknown';
+
+        const watchOnly = pos.wallet_verified_at ? '' : ' · 👀 watch-only';
+
+        message += `👛 **${escapeMarkdown(pos.wallet_label || 'Wallet')}** (\`${shortAddress}\`) · $${walletValue.toFixed(2)}${watchOnly}\n\n`;
+      }
+
       const chainName = pos.chain_id === 1 ? 'Ethereum' : 'Plasma';
       const pnl = (pos.current_value || 0) - (pos.deposited_amount || 0);
       const pnlPercent = (pnl / pos.deposited_amount) * 100;
 
-      message += `**${index + 1}. ${pos.underlying_token}** on ${chainName}\n`;
-      message += `   APY: ${pos.current_supply_apy?.toFixed(2) || pos.initial_supply_apy.toFixed(2)}%`;
+      // Leveraged positions earn their net APY on equity, not the pool's supply APY
+      if (pos.position_type === 'leveraged') {
+        message += `**${index + 1}. ${pos.underlying_token}** credit account on ${chainName}\n`;
+        message += `   Net APY: ${pos.net_apy !== null ? `${pos.net_apy.toFixed(2)}%` : 'N/A'}`;
+      } else {
+        message += `**${index + 1}. ${pos.underlying_token}** on ${chainName}\n`;
+        message += `   APY: ${pos.current_supply_apy?.toFixed(2) || pos.initial_supply_apy.toFixed(2)}%`;
+      }
 
       if (pos.leverage && pos.leverage > 1) {
-        message += ` | ${pos.leverage}x leverage`;
+        message += ` | ${pos.leverage.toFixed(2)}x leverage`;
         if (pos.health_factor) {
           const hfEmoji = pos.health_factor < 1.5 ? '🔴' : pos.health_factor < 2 ? '🟠' : '🟢';
           message += ` | ${hfEmoji} HF: ${pos.health_factor.toFixed(2)}`;
@@ -97,6 +169,7 @@ async function handlePositionsCommand(bot, msg) {
 
     // Add refresh button
     keyboard.push([
+      { text: '💰 PnL Report', callback_data: 'pnl_report' },
       { text: '🔄 Refresh Positions', callback_data: 'refresh_positions' }
     ]);
 
@@ -133,8 +206,10 @@ async function handleViewPosition(bot, callbackQuery) {
       return;
     }
 
-    // Get APY trend
+    // Get APY trend and earnings
     const trend = await db.getAPYTrend(position.pool_address, position.chain_id, 7);
+    const prices = await getPositionPrices([position]);
+    const earnings = await getPositionPnL(position, prices.get(position.id));
 
     // Format detailed message
     const chainName = position.chain_id === 1 ? 'Ethereum' : 'Plasma';
@@ -144,16 +219,28 @@ async function handleViewPosition(bot, callbackQuery) {
 
     let message = `📊 **Position Details**\n\n`;
     message += `**${position.underlying_token}** on ${chainName}\n`;
+    if (position.wallet_address) {
+      message += `Wallet: ${escapeMarkdown(position.wallet_label || 'Wallet')} \`${position.wallet_address}\`\n`;
+    }
     message += `Pool: \`${position.pool_address}\`\n\n`;
 
     message += `**Position Info:**\n`;
     message += `• Shares: ${position.shares.toFixed(4)}\n`;
     message += `• Current Value: ${position.current_value?.toFixed(2) || 'N/A'} ${position.underlying_token}\n`;
-    message += `• Deposited: ${position.deposited_amount.toFixed(2)} ${position.underlying_token}\n`;
-    message += `• PnL: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} ${position.underlying_token} (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)\n\n`;
+    message += `• Deposited: ${position.deposited_amount.toFixed(2)} ${position.underlying_token}`;
+    message += position.realized_pnl !== null ? ` _(cost basis from on-chain history)_\n` : ` _(estimated when first seen)_\n`;
+    message += `• ${position.realized_pnl !== null ? 'Unrealized ' : ''}PnL: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} ${position.underlying_token} (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)\n`;
+    if (position.realized_pnl !== null) {
+      message += `• Realized Yield: ${position.realized_pnl >= 0 ? '+' : ''}${position.realized_pnl.toFixed(2)} ${position.underlying_token}\n`;
+    }
+    message += `\n`;
+
+    message += `**Earnings:**\n`;
+    message += formatPnLLines(earnings, position.underlying_token);
+    message += `\n`;
 
     message += `**APY Info:**\n`;
-    message += `• Current APY: ${position.current_supply_apy?.toFixed(2) || position.initial_supply_apy.toFixed(2)}%\n`;
+    message += `• ${position.position_type === 'leveraged' ? 'Pool Supply APY' : 'Current APY'}: ${position.current_supply_apy?.toFixed(2) || position.initial_supply_apy.toFixed(2)}%\n`;
     message += `• Initial APY: ${position.initial_supply_apy.toFixed(2)}%\n`;
     message += `• Change: ${apyChange >= 0 ? '+' : ''}${apyChange.toFixed(2)}%\n`;
 
@@ -162,9 +249,15 @@ async function handleViewPosition(bot, callbackQuery) {
       message += `• 7-day trend: ${trendEmoji} ${trend.trend} (${trend.change >= 0 ? '+' : ''}${trend.change.toFixed(2)}%)\n`;
     }
 
-    if (position.leverage && position.leverage > 1) {
+    if (position.position_type === 'leveraged') {
       message += `\n**Leverage Info:**\n`;
-      message += `• Leverage: ${position.leverage}x\n`;
+      message += `• Leverage: ${position.leverage.toFixed(2)}x\n`;
+      if (position.credit_account) {
+        message += `• Credit Account: \`${position.credit_account}\`\n`;
+      }
+      if (position.debt) {
+        message += `• Debt: ${position.debt.toFixed(2)} ${position.underlying_token}\n`;
+      }
       message += `• Borrow APY: ${position.current_borrow_apy?.toFixed(2) || 'N/A'}%\n`;
       message += `• Net APY: ${position.net_apy?.toFixed(2) || 'N/A'}%\n`;
 
@@ -188,9 +281,7 @@ async function handleViewPosition(bot, callbackQuery) {
       ? `https://etherscan.io/address/${position.pool_address}`
       : `https://plasmascan.to/address/${position.pool_address}`;
 
-    await bot.editMessageText(message, {
-      chat_id: chatId,
-      message_id: callbackQuery.message.message_id,
+    const options = {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
@@ -206,7 +297,19 @@ async function handleViewPosition(bot, callbackQuery) {
           ]
         ]
       }
-    });
+    };
+
+    // Back from the history chart: a photo can't be edited into text, so it's replaced
+    if (callbackQuery.message.photo) {
+      await bot.deleteMessage(chatId, callbackQuery.message.message_id);
+      await bot.sendMessage(chatId, message, options);
+    } else {
+      await bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+        ...options,
+      });
+    }
 
     await bot.answerCallbackQuery(callbackQuery.id);
 
@@ -217,11 +320,14 @@ async function handleViewPosition(bot, callbackQuery) {
 }
 
 /**
- * Handle view_history callback - Show APY history chart
+ * Handle view_history callback - Send an APY/TVL chart as a photo
+ * view_history_<positionId>[_<days>]; switching ranges replaces the chart.
  */
 async function handleViewHistory(bot, callbackQuery) {
   const chatId = callbackQuery.message.chat.id;
-  const positionId = parseInt(callbackQuery.data.split('_')[2]);
+  const [, , id, range] = callbackQuery.data.split('_');
+  const positionId = parseInt(id);
+  const days = config.charts.ranges.includes(parseInt(range)) ? parseInt(range) : config.charts.defaultRange;
 
   try {
     const user = await db.getOrCreateUser(chatId);
@@ -239,43 +345,112 @@ async function handleViewHistory(bot, callbackQuery) {
     }
 
     // Get APY history
-    const history = await db.getAPYHistory(position.pool_address, position.chain_id, 30);
-
-    let message = `📈 **APY History**\n\n`;
-    message += `${position.underlying_token} on ${position.chain_id === 1 ? 'Ethereum' : 'Plasma'}\n\n`;
+    const history = await db.getAPYHistory(position.pool_address, position.chain_id, days);
 
     if (history.length === 0) {
-      message += 'No historical data available yet.\n';
-    } else {
-      message += `**Last 30 days:**\n\n`;
-
-      // Show recent snapshots (last 10)
-      const recent = history.slice(0, 10);
-      recent.forEach((snapshot, index) => {
-        const date = new Date(snapshot.recorded_at).toLocaleDateString();
-        const prev = history[index + 1];
-
-        let changeStr = '';
-        if (prev) {
-          const change = snapshot.supply_apy - prev.supply_apy;
-          const emoji = change > 0 ? '📈' : change < 0 ? '📉' : '➡️';
-          changeStr = ` ${emoji} ${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
-        }
+      await bot.answerCallbackQuery(callbackQuery.id, { text: `No APY history for the last ${days} days yet` });
+      return;
+    }
 
-        message += `${date}: ${snapshot.supply_apy.toFixed(2)}%${changeStr}\n`;
-      });
+    const chainName = position.chain_id === 1 ? 'Ethereum' : 'Plasma';
+    const chart = renderAPYChart(history, {
+      title: `${position.underlying_token} on ${chainName}`,
+      days,
+      symbol: position.underlying_token,
+    });
+
+    // Summary statistics (history is newest first; rolled-up rows stand for several snapshots)
+    const samples = history.reduce((total, h) => total + h.samples, 0);
+    const maxAPY = Math.max(...history.map(h => h.supply_apy_max));
+    const minAPY = Math.min(...history.map(h => h.supply_apy_min));
+    const avgAPY = history.reduce((total, h) => total + h.supply_apy * h.samples, 0) / samples;
+    const change = history[0].supply_apy - history[history.length - 1].supply_apy;
+
+    let caption = `📈 **APY History** · ${position.underlying_token} on ${chainName}\n\n`;
+    caption += `• Current: ${history[0].supply_apy.toFixed(2)}% (${change >= 0 ? '+' : ''}${change.toFixed(2)}% over ${days}d)\n`;
+    caption += `• Max: ${maxAPY.toFixed(2)}% · Min: ${minAPY.toFixed(2)}% · Avg: ${avgAPY.toFixed(2)}%\n`;
+    caption += `• ${samples} snapshot(s)`;
+
+    const rangeButtons = config.charts.ranges.map(d => ({
+      text: d === days ? `• ${d}d •` : `${d}d`,
+      callback_data: `view_history_${positionId}_${d}`,
+    }));
+
+    // Photos can't be edited into another image here, so a range switch resends the chart
+    if (callbackQuery.message.photo) {
+      await bot.deleteMessage(chatId, callbackQuery.message.message_id);
+    }
 
-      // Summary statistics
-      const apys = history.map(h => h.supply_apy);
-      const maxAPY = Math.max(...apys);
-      const minAPY = Math.min(...apys);
-      const avgAPY = apys.reduce((a, b) => a + b, 0) / apys.length;
+    await bot.sendPhoto(
+      chatId,
+      chart,
+      {
+        caption,
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            rangeButtons,
+            [{ text: '⬅️ Back to Position', callback_data: `view_position_${positionId}` }],
+          ],
+        },
+      },
+      { filename: `apy-history-${days}d.png`, contentType: 'image/png' }
+    );
 
-      message += `\n**Statistics:**\n`;
-      message += `• Max: ${maxAPY.toFixed(2)}%\n`;
-      message += `• Min: ${minAPY.toFixed(2)}%\n`;
-      message += `• Avg: ${avgAPY.toFixed(2)}%\n`;
+    await bot.answerCallbackQuery(callbackQuery.id);
+
+  } catch (error) {
+    console.error('Error handling view history:', error);
+    await bot.answerCallbackQuery(callbackQuery.id, { text: 'Error loading history' });
+  }
+}
+
+/**
+ * Handle pnl_report callback - Earnings of every position plus USD totals
+ */
+async function handlePnLReport(bot, callbackQuery) {
+  const chatId = callbackQuery.message.chat.id;
+
+  try {
+    const user = await db.getOrCreateUser(chatId);
+    if (!user) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: 'User not found' });
+      return;
+    }
+
+    const positions = await db.getUserPositions(user.id);
+    if (positions.length === 0) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: 'No active positions' });
+      return;
+    }
+
+    await bot.answerCallbackQuery(callbackQuery.id, { text: '💰 Calculating PnL...' });
+
+    const report = await getPnLReport(positions);
+    const { totals } = report;
+
+    let message = `💰 **PnL Report**\n\n`;
+    message += `**Total:**\n`;
+    message += `• Value: $${totals.valueUsd.toFixed(2)}\n`;
+    message += `• Earned: ${totals.earnedUsd >= 0 ? '+' : '-'}$${Math.abs(totals.earnedUsd).toFixed(2)}\n`;
+    message += `• APY: ${totals.apy !== null ? `${totals.apy.toFixed(2)}% (value-weighted)` : 'N/A'}\n`;
+    if (totals.unpriced > 0) {
+      message += `_${totals.unpriced} position(s) without a USD price are left out of the total._\n`;
     }
+    message += `\n───────────────────\n\n`;
+
+    report.positions.forEach(({ position, pnl }, index) => {
+      const chainName = position.chain_id === 1 ? 'Ethereum' : 'Plasma';
+      const wallet = positions.some(p => p.wallet_address !== position.wallet_address)
+        ? ` · ${escapeMarkdown(position.wallet_label || 'Wallet')}`
+        : '';
+
+      message += `**${index + 1}. ${position.underlying_token}** on ${chainName}${wallet}\n`;
+      message += formatPnLLines(pnl, position.underlying_token);
+      message += `\n`;
+    });
+
+    message += `_Realized APY is time-weighted from the pool share price between your deposits and withdrawals. "~" marks estimates for positions without on-chain history._`;
 
     await bot.editMessageText(message, {
       chat_id: chatId,
@@ -284,17 +459,15 @@ async function handleViewHistory(bot, callbackQuery) {
       reply_markup: {
         inline_keyboard: [
           [
-            { text: '⬅️ Back to Position', callback_data: `view_position_${positionId}` }
+            { text: '⬅️ Back to Positions', callback_data: 'back_to_positions' }
           ]
         ]
       }
     });
 
-    await bot.answerCallbackQuery(callbackQuery.id);
-
   } catch (error) {
-    console.error('Error handling view history:', error);
-    await bot.answerCallbackQuery(callbackQuery.id, { text: 'Error loading history' });
+    console.error('Error handling PnL report:', error);
+    await bot.sendMessage(chatId, '❌ Error calculating PnL. Please try again later.');
   }
 }
 
@@ -339,6 +512,7 @@ module.exports = {
   handlePositionsCommand,
   handleViewPosition,
   handleViewHistory,
+  handlePnLReport,
   handleRefreshPositions,
   handleBackToPositions,
 };
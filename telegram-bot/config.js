@@ -17,6 +17,12 @@ module.exports = {
     // How often to check health factors for leveraged positions
     healthFactorCheckInterval: 10 * 60 * 1000, // 10 minutes
 
+    // How often to check held pools for TVL drops and large withdrawals
+    tvlCheckInterval: 15 * 60 * 1000, // 15 minutes
+
+    // How often to check price alerts against the Gearbox price oracle
+    priceAlertCheckInterval: 5 * 60 * 1000, // 5 minutes
+
     // How often to refresh pool list from on-chain
     poolRefreshInterval: 15 * 60 * 1000, // 15 minutes
 
@@ -36,6 +42,37 @@ module.exports = {
     notificationCooldown: 6 * 60 * 60 * 1000, // 6 hours
   },
 
+  // APY History Retention (apy_history snapshots -> hourly -> daily rollups)
+  // History of pools nobody has held or watched for positions.inactiveRetentionDays is deleted
+  apyHistory: {
+    // Keep every snapshot this long, then average them per hour
+    rawRetentionDays: 7,
+
+    // Keep hourly min/max/avg this long, then average them per day
+    hourlyRetentionDays: 90,
+
+    // Drop daily aggregates after this long
+    dailyRetentionDays: 730,
+
+    // How often rollups and pruning run
+    maintenanceInterval: 6 * 60 * 60 * 1000, // 6 hours
+  },
+
+  // Pool Risk Scoring (utils/risk-model.js, inputs from utils/pool-risk.js)
+  risk: {
+    // TVL trend is the change over this window of apy_history
+    tvlTrendDays: 7,
+
+    // APY volatility is measured over this window
+    volatilityDays: 30,
+
+    // Fewer snapshots than this don't say anything about volatility
+    minVolatilitySamples: 6,
+
+    // How long a pool's gathered inputs (utilization, TVL, history, age) are reused
+    cacheDuration: 15 * 60 * 1000, // 15 minutes
+  },
+
   // Health Factor Thresholds (for leveraged positions)
   healthFactor: {
     // Warning threshold (yellow alert)
@@ -51,6 +88,77 @@ module.exports = {
     notificationCooldown: 1 * 60 * 60 * 1000, // 1 hour
   },
 
+  // TVL Monitor (held pools)
+  tvlMonitor: {
+    // Alert when TVL is this many % below its peak over the window
+    dropThreshold: 15,
+    dropWindowHours: 24,
+
+    // A single withdrawal of at least this % of the pool's TVL is a whale exit
+    largeWithdrawalPct: 5,
+
+    // Notification cooldown for TVL drop alerts (per user and pool)
+    notificationCooldown: 6 * 60 * 60 * 1000, // 6 hours
+  },
+
+  // Price Alerts (/pricealert, Gearbox price oracle)
+  priceAlerts: {
+    // A fired alert re-arms once the price is back this % past its target
+    hysteresisPct: 2,
+
+    // The SDK holds oracle prices as of when it attached; re-attach after this long
+    oracleMaxAge: 5 * 60 * 1000, // 5 minutes
+
+    maxAlertsPerUser: 10,
+  },
+
+  // Withdrawal Liquidity (lending positions)
+  liquidity: {
+    // Alert when the pool's available liquidity falls below this share of the
+    // position's value (1 = the position couldn't be withdrawn in full)
+    coverageThreshold: 1,
+
+    // Notification cooldown for low liquidity alerts
+    notificationCooldown: 6 * 60 * 60 * 1000, // 6 hours
+  },
+
+  // Mandate Lifecycle
+  mandates: {
+    // How long a new or renewed mandate stays active
+    durationDays: 30,
+
+    // Send a "renew?" reminder this many days before expiry
+    expiryReminderDays: 3,
+
+    // How long a mandate signing request (EIP-712) stays valid
+    signatureTtlMinutes: 30,
+  },
+
+  // APY trend conditions on mandates (7-day average, stability, rise since yesterday)
+  mandateTrends: {
+    defaultAvgDays: 7,
+    defaultStableDays: 3,
+    maxDays: 30,
+
+    // History may start this much later than the window and still cover it
+    coverageSlackHours: 2,
+  },
+
+  // Deposits prepared from Telegram (approve + depositWithReferral)
+  deposits: {
+    // Referral code passed to depositWithReferral
+    referralCode: 0,
+
+    // How long the bot waits for the tx hash after preparing a deposit
+    requestTtlMinutes: 60,
+
+    // How often submitted deposit transactions are checked
+    trackIntervalSeconds: 30,
+
+    // Give up on a submitted transaction that isn't mined after this long
+    confirmationTimeoutMinutes: 60,
+  },
+
   // Notification Settings
   notifications: {
     // Mandate opportunity notification cooldown
@@ -63,6 +171,16 @@ module.exports = {
     maxNotificationsPerDay: 20,
   },
 
+  // Digest delivery (daily/weekly summaries instead of instant alerts)
+  digest: {
+    // Alert kinds that are batched into the digest; liquidation and
+    // position-closed alerts are always sent instantly
+    kinds: ['opportunity', 'apy_change', 'new_pool'],
+
+    // Maximum lines per digest section
+    maxItemsPerSection: 10,
+  },
+
   // Blockchain Configuration
   blockchain: {
     // Supported chains
@@ -149,6 +267,91 @@ module.exports = {
 
     // Dust threshold (positions below this are ignored)
     dustThreshold: 0.01, // $0.01
+
+    // Wallets a user can attach with /wallet
+    maxWalletsPerUser: 10,
+
+    // How long a wallet verification nonce can be signed
+    verificationNonceTtlMinutes: 30,
+
+    // Cost basis reconstruction from pool Deposit/Withdraw events
+    history: {
+      enabled: true,
+      // Blocks per eth_getLogs call, halved down to the minimum when the RPC rejects a range
+      logChunkSize: 50000,
+      minLogChunkSize: 500,
+      // First block to scan per chain ID (before Gearbox V3 pools were deployed)
+      startBlocks: {
+        1: 18000000,
+        9745: 0,
+      },
+    },
+  },
+
+  // Leveraged Position (Credit Account) Detection
+  leverage: {
+    // Credit accounts fetched per creditAccounts(offset, limit) call
+    accountsPageSize: 500,
+
+    // Parallel RPC calls when resolving account borrowers
+    rpcBatchSize: 25,
+
+    // How long a credit manager's borrower index stays valid
+    // (two position scans, set from monitoring.positionScanInterval below)
+    borrowerIndexCacheDuration: null,
+
+    // How long credit manager strategy parameters (LTs, quotas, debt limits) stay cached
+    strategyCacheDuration: 15 * 60 * 1000, // 15 minutes
+
+    // Fraction of the liquidation threshold used when deriving max strategy leverage
+    ltSafetyFactor: 0.8,
+
+    // Hard cap on leverage quoted for credit manager strategies
+    maxStrategyLeverage: 15,
+
+    // DefiLlama yields API used for collateral token APYs
+    collateralYieldsUrl: 'https://yields.llama.fi/pools',
+  },
+
+  // USD prices for PnL reports
+  prices: {
+    // DefiLlama coins API (prices by chain + token address)
+    apiUrl: 'https://coins.llama.fi',
+
+    // How long a fetched price stays valid
+    cacheDuration: 5 * 60 * 1000, // 5 minutes
+
+    // DefiLlama chain names by chain ID
+    chainSlugs: {
+      1: 'ethereum',
+      9745: 'plasma',
+    },
+
+    // Priced at $1 when DefiLlama has no price
+    stablecoins: ['USDC', 'USDT', 'USDT0', 'DAI', 'GHO', 'USDE', 'CRVUSD', 'FRAX'],
+  },
+
+  // APY history charts (📈 View History)
+  charts: {
+    // Image size in pixels
+    width: 800,
+    height: 450,
+
+    // Selectable ranges in days, and the one shown first
+    ranges: [7, 30, 90],
+    defaultRange: 30,
+  },
+
+  // Position/alert history exports (/export and the HTTP endpoint)
+  exports: {
+    // Range used when /export gets no dates
+    defaultDays: 30,
+
+    // Longest range a single export may cover
+    maxRangeDays: 366,
+
+    // Port of the HTTP export endpoint (disabled when not set)
+    httpPort: process.env.EXPORT_API_PORT ? parseInt(process.env.EXPORT_API_PORT) : null,
   },
 
   // Bot Settings
@@ -161,6 +364,9 @@ module.exports = {
 
     // Timeout for inline keyboard interactions
     keyboardTimeoutMinutes: 15,
+
+    // Web app used to sign mandates with a browser wallet (e.g. https://your-app.vercel.app)
+    webAppUrl: process.env.WEB_APP_URL || null,
   },
 
   // Database Settings
@@ -207,11 +413,14 @@ module.exports = {
     // Enable APY change notifications
     apyChangeNotifications: true,
 
-    // Enable health factor monitoring (DISABLED - lending pools only)
-    healthFactorMonitoring: false,
+    // Enable health factor monitoring for credit accounts
+    healthFactorMonitoring: true,
 
-    // Enable leverage detection (DISABLED - lending pools only)
-    leverageDetection: false,
+    // Enable leverage detection (credit accounts opened against cached pools)
+    leverageDetection: true,
+
+    // Match mandates against leveraged credit manager strategies, not just lending
+    leveragedStrategies: true,
 
     // Enable mandate monitoring (existing feature)
     mandateMonitoring: true,
@@ -240,3 +449,7 @@ if (module.exports.development.fastMode) {
   module.exports.monitoring.healthFactorCheckInterval = 1 * 60 * 1000; // 1 minute
   console.log('⚡ Fast mode enabled - reduced monitoring intervals');
 }
+
+// Outlive a scan interval so every other scan reuses the borrower index; new
+// credit accounts still show up within two scans
+module.exports.leverage.borrowerIndexCacheDuration = 2 * module.exports.monitoring.positionScanInterval;
@@ -5,8 +5,24 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const config = require('./config');
 
 const DB_PATH = path.join(__dirname, 'gearbox_bot.db');
+const BUSY_TIMEOUT_MS = 30000;
+
+// Notification log of each notification kind that has one (see countNotificationsToday)
+const NOTIFICATION_LOGS = {
+  opportunity: 'notifications',
+  apy_change: 'apy_notifications',
+  new_pool: 'pool_notifications',
+  health_factor: 'health_factor_notifications',
+  liquidity: 'liquidity_notifications',
+  tvl: 'tvl_notifications',
+  price_alert: 'price_alert_notifications',
+};
+
+// Clears a mandate's signature when its signed terms change
+const UNSIGNED = 'signed = 0, signed_at = NULL, signer = NULL, signature = NULL, signed_terms = NULL';
 
 class Database {
   constructor() {
@@ -16,6 +32,8 @@ class Database {
         console.error('❌ Error opening database:', err.message);
       } else {
         console.log('✅ Connected to SQLite database:', DB_PATH);
+        // Wait out write locks held by other connections (e.g. rollupAPYHistory's)
+        this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
         this.initializeTables();
       }
     });
@@ -30,6 +48,14 @@ class Database {
           telegram_chat_id TEXT UNIQUE NOT NULL,
           telegram_username TEXT,
           wallet_address TEXT,
+          delivery_mode TEXT DEFAULT 'instant',
+          digest_hour INTEGER DEFAULT 9,
+          digest_day INTEGER DEFAULT 1,
+          last_digest_at DATETIME,
+          timezone TEXT DEFAULT 'UTC',
+          quiet_start INTEGER,
+          quiet_end INTEGER,
+          export_token_hash TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `);
@@ -46,9 +72,18 @@ class Database {
           max_position REAL NOT NULL,
           signed BOOLEAN DEFAULT 0,
           signed_at DATETIME,
+          signer TEXT,
+          signature TEXT,
+          signed_terms TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           expires_at DATETIME NOT NULL,
           active BOOLEAN DEFAULT 1,
+          expiry_reminder_sent_at DATETIME,
+          min_avg_apy REAL,
+          avg_apy_days INTEGER,
+          max_apy_swing REAL,
+          stable_days INTEGER,
+          min_apy_rise REAL,
           FOREIGN KEY (user_id) REFERENCES users(id)
         )
       `);
@@ -68,18 +103,37 @@ class Database {
         )
       `);
 
-      // Positions table (tracks user deposits in pools)
+      // Wallets attached to a user (several labeled addresses per user)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS user_wallets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          address TEXT NOT NULL,
+          label TEXT NOT NULL,
+          verified_at DATETIME,
+          verification_nonce TEXT,
+          nonce_expires_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          UNIQUE(user_id, address)
+        )
+      `);
+
+      // Positions table (tracks user deposits in pools, per wallet)
       this.db.run(`
         CREATE TABLE IF NOT EXISTS positions (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_id INTEGER NOT NULL,
+          wallet_address TEXT,
           pool_address TEXT NOT NULL,
           chain_id INTEGER NOT NULL,
           underlying_token TEXT NOT NULL,
+          position_type TEXT NOT NULL DEFAULT 'lending', -- 'lending' (LP shares) or 'leveraged' (credit accounts)
 
           shares REAL NOT NULL,
           deposited_amount REAL NOT NULL,
           current_value REAL,
+          realized_pnl REAL,
 
           initial_supply_apy REAL NOT NULL,
           current_supply_apy REAL,
@@ -88,6 +142,9 @@ class Database {
           net_apy REAL,
           leverage REAL DEFAULT 1,
           health_factor REAL,
+          credit_account TEXT,
+          debt REAL,
+          collateral_tokens TEXT,
 
           last_apy_check DATETIME,
           deposited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -95,7 +152,7 @@ class Database {
           active BOOLEAN DEFAULT 1,
 
           FOREIGN KEY (user_id) REFERENCES users(id),
-          UNIQUE(user_id, pool_address, chain_id)
+          UNIQUE(user_id, wallet_address, pool_address, chain_id, position_type)
         )
       `);
 
@@ -108,10 +165,34 @@ class Database {
           supply_apy REAL NOT NULL,
           borrow_apy REAL,
           tvl REAL,
+          tvl_source TEXT, -- 'totalAssets' (on-chain, underlying units); NULL rows carry no TVL
+          utilization REAL,
           recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
+      // Rolled-up APY history (old apy_history snapshots, see rollupAPYHistory)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS apy_history_rollups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          pool_address TEXT NOT NULL,
+          chain_id INTEGER NOT NULL,
+          resolution TEXT NOT NULL,
+          bucket_start DATETIME NOT NULL,
+          supply_apy_avg REAL NOT NULL,
+          supply_apy_min REAL NOT NULL,
+          supply_apy_max REAL NOT NULL,
+          borrow_apy_avg REAL,
+          tvl_avg REAL,
+          tvl_min REAL,
+          tvl_max REAL,
+          utilization_avg REAL,
+          utilization_max REAL,
+          samples INTEGER NOT NULL,
+          UNIQUE(pool_address, chain_id, resolution, bucket_start)
+        )
+      `);
+
       // APY change notifications log (prevents spam)
       this.db.run(`
         CREATE TABLE IF NOT EXISTS apy_notifications (
@@ -142,14 +223,223 @@ class Database {
         )
       `);
 
+      // Withdrawal liquidity notifications log (pool can't cover a lender's position)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS liquidity_notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          position_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          alert_type TEXT NOT NULL,
+          available_liquidity REAL NOT NULL,
+          position_value REAL NOT NULL,
+          utilization REAL,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (position_id) REFERENCES positions(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // TVL drop / large withdrawal notifications log (per user and pool)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS tvl_notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          chain_id INTEGER NOT NULL,
+          pool_address TEXT NOT NULL,
+          alert_type TEXT NOT NULL,
+          tvl REAL NOT NULL,
+          previous_tvl REAL,
+          change_percent REAL NOT NULL,
+          tx_hash TEXT,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // Price alerts on tokens (/pricealert); armed = fires on the next crossing
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS price_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          token_symbol TEXT NOT NULL,
+          direction TEXT NOT NULL,
+          target_price REAL NOT NULL,
+          armed INTEGER NOT NULL DEFAULT 1,
+          last_price REAL,
+          last_checked_at DATETIME,
+          last_triggered_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // Price alert notifications log (one row per crossing)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS price_alert_notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          token_symbol TEXT NOT NULL,
+          direction TEXT NOT NULL,
+          target_price REAL NOT NULL,
+          price REAL NOT NULL,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // Bot conversation sessions (multi-step flows survive restarts)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          chat_id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          expires_at DATETIME NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Pool cache (also created by migrations/add-pool-cache.js; needed here
+      // because digests join pool notifications against it)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS pool_cache (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          pool_address TEXT NOT NULL,
+          chain_id INTEGER NOT NULL,
+          pool_name TEXT NOT NULL,
+          pool_symbol TEXT,
+          underlying_token TEXT NOT NULL,
+          tvl REAL,
+          apy REAL,
+          discovered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_apy REAL,
+          last_tvl REAL,
+          active BOOLEAN DEFAULT 1,
+          UNIQUE(pool_address, chain_id)
+        )
+      `);
+
+      // Pool discovery notifications log (also created by migrations/add-pool-cache.js;
+      // needed here because the daily notification budget counts it)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS pool_notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          pool_address TEXT NOT NULL,
+          chain_id INTEGER NOT NULL,
+          mandate_id INTEGER,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (mandate_id) REFERENCES mandates(id)
+        )
+      `);
+
+      // Notifications held back by the notification gateway (e.g. over the daily budget)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS notification_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          chat_id TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          summary TEXT NOT NULL,
+          dedupe_key TEXT,
+          reason TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          delivered_at DATETIME,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // Deposits prepared from Telegram ("approve_" action), tracked until the tx confirms
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS deposit_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          wallet_address TEXT NOT NULL,
+          pool_address TEXT NOT NULL,
+          chain_id INTEGER NOT NULL,
+          token_address TEXT NOT NULL,
+          token_symbol TEXT,
+          token_decimals INTEGER NOT NULL,
+          amount TEXT NOT NULL,
+          amount_raw TEXT NOT NULL,
+          status TEXT DEFAULT 'pending',
+          tx_hash TEXT,
+          shares TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          submitted_at DATETIME,
+          completed_at DATETIME,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      // Pool Deposit/Withdraw events per wallet, replayed for cost basis
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS position_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          chain_id INTEGER NOT NULL,
+          pool_address TEXT NOT NULL,
+          wallet_address TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          assets TEXT NOT NULL,
+          shares TEXT NOT NULL,
+          block_number INTEGER NOT NULL,
+          log_index INTEGER NOT NULL,
+          tx_hash TEXT NOT NULL,
+          block_timestamp DATETIME,
+          UNIQUE(chain_id, tx_hash, log_index)
+        )
+      `);
+
+      // Last block scanned for each wallet's pool events
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS position_event_sync (
+          chain_id INTEGER NOT NULL,
+          pool_address TEXT NOT NULL,
+          wallet_address TEXT NOT NULL,
+          last_block INTEGER NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (chain_id, pool_address, wallet_address)
+        )
+      `);
+
+      // Last block scanned for each pool's Withdraw events (whale exit alerts)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS pool_event_sync (
+          chain_id INTEGER NOT NULL,
+          pool_address TEXT NOT NULL,
+          last_block INTEGER NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (chain_id, pool_address)
+        )
+      `);
+
+      // Pool contract deployment, found once by searching for the first block with code
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS pool_deployments (
+          chain_id INTEGER NOT NULL,
+          pool_address TEXT NOT NULL,
+          block_number INTEGER NOT NULL,
+          deployed_at DATETIME NOT NULL,
+          PRIMARY KEY (chain_id, pool_address)
+        )
+      `);
+
       // Index for faster lookups
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_mandates_active ON mandates(active, signed)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_position_events_wallet ON position_events(chain_id, pool_address, wallet_address, block_number)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_deposit_requests_status ON deposit_requests(status)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_notification_queue_pending ON notification_queue(reason, delivered_at, user_id)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_notifications_recent ON notifications(mandate_id, sent_at)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_positions_active ON positions(active, user_id)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_positions_apy_check ON positions(last_apy_check)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_positions_health_factor ON positions(health_factor)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_apy_history_pool ON apy_history(pool_address, recorded_at)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_apy_history_recorded ON apy_history(recorded_at)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_apy_notifications_recent ON apy_notifications(position_id, sent_at)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_liquidity_notifications_recent ON liquidity_notifications(position_id, sent_at)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_tvl_notifications_recent ON tvl_notifications(user_id, pool_address, sent_at)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_price_alerts_user ON price_alerts(user_id)`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_health_notifications_recent ON health_factor_notifications(position_id, sent_at)`, (err) => {
         if (err) {
           console.error('❌ Error creating indexes:', err.message);
@@ -207,44 +497,197 @@ class Database {
     });
   }
 
-  updateUserWallet(userId, walletAddress) {
+  getUserById(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM users WHERE id = ?`,
+        [userId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Update a user's timezone and quiet hours
+   * @param {number} userId - User ID
+   * @param {Object} settings - Any of { timezone, quietStart, quietEnd } (null turns quiet hours off)
+   * @returns {Promise<Object>} { changes }
+   */
+  updateUserSettings(userId, settings) {
+    const columns = {
+      timezone: 'timezone',
+      quietStart: 'quiet_start',
+      quietEnd: 'quiet_end',
+    };
+
+    const assignments = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (settings[key] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      values.push(settings[key]);
+    }
+
+    if (assignments.length === 0) {
+      return Promise.resolve({ changes: 0 });
+    }
+
     return new Promise((resolve, reject) => {
       this.db.run(
-        `UPDATE users SET wallet_address = ? WHERE id = ?`,
-        [walletAddress, userId],
-        (err) => {
+        `UPDATE users SET ${assignments.join(', ')} WHERE id = ?`,
+        [...values, userId],
+        function(err) {
           if (err) return reject(err);
-          resolve();
+          resolve({ changes: this.changes });
+        }
+      );
+    });
+  }
+
+  /**
+   * Set (or clear) the hash of a user's export API token
+   * @param {number} userId - User ID
+   * @param {string|null} tokenHash - sha256 hex of the token, null revokes it
+   * @returns {Promise<Object>} { changes }
+   */
+  setExportTokenHash(userId, tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET export_token_hash = ? WHERE id = ?`,
+        [tokenHash, userId],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ changes: this.changes });
+        }
+      );
+    });
+  }
+
+  /**
+   * Find the user owning an export API token
+   * @param {string} tokenHash - sha256 hex of the presented token
+   * @returns {Promise<Object|null>} User row
+   */
+  getUserByExportTokenHash(tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM users WHERE export_token_hash = ?`,
+        [tokenHash],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row || null);
         }
       );
     });
   }
 
   // ==========================================
-  // MANDATE OPERATIONS
+  // WALLET OPERATIONS
   // ==========================================
 
-  createMandate(userId, mandate) {
+  /**
+   * Get a user's wallets, oldest first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Wallet rows { id, address, label, ... }
+   */
+  getUserWallets(userId) {
     return new Promise((resolve, reject) => {
-      const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+      this.db.all(
+        `SELECT * FROM user_wallets WHERE user_id = ? ORDER BY created_at ASC, id ASC`,
+        [userId],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
 
+  /**
+   * Attach a wallet to a user; re-adding a known address renames it
+   * @param {number} userId - User ID
+   * @param {string} address - Checksummed wallet address
+   * @param {string} label - Display label (e.g. "Treasury")
+   */
+  addUserWallet(userId, address, label) {
+    return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO mandates (user_id, asset, min_apy, max_leverage, risk, max_position, expires_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [userId, mandate.asset, mandate.minAPY, mandate.maxLeverage, mandate.risk, mandate.maxPosition, expiresAt.toISOString()],
-        function(err) {
+        `INSERT INTO user_wallets (user_id, address, label) VALUES (?, ?, ?)
+         ON CONFLICT(user_id, address) DO UPDATE SET label = excluded.label`,
+        [userId, address, label],
+        (err) => {
           if (err) return reject(err);
-          resolve({ id: this.lastID, ...mandate });
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Detach a wallet and stop tracking its positions
+   * @param {number} userId - User ID
+   * @param {number} walletId - user_wallets row ID
+   * @returns {Promise<Object>} { changes } - 0 if the wallet wasn't the user's
+   */
+  async removeUserWallet(userId, walletId) {
+    const wallet = await this.getUserWallet(userId, walletId);
+
+    if (!wallet) {
+      return { changes: 0 };
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run(
+          `UPDATE positions SET active = 0 WHERE user_id = ? AND wallet_address = ?`,
+          [userId, wallet.address]
+        );
+        this.db.run(
+          `DELETE FROM user_wallets WHERE id = ?`,
+          [walletId],
+          function(err) {
+            if (err) return reject(err);
+            resolve({ changes: this.changes });
+          }
+        );
+      });
+    });
+  }
+
+  /**
+   * Get one of a user's wallets
+   * @param {number} userId - User ID
+   * @param {number} walletId - user_wallets row ID
+   * @returns {Promise<Object|undefined>} Wallet row, or undefined if it isn't the user's
+   */
+  getUserWallet(userId, walletId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM user_wallets WHERE id = ? AND user_id = ?`,
+        [walletId, userId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row);
         }
       );
     });
   }
 
-  signMandate(mandateId) {
+  /**
+   * Store a verification nonce for a wallet, replacing any earlier one
+   * @param {number} walletId - user_wallets row ID
+   * @param {string} nonce - Random nonce the user must sign
+   * @param {Date} expiresAt - When the nonce stops being accepted
+   */
+  setWalletNonce(walletId, nonce, expiresAt) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `UPDATE mandates SET signed = 1, signed_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [mandateId],
+        `UPDATE user_wallets SET verification_nonce = ?, nonce_expires_at = ? WHERE id = ?`,
+        [nonce, expiresAt.toISOString(), walletId],
         (err) => {
           if (err) return reject(err);
           resolve();
@@ -253,111 +696,925 @@ class Database {
     });
   }
 
-  getActiveMandates() {
+  /**
+   * Mark a wallet as verified and consume its nonce
+   * @param {number} walletId - user_wallets row ID
+   */
+  markWalletVerified(walletId) {
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT m.*, u.telegram_chat_id, u.wallet_address
-         FROM mandates m
-         JOIN users u ON m.user_id = u.id
-         WHERE m.active = 1
-           AND m.signed = 1
-           AND datetime(m.expires_at) > datetime('now')`,
-        (err, rows) => {
+      this.db.run(
+        `UPDATE user_wallets
+         SET verified_at = CURRENT_TIMESTAMP, verification_nonce = NULL, nonce_expires_at = NULL
+         WHERE id = ?`,
+        [walletId],
+        (err) => {
           if (err) return reject(err);
-          resolve(rows);
+          resolve();
         }
       );
     });
   }
 
-  getUserMandates(userId) {
+  // ==========================================
+  // DEPOSIT OPERATIONS
+  // ==========================================
+
+  /**
+   * Record a deposit prepared for wallet signing
+   * @param {number} userId - User ID
+   * @param {Object} request - { walletAddress, poolAddress, chainId, tokenAddress, tokenSymbol, tokenDecimals, amount, amountRaw }
+   * @returns {Promise<number>} Request ID
+   */
+  createDepositRequest(userId, request) {
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM mandates
-         WHERE user_id = ? AND active = 1
-         ORDER BY created_at DESC`,
-        [userId],
-        (err, rows) => {
+      this.db.run(
+        `INSERT INTO deposit_requests
+           (user_id, wallet_address, pool_address, chain_id, token_address, token_symbol, token_decimals, amount, amount_raw)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, request.walletAddress, request.poolAddress, request.chainId, request.tokenAddress,
+          request.tokenSymbol, request.tokenDecimals, request.amount, request.amountRaw],
+        function(err) {
           if (err) return reject(err);
-          resolve(rows);
+          resolve(this.lastID);
         }
       );
     });
   }
 
-  pauseMandate(mandateId) {
+  getDepositRequest(requestId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM deposit_requests WHERE id = ?`,
+        [requestId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row);
+        }
+      );
+    });
+  }
+
+  /**
+   * Attach the user's deposit tx hash so the tracker can follow it
+   * @param {number} requestId - Deposit request ID
+   * @param {string} txHash - Deposit transaction hash
+   */
+  submitDepositTx(requestId, txHash) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE deposit_requests
+         SET tx_hash = ?, status = 'submitted', submitted_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [txHash, requestId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Get deposits waiting for on-chain confirmation
+   * @returns {Promise<Array>} Requests with telegram_chat_id and minutes_pending
+   */
+  getSubmittedDeposits() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT d.*, u.telegram_chat_id,
+                (julianday('now') - julianday(d.submitted_at)) * 24 * 60 AS minutes_pending
+         FROM deposit_requests d
+         JOIN users u ON d.user_id = u.id
+         WHERE d.status = 'submitted'`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Close a deposit request
+   * @param {number} requestId - Deposit request ID
+   * @param {string} status - 'confirmed' | 'failed' | 'expired'
+   * @param {string} [shares] - Pool shares minted (confirmed deposits)
+   */
+  completeDepositRequest(requestId, status, shares = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE deposit_requests
+         SET status = ?, shares = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, shares, requestId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // POSITION HISTORY OPERATIONS
+  // ==========================================
+
+  /**
+   * Last block scanned for a wallet's events in a pool
+   * @param {number} chainId - Chain ID
+   * @param {string} poolAddress - Pool address
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<number|null>} Block number, or null if never scanned
+   */
+  getPositionEventsSyncBlock(chainId, poolAddress, walletAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT last_block FROM position_event_sync
+         WHERE chain_id = ? AND pool_address = ? AND wallet_address = ?`,
+        [chainId, poolAddress.toLowerCase(), walletAddress.toLowerCase()],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row ? row.last_block : null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Store newly scanned events and advance the sync block
+   * Events already stored (same tx and log index) are ignored.
+   * @param {number} chainId - Chain ID
+   * @param {string} poolAddress - Pool address
+   * @param {string} walletAddress - Wallet address
+   * @param {Array} events - [{ type, assets, shares, blockNumber, logIndex, txHash, blockTimestamp }] (raw amounts as strings)
+   * @param {number} lastBlock - Last block covered by the scan
+   */
+  savePositionEvents(chainId, poolAddress, walletAddress, events, lastBlock) {
+    const pool = poolAddress.toLowerCase();
+    const wallet = walletAddress.toLowerCase();
+
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        for (const event of events) {
+          this.db.run(
+            `INSERT OR IGNORE INTO position_events (
+              chain_id, pool_address, wallet_address, event_type, assets, shares,
+              block_number, log_index, tx_hash, block_timestamp
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [chainId, pool, wallet, event.type, event.assets, event.shares,
+              event.blockNumber, event.logIndex, event.txHash, event.blockTimestamp]
+          );
+        }
+
+        this.db.run(
+          `INSERT INTO position_event_sync (chain_id, pool_address, wallet_address, last_block, updated_at)
+           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+           ON CONFLICT(chain_id, pool_address, wallet_address) DO UPDATE SET
+             last_block = excluded.last_block,
+             updated_at = CURRENT_TIMESTAMP`,
+          [chainId, pool, wallet, lastBlock],
+          (err) => {
+            if (err) return reject(err);
+            resolve();
+          }
+        );
+      });
+    });
+  }
+
+  /**
+   * A wallet's stored events in a pool, oldest first
+   * @param {number} chainId - Chain ID
+   * @param {string} poolAddress - Pool address
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Array>} position_events rows
+   */
+  getPositionEvents(chainId, poolAddress, walletAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM position_events
+         WHERE chain_id = ? AND pool_address = ? AND wallet_address = ?
+         ORDER BY block_number ASC, log_index ASC`,
+        [chainId, poolAddress.toLowerCase(), walletAddress.toLowerCase()],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Last block scanned for a pool's Withdraw events
+   * @param {number} chainId - Chain ID
+   * @param {string} poolAddress - Pool address
+   * @returns {Promise<number|null>} Block number, or null if never scanned
+   */
+  getPoolEventSyncBlock(chainId, poolAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT last_block FROM pool_event_sync WHERE chain_id = ? AND pool_address = ?`,
+        [chainId, poolAddress.toLowerCase()],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row ? row.last_block : null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Advance the Withdraw event scan of a pool
+   * @param {number} chainId - Chain ID
+   * @param {string} poolAddress - Pool address
+   * @param {number} lastBlock - Last block covered by the scan
+   */
+  savePoolEventSyncBlock(chainId, poolAddress, lastBlock) {
+    return this.runStatement(
+      `INSERT INTO pool_event_sync (chain_id, pool_address, last_block, updated_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(chain_id, pool_address) DO UPDATE SET
+         last_block = excluded.last_block,
+         updated_at = CURRENT_TIMESTAMP`,
+      [chainId, poolAddress.toLowerCase(), lastBlock]
+    );
+  }
+
+  // ==========================================
+  // DIGEST OPERATIONS
+  // ==========================================
+
+  /**
+   * Update how a user receives routine alerts
+   * Switching from instant to a digest starts the first digest window now,
+   * so older alerts aren't repeated.
+   * @param {number} userId - User ID
+   * @param {Object} prefs - { mode: 'instant'|'daily'|'weekly', hour: 0-23, day: 0-6 } (all optional)
+   */
+  updateDeliveryPreferences(userId, prefs) {
+    const mode = prefs.mode === undefined ? null : prefs.mode;
+    const hour = prefs.hour === undefined ? null : prefs.hour;
+    const day = prefs.day === undefined ? null : prefs.day;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET
+           last_digest_at = CASE
+             WHEN ? IS NOT NULL AND ? != 'instant' AND COALESCE(delivery_mode, 'instant') = 'instant' THEN ?
+             ELSE last_digest_at
+           END,
+           delivery_mode = COALESCE(?, delivery_mode),
+           digest_hour = COALESCE(?, digest_hour),
+           digest_day = COALESCE(?, digest_day)
+         WHERE id = ?`,
+        [mode, mode, new Date().toISOString(), mode, hour, day, userId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Get users who receive daily or weekly digests
+   */
+  getDigestUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM users WHERE delivery_mode IN ('daily', 'weekly')`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Collect logged alerts for a digest
+   * @param {number} userId - User ID
+   * @param {string} since - ISO timestamp of the previous digest
+   * @returns {Promise<Object>} { opportunities, apyChanges, newPools }
+   */
+  async getDigestEntries(userId, since) {
+    const all = (sql) => new Promise((resolve, reject) => {
+      this.db.all(sql, [userId, since], (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows);
+      });
+    });
+
+    const [opportunities, apyChanges, newPools] = await Promise.all([
+      all(`SELECT n.mandate_id, n.opportunity_id, n.strategy, MAX(n.apy) as apy, m.asset
+           FROM notifications n
+           LEFT JOIN mandates m ON m.id = n.mandate_id
+           WHERE n.user_id = ? AND datetime(n.sent_at) > datetime(?)
+           GROUP BY n.mandate_id, n.opportunity_id
+           ORDER BY apy DESC`),
+      all(`SELECT a.*, p.underlying_token, p.pool_address, p.chain_id
+           FROM apy_notifications a
+           LEFT JOIN positions p ON p.id = a.position_id
+           WHERE a.user_id = ? AND datetime(a.sent_at) > datetime(?)
+           ORDER BY a.sent_at ASC`),
+      all(`SELECT pn.pool_address, pn.chain_id, pc.pool_name, pc.underlying_token, pc.apy, pc.tvl
+           FROM pool_notifications pn
+           LEFT JOIN pool_cache pc ON LOWER(pc.pool_address) = LOWER(pn.pool_address) AND pc.chain_id = pn.chain_id
+           WHERE pn.user_id = ? AND datetime(pn.sent_at) > datetime(?)
+           GROUP BY pn.pool_address, pn.chain_id
+           ORDER BY pc.apy DESC`),
+    ]);
+
+    return { opportunities, apyChanges, newPools };
+  }
+
+  markDigestSent(userId, sentAt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET last_digest_at = ? WHERE id = ?`,
+        [sentAt.toISOString(), userId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // MANDATE OPERATIONS
+  // ==========================================
+
+  createMandate(userId, mandate) {
+    return new Promise((resolve, reject) => {
+      const expiresAt = new Date(Date.now() + config.mandates.durationDays * 24 * 60 * 60 * 1000);
+
+      this.db.run(
+        `INSERT INTO mandates (user_id, asset, min_apy, max_leverage, risk, max_position, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, mandate.asset, mandate.minAPY, mandate.maxLeverage, mandate.risk, mandate.maxPosition, expiresAt.toISOString()],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ id: this.lastID, ...mandate });
+        }
+      );
+    });
+  }
+
+  /**
+   * Activate a mandate with a verified EIP-712 signature
+   * Only call after utils/mandate-signing.js has verified the signature.
+   * @param {number} mandateId - Mandate ID
+   * @param {Object} proof - { signer, signature, terms } where terms are the signed typed data fields
+   */
+  signMandate(mandateId, proof) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mandates
+         SET signed = 1, signed_at = CURRENT_TIMESTAMP, signer = ?, signature = ?, signed_terms = ?
+         WHERE id = ?`,
+        [proof.signer, proof.signature, JSON.stringify(proof.terms), mandateId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  getActiveMandates() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT m.*, u.telegram_chat_id, u.timezone
+         FROM mandates m
+         JOIN users u ON m.user_id = u.id
+         WHERE m.active = 1
+           AND m.signed = 1
+           AND datetime(m.expires_at) > datetime('now')`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  getUserMandates(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM mandates
+         WHERE user_id = ? AND active = 1
+         ORDER BY created_at DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  getMandateById(mandateId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM mandates WHERE id = ?`,
+        [mandateId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row);
+        }
+      );
+    });
+  }
+
+  /**
+   * Update mandate fields in place
+   * The row (and its notification history) is kept, but the mandate is
+   * unsigned so the user has to re-sign the new terms before it is monitored.
+   * @param {number} mandateId - Mandate ID
+   * @param {Object} fields - Any of { asset, minAPY, maxLeverage, risk, maxPosition, expiresAt }
+   * @returns {Promise<Object>} { changes }
+   */
+  updateMandate(mandateId, fields) {
+    const columns = {
+      asset: 'asset',
+      minAPY: 'min_apy',
+      maxLeverage: 'max_leverage',
+      risk: 'risk',
+      maxPosition: 'max_position',
+      expiresAt: 'expires_at',
+    };
+
+    const assignments = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      values.push(fields[key] instanceof Date ? fields[key].toISOString() : fields[key]);
+    }
+
+    if (assignments.length === 0) {
+      return Promise.resolve({ changes: 0 });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mandates
+         SET ${assignments.join(', ')}, ${UNSIGNED}
+         WHERE id = ?`,
+        [...values, mandateId],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ changes: this.changes });
+        }
+      );
+    });
+  }
+
+  /**
+   * Set or clear a mandate's APY trend conditions
+   * Trend conditions only narrow which opportunities alert, so they aren't
+   * part of the signed terms and the mandate stays signed.
+   * @param {number} mandateId - Mandate ID
+   * @param {Object} fields - Any of { minAvgAPY, avgAPYDays, maxAPYSwing, stableDays, minAPYRise } (null clears)
+   * @returns {Promise<Object>} { changes }
+   */
+  updateMandateTrend(mandateId, fields) {
+    const columns = {
+      minAvgAPY: 'min_avg_apy',
+      avgAPYDays: 'avg_apy_days',
+      maxAPYSwing: 'max_apy_swing',
+      stableDays: 'stable_days',
+      minAPYRise: 'min_apy_rise',
+    };
+
+    const assignments = [];
+    const values = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      values.push(fields[key]);
+    }
+
+    if (assignments.length === 0) {
+      return Promise.resolve({ changes: 0 });
+    }
+
+    return this.runStatement(
+      `UPDATE mandates SET ${assignments.join(', ')} WHERE id = ?`,
+      [...values, mandateId]
+    );
+  }
+
+  pauseMandate(mandateId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mandates SET active = 0 WHERE id = ?`,
+        [mandateId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Get paused (or expired) mandates for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Inactive mandates, newest first
+   */
+  getPausedMandates(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT *, datetime(expires_at) <= datetime('now') as expired
+         FROM mandates
+         WHERE user_id = ? AND active = 0
+         ORDER BY created_at DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Re-activate a paused mandate (expired mandates must be renewed instead)
+   * @param {number} mandateId - Mandate ID
+   * @returns {Promise<Object>} { changes } - 0 if the mandate has expired
+   */
+  resumeMandate(mandateId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mandates SET active = 1
+         WHERE id = ? AND datetime(expires_at) > datetime('now')`,
+        [mandateId],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ changes: this.changes });
+        }
+      );
+    });
+  }
+
+  /**
+   * Extend a mandate's expiry from now and re-activate it
+   * The expiry is part of the signed terms, so the mandate has to be re-signed.
+   * @param {number} mandateId - Mandate ID
+   * @param {number} days - New lifetime in days
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  renewMandate(mandateId, days = config.mandates.durationDays) {
+    return new Promise((resolve, reject) => {
+      const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+      this.db.run(
+        `UPDATE mandates
+         SET expires_at = ?, active = 1, expiry_reminder_sent_at = NULL, ${UNSIGNED}
+         WHERE id = ?`,
+        [expiresAt.toISOString(), mandateId],
+        (err) => {
+          if (err) return reject(err);
+          resolve({ expiresAt });
+        }
+      );
+    });
+  }
+
+  /**
+   * Get active mandates expiring within the given window that weren't reminded yet
+   * @param {number} days - Reminder window in days
+   * @returns {Promise<Array>} Mandates with telegram_chat_id
+   */
+  getMandatesExpiringSoon(days) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT m.*, u.telegram_chat_id, u.timezone
+         FROM mandates m
+         JOIN users u ON m.user_id = u.id
+         WHERE m.active = 1
+           AND m.signed = 1
+           AND m.expiry_reminder_sent_at IS NULL
+           AND datetime(m.expires_at) > datetime('now')
+           AND datetime(m.expires_at) <= datetime('now', '+${days} days')`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  markExpiryReminderSent(mandateId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mandates SET expiry_reminder_sent_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [mandateId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Deactivate mandates past their expiry
+   * @returns {Promise<Array>} The mandates that were just expired (with telegram_chat_id)
+   */
+  async expireMandates() {
+    const expired = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT m.*, u.telegram_chat_id, u.timezone
+         FROM mandates m
+         JOIN users u ON m.user_id = u.id
+         WHERE m.active = 1
+           AND datetime(m.expires_at) <= datetime('now')`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+
+    if (expired.length === 0) {
+      return [];
+    }
+
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mandates SET active = 0 WHERE id IN (${expired.map(() => '?').join(', ')})`,
+        expired.map(m => m.id),
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+
+    return expired;
+  }
+
+  deleteMandate(mandateId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM mandates WHERE id = ?`,
+        [mandateId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // SESSION OPERATIONS
+  // ==========================================
+
+  /**
+   * Get the conversation session for a chat
+   * @param {number|string} chatId - Telegram chat ID
+   * @returns {Promise<Object|undefined>} Session data, undefined if missing or expired
+   */
+  getSession(chatId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT data FROM sessions
+         WHERE chat_id = ? AND datetime(expires_at) > datetime('now')`,
+        [chatId.toString()],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row ? JSON.parse(row.data) : undefined);
+        }
+      );
+    });
+  }
+
+  /**
+   * Create or replace a chat's session; every write extends its TTL
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {Object} data - JSON-serializable session state
+   * @param {number} ttlMinutes - Minutes until the session expires
+   */
+  setSession(chatId, data, ttlMinutes = config.bot.keyboardTimeoutMinutes) {
+    return new Promise((resolve, reject) => {
+      const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+      this.db.run(
+        `INSERT INTO sessions (chat_id, data, expires_at, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(chat_id) DO UPDATE SET
+           data = excluded.data,
+           expires_at = excluded.expires_at,
+           updated_at = CURRENT_TIMESTAMP`,
+        [chatId.toString(), JSON.stringify(data), expiresAt.toISOString()],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  deleteSession(chatId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM sessions WHERE chat_id = ?`,
+        [chatId.toString()],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Remove expired sessions
+   * @returns {Promise<Object>} { deleted }
+   */
+  cleanupExpiredSessions() {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM sessions WHERE datetime(expires_at) <= datetime('now')`,
+        function(err) {
+          if (err) return reject(err);
+          resolve({ deleted: this.changes });
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // NOTIFICATION OPERATIONS
+  // ==========================================
+
+  wasRecentlyNotified(mandateId, opportunityId, hoursAgo = 24) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT id FROM notifications
+         WHERE mandate_id = ?
+           AND opportunity_id = ?
+           AND datetime(sent_at) > datetime('now', '-${hoursAgo} hours')`,
+        [mandateId, opportunityId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(!!row);
+        }
+      );
+    });
+  }
+
+  logNotification(mandateId, userId, opportunityId, apy, strategy) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO notifications (mandate_id, user_id, opportunity_id, apy, strategy)
+         VALUES (?, ?, ?, ?, ?)`,
+        [mandateId, userId, opportunityId, apy, strategy],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ id: this.lastID });
+        }
+      );
+    });
+  }
+
+  getNotificationStats(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT
+           COUNT(*) as total_notifications,
+           MAX(sent_at) as last_notification,
+           AVG(apy) as avg_apy
+         FROM notifications
+         WHERE user_id = ?`,
+        [userId],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows[0]);
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // NOTIFICATION BUDGET / QUEUE OPERATIONS
+  // ==========================================
+
+  /**
+   * Count notifications sent to a user today (UTC) across all notification logs
+   * @param {number} userId - User ID
+   * @param {Array<string>} [excludeKinds] - Kinds whose logs aren't counted (e.g. ones batched into a digest)
+   * @returns {Promise<number>} Notifications sent since midnight
+   */
+  countNotificationsToday(userId, excludeKinds = []) {
+    const tables = Object.entries(NOTIFICATION_LOGS)
+      .filter(([kind]) => !excludeKinds.includes(kind))
+      .map(([, table]) => table);
+
+    if (tables.length === 0) {
+      return Promise.resolve(0);
+    }
+
     return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE mandates SET active = 0 WHERE id = ?`,
-        [mandateId],
-        (err) => {
+      this.db.get(
+        `SELECT ${tables
+          .map(table => `(SELECT COUNT(*) FROM ${table} WHERE user_id = ? AND datetime(sent_at) >= datetime('now', 'start of day'))`)
+          .join(' +\n           ')} as count`,
+        tables.map(() => userId),
+        (err, row) => {
           if (err) return reject(err);
-          resolve();
+          resolve(row.count);
         }
       );
     });
   }
 
-  deleteMandate(mandateId) {
+  /**
+   * Hold a notification for later delivery
+   * Skipped if an undelivered entry with the same dedupe key is already queued.
+   * @param {Object} item - { userId, chatId, kind, summary, reason, dedupeKey }
+   * @returns {Promise<Object>} { queued } - false when deduplicated
+   */
+  queueNotification(item) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `DELETE FROM mandates WHERE id = ?`,
-        [mandateId],
-        (err) => {
+        `INSERT INTO notification_queue (user_id, chat_id, kind, summary, dedupe_key, reason)
+         SELECT ?, ?, ?, ?, ?, ?
+         WHERE NOT EXISTS (
+           SELECT 1 FROM notification_queue
+           WHERE user_id = ? AND dedupe_key = ? AND reason = ? AND delivered_at IS NULL
+         )`,
+        [
+          item.userId, item.chatId.toString(), item.kind, item.summary, item.dedupeKey || null, item.reason,
+          item.userId, item.dedupeKey || null, item.reason,
+        ],
+        function(err) {
           if (err) return reject(err);
-          resolve();
+          resolve({ queued: this.changes > 0 });
         }
       );
     });
   }
 
-  // ==========================================
-  // NOTIFICATION OPERATIONS
-  // ==========================================
-
-  wasRecentlyNotified(mandateId, opportunityId, hoursAgo = 24) {
+  /**
+   * Count notifications queued for a user today for a given reason
+   */
+  countQueuedToday(userId, reason) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        `SELECT id FROM notifications
-         WHERE mandate_id = ?
-           AND opportunity_id = ?
-           AND datetime(sent_at) > datetime('now', '-${hoursAgo} hours')`,
-        [mandateId, opportunityId],
+        `SELECT COUNT(*) as count FROM notification_queue
+         WHERE user_id = ? AND reason = ?
+           AND datetime(created_at) >= datetime('now', 'start of day')`,
+        [userId, reason],
         (err, row) => {
           if (err) return reject(err);
-          resolve(!!row);
+          resolve(row.count);
         }
       );
     });
   }
 
-  logNotification(mandateId, userId, opportunityId, apy, strategy) {
+  /**
+   * Get undelivered queued notifications
+   * @param {string} reason - Queue reason (e.g. 'overflow')
+   * @param {boolean} beforeToday - Only entries queued before midnight (UTC)
+   * @returns {Promise<Array>} Queue entries, oldest first
+   */
+  getPendingNotifications(reason, beforeToday = false) {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT INTO notifications (mandate_id, user_id, opportunity_id, apy, strategy)
-         VALUES (?, ?, ?, ?, ?)`,
-        [mandateId, userId, opportunityId, apy, strategy],
-        function(err) {
+      this.db.all(
+        `SELECT * FROM notification_queue
+         WHERE reason = ? AND delivered_at IS NULL
+           ${beforeToday ? `AND datetime(created_at) < datetime('now', 'start of day')` : ''}
+         ORDER BY user_id, created_at`,
+        [reason],
+        (err, rows) => {
           if (err) return reject(err);
-          resolve({ id: this.lastID });
+          resolve(rows);
         }
       );
     });
   }
 
-  getNotificationStats(userId) {
+  markNotificationsDelivered(ids) {
+    if (ids.length === 0) {
+      return Promise.resolve();
+    }
+
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT
-           COUNT(*) as total_notifications,
-           MAX(sent_at) as last_notification,
-           AVG(apy) as avg_apy
-         FROM notifications
-         WHERE user_id = ?`,
-        [userId],
-        (err, rows) => {
+      this.db.run(
+        `UPDATE notification_queue SET delivered_at = CURRENT_TIMESTAMP
+         WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids,
+        (err) => {
           if (err) return reject(err);
-          resolve(rows[0]);
+          resolve();
         }
       );
     });
@@ -368,30 +1625,49 @@ class Database {
   // ==========================================
 
   createOrUpdatePosition(userId, position) {
+    // Reconstructed history (realizedPnl set) replaces the first-seen deposit estimate.
+    // Leveraged rows have no history and keep their first-seen equity as basis, except
+    // rows that add-position-type.js split from LP shares (shares > 0): their basis
+    // included the LP deposit, so they restart from the current equity once.
     return new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO positions (
           user_id, pool_address, chain_id, underlying_token,
-          shares, deposited_amount, current_value,
+          shares, deposited_amount, current_value, realized_pnl,
           initial_supply_apy, current_supply_apy,
           initial_borrow_apy, current_borrow_apy, net_apy, leverage, health_factor,
+          credit_account, debt, collateral_tokens, wallet_address, position_type,
           last_apy_check, deposited_at, last_updated
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        ON CONFLICT(user_id, pool_address, chain_id) DO UPDATE SET
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, wallet_address, pool_address, chain_id, position_type) DO UPDATE SET
           shares = excluded.shares,
           current_value = excluded.current_value,
+          deposited_amount = CASE
+            WHEN excluded.position_type = 'lending' AND excluded.realized_pnl IS NOT NULL THEN excluded.deposited_amount
+            WHEN excluded.position_type = 'leveraged' AND positions.shares > 0 THEN excluded.deposited_amount
+            ELSE positions.deposited_amount END,
+          deposited_at = CASE WHEN excluded.position_type = 'lending' AND excluded.realized_pnl IS NOT NULL THEN excluded.deposited_at ELSE positions.deposited_at END,
+          realized_pnl = COALESCE(excluded.realized_pnl, positions.realized_pnl),
           current_supply_apy = excluded.current_supply_apy,
           current_borrow_apy = excluded.current_borrow_apy,
           net_apy = excluded.net_apy,
           leverage = excluded.leverage,
           health_factor = excluded.health_factor,
+          credit_account = excluded.credit_account,
+          debt = excluded.debt,
+          collateral_tokens = excluded.collateral_tokens,
           last_apy_check = CURRENT_TIMESTAMP,
           last_updated = CURRENT_TIMESTAMP`,
         [
           userId, position.poolAddress, position.chainId, position.underlyingToken,
-          position.shares, position.depositedAmount, position.currentValue,
+          position.shares, position.depositedAmount, position.currentValue, position.realizedPnl ?? null,
           position.initialSupplyAPY, position.currentSupplyAPY,
-          position.initialBorrowAPY, position.currentBorrowAPY, position.netAPY, position.leverage, position.healthFactor
+          position.initialBorrowAPY, position.currentBorrowAPY, position.netAPY, position.leverage, position.healthFactor,
+          position.creditAccount || null, position.debt || null,
+          position.collateralTokens?.length ? position.collateralTokens.join(',') : null,
+          position.walletAddress || null,
+          position.positionType || 'lending',
+          position.depositedAt || null
         ],
         function(err) {
           if (err) return reject(err);
@@ -404,9 +1680,11 @@ class Database {
   getUserPositions(userId) {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT * FROM positions
-         WHERE user_id = ? AND active = 1
-         ORDER BY deposited_at DESC`,
+        `SELECT p.*, w.label as wallet_label, w.verified_at as wallet_verified_at
+         FROM positions p
+         LEFT JOIN user_wallets w ON w.user_id = p.user_id AND w.address = p.wallet_address
+         WHERE p.user_id = ? AND p.active = 1
+         ORDER BY w.created_at ASC, w.id ASC, p.deposited_at DESC`,
         [userId],
         (err, rows) => {
           if (err) return reject(err);
@@ -419,7 +1697,7 @@ class Database {
   getActivePositions() {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT p.*, u.telegram_chat_id, u.wallet_address
+        `SELECT p.*, u.telegram_chat_id
          FROM positions p
          JOIN users u ON p.user_id = u.id
          WHERE p.active = 1`,
@@ -464,12 +1742,22 @@ class Database {
   // APY HISTORY OPERATIONS
   // ==========================================
 
-  recordAPYHistory(poolAddress, chainId, supplyAPY, borrowAPY, tvl) {
+  /**
+   * Record one APY snapshot of a pool
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {number} supplyAPY - Supply APY (%)
+   * @param {number|null} borrowAPY - Borrow APY (%)
+   * @param {number} tvl - On-chain totalAssets in underlying units (0 if unknown)
+   * @param {number|null} [utilization] - Borrowed / expected liquidity (0-1), null if unknown
+   * @returns {Promise<Object>} { id }
+   */
+  recordAPYHistory(poolAddress, chainId, supplyAPY, borrowAPY, tvl, utilization = null) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO apy_history (pool_address, chain_id, supply_apy, borrow_apy, tvl)
-         VALUES (?, ?, ?, ?, ?)`,
-        [poolAddress, chainId, supplyAPY, borrowAPY, tvl],
+        `INSERT INTO apy_history (pool_address, chain_id, supply_apy, borrow_apy, tvl, tvl_source, utilization)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [poolAddress, chainId, supplyAPY, borrowAPY, tvl, tvl > 0 ? 'totalAssets' : null, utilization],
         function(err) {
           if (err) return reject(err);
           resolve({ id: this.lastID });
@@ -478,14 +1766,56 @@ class Database {
     });
   }
 
+  /**
+   * Check whether a pool got an APY snapshot recently
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {number} minutes - How recent
+   * @returns {Promise<boolean>}
+   */
+  wasAPYRecordedRecently(poolAddress, chainId, minutes) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT id FROM apy_history
+         WHERE pool_address = ? AND chain_id = ?
+           AND datetime(recorded_at) > datetime('now', '-${Math.floor(minutes)} minutes')
+         LIMIT 1`,
+        [poolAddress, chainId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(!!row);
+        }
+      );
+    });
+  }
+
+  /**
+   * APY snapshots of a pool, newest first
+   * Older periods come from hourly/daily rollups (averages, with the number
+   * of snapshots they stand for in samples).
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {number} days - How far back to go
+   * @returns {Promise<Array>} { pool_address, chain_id, recorded_at, supply_apy, supply_apy_min, supply_apy_max,
+   *   borrow_apy, tvl, utilization, utilization_max, samples, resolution }
+   */
   getAPYHistory(poolAddress, chainId, days = 7) {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT * FROM apy_history
+        `SELECT pool_address, chain_id, recorded_at, supply_apy, supply_apy as supply_apy_min,
+                supply_apy as supply_apy_max, borrow_apy, tvl, utilization, utilization as utilization_max,
+                1 as samples, 'raw' as resolution
+         FROM apy_history
          WHERE pool_address = ? AND chain_id = ?
            AND datetime(recorded_at) > datetime('now', '-${days} days')
+         UNION ALL
+         SELECT pool_address, chain_id, bucket_start, supply_apy_avg, supply_apy_min,
+                supply_apy_max, borrow_apy_avg, tvl_avg, utilization_avg, utilization_max, samples, resolution
+         FROM apy_history_rollups
+         WHERE pool_address = ? AND chain_id = ?
+           AND datetime(bucket_start) > datetime('now', '-${days} days')
          ORDER BY recorded_at DESC`,
-        [poolAddress, chainId],
+        [poolAddress, chainId, poolAddress, chainId],
         (err, rows) => {
           if (err) return reject(err);
           resolve(rows);
@@ -494,6 +1824,154 @@ class Database {
     });
   }
 
+  /**
+   * Run one statement
+   * @param {Object} [connection] - sqlite3 connection (defaults to the shared one)
+   * @returns {Promise<Object>} { changes }
+   */
+  runStatement(sql, params = [], connection = this.db) {
+    return new Promise((resolve, reject) => {
+      connection.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Roll old APY snapshots into hourly/daily aggregates and prune
+   * Raw snapshots older than rawDays become hourly buckets, hourly buckets
+   * older than hourlyDays become daily ones, and daily ones older than
+   * dailyDays are dropped. History of pools nobody has held or watched
+   * (mandate trend conditions keep snapshotting the pools they watch) for
+   * inactiveDays is deleted. Runs in one transaction, so no snapshot is
+   * counted twice or lost if a step fails.
+   * @param {Object} policy - { rawDays, hourlyDays, dailyDays, inactiveDays }
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { hourly, daily, pruned } rows affected
+   */
+  async rollupAPYHistory({ rawDays, hourlyDays, dailyDays, inactiveDays }, now = new Date()) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const toSql = date => date.toISOString().slice(0, 19).replace('T', ' ');
+
+    // Only complete buckets are rolled up
+    const hourStart = new Date(Math.floor(now.getTime() / (DAY_MS / 24)) * (DAY_MS / 24));
+    const dayStart = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+    const rawCutoff = toSql(new Date(hourStart.getTime() - rawDays * DAY_MS));
+    const hourlyCutoff = toSql(new Date(dayStart.getTime() - hourlyDays * DAY_MS));
+    const dailyCutoff = toSql(new Date(dayStart.getTime() - dailyDays * DAY_MS));
+    const heldSince = toSql(new Date(now.getTime() - inactiveDays * DAY_MS));
+
+    // Merging into an existing bucket (e.g. after a policy change) keeps averages sample-weighted
+    const merge = `
+      ON CONFLICT(pool_address, chain_id, resolution, bucket_start) DO UPDATE SET
+        supply_apy_avg = (supply_apy_avg * samples + excluded.supply_apy_avg * excluded.samples) / (samples + excluded.samples),
+        supply_apy_min = MIN(supply_apy_min, excluded.supply_apy_min),
+        supply_apy_max = MAX(supply_apy_max, excluded.supply_apy_max),
+        borrow_apy_avg = COALESCE((borrow_apy_avg * samples + excluded.borrow_apy_avg * excluded.samples) / (samples + excluded.samples), borrow_apy_avg, excluded.borrow_apy_avg),
+        tvl_avg = COALESCE((tvl_avg * samples + excluded.tvl_avg * excluded.samples) / (samples + excluded.samples), tvl_avg, excluded.tvl_avg),
+        tvl_min = COALESCE(MIN(tvl_min, excluded.tvl_min), tvl_min, excluded.tvl_min),
+        tvl_max = COALESCE(MAX(tvl_max, excluded.tvl_max), tvl_max, excluded.tvl_max),
+        utilization_avg = COALESCE((utilization_avg * samples + excluded.utilization_avg * excluded.samples) / (samples + excluded.samples), utilization_avg, excluded.utilization_avg),
+        utilization_max = COALESCE(MAX(utilization_max, excluded.utilization_max), utilization_max, excluded.utilization_max),
+        samples = samples + excluded.samples`;
+
+    const columns = `(pool_address, chain_id, resolution, bucket_start, supply_apy_avg, supply_apy_min, supply_apy_max,
+                      borrow_apy_avg, tvl_avg, tvl_min, tvl_max, utilization_avg, utilization_max, samples)`;
+
+    const notHeld = table => `
+      NOT EXISTS (
+        SELECT 1 FROM positions p
+        WHERE p.pool_address = ${table}.pool_address AND p.chain_id = ${table}.chain_id
+          AND (p.active = 1 OR datetime(p.last_updated) > datetime(?))
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM apy_history recent
+        WHERE recent.pool_address = ${table}.pool_address AND recent.chain_id = ${table}.chain_id
+          AND datetime(recent.recorded_at) > datetime(?)
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM apy_history_rollups recent
+        WHERE recent.pool_address = ${table}.pool_address AND recent.chain_id = ${table}.chain_id
+          AND datetime(recent.bucket_start) > datetime(?)
+      )`;
+
+    // The transaction gets its own connection: on the shared one, writes from
+    // other callers made while it's open would join it (and a ROLLBACK would drop them)
+    const connection = await new Promise((resolve, reject) => {
+      const conn = new sqlite3.Database(DB_PATH, err => (err ? reject(err) : resolve(conn)));
+    });
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    const run = (sql, params) => this.runStatement(sql, params, connection);
+
+    try {
+      await run('BEGIN IMMEDIATE');
+
+      // Raw -> hourly (a TVL of 0 means it couldn't be read)
+      const hourly = await run(
+        `INSERT INTO apy_history_rollups ${columns}
+         SELECT pool_address, chain_id, 'hour', strftime('%Y-%m-%d %H:00:00', recorded_at),
+                AVG(supply_apy), MIN(supply_apy), MAX(supply_apy), AVG(borrow_apy),
+                AVG(NULLIF(tvl, 0)), MIN(NULLIF(tvl, 0)), MAX(NULLIF(tvl, 0)),
+                AVG(utilization), MAX(utilization), COUNT(*)
+         FROM apy_history
+         WHERE datetime(recorded_at) < datetime(?)
+         GROUP BY pool_address, chain_id, strftime('%Y-%m-%d %H:00:00', recorded_at)
+         ${merge}`,
+        [rawCutoff]
+      );
+      await run(`DELETE FROM apy_history WHERE datetime(recorded_at) < datetime(?)`, [rawCutoff]);
+
+      // Hourly -> daily
+      const daily = await run(
+        `INSERT INTO apy_history_rollups ${columns}
+         SELECT pool_address, chain_id, 'day', strftime('%Y-%m-%d 00:00:00', bucket_start),
+                SUM(supply_apy_avg * samples) / SUM(samples), MIN(supply_apy_min), MAX(supply_apy_max),
+                SUM(borrow_apy_avg * samples) / SUM(CASE WHEN borrow_apy_avg IS NOT NULL THEN samples END),
+                SUM(tvl_avg * samples) / SUM(CASE WHEN tvl_avg IS NOT NULL THEN samples END),
+                MIN(tvl_min), MAX(tvl_max),
+                SUM(utilization_avg * samples) / SUM(CASE WHEN utilization_avg IS NOT NULL THEN samples END),
+                MAX(utilization_max), SUM(samples)
+         FROM apy_history_rollups
+         WHERE resolution = 'hour' AND datetime(bucket_start) < datetime(?)
+         GROUP BY pool_address, chain_id, strftime('%Y-%m-%d 00:00:00', bucket_start)
+         ${merge}`,
+        [hourlyCutoff]
+      );
+      await run(
+        `DELETE FROM apy_history_rollups WHERE resolution = 'hour' AND datetime(bucket_start) < datetime(?)`,
+        [hourlyCutoff]
+      );
+
+      // Retention
+      const expired = await run(
+        `DELETE FROM apy_history_rollups WHERE resolution = 'day' AND datetime(bucket_start) < datetime(?)`,
+        [dailyCutoff]
+      );
+      const unheldRaw = await run(
+        `DELETE FROM apy_history WHERE ${notHeld('apy_history')}`,
+        [heldSince, heldSince, heldSince]
+      );
+      const unheldRollups = await run(
+        `DELETE FROM apy_history_rollups WHERE ${notHeld('apy_history_rollups')}`,
+        [heldSince, heldSince, heldSince]
+      );
+
+      await run('COMMIT');
+
+      return {
+        hourly: hourly.changes,
+        daily: daily.changes,
+        pruned: expired.changes + unheldRaw.changes + unheldRollups.changes,
+      };
+    } catch (error) {
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      connection.close();
+    }
+  }
+
   // ==========================================
   // APY CHANGE NOTIFICATION OPERATIONS
   // ==========================================
@@ -532,15 +2010,15 @@ class Database {
   // ==========================================
 
   /**
-   * Get all users who have connected wallets
-   * @returns {Promise<Array>} Users with wallet addresses
+   * Get all users who have at least one wallet attached
+   * @returns {Promise<Array>} Users (fetch their wallets with getUserWallets)
    */
   getUsersWithWallets() {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT id, telegram_chat_id, wallet_address
-         FROM users
-         WHERE wallet_address IS NOT NULL AND wallet_address != ''`,
+        `SELECT DISTINCT u.id, u.telegram_chat_id
+         FROM users u
+         JOIN user_wallets w ON w.user_id = u.id`,
         (err, rows) => {
           if (err) return reject(err);
           resolve(rows);
@@ -557,7 +2035,7 @@ class Database {
   getPositionsNeedingAPYCheck(minutesSinceCheck = 15) {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT p.*, u.telegram_chat_id, u.wallet_address
+        `SELECT p.*, u.telegram_chat_id
          FROM positions p
          JOIN users u ON p.user_id = u.id
          WHERE p.active = 1
@@ -593,90 +2071,224 @@ class Database {
   }
 
   /**
-   * Update position's health factor (for leveraged positions)
+   * Update position's health factor (for leveraged positions)
+   * @param {number} positionId - Position ID
+   * @param {number} healthFactor - New health factor
+   * @returns {Promise<void>}
+   */
+  updatePositionHealthFactor(positionId, healthFactor) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE positions
+         SET health_factor = ?, last_updated = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [healthFactor, positionId],
+        (err) => {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Get APY trend for a position (increasing, decreasing, or stable)
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {number} days - Days to analyze
+   * @returns {Promise<Object>} Trend data
+   */
+  async getAPYTrend(poolAddress, chainId, days = 7) {
+    const history = await this.getAPYHistory(poolAddress, chainId, days);
+
+    if (history.length < 2) {
+      return { trend: 'unknown', change: 0, history };
+    }
+
+    const latest = history[0].supply_apy;
+    const oldest = history[history.length - 1].supply_apy;
+    const change = latest - oldest;
+
+    let trend = 'stable';
+    if (Math.abs(change) > 0.5) {
+      trend = change > 0 ? 'increasing' : 'decreasing';
+    }
+
+    return { trend, change, history };
+  }
+
+  /**
+   * Get positions with low health factor (liquidation risk)
+   * @param {number} threshold - Health factor threshold (default 1.5)
+   * @returns {Promise<Array>} At-risk positions
+   */
+  getPositionsWithLowHealthFactor(threshold = 1.5) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT p.*, u.telegram_chat_id
+         FROM positions p
+         JOIN users u ON p.user_id = u.id
+         WHERE p.active = 1
+           AND p.health_factor IS NOT NULL
+           AND p.health_factor < ?
+         ORDER BY p.health_factor ASC`,
+        [threshold],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Log health factor notification (spam prevention)
+   * @param {number} positionId - Position ID
+   * @param {number} userId - User ID
+   * @param {number} healthFactor - Current health factor
+   * @param {string} severity - Severity level (warning, critical)
+   * @returns {Promise<Object>} Created notification
+   */
+  logHealthFactorNotification(positionId, userId, healthFactor, severity) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO health_factor_notifications (position_id, user_id, health_factor, severity)
+         VALUES (?, ?, ?, ?)`,
+        [positionId, userId, healthFactor, severity],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ id: this.lastID });
+        }
+      );
+    });
+  }
+
+  /**
+   * Check if user was recently notified about health factor
+   * @param {number} positionId - Position ID
+   * @param {number} hoursAgo - Hours since last notification
+   * @returns {Promise<boolean>} True if recently notified
+   */
+  wasNotifiedAboutHealthFactor(positionId, hoursAgo = 1) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT id FROM health_factor_notifications
+         WHERE position_id = ?
+           AND datetime(sent_at) > datetime('now', '-${hoursAgo} hours')`,
+        [positionId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(!!row);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the most recent health factor notification for a position
+   * @param {number} positionId - Position ID
+   * @returns {Promise<Object|null>} Last notification or null
+   */
+  getLastHealthFactorNotification(positionId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM health_factor_notifications
+         WHERE position_id = ?
+         ORDER BY sent_at DESC, id DESC
+         LIMIT 1`,
+        [positionId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Log a withdrawal liquidity notification
+   * @param {number} positionId - Position ID
+   * @param {number} userId - User ID
+   * @param {string} alertType - 'low' (pool can't cover the position) or 'restored'
+   * @param {number} availableLiquidity - Withdrawable liquidity (underlying units)
+   * @param {number} positionValue - Position value (underlying units)
+   * @param {number|null} utilization - Pool utilization (0-1)
+   * @returns {Promise<Object>} Created notification
+   */
+  logLiquidityNotification(positionId, userId, alertType, availableLiquidity, positionValue, utilization) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO liquidity_notifications (position_id, user_id, alert_type, available_liquidity, position_value, utilization)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [positionId, userId, alertType, availableLiquidity, positionValue, utilization],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ id: this.lastID });
+        }
+      );
+    });
+  }
+
+  /**
+   * Check if user was recently notified about low withdrawal liquidity
    * @param {number} positionId - Position ID
-   * @param {number} healthFactor - New health factor
-   * @returns {Promise<void>}
+   * @param {number} hoursAgo - Hours since last notification
+   * @returns {Promise<boolean>} True if recently notified
    */
-  updatePositionHealthFactor(positionId, healthFactor) {
+  wasNotifiedAboutLiquidity(positionId, hoursAgo = 6) {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE positions
-         SET health_factor = ?, last_updated = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [healthFactor, positionId],
-        (err) => {
+      this.db.get(
+        `SELECT id FROM liquidity_notifications
+         WHERE position_id = ? AND alert_type = 'low'
+           AND datetime(sent_at) > datetime('now', '-${hoursAgo} hours')`,
+        [positionId],
+        (err, row) => {
           if (err) return reject(err);
-          resolve();
+          resolve(!!row);
         }
       );
     });
   }
 
   /**
-   * Get APY trend for a position (increasing, decreasing, or stable)
-   * @param {string} poolAddress - Pool address
-   * @param {number} chainId - Chain ID
-   * @param {number} days - Days to analyze
-   * @returns {Promise<Object>} Trend data
-   */
-  async getAPYTrend(poolAddress, chainId, days = 7) {
-    const history = await this.getAPYHistory(poolAddress, chainId, days);
-
-    if (history.length < 2) {
-      return { trend: 'unknown', change: 0, history };
-    }
-
-    const latest = history[0].supply_apy;
-    const oldest = history[history.length - 1].supply_apy;
-    const change = latest - oldest;
-
-    let trend = 'stable';
-    if (Math.abs(change) > 0.5) {
-      trend = change > 0 ? 'increasing' : 'decreasing';
-    }
-
-    return { trend, change, history };
-  }
-
-  /**
-   * Get positions with low health factor (liquidation risk)
-   * @param {number} threshold - Health factor threshold (default 1.5)
-   * @returns {Promise<Array>} At-risk positions
+   * Get the most recent liquidity notification for a position
+   * @param {number} positionId - Position ID
+   * @returns {Promise<Object|null>} Last notification or null
    */
-  getPositionsWithLowHealthFactor(threshold = 1.5) {
+  getLastLiquidityNotification(positionId) {
     return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT p.*, u.telegram_chat_id, u.wallet_address
-         FROM positions p
-         JOIN users u ON p.user_id = u.id
-         WHERE p.active = 1
-           AND p.health_factor IS NOT NULL
-           AND p.health_factor < ?
-         ORDER BY p.health_factor ASC`,
-        [threshold],
-        (err, rows) => {
+      this.db.get(
+        `SELECT * FROM liquidity_notifications
+         WHERE position_id = ?
+         ORDER BY sent_at DESC, id DESC
+         LIMIT 1`,
+        [positionId],
+        (err, row) => {
           if (err) return reject(err);
-          resolve(rows);
+          resolve(row || null);
         }
       );
     });
   }
 
   /**
-   * Log health factor notification (spam prevention)
-   * @param {number} positionId - Position ID
+   * Log a TVL drop or large withdrawal notification
    * @param {number} userId - User ID
-   * @param {number} healthFactor - Current health factor
-   * @param {string} severity - Severity level (warning, critical)
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {string} alertType - 'tvl_drop' or 'large_withdrawal'
+   * @param {number} tvl - Pool TVL now (underlying units)
+   * @param {number|null} previousTVL - Peak TVL of the window (drops) or before the withdrawal
+   * @param {number} changePercent - Drop % (negative) or withdrawal share of TVL
+   * @param {string|null} [txHash] - Largest withdrawal's transaction
    * @returns {Promise<Object>} Created notification
    */
-  logHealthFactorNotification(positionId, userId, healthFactor, severity) {
+  logTVLNotification(userId, poolAddress, chainId, alertType, tvl, previousTVL, changePercent, txHash = null) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO health_factor_notifications (position_id, user_id, health_factor, severity)
-         VALUES (?, ?, ?, ?)`,
-        [positionId, userId, healthFactor, severity],
+        `INSERT INTO tvl_notifications (user_id, chain_id, pool_address, alert_type, tvl, previous_tvl, change_percent, tx_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, chainId, poolAddress.toLowerCase(), alertType, tvl, previousTVL, changePercent, txHash],
         function(err) {
           if (err) return reject(err);
           resolve({ id: this.lastID });
@@ -686,18 +2298,20 @@ class Database {
   }
 
   /**
-   * Check if user was recently notified about health factor
-   * @param {number} positionId - Position ID
+   * Check if user was recently notified about a pool's TVL drop
+   * @param {number} userId - User ID
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
    * @param {number} hoursAgo - Hours since last notification
    * @returns {Promise<boolean>} True if recently notified
    */
-  wasNotifiedAboutHealthFactor(positionId, hoursAgo = 1) {
+  wasNotifiedAboutTVLDrop(userId, poolAddress, chainId, hoursAgo = 6) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        `SELECT id FROM health_factor_notifications
-         WHERE position_id = ?
+        `SELECT id FROM tvl_notifications
+         WHERE user_id = ? AND pool_address = ? AND chain_id = ? AND alert_type = 'tvl_drop'
            AND datetime(sent_at) > datetime('now', '-${hoursAgo} hours')`,
-        [positionId],
+        [userId, poolAddress.toLowerCase(), chainId],
         (err, row) => {
           if (err) return reject(err);
           resolve(!!row);
@@ -706,6 +2320,45 @@ class Database {
     });
   }
 
+  /**
+   * Get all active positions with their users' chat IDs
+   * @returns {Promise<Array>} Positions, grouped by pool by the caller
+   */
+  getActivePositionsWithUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT p.*, u.telegram_chat_id
+         FROM positions p
+         JOIN users u ON p.user_id = u.id
+         WHERE p.active = 1`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get active positions backed by a credit account
+   * @returns {Promise<Array>} Leveraged positions with user chat IDs
+   */
+  getLeveragedPositions() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT p.*, u.telegram_chat_id
+         FROM positions p
+         JOIN users u ON p.user_id = u.id
+         WHERE p.active = 1
+           AND p.credit_account IS NOT NULL`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
   /**
    * Get notification statistics for a user
    * @param {number} userId - User ID
@@ -933,6 +2586,306 @@ class Database {
     });
   }
 
+  /**
+   * Deployment of a pool contract, if it was looked up before
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @returns {Promise<Object|null>} { block_number, deployed_at } or null
+   */
+  getPoolDeployment(poolAddress, chainId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT block_number, deployed_at FROM pool_deployments
+         WHERE chain_id = ? AND pool_address = LOWER(?)`,
+        [chainId, poolAddress],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Store where a pool contract was deployed
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @param {number} blockNumber - Deployment block
+   * @param {string} deployedAt - Block timestamp (ISO)
+   */
+  savePoolDeployment(poolAddress, chainId, blockNumber, deployedAt) {
+    return this.runStatement(
+      `INSERT OR REPLACE INTO pool_deployments (chain_id, pool_address, block_number, deployed_at)
+       VALUES (?, ?, ?, ?)`,
+      [chainId, poolAddress.toLowerCase(), blockNumber, deployedAt]
+    );
+  }
+
+  /**
+   * Earliest time the bot saw a pool (discovery or first APY snapshot)
+   * A lower bound on the pool's age when its deployment can't be looked up.
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @returns {Promise<string|null>} Timestamp, or null if the pool was never seen
+   */
+  getPoolFirstSeen(poolAddress, chainId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT MIN(seen) as first_seen FROM (
+           SELECT MIN(discovered_at) as seen FROM pool_cache WHERE LOWER(pool_address) = LOWER(?) AND chain_id = ?
+           UNION ALL
+           SELECT MIN(recorded_at) FROM apy_history WHERE pool_address = ? AND chain_id = ?
+           UNION ALL
+           SELECT MIN(bucket_start) FROM apy_history_rollups WHERE pool_address = ? AND chain_id = ?
+         )`,
+        [poolAddress, chainId, poolAddress, chainId, poolAddress, chainId],
+        (err, row) => {
+          if (err) return reject(err);
+          resolve(row ? row.first_seen : null);
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // PRICE ALERT OPERATIONS
+  // ==========================================
+
+  /**
+   * Create a price alert
+   * @param {number} userId - User ID
+   * @param {string} tokenSymbol - Token symbol (as the oracle spells it)
+   * @param {string} direction - 'below' or 'above'
+   * @param {number} targetPrice - Target USD price
+   * @param {boolean} armed - False if the price is already past the target
+   * @returns {Promise<Object>} { id }
+   */
+  createPriceAlert(userId, tokenSymbol, direction, targetPrice, armed) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO price_alerts (user_id, token_symbol, direction, target_price, armed)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, tokenSymbol, direction, targetPrice, armed ? 1 : 0],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ id: this.lastID });
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a user's price alerts
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} price_alerts rows, oldest first
+   */
+  getUserPriceAlerts(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM price_alerts WHERE user_id = ? ORDER BY created_at ASC, id ASC`,
+        [userId],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get every price alert with its user's chat ID
+   * @returns {Promise<Array>} price_alerts rows with telegram_chat_id
+   */
+  getAllPriceAlerts() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT a.*, u.telegram_chat_id
+         FROM price_alerts a
+         JOIN users u ON a.user_id = u.id`,
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Delete one of a user's price alerts
+   * @param {number} userId - User ID (alerts of other users are left alone)
+   * @param {number} alertId - Alert ID
+   * @returns {Promise<Object>} { changes }
+   */
+  deletePriceAlert(userId, alertId) {
+    return this.runStatement(`DELETE FROM price_alerts WHERE id = ? AND user_id = ?`, [alertId, userId]);
+  }
+
+  /**
+   * Store the outcome of checking a price alert
+   * @param {number} alertId - Alert ID
+   * @param {boolean} armed - Whether the next crossing fires
+   * @param {number} price - Price seen
+   * @param {boolean} triggered - Whether it fired now
+   */
+  updatePriceAlertState(alertId, armed, price, triggered) {
+    return this.runStatement(
+      `UPDATE price_alerts
+       SET armed = ?, last_price = ?, last_checked_at = CURRENT_TIMESTAMP,
+           last_triggered_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_triggered_at END
+       WHERE id = ?`,
+      [armed ? 1 : 0, price, triggered ? 1 : 0, alertId]
+    );
+  }
+
+  /**
+   * Log a fired price alert
+   * @param {Object} alert - price_alerts row
+   * @param {number} price - Price that crossed the target
+   * @returns {Promise<Object>} Created notification
+   */
+  logPriceAlertNotification(alert, price) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO price_alert_notifications (alert_id, user_id, token_symbol, direction, target_price, price)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [alert.id, alert.user_id, alert.token_symbol, alert.direction, alert.target_price, price],
+        function(err) {
+          if (err) return reject(err);
+          resolve({ id: this.lastID });
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // EXPORT OPERATIONS
+  // ==========================================
+
+  /**
+   * Positions held at any time in a date range, closed ones included
+   * @param {number} userId - User ID
+   * @param {string} from - Range start (UTC 'YYYY-MM-DD HH:MM:SS', inclusive)
+   * @param {string} to - Range end (exclusive)
+   * @returns {Promise<Array>} Position rows, oldest first
+   */
+  getPositionsForExport(userId, from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT p.id, p.wallet_address, w.label as wallet_label, p.chain_id, p.pool_address,
+                p.position_type, p.underlying_token, p.shares, p.deposited_amount, p.current_value, p.realized_pnl,
+                p.initial_supply_apy, p.current_supply_apy, p.net_apy, p.leverage, p.health_factor,
+                p.credit_account, p.debt, p.deposited_at, p.last_updated, p.active
+         FROM positions p
+         LEFT JOIN user_wallets w ON w.user_id = p.user_id AND w.address = p.wallet_address
+         WHERE p.user_id = ?
+           AND datetime(p.deposited_at) < datetime(?)
+           AND (p.active = 1 OR datetime(p.last_updated) >= datetime(?))
+         ORDER BY p.deposited_at ASC, p.id ASC`,
+        [userId, to, from],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * APY snapshots of the pools a user has (or had) positions in
+   * Rolled-up periods appear as one row per hour/day with min/max.
+   * @param {number} userId - User ID
+   * @param {string} from - Range start (inclusive)
+   * @param {string} to - Range end (exclusive)
+   * @returns {Promise<Array>} Snapshot rows, oldest first
+   */
+  getAPYHistoryForExport(userId, from, to) {
+    const held = table => `
+      EXISTS (
+        SELECT 1 FROM positions p
+        WHERE p.user_id = ? AND p.pool_address = ${table}.pool_address AND p.chain_id = ${table}.chain_id
+      )`;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT h.recorded_at, 'raw' as resolution, h.chain_id, h.pool_address,
+                h.supply_apy, h.supply_apy as supply_apy_min, h.supply_apy as supply_apy_max,
+                h.borrow_apy, h.tvl, h.utilization, h.utilization as utilization_max, 1 as samples
+         FROM apy_history h
+         WHERE ${held('h')}
+           AND datetime(h.recorded_at) >= datetime(?)
+           AND datetime(h.recorded_at) < datetime(?)
+         UNION ALL
+         SELECT r.bucket_start, r.resolution, r.chain_id, r.pool_address,
+                r.supply_apy_avg, r.supply_apy_min, r.supply_apy_max,
+                r.borrow_apy_avg, r.tvl_avg, r.utilization_avg, r.utilization_max, r.samples
+         FROM apy_history_rollups r
+         WHERE ${held('r')}
+           AND datetime(r.bucket_start) >= datetime(?)
+           AND datetime(r.bucket_start) < datetime(?)
+         ORDER BY recorded_at ASC`,
+        [userId, from, to, userId, from, to],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Every alert sent to a user, across the notification logs
+   * @param {number} userId - User ID
+   * @param {string} from - Range start (inclusive)
+   * @param {string} to - Range end (exclusive)
+   * @returns {Promise<Array>} { sent_at, type, chain_id, pool_address, subject, value, previous_value, details }, oldest first
+   */
+  getAlertHistory(userId, from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM (
+           SELECT n.sent_at, 'opportunity' as type, NULL as chain_id, NULL as pool_address,
+                  n.opportunity_id as subject, n.apy as value, NULL as previous_value, n.strategy as details
+           FROM notifications n WHERE n.user_id = ?
+           UNION ALL
+           SELECT a.sent_at, 'apy_change', p.chain_id, p.pool_address,
+                  p.underlying_token, a.new_apy, a.old_apy, a.change_type
+           FROM apy_notifications a LEFT JOIN positions p ON p.id = a.position_id WHERE a.user_id = ?
+           UNION ALL
+           SELECT h.sent_at, 'health_factor', p.chain_id, p.pool_address,
+                  p.underlying_token, h.health_factor, NULL, h.severity
+           FROM health_factor_notifications h LEFT JOIN positions p ON p.id = h.position_id WHERE h.user_id = ?
+           UNION ALL
+           SELECT l.sent_at, 'liquidity', p.chain_id, p.pool_address,
+                  p.underlying_token, l.available_liquidity, l.position_value, l.alert_type
+           FROM liquidity_notifications l LEFT JOIN positions p ON p.id = l.position_id WHERE l.user_id = ?
+           UNION ALL
+           SELECT t.sent_at, t.alert_type, t.chain_id, t.pool_address,
+                  c.pool_name, t.tvl, t.previous_tvl, t.tx_hash
+           FROM tvl_notifications t
+           LEFT JOIN pool_cache c ON LOWER(c.pool_address) = t.pool_address AND c.chain_id = t.chain_id
+           WHERE t.user_id = ?
+           UNION ALL
+           SELECT pa.sent_at, 'price', NULL, NULL,
+                  pa.token_symbol, pa.price, pa.target_price, pa.direction
+           FROM price_alert_notifications pa WHERE pa.user_id = ?
+           UNION ALL
+           SELECT pn.sent_at, 'new_pool', pn.chain_id, pn.pool_address,
+                  c.pool_name, c.apy, NULL, NULL
+           FROM pool_notifications pn
+           LEFT JOIN pool_cache c ON c.pool_address = pn.pool_address AND c.chain_id = pn.chain_id
+           WHERE pn.user_id = ?
+         )
+         WHERE datetime(sent_at) >= datetime(?) AND datetime(sent_at) < datetime(?)
+         ORDER BY sent_at ASC`,
+        [userId, userId, userId, userId, userId, userId, userId, from, to],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+  }
+
   // ==========================================
   // UTILITY
   // ==========================================
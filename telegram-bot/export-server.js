@@ -0,0 +1,136 @@
+/**
+ * Export Server
+ *
+ * HTTP counterpart of /export for accounting tools and scripts:
+ *
+ *   GET /export?dataset=positions&format=csv&from=2025-01-01&to=2025-01-31
+ *   GET /export?dataset=all&format=json&month=2025-01
+ *   Authorization: Bearer <token from /export token>
+ *
+ * dataset: positions | apy_history | alerts | all (all needs format=json)
+ * Dates are UTC days; both ends are included. Without dates the last
+ * config.exports.defaultDays days are exported.
+ */
+
+const http = require('http');
+const db = require('./database');
+const config = require('./config');
+const {
+  DATASET_ALIASES,
+  FORMATS,
+  parseDateRange,
+  buildExport,
+  hashExportToken,
+} = require('./utils/export-builder');
+
+let server = null;
+
+/**
+ * Send a JSON error response
+ */
+function sendError(res, status, error) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error }));
+}
+
+/**
+ * Handle one request
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname !== '/export') {
+    return sendError(res, 404, 'Not found');
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(res, 405, 'Method not allowed');
+  }
+
+  const token = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  const user = token ? await db.getUserByExportTokenHash(hashExportToken(token)) : null;
+  if (!user) {
+    return sendError(res, 401, 'Missing or invalid token. Get one with /export token in the bot.');
+  }
+
+  const dataset = DATASET_ALIASES[(url.searchParams.get('dataset') || 'all').toLowerCase()];
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
+
+  if (!dataset) {
+    return sendError(res, 400, 'dataset must be positions, apy_history, alerts or all');
+  }
+
+  if (!FORMATS.includes(format)) {
+    return sendError(res, 400, 'format must be csv or json');
+  }
+
+  if (dataset === 'all' && format === 'csv') {
+    return sendError(res, 400, 'CSV exports one dataset at a time; use format=json for all');
+  }
+
+  const month = url.searchParams.get('month');
+  const dates = month
+    ? [month]
+    : [url.searchParams.get('from'), url.searchParams.get('to')].filter(Boolean);
+
+  const range = parseDateRange(dates);
+  if (range.error) {
+    return sendError(res, 400, range.error);
+  }
+
+  const [file] = await buildExport(user.id, { dataset, format, ...range });
+
+  res.writeHead(200, {
+    'Content-Type': `${file.contentType}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${file.filename}"`,
+  });
+  res.end(file.content);
+
+  console.log(`📤 Export API: ${file.filename} (${file.rows} rows) for user ${user.id}`);
+}
+
+/**
+ * Start the export endpoint (no-op unless config.exports.httpPort is set)
+ */
+function startExportServer() {
+  if (!config.exports.httpPort || server) {
+    return;
+  }
+
+  server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('❌ Export API error:', error);
+      if (!res.headersSent) {
+        sendError(res, 500, 'Internal server error');
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  // A port already in use (or not allowed) disables exports, not the bot
+  server.on('error', (error) => {
+    console.error(`❌ Export API could not listen on port ${config.exports.httpPort}:`, error.message);
+    server = null;
+  });
+
+  server.listen(config.exports.httpPort, () => {
+    console.log(`📤 Export API listening on port ${config.exports.httpPort}\n`);
+  });
+}
+
+/**
+ * Stop the export endpoint
+ */
+function stopExportServer() {
+  if (server) {
+    server.close();
+    server = null;
+    console.log('⏹️  Export API stopped');
+  }
+}
+
+module.exports = {
+  startExportServer,
+  stopExportServer,
+};
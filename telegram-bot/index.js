@@ -8,6 +8,7 @@ require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 const bot = require('./bot');
 const { startMonitoring } = require('./monitor');
 const { startPoolDiscoveryMonitor } = require('./pool-discovery-monitor');
+const { startExportServer } = require('./export-server');
 const config = require('./config');
 
 console.log('\n╔═══════════════════════════════════════════════╗');
@@ -31,5 +32,8 @@ if (config.features.poolDiscoveryMonitoring) {
   startPoolDiscoveryMonitor(bot);
 }
 
+// Start the HTTP export endpoint (only when EXPORT_API_PORT is set)
+startExportServer();
+
 console.log('✅ All services running!');
 console.log('   Press Ctrl+C to stop\n');
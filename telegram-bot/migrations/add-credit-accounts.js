@@ -0,0 +1,83 @@
+/**
+ * Database Migration: Add credit account columns to positions
+ *
+ * Leveraged positions are detected from Gearbox credit accounts. This migration
+ * adds the columns used to remember which credit account backs a position and
+ * how much it owes to the pool.
+ *
+ * Run: node migrations/add-credit-accounts.js
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+const COLUMNS = [
+  { name: 'credit_account', type: 'TEXT' },
+  { name: 'debt', type: 'REAL' },
+];
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: add-credit-accounts\n');
+
+      db.serialize(() => {
+        for (const column of COLUMNS) {
+          db.run(`ALTER TABLE positions ADD COLUMN ${column.name} ${column.type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+              console.error(`❌ Error adding ${column.name} column:`, err.message);
+            } else if (!err) {
+              console.log(`✅ Added ${column.name} column to positions table`);
+            } else {
+              console.log(`ℹ️  ${column.name} column already exists`);
+            }
+          });
+        }
+
+        // Verify columns exist
+        db.all(`PRAGMA table_info(positions)`, (err, rows) => {
+          if (err) {
+            console.error('❌ Error verifying positions table:', err.message);
+            reject(err);
+            return;
+          }
+
+          const missing = COLUMNS.filter(column => !rows.some(row => row.name === column.name));
+          if (missing.length > 0) {
+            reject(new Error(`Missing columns: ${missing.map(c => c.name).join(', ')}`));
+            return;
+          }
+
+          db.close((err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            console.log('\n✅ Migration completed successfully!');
+            resolve();
+          });
+        });
+      });
+    });
+  });
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
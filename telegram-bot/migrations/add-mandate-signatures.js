@@ -0,0 +1,159 @@
+/**
+ * Database Migration: Add EIP-712 signatures to mandates
+ *
+ * Mandates are signed as typed data (utils/mandate-typed-data.js) by one of
+ * the user's wallets; the signer, signature and signed terms are stored so
+ * activation can be audited. Mandates "signed" before this migration have no
+ * signature to audit, so they are set back to unsigned (and stop being
+ * monitored) and their owners are asked to sign them with a wallet.
+ *
+ * Run: node migrations/add-mandate-signatures.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../../.env') });
+const sqlite3 = require('sqlite3').verbose();
+const TelegramBot = require('node-telegram-bot-api');
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+const COLUMNS = [
+  { name: 'signer', type: 'TEXT' },
+  { name: 'signature', type: 'TEXT' },
+  { name: 'signed_terms', type: 'TEXT' },
+];
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: add-mandate-signatures\n');
+
+      db.serialize(() => {
+        for (const column of COLUMNS) {
+          db.run(`ALTER TABLE mandates ADD COLUMN ${column.name} ${column.type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+              console.error(`❌ Error adding ${column.name} column:`, err.message);
+            } else if (!err) {
+              console.log(`✅ Added ${column.name} column to mandates table`);
+            } else {
+              console.log(`ℹ️  ${column.name} column already exists`);
+            }
+          });
+        }
+
+        // Verify columns exist
+        db.all(`PRAGMA table_info(mandates)`, (err, rows) => {
+          if (err) {
+            console.error('❌ Error verifying mandates table:', err.message);
+            reject(err);
+            return;
+          }
+
+          const missing = COLUMNS.filter(column => !rows.some(row => row.name === column.name));
+          if (missing.length > 0) {
+            reject(new Error(`Missing columns: ${missing.map(c => c.name).join(', ')}`));
+            return;
+          }
+
+          // Legacy signed mandates (flag set, no signature)
+          db.all(
+            `SELECT m.id, m.asset, m.min_apy, u.telegram_chat_id
+             FROM mandates m
+             JOIN users u ON m.user_id = u.id
+             WHERE m.signed = 1 AND m.signature IS NULL`,
+            (err, unsigned) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+
+              db.run(`UPDATE mandates SET signed = 0, signed_at = NULL WHERE signed = 1 AND signature IS NULL`, function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                console.log(`✅ Unsigned ${this.changes} mandate(s) signed without a signature`);
+
+                db.close((err) => {
+                  if (err) {
+                    reject(err);
+                    return;
+                  }
+
+                  askToResign(unsigned)
+                    .then(() => {
+                      console.log('\n✅ Migration completed successfully!');
+                      resolve();
+                    })
+                    .catch(reject);
+                });
+              });
+            }
+          );
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Message each user whose mandates were unsigned, with a Sign button per mandate
+ * @param {Array} mandates - Unsigned mandates with their owner's telegram_chat_id
+ */
+async function askToResign(mandates) {
+  if (mandates.length === 0) {
+    return;
+  }
+
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    console.log('⚠️  TELEGRAM_BOT_TOKEN not set, users were not asked to re-sign. Their alerts show 🔏 Sign in /list.');
+    return;
+  }
+
+  const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
+
+  const byChat = new Map();
+  for (const mandate of mandates) {
+    byChat.set(mandate.telegram_chat_id, [...(byChat.get(mandate.telegram_chat_id) || []), mandate]);
+  }
+
+  for (const [chatId, userMandates] of byChat) {
+    try {
+      await bot.sendMessage(
+        chatId,
+        `🔏 *Please Re-sign Your Alerts*\n\n` +
+        `Alerts are now signed with your wallet (EIP-712) so every activation can be verified. ` +
+        `${userMandates.length} of your alerts were activated before that and are paused until you sign them.`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: userMandates.map(m => [
+              { text: `🔏 Sign ${m.asset} (${m.min_apy}%+)`, callback_data: `sign_${m.id}` }
+            ])
+          }
+        }
+      );
+      console.log(`📨 Asked chat ${chatId} to re-sign ${userMandates.length} alert(s)`);
+    } catch (error) {
+      console.error(`❌ Could not message chat ${chatId}:`, error.message);
+    }
+  }
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
@@ -0,0 +1,86 @@
+/**
+ * Database Migration: Add APY trend conditions to mandates
+ *
+ * Besides the flat min APY, mandates can require an N-day average APY, APY
+ * stability within ±Y points over N days, or a rise since yesterday, checked
+ * against apy_history. NULL means the condition is off.
+ *
+ * Run: node migrations/add-mandate-trends.js
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+const COLUMNS = [
+  { name: 'min_avg_apy', type: 'REAL' },
+  { name: 'avg_apy_days', type: 'INTEGER' },
+  { name: 'max_apy_swing', type: 'REAL' },
+  { name: 'stable_days', type: 'INTEGER' },
+  { name: 'min_apy_rise', type: 'REAL' },
+];
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: add-mandate-trends\n');
+
+      db.serialize(() => {
+        for (const column of COLUMNS) {
+          db.run(`ALTER TABLE mandates ADD COLUMN ${column.name} ${column.type}`, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+              console.error(`❌ Error adding ${column.name} column:`, err.message);
+            } else if (!err) {
+              console.log(`✅ Added ${column.name} column to mandates table`);
+            } else {
+              console.log(`ℹ️  ${column.name} column already exists`);
+            }
+          });
+        }
+
+        // Verify columns exist
+        db.all(`PRAGMA table_info(mandates)`, (err, rows) => {
+          if (err) {
+            console.error('❌ Error verifying mandates table:', err.message);
+            reject(err);
+            return;
+          }
+
+          const missing = COLUMNS.filter(column => !rows.some(row => row.name === column.name));
+          if (missing.length > 0) {
+            reject(new Error(`Missing columns: ${missing.map(c => c.name).join(', ')}`));
+            return;
+          }
+
+          db.close((err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            console.log('\n✅ Migration completed successfully!');
+            resolve();
+          });
+        });
+      });
+    });
+  });
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
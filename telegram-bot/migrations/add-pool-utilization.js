@@ -0,0 +1,95 @@
+/**
+ * Database Migration: Add pool utilization to APY history
+ *
+ * Each apy_history snapshot now records the pool's utilization (borrowed /
+ * expected liquidity, 0-1); rollups keep its average and peak. NULL means it
+ * couldn't be read. liquidity_notifications is created by database.js on
+ * startup.
+ *
+ * Run: node migrations/add-pool-utilization.js
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+const COLUMNS = [
+  { table: 'apy_history', name: 'utilization', type: 'REAL' },
+  { table: 'apy_history_rollups', name: 'utilization_avg', type: 'REAL' },
+  { table: 'apy_history_rollups', name: 'utilization_max', type: 'REAL' },
+];
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: add-pool-utilization\n');
+
+      db.serialize(() => {
+        for (const column of COLUMNS) {
+          db.run(`ALTER TABLE ${column.table} ADD COLUMN ${column.name} ${column.type}`, (err) => {
+            if (err && err.message.includes('no such table')) {
+              console.log(`ℹ️  ${column.table} table doesn't exist yet (database.js creates it with ${column.name})`);
+            } else if (err && !err.message.includes('duplicate column')) {
+              console.error(`❌ Error adding ${column.name} column:`, err.message);
+            } else if (!err) {
+              console.log(`✅ Added ${column.name} column to ${column.table} table`);
+            } else {
+              console.log(`ℹ️  ${column.table}.${column.name} column already exists`);
+            }
+          });
+        }
+
+        // Verify columns exist
+        db.all(
+          `SELECT m.name as table_name, c.name
+           FROM sqlite_master m, pragma_table_info(m.name) c
+           WHERE m.type = 'table' AND m.name IN ('apy_history', 'apy_history_rollups')`,
+          (err, rows) => {
+            if (err) {
+              console.error('❌ Error verifying APY history tables:', err.message);
+              reject(err);
+              return;
+            }
+
+            const tables = new Set(rows.map(row => row.table_name));
+            const missing = COLUMNS.filter(column =>
+              tables.has(column.table) && !rows.some(row => row.table_name === column.table && row.name === column.name)
+            );
+            if (missing.length > 0) {
+              reject(new Error(`Missing columns: ${missing.map(c => `${c.table}.${c.name}`).join(', ')}`));
+              return;
+            }
+
+            db.close((err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              console.log('\n✅ Migration completed successfully!');
+              resolve();
+            });
+          }
+        );
+      });
+    });
+  });
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
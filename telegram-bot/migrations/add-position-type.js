@@ -0,0 +1,135 @@
+/**
+ * Database Migration: Lending and leveraged positions
+ *
+ * LP shares and credit accounts in the same pool used to share one position
+ * row, so the credit account's equity and debt were reported at the pool's
+ * supply APY. They are now separate rows told apart by position_type
+ * ('lending' or 'leveraged'). This migration rebuilds the positions table
+ * (the UNIQUE constraint gains position_type, which SQLite can't ALTER in
+ * place) and marks rows with a credit account as leveraged; the next
+ * position scan splits out their LP shares and sets their net APY.
+ *
+ * Run after add-price-alerts.js: node migrations/add-position-type.js
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function migrate(db) {
+  const columns = await all(db, `PRAGMA table_info(positions)`);
+  if (columns.some(column => column.name === 'position_type')) {
+    console.log('ℹ️  positions.position_type already exists');
+    return;
+  }
+
+  const list = columns.map(column => column.name).join(', ');
+
+  await run(db, 'BEGIN TRANSACTION');
+  try {
+    await run(db, `
+      CREATE TABLE positions_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        wallet_address TEXT,
+        pool_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        underlying_token TEXT NOT NULL,
+        position_type TEXT NOT NULL DEFAULT 'lending',
+
+        shares REAL NOT NULL,
+        deposited_amount REAL NOT NULL,
+        current_value REAL,
+        realized_pnl REAL,
+
+        initial_supply_apy REAL NOT NULL,
+        current_supply_apy REAL,
+        initial_borrow_apy REAL,
+        current_borrow_apy REAL,
+        net_apy REAL,
+        leverage REAL DEFAULT 1,
+        health_factor REAL,
+        credit_account TEXT,
+        debt REAL,
+        collateral_tokens TEXT,
+
+        last_apy_check DATETIME,
+        deposited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        active BOOLEAN DEFAULT 1,
+
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, wallet_address, pool_address, chain_id, position_type)
+      )
+    `);
+    await run(db, `INSERT INTO positions_new (${list}) SELECT ${list} FROM positions`);
+    await run(db, `UPDATE positions_new SET position_type = 'leveraged' WHERE credit_account IS NOT NULL`);
+
+    await run(db, `DROP TABLE positions`);
+    await run(db, `ALTER TABLE positions_new RENAME TO positions`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_positions_active ON positions(active, user_id)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_positions_apy_check ON positions(last_apy_check)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_positions_health_factor ON positions(health_factor)`);
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK');
+    throw error;
+  }
+
+  console.log('✅ Rebuilt positions table with position_type');
+}
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: add-position-type\n');
+
+      migrate(db)
+        .then(() => {
+          db.close((err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            console.log('\n✅ Migration completed successfully!');
+            resolve();
+          });
+        })
+        .catch((error) => {
+          console.error('❌ Error migrating positions:', error.message);
+          db.close(() => reject(error));
+        });
+    });
+  });
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
@@ -0,0 +1,175 @@
+/**
+ * Database Migration: Multiple wallets per user
+ *
+ * Users can attach several labeled wallets (treasury, personal...) instead of
+ * the single users.wallet_address. This migration:
+ * - creates the user_wallets table and copies each existing wallet_address
+ *   into it (label "Main")
+ * - rebuilds the positions table with a wallet_address column, so the same
+ *   pool can be tracked separately for each wallet (the UNIQUE constraint
+ *   changes, which SQLite can't ALTER in place)
+ *
+ * Run after add-credit-accounts.js: node migrations/add-user-wallets.js
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { getAddress } = require('viem');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+const POSITION_COLUMNS = [
+  'id', 'user_id', 'pool_address', 'chain_id', 'underlying_token',
+  'shares', 'deposited_amount', 'current_value',
+  'initial_supply_apy', 'current_supply_apy', 'initial_borrow_apy', 'current_borrow_apy',
+  'net_apy', 'leverage', 'health_factor', 'credit_account', 'debt',
+  'last_apy_check', 'deposited_at', 'last_updated', 'active',
+];
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Checksum a legacy address; keep it as-is if it isn't a valid address
+ */
+function checksum(address) {
+  try {
+    return getAddress(address);
+  } catch (error) {
+    return address;
+  }
+}
+
+async function migrate(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS user_wallets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      address TEXT NOT NULL,
+      label TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(user_id, address)
+    )
+  `);
+  console.log('✅ user_wallets table ready');
+
+  const users = await all(db, `SELECT id, wallet_address FROM users WHERE wallet_address IS NOT NULL AND wallet_address != ''`);
+  for (const user of users) {
+    await run(db, `INSERT OR IGNORE INTO user_wallets (user_id, address, label) VALUES (?, ?, 'Main')`, [user.id, checksum(user.wallet_address)]);
+  }
+  console.log(`✅ Copied ${users.length} existing wallets`);
+
+  const columns = await all(db, `PRAGMA table_info(positions)`);
+  if (columns.some(column => column.name === 'wallet_address')) {
+    console.log('ℹ️  positions.wallet_address already exists');
+    return;
+  }
+
+  const list = POSITION_COLUMNS.join(', ');
+
+  await run(db, 'BEGIN TRANSACTION');
+  try {
+    await run(db, `
+      CREATE TABLE positions_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        wallet_address TEXT,
+        pool_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        underlying_token TEXT NOT NULL,
+
+        shares REAL NOT NULL,
+        deposited_amount REAL NOT NULL,
+        current_value REAL,
+
+        initial_supply_apy REAL NOT NULL,
+        current_supply_apy REAL,
+        initial_borrow_apy REAL,
+        current_borrow_apy REAL,
+        net_apy REAL,
+        leverage REAL DEFAULT 1,
+        health_factor REAL,
+        credit_account TEXT,
+        debt REAL,
+
+        last_apy_check DATETIME,
+        deposited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        active BOOLEAN DEFAULT 1,
+
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, wallet_address, pool_address, chain_id)
+      )
+    `);
+    await run(db, `INSERT INTO positions_new (${list}) SELECT ${list} FROM positions`);
+
+    // Existing positions belong to the user's single legacy wallet
+    for (const user of users) {
+      await run(db, `UPDATE positions_new SET wallet_address = ? WHERE user_id = ?`, [checksum(user.wallet_address), user.id]);
+    }
+
+    await run(db, `DROP TABLE positions`);
+    await run(db, `ALTER TABLE positions_new RENAME TO positions`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_positions_active ON positions(active, user_id)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_positions_apy_check ON positions(last_apy_check)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_positions_health_factor ON positions(health_factor)`);
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK');
+    throw error;
+  }
+
+  console.log('✅ Rebuilt positions table with wallet_address');
+}
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: add-user-wallets\n');
+
+      migrate(db)
+        .then(() => {
+          db.close((err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            console.log('\n✅ Migration completed successfully!');
+            resolve();
+          });
+        })
+        .catch((error) => {
+          console.error('❌ Error migrating wallets:', error.message);
+          db.close(() => reject(error));
+        });
+    });
+  });
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
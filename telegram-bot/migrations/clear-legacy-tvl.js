@@ -0,0 +1,102 @@
+/**
+ * Database Migration: Clear legacy TVL from APY history
+ *
+ * apy_history.tvl used to hold the Gearbox API's TVL and now holds the pool's
+ * on-chain totalAssets (underlying units). Mixed rows made TVL drops, the
+ * risk model's TVL trend and the APY chart compare different units, e.g. a
+ * false near-100% drop. This migration adds apy_history.tvl_source (set to
+ * 'totalAssets' by new snapshots) and clears the TVL of every older snapshot
+ * and rollup, since their unit can't be told apart. APY and utilization are
+ * kept; TVL history starts again from the next scan.
+ *
+ * Run: node migrations/clear-legacy-tvl.js
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', 'gearbox_bot.db');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function migrate(db) {
+  const columns = await all(db, `PRAGMA table_info(apy_history)`);
+  if (columns.length === 0) {
+    console.log(`ℹ️  apy_history table doesn't exist yet (database.js creates it with tvl_source)`);
+    return;
+  }
+  if (columns.some(column => column.name === 'tvl_source')) {
+    console.log('ℹ️  apy_history.tvl_source already exists, legacy TVL was already cleared');
+    return;
+  }
+
+  const rollups = await all(db, `PRAGMA table_info(apy_history_rollups)`);
+
+  await run(db, 'BEGIN TRANSACTION');
+  try {
+    await run(db, `ALTER TABLE apy_history ADD COLUMN tvl_source TEXT`);
+    await run(db, `UPDATE apy_history SET tvl = NULL`);
+    if (rollups.length > 0) {
+      await run(db, `UPDATE apy_history_rollups SET tvl_avg = NULL, tvl_min = NULL, tvl_max = NULL`);
+    }
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK');
+    throw error;
+  }
+
+  console.log('✅ Added tvl_source column to apy_history table');
+  console.log('✅ Cleared legacy TVL from APY history');
+}
+
+function runMigration() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      console.log('✅ Connected to database:', DB_PATH);
+      console.log('🔄 Running migration: clear-legacy-tvl\n');
+
+      migrate(db)
+        .then(() => {
+          db.close((err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            console.log('\n✅ Migration completed successfully!');
+            resolve();
+          });
+        })
+        .catch((error) => {
+          console.error('❌ Error clearing legacy TVL:', error.message);
+          db.close(() => reject(error));
+        });
+    });
+  });
+}
+
+// Run migration
+if (require.main === module) {
+  runMigration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration };
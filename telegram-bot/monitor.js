@@ -6,6 +6,14 @@
 const db = require('./database');
 const bot = require('./bot');
 const { queryFarmOpportunities } = require('./query-opportunities');
+const { findMatches } = require('./utils/mandate-matcher');
+const { formatRiskSummary } = require('./utils/pool-risk');
+const { hasTrendConditions, evaluateTrend } = require('./utils/apy-trends');
+const blockchain = require('./utils/blockchain');
+const gateway = require('./utils/notification-gateway');
+const { sendDueDigests } = require('./utils/digest-builder');
+const { formatDate, formatTime } = require('./utils/timezone');
+const config = require('./config');
 
 // Monitoring interval (15 minutes)
 const MONITOR_INTERVAL = 15 * 60 * 1000;
@@ -14,12 +22,169 @@ const MONITOR_INTERVAL = 15 * 60 * 1000;
 let lastScanTime = null;
 let scanCount = 0;
 
+/**
+ * Snapshot the lending pools of opportunities into apy_history
+ * Trend conditions read apy_history, which otherwise only covers held pools.
+ * Held pools are already snapshotted on each position scan, so a pool with a
+ * snapshot in the last half interval is skipped.
+ * @param {Array} opportunities - Opportunities from queryFarmOpportunities()
+ */
+async function recordPoolSnapshots(opportunities) {
+  for (const opportunity of opportunities) {
+    if (opportunity.strategyType !== 'passive_lending') {
+      continue;
+    }
+
+    try {
+      const recent = await db.wasAPYRecordedRecently(opportunity.pool_address, opportunity.chain_id, MONITOR_INTERVAL / 60000 / 2);
+      if (recent) {
+        continue;
+      }
+
+      const tvl = await blockchain.getPoolTVL(opportunity.pool_address, opportunity.chain_id);
+
+      await db.recordAPYHistory(
+        opportunity.pool_address,
+        opportunity.chain_id,
+        opportunity.supplyAPY,
+        null,
+        tvl.tvlFormatted,
+        opportunity.riskInputs ? opportunity.riskInputs.utilization : null
+      );
+    } catch (error) {
+      console.error(`      ❌ Error recording APY snapshot of ${opportunity.pool_name}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Best match that also meets the mandate's APY trend conditions
+ * @param {Array} matches - From findMatches(), best first
+ * @param {Object} mandate - Mandate row
+ * @param {Map} historyCache - Pool APY history already loaded this scan
+ * @returns {Promise<Object|null>} { opportunity, quote, trend } (trend is null without conditions)
+ */
+async function pickTrendMatch(matches, mandate, historyCache) {
+  if (!hasTrendConditions(mandate)) {
+    return { ...matches[0], trend: null };
+  }
+
+  for (const match of matches) {
+    const { opportunity, quote } = match;
+
+    // apy_history only holds pool supply APYs
+    if (opportunity.strategyType !== 'passive_lending') {
+      continue;
+    }
+
+    const poolKey = `${opportunity.chain_id}-${opportunity.pool_address.toLowerCase()}`;
+    if (!historyCache.has(poolKey)) {
+      historyCache.set(poolKey, await db.getAPYHistory(opportunity.pool_address, opportunity.chain_id, config.mandateTrends.maxDays));
+    }
+
+    const trend = evaluateTrend(mandate, historyCache.get(poolKey), quote.apy);
+    if (trend.met) {
+      return { ...match, trend };
+    }
+
+    const failed = trend.checks.filter(check => !check.met).map(check => check.detail).join('; ');
+    console.log(`      📉 ${opportunity.strategy} (${quote.apy.toFixed(2)}%) misses mandate #${mandate.id} trend: ${failed}`);
+  }
+
+  return null;
+}
+
+/**
+ * Expire stale mandates and remind users about mandates expiring soon
+ */
+async function checkMandateExpiry() {
+  try {
+    const expired = await db.expireMandates();
+
+    for (const mandate of expired) {
+      console.log(`   ⌛ Mandate #${mandate.id} expired`);
+
+      await gateway.deliver(bot, {
+        userId: mandate.user_id,
+        chatId: mandate.telegram_chat_id,
+        message:
+          `⌛ *Alert Expired*\n\n` +
+          `Your *${mandate.asset}* alert (min ${mandate.min_apy}% APY) has expired and is no longer monitored.`,
+        options: {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: `🔄 Renew for ${config.mandates.durationDays} days`, callback_data: `renew_${mandate.id}` }
+              ]
+            ]
+          }
+        },
+        kind: 'mandate_expiry',
+        summary: `${mandate.asset} alert expired — renew it from /resume`,
+        dedupeKey: `expired_${mandate.id}`,
+      });
+    }
+
+    const expiring = await db.getMandatesExpiringSoon(config.mandates.expiryReminderDays);
+
+    for (const mandate of expiring) {
+      const daysLeft = Math.max(1, Math.ceil((new Date(mandate.expires_at) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+      try {
+        const status = await gateway.deliver(bot, {
+          userId: mandate.user_id,
+          chatId: mandate.telegram_chat_id,
+          message:
+            `⏰ *Your alert expires in ${daysLeft} day${daysLeft > 1 ? 's' : ''}*\n\n` +
+            `*${mandate.asset}* (min ${mandate.min_apy}% APY) stops being monitored on ${formatDate(new Date(mandate.expires_at), mandate.timezone)}.\n\n` +
+            `Renew?`,
+          options: {
+            parse_mode: 'Markdown',
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  { text: `🔄 Renew for ${config.mandates.durationDays} days`, callback_data: `renew_${mandate.id}` }
+                ]
+              ]
+            }
+          },
+          kind: 'mandate_expiry',
+          summary: `${mandate.asset} alert expires in ${daysLeft} day${daysLeft > 1 ? 's' : ''}`,
+          dedupeKey: `expiring_${mandate.id}`,
+        });
+
+        if (!gateway.isDelivered(status)) {
+          continue;
+        }
+
+        await db.markExpiryReminderSent(mandate.id);
+        console.log(`   ⏰ Expiry reminder sent for mandate #${mandate.id}`);
+      } catch (error) {
+        console.error(`      ❌ Error sending expiry reminder:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error checking mandate expiry:', error.message);
+  }
+}
+
 async function checkAllMandates() {
   try {
     scanCount++;
     const startTime = Date.now();
     console.log(`\n🔍 [SCAN #${scanCount}] Starting mandate check at ${new Date().toLocaleTimeString()}`);
 
+    // Retire expired mandates before matching so they stop firing
+    await checkMandateExpiry();
+
+    // Deliver yesterday's over-budget alerts and alerts held during quiet hours
+    await gateway.flushOverflow(bot);
+    await gateway.flushQuietHours(bot);
+
+    // Send daily/weekly digests that are due
+    await sendDueDigests(bot);
+
     // Get all active signed mandates
     const activeMandates = await db.getActiveMandates();
     console.log(`   Found ${activeMandates.length} active mandates to check`);
@@ -41,6 +206,7 @@ async function checkAllMandates() {
     console.log(`   Grouped into ${Object.keys(mandatesByAsset).length} asset types:`, Object.keys(mandatesByAsset).join(', '));
 
     let totalNotificationsSent = 0;
+    const historyCache = new Map();
 
     // Check each asset type
     for (const [asset, mandates] of Object.entries(mandatesByAsset)) {
@@ -60,60 +226,66 @@ async function checkAllMandates() {
           continue;
         }
 
+        // Trend conditions need history of every pool they may match, held or not
+        if (mandates.some(hasTrendConditions)) {
+          await recordPoolSnapshots(opportunities);
+        }
+
         // Check each mandate against opportunities
         for (const mandate of mandates) {
-          // Filter opportunities that meet mandate criteria
-          const matchingOpportunities = opportunities.filter(opp => {
-            const oppAPY = opp.projAPY || opp.apy || 0;
-            // Check if pool supports leverage up to the mandate's max
-            const poolMaxLeverage = opp.maxLeverage || 1;
-
-            return (
-              oppAPY >= mandate.min_apy &&
-              poolMaxLeverage >= 1 // Pool must support at least basic deposits
-            );
-          });
+          // Filter opportunities that meet mandate criteria (APY at allowed leverage, risk, capacity)
+          const matches = findMatches(opportunities, mandate);
 
-          if (matchingOpportunities.length === 0) {
-            console.log(`      ℹ️  No matches for mandate #${mandate.id} (min ${mandate.min_apy}% APY)`);
+          if (matches.length === 0) {
+            console.log(`      ℹ️  No matches for mandate #${mandate.id} (min ${mandate.min_apy}% APY, ≤${mandate.max_leverage}x, ${mandate.risk} risk)`);
             continue;
           }
 
-          // Sort by highest APY
-          matchingOpportunities.sort((a, b) => {
-            const apyA = a.projAPY || a.apy || 0;
-            const apyB = b.projAPY || b.apy || 0;
-            return apyB - apyA;
-          });
+          const best = await pickTrendMatch(matches, mandate, historyCache);
 
-          const bestMatch = matchingOpportunities[0];
-          const bestAPY = bestMatch.projAPY || bestMatch.apy;
-          const opportunityId = bestMatch.pool_address || bestMatch.id || `${bestMatch.strategy}_${asset}`;
+          if (!best) {
+            console.log(`      ℹ️  ${matches.length} matches for mandate #${mandate.id}, none with the required APY trend`);
+            continue;
+          }
+
+          const { opportunity: bestMatch, quote, trend } = best;
+          const bestAPY = quote.apy;
+          // Leveraged strategies share the pool address, track them by strategy id instead
+          const opportunityId = bestMatch.strategyType === 'leveraged_credit_account'
+            ? bestMatch.id
+            : bestMatch.pool_address || bestMatch.id || `${bestMatch.strategy}_${asset}`;
           const chainId = bestMatch.chain_id || 1; // Default to Ethereum mainnet if not specified
           const poolAddress = bestMatch.pool_address;
+          const strategyName = quote.leverage > 1
+            ? `${bestMatch.collateral_token || bestMatch.pool_name} ${quote.leverage.toFixed(1)}x on ${bestMatch.pool_name} (${bestMatch.chain})`
+            : bestMatch.strategy || bestMatch.pool_name;
 
           // Check if we already notified about this opportunity recently
           const wasNotified = await db.wasRecentlyNotified(mandate.id, opportunityId, 24);
 
           if (wasNotified) {
-            console.log(`      ⏭️  Already notified about ${bestMatch.strategy} (${bestAPY.toFixed(2)}%) in last 24h`);
+            console.log(`      ⏭️  Already notified about ${strategyName} (${bestAPY.toFixed(2)}%) in last 24h`);
             continue;
           }
 
           // 🚨 SEND NOTIFICATION 🚨
-          console.log(`      🎯 MATCH FOUND! Mandate #${mandate.id} → ${bestMatch.strategy} (${bestAPY.toFixed(2)}% APY)`);
+          console.log(`      🎯 MATCH FOUND! Mandate #${mandate.id} → ${strategyName} (${bestAPY.toFixed(2)}% APY)`);
 
           try {
-            await bot.sendMessage(
-              mandate.telegram_chat_id,
-              `🚨 *New Opportunity Alert!*\n\n` +
-              `💎 *${bestMatch.strategy || bestMatch.pool_name}*\n` +
-              `📈 *APY:* ${bestAPY.toFixed(2)}%\n` +
-              `🌐 *Chain:* ${bestMatch.chain}\n` +
-              `💰 *TVL:* ${bestMatch.tvl ? '$' + (bestMatch.tvl / 1e6).toFixed(2) + 'M' : 'N/A'}\n\n` +
-              `This matches your *${mandate.asset}* alert (min ${mandate.min_apy}% APY).\n\n` +
-              `_Found in scan #${scanCount} at ${new Date().toLocaleTimeString()}_`,
-              {
+            const status = await gateway.deliver(bot, {
+              userId: mandate.user_id,
+              chatId: mandate.telegram_chat_id,
+              message:
+                `🚨 *New Opportunity Alert!*\n\n` +
+                `💎 *${strategyName}*\n` +
+                `📈 *APY:* ${bestAPY.toFixed(2)}%${quote.leverage > 1 ? ` (net at ${quote.leverage.toFixed(1)}x${quote.healthFactor ? `, HF ${quote.healthFactor.toFixed(2)}` : ''})` : ''}\n` +
+                (trend ? `📊 *Trend:* ${trend.checks.map(check => check.detail).join(' · ')}\n` : '') +
+                `⚖️ *Risk:* ${formatRiskSummary(quote)}\n` +
+                `🌐 *Chain:* ${bestMatch.chain}\n` +
+                `💰 *TVL:* ${bestMatch.tvl ? '$' + (bestMatch.tvl / 1e6).toFixed(2) + 'M' : 'N/A'}\n\n` +
+                `This matches your *${mandate.asset}* alert (min ${mandate.min_apy}% APY, up to ${mandate.max_leverage}x, ${mandate.risk} risk).\n\n` +
+                `_Found in scan #${scanCount} at ${formatTime(new Date(), mandate.timezone)}_`,
+              options: {
                 parse_mode: 'Markdown',
                 reply_markup: {
                   inline_keyboard: [
@@ -122,12 +294,20 @@ async function checkAllMandates() {
                       { text: '📊 More Details', callback_data: `details_${opportunityId}` }
                     ],
                     [
+                      { text: '💸 Deposit', callback_data: `approve_${poolAddress}` },
                       { text: '⏸️ Pause Mandate', callback_data: `pause_${mandate.id}` }
                     ]
                   ]
                 }
-              }
-            );
+              },
+              kind: 'opportunity',
+              summary: `${strategyName} — ${bestAPY.toFixed(2)}% APY`,
+              dedupeKey: `opportunity_${mandate.id}_${opportunityId}`,
+            });
+
+            if (!gateway.isDelivered(status)) {
+              continue;
+            }
 
             // Log notification to database
             await db.logNotification(
@@ -135,11 +315,15 @@ async function checkAllMandates() {
               mandate.user_id,
               opportunityId,
               bestAPY,
-              bestMatch.strategy || bestMatch.pool_name
+              strategyName
             );
 
-            totalNotificationsSent++;
-            console.log(`      ✅ Notification sent to user ${mandate.user_id}`);
+            if (status === 'digest') {
+              console.log(`      📰 Added to digest for user ${mandate.user_id}`);
+            } else {
+              totalNotificationsSent++;
+              console.log(`      ✅ Notification sent to user ${mandate.user_id}`);
+            }
           } catch (notifyError) {
             console.error(`      ❌ Error sending notification:`, notifyError.message);
           }
@@ -190,7 +374,7 @@ process.on('SIGTERM', () => {
 });
 
 // Export for use in main process
-module.exports = { startMonitoring, checkAllMandates };
+module.exports = { startMonitoring, checkAllMandates, checkMandateExpiry };
 
 // If run directly (not imported), start monitoring
 if (require.main === module) {
@@ -15,6 +15,10 @@
 const poolFetcher = require('./utils/pool-fetcher');
 const database = require('./database');
 const config = require('./config');
+const { buildLeveragedOpportunities } = require('./query-opportunities');
+const { findMatches } = require('./utils/mandate-matcher');
+const { getPoolRiskInputs, rateStrategy, formatRiskSummary } = require('./utils/pool-risk');
+const gateway = require('./utils/notification-gateway');
 
 let monitorInterval = null;
 let isRunning = false;
@@ -163,9 +167,20 @@ async function notifyUsersAboutNewPools(bot, newPools) {
 
     // Check each new pool against mandates
     for (const pool of newPools) {
-      for (const mandate of mandates) {
-        // Check if pool matches mandate criteria
-        if (!matchesMandate(pool, mandate)) {
+      const poolMandates = mandates.filter(mandate =>
+        mandate.asset.toUpperCase() === pool.underlyingToken.toUpperCase()
+      );
+
+      if (poolMandates.length === 0) {
+        continue;
+      }
+
+      const opportunities = await buildPoolOpportunities(pool);
+
+      for (const mandate of poolMandates) {
+        // Check if pool (lending or one of its leveraged strategies) matches mandate criteria
+        const matches = findMatches(opportunities, mandate);
+        if (matches.length === 0) {
           continue;
         }
 
@@ -188,8 +203,11 @@ async function notifyUsersAboutNewPools(bot, newPools) {
           continue;
         }
 
-        // Send notification
-        await sendNewPoolNotification(bot, mandate.telegram_chat_id, pool, mandate);
+        // Send notification (held if the user is over their daily budget)
+        const status = await sendNewPoolNotification(bot, mandate, pool, matches[0]);
+        if (!gateway.isDelivered(status)) {
+          continue;
+        }
 
         // Log notification
         await database.logPoolNotification(
@@ -199,6 +217,11 @@ async function notifyUsersAboutNewPools(bot, newPools) {
           mandate.id
         );
 
+        if (status === 'digest') {
+          console.log(`   📰 Added ${pool.name} to digest for user ${mandate.telegram_chat_id}`);
+          continue;
+        }
+
         notificationsSent++;
         console.log(`   ✅ Notified user ${mandate.telegram_chat_id} about ${pool.name}`);
 
@@ -215,46 +238,76 @@ async function notifyUsersAboutNewPools(bot, newPools) {
 }
 
 /**
- * Check if a pool matches mandate criteria
+ * Turn a discovered pool into opportunities the mandate matcher understands
+ * @param {Object} pool - Pool from pool-fetcher
+ * @returns {Promise<Array>} Lending opportunity plus leveraged strategies
  */
-function matchesMandate(pool, mandate) {
-  // Match underlying asset (e.g., USDC, WETH, USDT)
-  if (mandate.asset.toUpperCase() !== pool.underlyingToken.toUpperCase()) {
-    return false;
-  }
+async function buildPoolOpportunities(pool) {
+  const riskInputs = await getPoolRiskInputs({
+    address: pool.address,
+    chainId: pool.chainId,
+    symbol: pool.underlyingToken,
+  });
 
-  // Check minimum APY
-  if (pool.apy < mandate.min_apy) {
-    return false;
-  }
+  const lending = {
+    id: `${pool.underlyingToken.toLowerCase()}_${pool.chainKey}_${pool.address.slice(2, 8)}`,
+    pool_address: pool.address,
+    pool_name: pool.name,
+    strategy: `${pool.name} on ${pool.chainName}`,
+    strategyType: 'passive_lending',
+    chain: pool.chainName,
+    chain_id: pool.chainId,
+    projAPY: pool.apy,
+    apy: pool.apy,
+    supplyAPY: pool.apy,
+    leverage: 1,
+    maxLeverage: 1,
+    tvl: pool.tvl,
+    capacity: null,
+    ...rateStrategy(riskInputs, pool.apy, 1),
+    riskInputs,
+    underlying_token: pool.underlyingToken,
+    decimals: pool.decimals,
+  };
 
-  // For now, we only support lending pools (leverage = 1)
-  // In the future, add leverage matching
+  if (!config.features.leveragedStrategies) {
+    return [lending];
+  }
 
-  return true;
+  return [lending, ...await buildLeveragedOpportunities(lending)];
 }
 
 /**
  * Send Telegram notification about a new pool
+ * @returns {Promise<string>} Gateway delivery status
  */
-async function sendNewPoolNotification(bot, chatId, pool, mandate) {
+async function sendNewPoolNotification(bot, mandate, pool, match) {
+  const { opportunity, quote } = match;
+  const strategyLine = quote.leverage > 1
+    ? `\n*Best Strategy:* ${opportunity.collateral_token} ${quote.leverage.toFixed(1)}x @ ${quote.apy.toFixed(2)}% net APY${quote.healthFactor ? ` (HF ${quote.healthFactor.toFixed(2)})` : ''}`
+    : '';
+
   const message = `🆕 *New Gearbox Pool Discovered!*
 
 *Pool:* ${pool.name}
 *Chain:* ${pool.chainName}
 *Asset:* ${pool.underlyingToken}
 *APY:* ${pool.apy.toFixed(2)}%
-*TVL:* $${formatNumber(pool.tvl)}
+*TVL:* $${formatNumber(pool.tvl)}${strategyLine}
 
 ✅ *Matches Your Mandate:*
 • Asset: ${mandate.asset}
 • Min APY: ${mandate.min_apy.toFixed(2)}%
-• Risk: ${mandate.risk}
+• Max Leverage: ${mandate.max_leverage}x
+• Risk: ${mandate.risk} (strategy: ${formatRiskSummary(quote)})
 
 This pool meets your investment criteria!`;
 
-  try {
-    await bot.sendMessage(chatId, message, {
+  return gateway.deliver(bot, {
+    userId: mandate.user_id,
+    chatId: mandate.telegram_chat_id,
+    message,
+    options: {
       parse_mode: 'Markdown',
       reply_markup: {
         inline_keyboard: [
@@ -267,10 +320,11 @@ This pool meets your investment criteria!`;
           ],
         ],
       },
-    });
-  } catch (error) {
-    console.error(`❌ Failed to send notification to ${chatId}:`, error.message);
-  }
+    },
+    kind: 'new_pool',
+    summary: `New pool ${pool.name} (${pool.chainName}) — ${pool.apy.toFixed(2)}% APY`,
+    dedupeKey: `pool_${mandate.id}_${pool.address}`,
+  });
 }
 
 /**
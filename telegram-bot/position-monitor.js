@@ -3,6 +3,9 @@
  * Continuously monitors user positions for:
  * - APY changes
  * - Health factor changes (liquidation risk)
+ * - Withdrawal liquidity (pool can't cover a lending position)
+ * - Pool TVL drops and large withdrawals
+ * - Price alerts on tokens (/pricealert)
  * - Position closures
  */
 
@@ -10,8 +13,14 @@ require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 const TelegramBot = require('node-telegram-bot-api');
 const db = require('./database');
 const config = require('./config');
-const { scanWalletPositions } = require('./position-scanner');
+const { scanUserWallets } = require('./position-scanner');
 const { fetchPoolAPY } = require('./query-opportunities');
+const blockchain = require('./utils/blockchain');
+const gateway = require('./utils/notification-gateway');
+const { tvlDrop, findLargeWithdrawals } = require('./utils/pool-flows');
+const { explorerTxUrl } = require('./utils/deposit-builder');
+const { getOraclePrices } = require('./utils/price-oracle');
+const { evaluatePriceAlert, rearmPrice, formatPrice, exposedPositions } = require('./utils/price-alerts');
 
 // Initialize bot (for sending notifications)
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
@@ -20,6 +29,8 @@ const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
 let lastPositionScan = null;
 let lastAPYCheck = null;
 let lastHealthFactorCheck = null;
+let lastTVLCheck = null;
+let lastPriceAlertCheck = null;
 
 /**
  * Main monitoring loop
@@ -44,7 +55,10 @@ async function startMonitoring() {
   console.log(`   - APY check interval: ${config.monitoring.positionScanInterval / 60000} minutes`);
   console.log(`   - Minor APY change threshold: ${config.apy.minorChangeThreshold}%`);
   console.log(`   - Major APY change threshold: ${config.apy.majorChangeThreshold}%`);
-  console.log(`   - Mode: Lending pools only (no leverage/health factor monitoring)`);
+  console.log(`   - Withdrawal liquidity alerts: below ${config.liquidity.coverageThreshold}x position value`);
+  console.log(`   - TVL alerts: ${config.tvlMonitor.dropThreshold}% drop in ${config.tvlMonitor.dropWindowHours}h, withdrawals ≥ ${config.tvlMonitor.largeWithdrawalPct}% of TVL`);
+  console.log(`   - Price alerts: every ${config.monitoring.priceAlertCheckInterval / 60000} minutes, re-arm at ${config.priceAlerts.hysteresisPct}% past target`);
+  console.log(`   - Health factor monitoring: ${config.features.healthFactorMonitoring ? `every ${config.monitoring.healthFactorCheckInterval / 60000} minutes` : 'disabled'}`);
 
   // Wait for database to be ready
   await db.waitForReady();
@@ -74,7 +88,36 @@ async function startMonitoring() {
     }
   }, config.monitoring.positionScanInterval);
 
-  console.log('✅ Position monitoring service started (lending pools only)');
+  setInterval(async () => {
+    try {
+      await checkPoolTVL();
+    } catch (error) {
+      console.error('❌ Error in TVL check:', error.message);
+    }
+  }, config.monitoring.tvlCheckInterval);
+
+  setInterval(async () => {
+    try {
+      await checkPriceAlerts();
+    } catch (error) {
+      console.error('❌ Error in price alert check:', error.message);
+    }
+  }, config.monitoring.priceAlertCheckInterval);
+
+  if (config.features.healthFactorMonitoring) {
+    setInterval(async () => {
+      try {
+        await checkHealthFactors();
+      } catch (error) {
+        console.error('❌ Error in health factor check:', error.message);
+      }
+    }, config.monitoring.healthFactorCheckInterval);
+  }
+
+  await maintainAPYHistory();
+  setInterval(maintainAPYHistory, config.apyHistory.maintenanceInterval);
+
+  console.log('✅ Position monitoring service started');
 }
 
 /**
@@ -96,10 +139,11 @@ async function scanUserPositions() {
 
     for (const user of users) {
       try {
-        const positions = await scanWalletPositions(user.wallet_address);
+        const wallets = await db.getUserWallets(user.id);
+        const { positions, scannedWallets } = await scanUserWallets(wallets);
 
         if (positions.length > 0) {
-          console.log(`   👤 ${user.wallet_address.slice(0, 10)}...: ${positions.length} positions`);
+          console.log(`   👤 User ${user.id} (${wallets.length} wallets): ${positions.length} positions`);
 
           for (const position of positions) {
             await db.createOrUpdatePosition(user.id, position);
@@ -107,10 +151,10 @@ async function scanUserPositions() {
         }
 
         // Detect closed positions (balance became 0)
-        await detectClosedPositions(user.id, positions);
+        await detectClosedPositions(user.id, positions, scannedWallets);
 
       } catch (error) {
-        console.error(`   ❌ Error scanning ${user.wallet_address}:`, error.message);
+        console.error(`   ❌ Error scanning wallets of user ${user.id}:`, error.message);
       }
     }
 
@@ -122,16 +166,21 @@ async function scanUserPositions() {
 
 /**
  * Detect positions that have been closed
+ * Only positions of wallets that scanned successfully are considered.
  */
-async function detectClosedPositions(userId, currentPositions) {
+async function detectClosedPositions(userId, currentPositions, scannedWallets) {
   try {
     const storedPositions = await db.getUserPositions(userId);
     const currentPoolKeys = new Set(
-      currentPositions.map(p => `${p.poolAddress}-${p.chainId}`)
+      currentPositions.map(p => `${p.walletAddress}-${p.poolAddress}-${p.chainId}-${p.positionType}`)
     );
 
     for (const stored of storedPositions) {
-      const poolKey = `${stored.pool_address}-${stored.chain_id}`;
+      if (!scannedWallets.includes(stored.wallet_address)) {
+        continue;
+      }
+
+      const poolKey = `${stored.wallet_address}-${stored.pool_address}-${stored.chain_id}-${stored.position_type}`;
 
       if (!currentPoolKeys.has(poolKey)) {
         // Position was closed
@@ -161,10 +210,48 @@ async function checkAPYChanges() {
 
     console.log(`   Found ${positions.length} positions to check`);
 
+    // One APY/liquidity fetch and one history snapshot per pool per scan, however many hold it
+    const poolAPYs = new Map();
+    const poolLiquidity = new Map();
+
     for (const position of positions) {
       try {
-        // Fetch current APY
-        const apyData = await fetchPoolAPY(position.pool_address, position.chain_id);
+        const poolKey = `${position.chain_id}-${position.pool_address.toLowerCase()}`;
+
+        if (!poolAPYs.has(poolKey)) {
+          const [data, liquidity, tvl] = await Promise.all([
+            fetchPoolAPY(position.pool_address, position.chain_id),
+            blockchain.getPoolLiquidity(position.pool_address, position.chain_id),
+            blockchain.getPoolTVL(position.pool_address, position.chain_id),
+          ]);
+          poolAPYs.set(poolKey, data);
+          poolLiquidity.set(poolKey, liquidity);
+
+          // TVL is always on-chain totalAssets, so drops compare like with like
+          if (data && data.supplyAPY !== null) {
+            await db.recordAPYHistory(
+              position.pool_address,
+              position.chain_id,
+              data.supplyAPY,
+              data.borrowAPY,
+              tvl.tvlFormatted,
+              liquidity ? liquidity.utilization : null
+            );
+          }
+        }
+
+        // Leveraged positions borrow from the pool rather than lend to it
+        const liquidity = poolLiquidity.get(poolKey);
+        if (liquidity && !position.credit_account) {
+          await checkWithdrawalLiquidity(position, liquidity);
+        }
+
+        // Leveraged net APY (collateral yield, borrow and quota rates) is refreshed by the position scan
+        if (position.position_type === 'leveraged') {
+          continue;
+        }
+
+        const apyData = poolAPYs.get(poolKey);
 
         if (!apyData || apyData.supplyAPY === null) {
           continue;
@@ -184,15 +271,6 @@ async function checkAPYChanges() {
           currentSupplyAPY // Net APY = Supply APY for lending
         );
 
-        // Record APY history
-        await db.recordAPYHistory(
-          position.pool_address,
-          position.chain_id,
-          currentSupplyAPY,
-          apyData.borrowAPY,
-          apyData.tvl || 0
-        );
-
         // Check if change is significant
         if (changePercent >= config.apy.minorChangeThreshold) {
           const alreadyNotified = await db.wasNotifiedAboutAPYChange(
@@ -206,7 +284,11 @@ async function checkAPYChanges() {
 
             console.log(`   📈 ${isMajor ? 'MAJOR' : 'Minor'} APY ${changeType}: ${oldSupplyAPY.toFixed(2)}% → ${currentSupplyAPY.toFixed(2)}%`);
 
-            await notifyAPYChange(position, oldSupplyAPY, currentSupplyAPY, changePercent, isMajor);
+            const status = await notifyAPYChange(position, oldSupplyAPY, currentSupplyAPY, changePercent, isMajor);
+            if (!gateway.isDelivered(status)) {
+              continue;
+            }
+
             await db.logAPYChangeNotification(
               position.id,
               position.user_id,
@@ -228,10 +310,324 @@ async function checkAPYChanges() {
   }
 }
 
-// Health factor monitoring removed - not applicable for lending pools
+/**
+ * Alert a lender when their pool can't pay out their position, and again once it can
+ * @param {Object} position - Lending position (with telegram_chat_id)
+ * @param {Object} liquidity - From blockchain.getPoolLiquidity()
+ */
+async function checkWithdrawalLiquidity(position, liquidity) {
+  try {
+    if (!position.current_value || position.current_value <= 0) {
+      return;
+    }
+
+    const isLow = liquidity.availableLiquidity < position.current_value * config.liquidity.coverageThreshold;
+    const lastNotification = await db.getLastLiquidityNotification(position.id);
+    const alertedLow = lastNotification && lastNotification.alert_type === 'low';
+
+    let alertType;
+    if (isLow) {
+      const alreadyNotified = await db.wasNotifiedAboutLiquidity(
+        position.id,
+        config.liquidity.notificationCooldown / (60 * 60 * 1000) // Convert ms to hours
+      );
+      if (alreadyNotified) {
+        return;
+      }
+      alertType = 'low';
+    } else if (alertedLow) {
+      alertType = 'restored';
+    } else {
+      return;
+    }
+
+    console.log(`   💧 Liquidity ${alertType}: position ${position.id} ${liquidity.availableLiquidity.toFixed(2)} available vs ${position.current_value.toFixed(2)} held (${(liquidity.utilization * 100).toFixed(1)}% utilized)`);
+
+    const status = await notifyWithdrawalLiquidity(position, liquidity, alertType);
+    if (gateway.isDelivered(status)) {
+      await db.logLiquidityNotification(
+        position.id,
+        position.user_id,
+        alertType,
+        liquidity.availableLiquidity,
+        position.current_value,
+        liquidity.utilization
+      );
+    }
+  } catch (error) {
+    console.error(`   ❌ Error checking withdrawal liquidity for position ${position.id}:`, error.message);
+  }
+}
+
+/**
+ * Group a pool's positions by user
+ * @param {Array} positions - Active positions in one pool
+ * @returns {Array} { userId, chatId, token, value, wallets } per user
+ */
+function groupHolders(positions) {
+  const holders = new Map();
+
+  for (const position of positions) {
+    if (!holders.has(position.user_id)) {
+      holders.set(position.user_id, {
+        userId: position.user_id,
+        chatId: position.telegram_chat_id,
+        token: position.underlying_token,
+        value: 0,
+        wallets: new Set(),
+      });
+    }
+
+    const holder = holders.get(position.user_id);
+    holder.value += position.current_value || 0;
+    holder.wallets.add(position.wallet_address.toLowerCase());
+  }
+
+  return [...holders.values()];
+}
+
+/**
+ * Alert holders of pools whose TVL dropped sharply or that saw large withdrawals
+ */
+async function checkPoolTVL() {
+  console.log('\n🌊 Checking pool TVL...');
+  lastTVLCheck = new Date();
+
+  try {
+    const positions = await db.getActivePositionsWithUsers();
+
+    const pools = new Map();
+    for (const position of positions) {
+      const poolKey = `${position.chain_id}-${position.pool_address.toLowerCase()}`;
+      if (!pools.has(poolKey)) {
+        pools.set(poolKey, []);
+      }
+      pools.get(poolKey).push(position);
+    }
+
+    console.log(`   Found ${pools.size} held pools to check`);
+
+    for (const poolPositions of pools.values()) {
+      const { pool_address: poolAddress, chain_id: chainId } = poolPositions[0];
+
+      try {
+        const tvl = await blockchain.getPoolTVL(poolAddress, chainId);
+
+        // Without a TVL there's nothing to compare against; events wait for the next run
+        if (!(tvl.tvlFormatted > 0)) {
+          continue;
+        }
+
+        const holders = groupHolders(poolPositions);
+        const windowHours = config.tvlMonitor.dropWindowHours;
+        const history = await db.getAPYHistory(poolAddress, chainId, Math.ceil(windowHours / 24));
+        const drop = tvlDrop(history, tvl.tvlFormatted, windowHours);
+
+        if (drop && drop.changePct <= -config.tvlMonitor.dropThreshold) {
+          console.log(`   📉 TVL drop: ${poolAddress.slice(0, 10)}... ${drop.changePct.toFixed(1)}% in ${windowHours}h`);
+
+          for (const holder of holders) {
+            const alreadyNotified = await db.wasNotifiedAboutTVLDrop(
+              holder.userId,
+              poolAddress,
+              chainId,
+              config.tvlMonitor.notificationCooldown / (60 * 60 * 1000) // Convert ms to hours
+            );
+            if (alreadyNotified) {
+              continue;
+            }
+
+            const status = await notifyTVLDrop(holder, poolAddress, chainId, tvl.tvlFormatted, drop);
+            if (gateway.isDelivered(status)) {
+              await db.logTVLNotification(holder.userId, poolAddress, chainId, 'tvl_drop', tvl.tvlFormatted, drop.peakTVL, drop.changePct);
+            }
+          }
+        }
+
+        const withdrawals = await findLargeWithdrawals(poolAddress, chainId, tvl);
+
+        if (withdrawals.length > 0) {
+          console.log(`   🐋 ${withdrawals.length} large withdrawal(s) from ${poolAddress.slice(0, 10)}...`);
+
+          for (const holder of holders) {
+            // A holder's own exits aren't news to them
+            const others = withdrawals.filter(w => !holder.wallets.has(w.owner.toLowerCase()));
+            if (others.length === 0) {
+              continue;
+            }
+
+            const status = await notifyLargeWithdrawals(holder, poolAddress, chainId, tvl.tvlFormatted, others);
+            if (gateway.isDelivered(status)) {
+              const withdrawn = others.reduce((sum, w) => sum + w.assets, 0);
+              await db.logTVLNotification(
+                holder.userId,
+                poolAddress,
+                chainId,
+                'large_withdrawal',
+                tvl.tvlFormatted,
+                tvl.tvlFormatted + withdrawn,
+                others[0].sharePct,
+                others[0].txHash
+              );
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`   ❌ Error checking TVL of pool ${poolAddress}:`, error.message);
+      }
+    }
+
+    console.log('✅ TVL check complete\n');
+  } catch (error) {
+    console.error('❌ Error checking pool TVL:', error.message);
+  }
+}
+
+/**
+ * Check price alerts against the Gearbox price oracle
+ * Each alert fires once per crossing; see utils/price-alerts.js for re-arming.
+ */
+async function checkPriceAlerts() {
+  lastPriceAlertCheck = new Date();
+
+  try {
+    const alerts = await db.getAllPriceAlerts();
+    if (alerts.length === 0) {
+      return;
+    }
+
+    console.log(`\n💲 Checking ${alerts.length} price alerts...`);
+
+    const prices = await getOraclePrices([...new Set(alerts.map(a => a.token_symbol))]);
+    const leveraged = await db.getLeveragedPositions();
+
+    for (const alert of alerts) {
+      try {
+        const quote = prices.get(alert.token_symbol.toUpperCase());
+        if (!quote) {
+          continue;
+        }
+
+        const { fire, armed } = evaluatePriceAlert(alert, quote.price, config.priceAlerts.hysteresisPct);
+
+        if (fire) {
+          console.log(`   💲 ${alert.token_symbol} ${alert.direction} ${formatPrice(alert.target_price)}: ${formatPrice(quote.price)} (alert ${alert.id})`);
+
+          const exposed = exposedPositions(leveraged.filter(p => p.user_id === alert.user_id), alert.token_symbol);
+          const status = await notifyPriceAlert(alert, quote.price, exposed);
+
+          // Stays armed so the next check retries
+          if (!gateway.isDelivered(status)) {
+            await db.updatePriceAlertState(alert.id, true, quote.price, false);
+            continue;
+          }
+
+          await db.logPriceAlertNotification(alert, quote.price);
+        }
+
+        await db.updatePriceAlertState(alert.id, armed, quote.price, fire);
+      } catch (error) {
+        console.error(`   ❌ Error checking price alert ${alert.id}:`, error.message);
+      }
+    }
+
+    console.log('✅ Price alert check complete\n');
+  } catch (error) {
+    console.error('❌ Error checking price alerts:', error.message);
+  }
+}
+
+/**
+ * Roll old APY snapshots into hourly/daily aggregates and apply retention
+ */
+async function maintainAPYHistory() {
+  try {
+    const result = await db.rollupAPYHistory({
+      rawDays: config.apyHistory.rawRetentionDays,
+      hourlyDays: config.apyHistory.hourlyRetentionDays,
+      dailyDays: config.apyHistory.dailyRetentionDays,
+      inactiveDays: config.positions.inactiveRetentionDays,
+    });
+
+    if (result.hourly || result.daily || result.pruned) {
+      console.log(`🗜️  APY history: ${result.hourly} hourly / ${result.daily} daily buckets written, ${result.pruned} rows pruned`);
+    }
+  } catch (error) {
+    console.error('❌ Error maintaining APY history:', error.message);
+  }
+}
+
+/**
+ * Map a health factor onto the configured alert tiers
+ * @returns {string|null} 'liquidation', 'critical', 'warning' or null when healthy
+ */
+function getHealthFactorSeverity(healthFactor) {
+  if (healthFactor < config.healthFactor.liquidationThreshold) return 'liquidation';
+  if (healthFactor < config.healthFactor.criticalThreshold) return 'critical';
+  if (healthFactor < config.healthFactor.warningThreshold) return 'warning';
+  return null;
+}
+
+const SEVERITY_RANK = { warning: 1, critical: 2, liquidation: 3 };
+
+/**
+ * Refresh health factors of leveraged positions and alert on liquidation risk
+ */
+async function checkHealthFactors() {
+  console.log('\n🩺 Checking health factors...');
+  lastHealthFactorCheck = new Date();
+
+  try {
+    const positions = await db.getLeveragedPositions();
+    console.log(`   Found ${positions.length} leveraged positions to check`);
+
+    for (const position of positions) {
+      try {
+        const healthFactor = await blockchain.getHealthFactor(position.credit_account, position.chain_id);
+
+        if (healthFactor === null) {
+          continue;
+        }
+
+        await db.updatePositionHealthFactor(position.id, healthFactor);
+
+        const severity = getHealthFactorSeverity(healthFactor);
+        if (!severity) {
+          continue;
+        }
+
+        // Cooldown applies unless the position got riskier since the last alert
+        const lastNotification = await db.getLastHealthFactorNotification(position.id);
+        const escalated = !lastNotification || SEVERITY_RANK[severity] > SEVERITY_RANK[lastNotification.severity];
+        const alreadyNotified = await db.wasNotifiedAboutHealthFactor(
+          position.id,
+          config.healthFactor.notificationCooldown / (60 * 60 * 1000) // Convert ms to hours
+        );
+
+        if (alreadyNotified && !escalated) {
+          continue;
+        }
+
+        console.log(`   🚨 ${severity.toUpperCase()}: position ${position.id} HF ${healthFactor.toFixed(3)}`);
+
+        const status = await notifyLiquidationRisk(position, healthFactor, severity);
+        if (status === 'sent') {
+          await db.logHealthFactorNotification(position.id, position.user_id, healthFactor, severity);
+        }
+      } catch (error) {
+        console.error(`   ❌ Error checking health factor for position ${position.id}:`, error.message);
+      }
+    }
+
+    console.log('✅ Health factor check complete\n');
+  } catch (error) {
+    console.error('❌ Error checking health factors:', error.message);
+  }
+}
 
 /**
  * Send APY change notification to user
+ * @returns {Promise<string>} Gateway delivery status
  */
 async function notifyAPYChange(position, oldAPY, newAPY, changePercent, isMajor) {
   try {
@@ -248,25 +644,295 @@ async function notifyAPYChange(position, oldAPY, newAPY, changePercent, isMajor)
       `Change: ${sign}${(newAPY - oldAPY).toFixed(2)}% (${changePercent.toFixed(2)}%)\n\n` +
       `Current Value: ${position.current_value?.toFixed(2) || 'N/A'} ${position.underlying_token}`;
 
-    await bot.sendMessage(position.telegram_chat_id, message, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: '📊 View Position', callback_data: `view_position_${position.id}` },
-            { text: '📈 View History', callback_data: `view_history_${position.id}` },
+    const status = await gateway.deliver(bot, {
+      userId: position.user_id,
+      chatId: position.telegram_chat_id,
+      message,
+      options: {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '📊 View Position', callback_data: `view_position_${position.id}` },
+              { text: '📈 View History', callback_data: `view_history_${position.id}` },
+            ],
           ],
-        ],
+        },
       },
+      kind: 'apy_change',
+      summary: `${position.underlying_token} APY ${oldAPY.toFixed(2)}% → ${newAPY.toFixed(2)}%`,
+      dedupeKey: `apy_${position.id}`,
     });
 
-    console.log(`   ✅ Notified user ${position.telegram_chat_id}`);
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user ${position.telegram_chat_id}`);
+    }
+    return status;
   } catch (error) {
     console.error(`   ❌ Error sending APY notification:`, error.message);
+    return 'failed';
   }
 }
 
-// Liquidation risk notification removed - not applicable for lending pools
+/**
+ * Send tiered liquidation risk notification to user
+ * @returns {Promise<string>} Gateway delivery status
+ */
+async function notifyLiquidationRisk(position, healthFactor, severity) {
+  try {
+    const headers = {
+      warning: '🟡 Health Factor Warning',
+      critical: '🟠 CRITICAL: Liquidation Risk',
+      liquidation: '🔴 LIQUIDATION IMMINENT',
+    };
+    const advice = {
+      warning: 'Consider adding collateral or reducing debt.',
+      critical: 'Add collateral or repay debt soon to avoid liquidation.',
+      liquidation: 'Add collateral or repay debt NOW - the account can be liquidated at HF < 1.',
+    };
+
+    const message = `${headers[severity]}\n\n` +
+      `**${position.underlying_token} Position** (${position.leverage?.toFixed(2) || 'N/A'}x)\n` +
+      `Credit Account: \`${position.credit_account}\`\n` +
+      `Chain: ${position.chain_id === 1 ? 'Ethereum' : 'Plasma'}\n\n` +
+      `Health Factor: ${healthFactor.toFixed(3)}\n` +
+      `Debt: ${position.debt?.toFixed(2) || 'N/A'} ${position.underlying_token}\n\n` +
+      advice[severity];
+
+    const status = await gateway.deliver(bot, {
+      userId: position.user_id,
+      chatId: position.telegram_chat_id,
+      message,
+      options: {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '📊 View Position', callback_data: `view_position_${position.id}` },
+              { text: '🛠️ Manage on Gearbox', url: `https://app.gearbox.finance/accounts/${position.chain_id}/${position.credit_account}` },
+            ],
+          ],
+        },
+      },
+      kind: 'health_factor',
+      summary: `${position.underlying_token} health factor ${healthFactor.toFixed(3)} (${severity})`,
+      dedupeKey: `hf_${position.id}`,
+      // Only warnings count against the daily budget
+      critical: severity !== 'warning',
+    });
+
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user ${position.telegram_chat_id}`);
+    }
+    return status;
+  } catch (error) {
+    console.error(`   ❌ Error sending liquidation risk notification:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Send withdrawal liquidity notification to user
+ * @param {string} alertType - 'low' or 'restored'
+ * @returns {Promise<string>} Gateway delivery status
+ */
+async function notifyWithdrawalLiquidity(position, liquidity, alertType) {
+  try {
+    const token = position.underlying_token;
+    const header = alertType === 'low' ? '⚠️ Withdrawal Liquidity Low' : '✅ Withdrawal Liquidity Restored';
+    const advice = alertType === 'low'
+      ? `Borrowers are using most of this pool, so your position can't be withdrawn in full right now. ` +
+        `High utilization usually pushes rates up until borrowers repay.`
+      : 'The pool can cover your full position again.';
+
+    const message = `${header}\n\n` +
+      `💧 **${token} Position**\n` +
+      `Pool: ${position.pool_address.slice(0, 10)}...${position.pool_address.slice(-8)}\n` +
+      `Chain: ${position.chain_id === 1 ? 'Ethereum' : 'Plasma'}\n\n` +
+      `Available to withdraw: ${liquidity.availableLiquidity.toFixed(2)} ${token}\n` +
+      `Your position: ${position.current_value.toFixed(2)} ${token}\n` +
+      `Utilization: ${(liquidity.utilization * 100).toFixed(1)}%\n\n` +
+      advice;
+
+    const status = await gateway.deliver(bot, {
+      userId: position.user_id,
+      chatId: position.telegram_chat_id,
+      message,
+      options: {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '📊 View Position', callback_data: `view_position_${position.id}` },
+            ],
+          ],
+        },
+      },
+      kind: 'liquidity',
+      summary: alertType === 'low'
+        ? `${token} pool liquidity ${liquidity.availableLiquidity.toFixed(2)} below your ${position.current_value.toFixed(2)}`
+        : `${token} pool liquidity restored`,
+      dedupeKey: `liquidity_${position.id}`,
+    });
+
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user ${position.telegram_chat_id}`);
+    }
+    return status;
+  } catch (error) {
+    console.error(`   ❌ Error sending withdrawal liquidity notification:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Compact token amount, e.g. 12.35M
+ */
+function formatAmount(value) {
+  if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(2)}K`;
+  return value.toFixed(2);
+}
+
+/**
+ * Send TVL drop notification to a pool holder
+ * @returns {Promise<string>} Gateway delivery status
+ */
+async function notifyTVLDrop(holder, poolAddress, chainId, tvl, drop) {
+  try {
+    const token = holder.token;
+
+    const message = `📉 **Pool TVL Drop**\n\n` +
+      `**${token} Pool**\n` +
+      `Pool: ${poolAddress.slice(0, 10)}...${poolAddress.slice(-8)}\n` +
+      `Chain: ${chainId === 1 ? 'Ethereum' : 'Plasma'}\n\n` +
+      `TVL: ${formatAmount(tvl)} ${token}\n` +
+      `${config.tvlMonitor.dropWindowHours}h peak: ${formatAmount(drop.peakTVL)} ${token}\n` +
+      `Change: ${drop.changePct.toFixed(1)}%\n\n` +
+      `Your position: ${holder.value.toFixed(2)} ${token}\n\n` +
+      `Capital leaving a pool often comes before APY spikes and withdrawal liquidity crunches.`;
+
+    const status = await gateway.deliver(bot, {
+      userId: holder.userId,
+      chatId: holder.chatId,
+      message,
+      options: { parse_mode: 'Markdown' },
+      kind: 'tvl',
+      summary: `${token} pool TVL ${drop.changePct.toFixed(1)}% in ${config.tvlMonitor.dropWindowHours}h`,
+      dedupeKey: `tvl_drop_${chainId}_${poolAddress.toLowerCase()}`,
+    });
+
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user ${holder.chatId}`);
+    }
+    return status;
+  } catch (error) {
+    console.error(`   ❌ Error sending TVL drop notification:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Send large withdrawal notification to a pool holder
+ * @param {Array} withdrawals - From findLargeWithdrawals(), largest first
+ * @returns {Promise<string>} Gateway delivery status
+ */
+async function notifyLargeWithdrawals(holder, poolAddress, chainId, tvl, withdrawals) {
+  try {
+    const token = holder.token;
+    const lines = withdrawals.slice(0, 5).map(w => {
+      const link = explorerTxUrl(chainId, w.txHash);
+      const tx = link ? `[tx](${link})` : `\`${w.txHash.slice(0, 10)}...\``;
+      return `• ${formatAmount(w.assets)} ${token} (${w.sharePct.toFixed(1)}% of TVL) ${tx}`;
+    });
+    if (withdrawals.length > lines.length) {
+      lines.push(`• ...and ${withdrawals.length - lines.length} more`);
+    }
+
+    const message = `🐋 **Large Withdrawal${withdrawals.length > 1 ? 's' : ''}**\n\n` +
+      `**${token} Pool**\n` +
+      `Pool: ${poolAddress.slice(0, 10)}...${poolAddress.slice(-8)}\n` +
+      `Chain: ${chainId === 1 ? 'Ethereum' : 'Plasma'}\n\n` +
+      `${lines.join('\n')}\n\n` +
+      `TVL now: ${formatAmount(tvl)} ${token}\n` +
+      `Your position: ${holder.value.toFixed(2)} ${token}\n\n` +
+      `Whale exits often come before APY spikes and withdrawal liquidity crunches.`;
+
+    const status = await gateway.deliver(bot, {
+      userId: holder.userId,
+      chatId: holder.chatId,
+      message,
+      options: { parse_mode: 'Markdown', disable_web_page_preview: true },
+      kind: 'tvl',
+      summary: `${formatAmount(withdrawals[0].assets)} ${token} withdrawn from the ${token} pool (${withdrawals[0].sharePct.toFixed(1)}% of TVL)`,
+      dedupeKey: `whale_${withdrawals[0].txHash}`,
+    });
+
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user ${holder.chatId}`);
+    }
+    return status;
+  } catch (error) {
+    console.error(`   ❌ Error sending large withdrawal notification:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Send a fired price alert to its user
+ * @param {Array} exposed - The user's leveraged positions exposed to the token
+ * @returns {Promise<string>} Gateway delivery status
+ */
+async function notifyPriceAlert(alert, price, exposed) {
+  try {
+    // SDK symbols like PT_sUSDe_27MAR2025 break Markdown, so they go in code spans
+    const token = `\`${alert.token_symbol}\``;
+    const icon = alert.direction === 'below' ? '📉' : '📈';
+    const rearmDirection = alert.direction === 'below' ? 'above' : 'below';
+
+    let message = `${icon} **Price Alert:** ${token}\n\n` +
+      `${token} is ${alert.direction} ${formatPrice(alert.target_price)}\n` +
+      `Oracle price: ${formatPrice(price)}\n\n`;
+
+    if (exposed.length > 0) {
+      message += `Your leveraged positions exposed to ${token}:\n` +
+        exposed.map(p =>
+          `• \`${p.underlying_token}\` (${p.leverage?.toFixed(2) || 'N/A'}x) - HF ${p.health_factor?.toFixed(3) || 'N/A'}`
+        ).join('\n') + '\n\n';
+    }
+
+    message += `This alert re-arms once ${token} is back ${rearmDirection} ${formatPrice(rearmPrice(alert, config.priceAlerts.hysteresisPct))}.`;
+
+    const status = await gateway.deliver(bot, {
+      userId: alert.user_id,
+      chatId: alert.telegram_chat_id,
+      message,
+      options: {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            ...exposed.slice(0, 3).map(p => [
+              { text: `📊 View ${p.underlying_token} Position`, callback_data: `view_position_${p.id}` },
+            ]),
+            [{ text: '🔕 Remove Alert', callback_data: `pricealert_remove_${alert.id}` }],
+          ],
+        },
+      },
+      kind: 'price_alert',
+      summary: `${alert.token_symbol} ${alert.direction} ${formatPrice(alert.target_price)} (now ${formatPrice(price)})`,
+      dedupeKey: `price_${alert.id}`,
+    });
+
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user ${alert.telegram_chat_id}`);
+    }
+    return status;
+  } catch (error) {
+    console.error(`   ❌ Error sending price alert notification:`, error.message);
+    return 'failed';
+  }
+}
 
 /**
  * Send position closed notification to user
@@ -285,11 +951,19 @@ async function notifyPositionClosed(position) {
       `Final Value: ${position.current_value?.toFixed(2) || 'N/A'} ${position.underlying_token}\n\n` +
       `${pnlEmoji} PnL: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} ${position.underlying_token} (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)`;
 
-    await bot.sendMessage(position.telegram_chat_id, message, {
-      parse_mode: 'Markdown',
+    const status = await gateway.deliver(bot, {
+      userId: position.user_id,
+      chatId: position.telegram_chat_id,
+      message,
+      options: { parse_mode: 'Markdown' },
+      kind: 'position_closed',
+      summary: `${position.underlying_token} position closed (${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} ${position.underlying_token})`,
+      dedupeKey: `closed_${position.id}`,
     });
 
-    console.log(`   ✅ Notified user about position closure`);
+    if (status === 'sent') {
+      console.log(`   ✅ Notified user about position closure`);
+    }
   } catch (error) {
     console.error(`   ❌ Error sending position closed notification:`, error.message);
   }
@@ -4,8 +4,9 @@
  * Now with real blockchain integration using viem and dynamic pool discovery
  */
 
-const { fetchPoolAPY } = require('./query-opportunities');
+const { fetchPoolAPY, fetchCollateralAPY, netAPYAtLeverage } = require('./query-opportunities');
 const blockchain = require('./utils/blockchain');
+const { getPositionHistory } = require('./utils/position-history');
 const config = require('./config');
 const database = require('./database');
 
@@ -44,6 +45,9 @@ async function getPoolsToScan() {
 
 /**
  * Scan user wallet for Gearbox pool positions
+ * LP shares and credit accounts in the same pool are separate positions
+ * (positionType 'lending' and 'leveraged'): they earn different APYs and
+ * only the leveraged one carries debt.
  * @param {string} walletAddress - User's wallet address
  * @returns {Array} Array of detected positions
  */
@@ -69,45 +73,102 @@ async function scanWalletPositions(walletAddress) {
           chainIdNum
         );
 
-        const sharesFloat = parseFloat(sharesBalance);
+        let sharesFloat = parseFloat(sharesBalance);
 
-        // Skip if no balance or below dust threshold
-        if (sharesFloat === 0 || sharesFloat < config.positions.dustThreshold) {
-          continue;
+        // Ignore LP dust below threshold
+        if (sharesFloat < config.positions.dustThreshold) {
+          sharesFloat = 0;
         }
 
-        console.log(`      ✅ Found position: ${pool.name} (${sharesFloat.toFixed(4)} shares)`);
+        // Credit accounts borrowing from this pool (leveraged positions)
+        const creditAccounts = config.features.leverageDetection
+          ? await blockchain.getCreditAccount(pool.address, walletAddress, chainIdNum)
+          : [];
 
-        // Convert shares to underlying asset value
-        const currentValue = await blockchain.convertSharesToAssets(
-          pool.address,
-          sharesBalance,
-          chainIdNum
-        );
+        // Skip if no balance and no leverage
+        if (sharesFloat === 0 && creditAccounts.length === 0) {
+          continue;
+        }
+
+        console.log(`      ✅ Found position: ${pool.name} (${sharesFloat.toFixed(4)} shares, ${creditAccounts.length} credit accounts)`);
 
         // Fetch current APY for this pool
         const apyData = await fetchPoolAPY(pool.address, chainIdNum);
         const currentSupplyAPY = apyData?.supplyAPY || 0;
 
-        // Lending pools only - no leverage detection needed
-        positions.push({
+        const base = {
+          walletAddress,
           poolAddress: pool.address,
           poolName: pool.name,
           chainId: chainIdNum,
           underlyingToken: pool.token,
-          shares: sharesFloat,
-          depositedAmount: parseFloat(currentValue), // We don't know initial deposit, use current value
-          currentValue: parseFloat(currentValue),
           initialSupplyAPY: currentSupplyAPY, // Assume same as current for new detection
           currentSupplyAPY: currentSupplyAPY,
-          initialBorrowAPY: null, // No borrowing in lending pools
-          currentBorrowAPY: null,
-          netAPY: currentSupplyAPY, // Same as supply APY for lending
-          leverage: 1, // No leverage in lending pools
-          healthFactor: null, // No health factor for lending deposits
-        });
+        };
+
+        if (sharesFloat > 0) {
+          // Convert shares to underlying asset value
+          const currentValue = parseFloat(await blockchain.convertSharesToAssets(pool.address, sharesBalance, chainIdNum));
+
+          // True cost basis from Deposit/Withdraw events
+          const history = await getPositionHistory(pool.address, walletAddress, chainIdNum, sharesBalance, currentValue);
+
+          positions.push({
+            ...base,
+            positionType: 'lending',
+            shares: sharesFloat,
+            // Without history we don't know the initial deposit, use current value
+            depositedAmount: history ? history.depositedAmount : currentValue,
+            realizedPnl: history ? history.realizedPnl : null,
+            depositedAt: history ? history.depositedAt : null,
+            currentValue,
+            initialBorrowAPY: null,
+            currentBorrowAPY: null,
+            netAPY: currentSupplyAPY,
+            leverage: 1,
+            healthFactor: null,
+            creditAccount: null,
+            debt: null,
+            collateralTokens: [],
+            creditAccounts: [],
+          });
+
+          console.log(`         Value: ${currentValue.toFixed(2)} ${pool.token}, APY: ${currentSupplyAPY.toFixed(2)}%`);
+        }
 
-        console.log(`         Value: ${parseFloat(currentValue).toFixed(2)} ${pool.token}, APY: ${currentSupplyAPY.toFixed(2)}%`);
+        if (creditAccounts.length > 0) {
+          // Credit account exposure in underlying units
+          const leverage = summarizeCreditAccounts(creditAccounts);
+          const equity = leverage.totalValue - leverage.totalDebt;
+          const borrowAPY = apyData?.borrowAPY ?? null;
+          const netAPY = await creditAccountsNetAPY(creditAccounts, borrowAPY, chainIdNum);
+
+          positions.push({
+            ...base,
+            positionType: 'leveraged',
+            shares: 0,
+            // Pool events don't cover credit accounts: the equity first seen is the cost
+            // basis, createOrUpdatePosition() doesn't overwrite it on later scans
+            depositedAmount: equity,
+            realizedPnl: null,
+            depositedAt: null,
+            currentValue: equity,
+            initialBorrowAPY: borrowAPY,
+            currentBorrowAPY: borrowAPY,
+            netAPY,
+            leverage: equity > 0 ? leverage.totalValue / equity : 1,
+            healthFactor: leverage.healthFactor,
+            creditAccount: leverage.primaryAccount,
+            debt: leverage.totalDebt,
+            // Collateral besides the underlying (what price alerts watch)
+            collateralTokens: [...new Set(creditAccounts.flatMap(account =>
+              account.collateralTokens.filter(t => t.symbol !== account.underlyingToken).map(t => t.symbol)
+            ))],
+            creditAccounts,
+          });
+
+          console.log(`         Equity: ${equity.toFixed(2)} ${pool.token}, Debt: ${leverage.totalDebt.toFixed(2)}, Net APY: ${netAPY === null ? 'unknown' : `${netAPY.toFixed(2)}%`}`);
+        }
 
       } catch (error) {
         console.error(`      ❌ Error checking ${pool.name}:`, error.message);
@@ -119,7 +180,112 @@ async function scanWalletPositions(walletAddress) {
   return positions;
 }
 
+/**
+ * Scan every wallet attached to a user
+ * A wallet that fails to scan is skipped so the others are still reported.
+ * @param {Array} wallets - Wallet rows from db.getUserWallets()
+ * @returns {Promise<Object>} { positions, scannedWallets } - positions from all wallets
+ *   (tagged with walletAddress and walletLabel) and the addresses that scanned successfully
+ */
+async function scanUserWallets(wallets) {
+  const positions = [];
+  const scannedWallets = [];
+
+  for (const wallet of wallets) {
+    try {
+      const walletPositions = await scanWalletPositions(wallet.address);
+      positions.push(...walletPositions.map(position => ({ ...position, walletLabel: wallet.label })));
+      scannedWallets.push(wallet.address);
+    } catch (error) {
+      console.error(`   ❌ Error scanning wallet ${wallet.label} (${wallet.address}):`, error.message);
+    }
+  }
+
+  return { positions, scannedWallets };
+}
+
+/**
+ * Aggregate a user's credit accounts in one pool
+ * Debt falls back to principal when calcDebtAndCollateral is unavailable.
+ * The riskiest account (lowest health factor) represents the position.
+ * @param {Array} creditAccounts - Accounts from blockchain.getCreditAccount()
+ * @returns {Object} { totalValue, totalDebt, healthFactor, primaryAccount }
+ */
+function summarizeCreditAccounts(creditAccounts) {
+  let totalValue = 0;
+  let totalDebt = 0;
+  let riskiest = creditAccounts[0] || null;
+
+  for (const account of creditAccounts) {
+    const debt = account.totalDebt ?? account.debt;
+    // Without a collateral valuation, assume the account is exactly at its debt
+    totalValue += account.totalValue ?? debt;
+    totalDebt += debt;
+
+    if (account.healthFactor !== null &&
+        (riskiest.healthFactor === null || account.healthFactor < riskiest.healthFactor)) {
+      riskiest = account;
+    }
+  }
+
+  return {
+    totalValue,
+    totalDebt,
+    healthFactor: riskiest?.healthFactor ?? null,
+    primaryAccount: riskiest?.address || null,
+  };
+}
+
+/**
+ * Net APY of a user's credit accounts in one pool
+ * Each account earns its main collateral's yield on the whole position and
+ * pays the pool's borrow rate on the debt plus the quota rate on the quoted
+ * collateral: netAPYAtLeverage() at the account's leverage (value / equity).
+ * The main collateral is the one with the largest quota, else the underlying
+ * (borrowed funds left idle). Accounts are weighted by equity.
+ * @param {Array} creditAccounts - Accounts from blockchain.getCreditAccount()
+ * @param {number|null} borrowAPY - Pool borrow APY (%)
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number|null>} Net APY on equity (%), null if any input is unknown
+ */
+async function creditAccountsNetAPY(creditAccounts, borrowAPY, chainId) {
+  const chain = Object.values(config.blockchain.chains).find(c => c.id === chainId);
+  if (borrowAPY === null || !chain) {
+    return null;
+  }
+
+  let weighted = 0;
+  let totalEquity = 0;
+
+  for (const account of creditAccounts) {
+    const debt = account.totalDebt ?? account.debt;
+    const equity = account.totalValue === null ? null : account.totalValue - debt;
+
+    if (equity === null || equity <= 0) {
+      return null;
+    }
+
+    const main = account.quotas.reduce((largest, quota) =>
+      !largest || quota.quota > largest.quota ? quota : largest, null);
+
+    const collateralAPY = main
+      ? await fetchCollateralAPY(main.symbol, chain.name)
+      : 0; // Idle underlying earns nothing
+    const quotaRate = main ? main.rate : 0;
+
+    if (collateralAPY === null || quotaRate === null) {
+      return null;
+    }
+
+    weighted += netAPYAtLeverage(collateralAPY, borrowAPY, quotaRate, account.totalValue / equity) * equity;
+    totalEquity += equity;
+  }
+
+  return totalEquity > 0 ? weighted / totalEquity : null;
+}
+
 module.exports = {
   scanWalletPositions,
+  scanUserWallets,
   getPoolsToScan,
 };
@@ -4,6 +4,7 @@
  */
 
 const config = require('./config');
+const riskModel = require('./utils/risk-model');
 
 // Cache for APY data to reduce API calls
 const apyCache = new Map();
@@ -12,6 +13,7 @@ const CACHE_DURATION = config.monitoring.apyCacheDuration;
 /**
  * Fetch opportunities from Gearbox Protocol API
  * @param {Object} params - Query parameters { asset, min_apy, max_leverage, risk_tolerance }
+ *   where risk_tolerance is the highest acceptable risk level
  * @returns {Promise<Array>} Array of opportunities
  */
 async function queryFarmOpportunities(params) {
@@ -39,6 +41,7 @@ async function queryFarmOpportunities(params) {
  * Fetch real opportunities from Gearbox API
  */
 async function fetchRealOpportunities(params) {
+  const { getPoolRiskInputs, rateStrategy } = require('./utils/pool-risk');
   const opportunities = [];
 
   // Gearbox Protocol has pools on both Ethereum and Plasma
@@ -63,42 +66,57 @@ async function fetchRealOpportunities(params) {
           continue;
         }
 
+        const riskInputs = await getPoolRiskInputs({
+          address: pool.address,
+          chainId: chainConfig.id,
+          symbol: pool.token,
+        });
+
         // Create opportunity object
         const opportunity = {
           id: `${pool.token.toLowerCase()}_${chainKey}_${pool.address.slice(2, 8)}`,
           pool_address: pool.address,
           pool_name: pool.name,
           strategy: `${pool.name} on ${chainConfig.name}`,
+          strategyType: 'passive_lending',
           chain: chainConfig.name,
           chain_id: chainConfig.id,
           projAPY: apyData.supplyAPY,
           apy: apyData.supplyAPY,
+          supplyAPY: apyData.supplyAPY,
           leverage: 1, // Non-leveraged by default
-          maxLeverage: apyData.maxLeverage || 1,
+          maxLeverage: 1,
           healthFactor: null, // Not applicable for non-leveraged
           tvl: apyData.tvl || 0,
-          risk: determineRiskLevel(apyData.supplyAPY, 1),
+          capacity: null, // Unknown until credit strategies are read
+          ...rateStrategy(riskInputs, apyData.supplyAPY, 1),
+          riskInputs, // Lets mandates re-rate the pool at their own leverage
           underlying_token: pool.token,
           decimals: pool.decimals,
         };
 
-        // Apply filters
-        if (params.min_apy && opportunity.apy < params.min_apy) {
-          continue;
-        }
+        const candidates = [opportunity];
 
-        if (params.max_leverage && opportunity.leverage > params.max_leverage) {
-          continue;
+        if (config.features.leveragedStrategies) {
+          candidates.push(...await buildLeveragedOpportunities(opportunity, params));
         }
 
-        if (params.risk_tolerance) {
-          const targetRisk = capitalizeFirstLetter(params.risk_tolerance.toLowerCase());
-          if (opportunity.risk !== targetRisk) {
+        for (const candidate of candidates) {
+          // Apply filters
+          if (params.min_apy && candidate.apy < params.min_apy) {
+            continue;
+          }
+
+          if (params.max_leverage && candidate.leverage > params.max_leverage) {
             continue;
           }
-        }
 
-        opportunities.push(opportunity);
+          if (!riskModel.withinTolerance(candidate.risk, params.risk_tolerance)) {
+            continue;
+          }
+
+          opportunities.push(candidate);
+        }
       } catch (error) {
         console.error(`   ❌ Error processing pool ${pool.name}:`, error.message);
       }
@@ -111,6 +129,122 @@ async function fetchRealOpportunities(params) {
   return opportunities;
 }
 
+/**
+ * Build leveraged credit manager opportunities on top of a lending opportunity
+ * Also fills in the lending opportunity's deposit capacity.
+ * @param {Object} lendingOpportunity - Passive lending opportunity for the pool (with riskInputs)
+ * @param {Object} params - Query parameters (max_leverage caps the quoted leverage)
+ * @returns {Promise<Array>} Leveraged opportunities, quoted at max allowed leverage
+ */
+async function buildLeveragedOpportunities(lendingOpportunity, params = {}) {
+  const blockchain = require('./utils/blockchain');
+  const { rateStrategy } = require('./utils/pool-risk');
+
+  let credit = null;
+  try {
+    credit = await blockchain.getCreditStrategies(lendingOpportunity.pool_address, lendingOpportunity.chain_id);
+  } catch (error) {
+    console.error(`   ❌ Error fetching credit strategies for ${lendingOpportunity.pool_name}:`, error.message);
+  }
+
+  if (!credit) {
+    return [];
+  }
+
+  lendingOpportunity.capacity = credit.depositCapacity;
+
+  const opportunities = [];
+
+  for (const strategy of credit.strategies) {
+    const collateralAPY = await fetchCollateralAPY(strategy.collateralToken, lendingOpportunity.chain);
+
+    // Without the collateral's own yield the strategy can't be quoted
+    if (collateralAPY === null) {
+      continue;
+    }
+
+    const maxLeverage = safeLeverage(strategy.liquidationThreshold, strategy.maxLeverage);
+    const leverage = Math.min(params.max_leverage || maxLeverage, maxLeverage);
+
+    // Not worth opening a credit account without leverage
+    if (leverage <= 1) {
+      continue;
+    }
+
+    const projAPY = netAPYAtLeverage(collateralAPY, credit.borrowAPY, strategy.quotaRate, leverage);
+
+    opportunities.push({
+      ...lendingOpportunity,
+      id: `${lendingOpportunity.id}_${strategy.creditManager.slice(2, 8)}`,
+      strategy: `${strategy.collateralToken} ${leverage.toFixed(1)}x via ${lendingOpportunity.pool_name} on ${lendingOpportunity.chain}`,
+      strategyType: 'leveraged_credit_account',
+      credit_manager: strategy.creditManager,
+      collateral_token: strategy.collateralToken,
+      projAPY,
+      apy: projAPY,
+      collateralAPY,
+      borrowAPY: credit.borrowAPY,
+      quotaRate: strategy.quotaRate,
+      leverage,
+      maxLeverage: strategy.maxLeverage,
+      liquidationThreshold: strategy.liquidationThreshold,
+      healthFactor: healthFactorAtLeverage(strategy.liquidationThreshold, leverage),
+      // Borrowing is limited by pool liquidity, the facade's debt cap and the collateral's quota room
+      capacity: Math.min(credit.availableLiquidity, strategy.maxDebt, strategy.quotaRoom),
+      ...rateStrategy(lendingOpportunity.riskInputs, projAPY, leverage),
+    });
+  }
+
+  return opportunities;
+}
+
+/**
+ * Get the base yield of a collateral token from DefiLlama
+ * The yields index is cached for the APY cache duration.
+ * @param {string} symbol - Collateral token symbol (e.g. wstETH)
+ * @param {string} chainName - Chain name as used by DefiLlama (e.g. Ethereum)
+ * @returns {Promise<number|null>} APY in percent or null if unknown
+ */
+async function fetchCollateralAPY(symbol, chainName) {
+  const cached = apyCache.get('collateral-yields');
+  let index = cached && Date.now() - cached.timestamp < CACHE_DURATION ? cached.data : null;
+
+  if (!index) {
+    try {
+      const response = await fetch(config.leverage.collateralYieldsUrl, {
+        headers: { 'Accept': 'application/json' },
+      });
+
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const { data } = await response.json();
+
+      // Keep the largest pool per chain + symbol, that's the token's reference yield
+      const largest = new Map();
+      for (const pool of data) {
+        const key = `${pool.chain}-${pool.symbol}`.toUpperCase();
+        if (!largest.has(key) || pool.tvlUsd > largest.get(key).tvlUsd) {
+          largest.set(key, pool);
+        }
+      }
+
+      index = new Map();
+      for (const [key, pool] of largest) {
+        index.set(key, pool.apyBase ?? pool.apy ?? null);
+      }
+
+      apyCache.set('collateral-yields', { data: index, timestamp: Date.now() });
+    } catch (error) {
+      console.error(`   ❌ Error fetching collateral yields:`, error.message);
+      return null;
+    }
+  }
+
+  return index.get(`${chainName}-${symbol}`.toUpperCase()) ?? null;
+}
+
 /**
  * Fetch APY data for a specific pool
  * Uses caching to reduce API calls
@@ -187,22 +321,48 @@ async function fetchPoolAPY(poolAddress, chainId) {
 }
 
 /**
- * Determine risk level based on APY and leverage
+ * Net APY of a leveraged position on the user's equity (Gearbox formula)
+ * Net APY = collateralAPY × L - borrowAPY × (L - 1) - quotaRate × L
+ * @param {number} collateralAPY - Yield of the collateral token (%)
+ * @param {number} borrowAPY - Pool base borrow rate (%)
+ * @param {number} quotaRate - Quota rate of the collateral token (%)
+ * @param {number} leverage - Position size / equity
+ * @returns {number} Net APY (%)
  */
-function determineRiskLevel(apy, leverage) {
-  // Higher APY and leverage = higher risk
-  const riskScore = (apy / 10) + (leverage * 2);
+function netAPYAtLeverage(collateralAPY, borrowAPY, quotaRate, leverage) {
+  return collateralAPY * leverage - borrowAPY * (leverage - 1) - quotaRate * leverage;
+}
 
-  if (riskScore < 5) return 'Low';
-  if (riskScore < 12) return 'Medium';
-  return 'High';
+/**
+ * Health factor of a freshly opened leveraged position
+ * HF = LT × collateral / debt = LT × L / (L - 1)
+ * @param {number} liquidationThreshold - Collateral liquidation threshold (0-1)
+ * @param {number} leverage - Position size / equity
+ * @returns {number|null} Health factor, null without leverage or LT
+ */
+function healthFactorAtLeverage(liquidationThreshold, leverage) {
+  if (!liquidationThreshold || leverage <= 1) {
+    return null;
+  }
+  return liquidationThreshold * leverage / (leverage - 1);
 }
 
 /**
- * Capitalize first letter of string
+ * Highest leverage that opens at or above the health factor warning threshold
+ * LT × L / (L - 1) ≥ HFw  ⇔  L ≤ HFw / (HFw - LT), rounded down to 0.1x
+ * @param {number} liquidationThreshold - Collateral liquidation threshold (0-1)
+ * @param {number} maxLeverage - Strategy's max leverage
+ * @returns {number} Leverage cap (≤ maxLeverage)
  */
-function capitalizeFirstLetter(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+function safeLeverage(liquidationThreshold, maxLeverage) {
+  const warning = config.healthFactor.warningThreshold;
+
+  // Any leverage stays above the threshold
+  if (!liquidationThreshold || liquidationThreshold >= warning) {
+    return maxLeverage;
+  }
+
+  return Math.min(maxLeverage, Math.floor(warning / (warning - liquidationThreshold) * 10) / 10);
 }
 
 /**
@@ -336,13 +496,7 @@ async function queryMockOpportunities(params) {
   }
 
   // Filter by risk tolerance if specified
-  if (params.risk_tolerance) {
-    const riskMap = { low: 'Low', medium: 'Medium', high: 'High' };
-    const targetRisk = riskMap[params.risk_tolerance.toLowerCase()];
-    if (targetRisk) {
-      opportunities = opportunities.filter(opp => opp.risk === targetRisk);
-    }
-  }
+  opportunities = opportunities.filter(opp => riskModel.withinTolerance(opp.risk, params.risk_tolerance));
 
   // Sort by APY descending
   opportunities.sort((a, b) => b.apy - a.apy);
@@ -355,4 +509,9 @@ async function queryMockOpportunities(params) {
 module.exports = {
   queryFarmOpportunities,
   fetchPoolAPY, // Export for use by position-scanner
+  fetchCollateralAPY,
+  buildLeveragedOpportunities,
+  netAPYAtLeverage,
+  healthFactorAtLeverage,
+  safeLeverage,
 };
@@ -0,0 +1,177 @@
+/**
+ * APY Chart - PNG line charts of a pool's apy_history
+ *
+ * Supply APY (left axis, %) and TVL (right axis) over time, drawn with
+ * @napi-rs/canvas so no browser or native build toolchain is needed. TVL is
+ * apy_history.tvl: on-chain totalAssets in the underlying token. Snapshots
+ * without it (unread, or API values cleared by migrations/clear-legacy-tvl.js)
+ * are left out of the TVL line.
+ */
+
+const { createCanvas } = require('@napi-rs/canvas');
+const config = require('../config');
+
+const COLORS = {
+  background: '#ffffff',
+  grid: '#e5e7eb',
+  text: '#374151',
+  muted: '#9ca3af',
+  apy: '#2563eb',
+  tvl: '#10b981',
+};
+
+const PADDING = { top: 56, right: 84, bottom: 48, left: 64 };
+const TICKS = 5;
+
+/**
+ * Compact token amount, e.g. 12.3M
+ */
+function formatAmount(value) {
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+  return value.toFixed(value >= 10 ? 0 : 2);
+}
+
+/**
+ * Axis bounds with some headroom, so flat series don't sit on the frame
+ */
+function niceRange(values) {
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  const pad = (max - min) * 0.1 || Math.abs(max) * 0.05 || 1;
+  min -= pad;
+  max += pad;
+  return { min: Math.max(0, min), max };
+}
+
+/**
+ * Draw one series as a line (single snapshots as a dot)
+ */
+function drawSeries(ctx, points, color, width) {
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineJoin = 'round';
+
+  if (points.length === 1) {
+    ctx.beginPath();
+    ctx.arc(points[0].x, points[0].y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    return;
+  }
+
+  ctx.beginPath();
+  points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.stroke();
+}
+
+/**
+ * Render a pool's APY/TVL history
+ * @param {Array} history - apy_history rows (any order)
+ * @param {Object} options - { title, days, symbol (TVL unit) }
+ * @returns {Buffer} PNG image
+ */
+function renderAPYChart(history, { title, days, symbol }) {
+  const { width, height } = config.charts;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  const rows = [...history]
+    .map(row => ({ ...row, time: new Date(row.recorded_at).getTime() }))
+    .sort((a, b) => a.time - b.time);
+
+  const plot = {
+    left: PADDING.left,
+    right: width - PADDING.right,
+    top: PADDING.top,
+    bottom: height - PADDING.bottom,
+  };
+
+  ctx.fillStyle = COLORS.background;
+  ctx.fillRect(0, 0, width, height);
+
+  // TVL is recorded as 0 when it couldn't be read
+  const tvlRows = rows.filter(r => r.tvl > 0);
+
+  // Title and legend
+  ctx.fillStyle = COLORS.text;
+  ctx.font = 'bold 18px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(title, plot.left, 28);
+
+  ctx.font = '13px sans-serif';
+  ctx.fillStyle = COLORS.apy;
+  ctx.fillText(`● Supply APY`, plot.left, 46);
+  if (tvlRows.length > 0) {
+    ctx.fillStyle = COLORS.tvl;
+    ctx.fillText(`● TVL (${symbol})`, plot.left + 110, 46);
+  }
+  ctx.fillStyle = COLORS.muted;
+  ctx.textAlign = 'right';
+  ctx.fillText(`Last ${days} days`, plot.right, 28);
+
+  // X axis spans the whole requested range, so gaps in the data stay visible
+  const end = Date.now();
+  const start = Math.min(end - days * 24 * 60 * 60 * 1000, rows[0].time);
+  const xOf = time => plot.left + ((time - start) / (end - start || 1)) * (plot.right - plot.left);
+
+  const apyRange = niceRange(rows.map(r => r.supply_apy));
+  const yOfApy = apy => plot.bottom - ((apy - apyRange.min) / (apyRange.max - apyRange.min)) * (plot.bottom - plot.top);
+
+  const tvlRange = tvlRows.length > 0 ? niceRange(tvlRows.map(r => r.tvl)) : null;
+  const yOfTvl = tvl => plot.bottom - ((tvl - tvlRange.min) / (tvlRange.max - tvlRange.min)) * (plot.bottom - plot.top);
+
+  // Grid and Y axis labels
+  ctx.font = '12px sans-serif';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 1;
+
+  for (let i = 0; i <= TICKS; i++) {
+    const y = plot.top + (i / TICKS) * (plot.bottom - plot.top);
+
+    ctx.strokeStyle = COLORS.grid;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y);
+    ctx.lineTo(plot.right, y);
+    ctx.stroke();
+
+    const apy = apyRange.max - (i / TICKS) * (apyRange.max - apyRange.min);
+    ctx.fillStyle = COLORS.apy;
+    ctx.textAlign = 'right';
+    ctx.fillText(`${apy.toFixed(2)}%`, plot.left - 8, y);
+
+    if (tvlRange) {
+      const tvl = tvlRange.max - (i / TICKS) * (tvlRange.max - tvlRange.min);
+      ctx.fillStyle = COLORS.tvl;
+      ctx.textAlign = 'left';
+      ctx.fillText(formatAmount(tvl), plot.right + 8, y);
+    }
+  }
+
+  // X axis labels
+  ctx.fillStyle = COLORS.muted;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+
+  // Daily labels for short ranges, evenly spaced ones otherwise
+  const xTicks = days <= 7 ? days : TICKS;
+  for (let i = 0; i <= xTicks; i++) {
+    const time = start + (i / xTicks) * (end - start);
+    const label = new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    ctx.fillText(label, xOf(time), plot.bottom + 10);
+  }
+
+  // Series (TVL underneath APY)
+  if (tvlRange) {
+    drawSeries(ctx, tvlRows.map(r => ({ x: xOf(r.time), y: yOfTvl(r.tvl) })), COLORS.tvl, 2);
+  }
+  drawSeries(ctx, rows.map(r => ({ x: xOf(r.time), y: yOfApy(r.supply_apy) })), COLORS.apy, 2.5);
+
+  return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+  renderAPYChart,
+};
@@ -0,0 +1,197 @@
+/**
+ * APY Trends - Mandate conditions on a pool's APY history
+ *
+ * A flat min APY alerts on a one-scan spike that is gone an hour later.
+ * Trend conditions look at the pool's supply APY in apy_history instead: the
+ * N-day average, stability within ±Y points over N days, and the rise since
+ * yesterday. They only narrow which opportunities alert, so they aren't part
+ * of the signed terms. apy_history holds pool supply APYs, so leveraged
+ * strategies (whose net APY has no history) never pass them.
+ */
+
+const config = require('../config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Editable conditions: the value the user sends and the mandate columns it sets
+const TREND_FIELDS = {
+  avg: { value: 'minAvgAPY', days: 'avgAPYDays' },
+  stable: { value: 'maxAPYSwing', days: 'stableDays' },
+  rise: { value: 'minAPYRise', days: null },
+};
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
+
+/**
+ * Whether a mandate has any trend condition
+ * @param {Object} mandate - Mandate row
+ * @returns {boolean}
+ */
+function hasTrendConditions(mandate) {
+  return isSet(mandate.min_avg_apy) || isSet(mandate.max_apy_swing) || isSet(mandate.min_apy_rise);
+}
+
+/**
+ * History rows inside a window, if the history covers all of it
+ * @returns {Array|null} Rows, or null if the pool hasn't been tracked for the whole window
+ */
+function windowRows(history, days, now) {
+  const from = now - days * DAY_MS;
+  const rows = history.filter(row => new Date(row.recorded_at).getTime() > from);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const oldest = Math.min(...rows.map(row => new Date(row.recorded_at).getTime()));
+  return oldest - from <= config.mandateTrends.coverageSlackHours * HOUR_MS ? rows : null;
+}
+
+/**
+ * Sample-weighted average supply APY (rollups count for their snapshots)
+ */
+function averageAPY(rows) {
+  const samples = rows.reduce((sum, row) => sum + (row.samples || 1), 0);
+  return rows.reduce((sum, row) => sum + row.supply_apy * (row.samples || 1), 0) / samples;
+}
+
+/**
+ * Snapshot closest to a point in time, within the coverage slack
+ */
+function snapshotNear(history, time) {
+  const slack = config.mandateTrends.coverageSlackHours * HOUR_MS;
+  let closest = null;
+
+  for (const row of history) {
+    const distance = Math.abs(new Date(row.recorded_at).getTime() - time);
+    if (distance <= slack && (!closest || distance < closest.distance)) {
+      closest = { row, distance };
+    }
+  }
+
+  return closest ? closest.row : null;
+}
+
+/**
+ * Check a mandate's trend conditions against a pool's APY history
+ * @param {Object} mandate - Mandate row (min_avg_apy, avg_apy_days, max_apy_swing, stable_days, min_apy_rise)
+ * @param {Array} history - getAPYHistory() rows of the pool, covering the longest window
+ * @param {number} currentAPY - Supply APY now (%)
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} { met, checks: [{ met, detail }] }, met only if every condition holds
+ */
+function evaluateTrend(mandate, history, currentAPY, now = Date.now()) {
+  const checks = [];
+
+  if (isSet(mandate.min_avg_apy)) {
+    const days = mandate.avg_apy_days || config.mandateTrends.defaultAvgDays;
+    const rows = windowRows(history, days, now);
+
+    if (!rows) {
+      checks.push({ met: false, detail: `${days}d avg: under ${days} days of history` });
+    } else {
+      const avg = averageAPY(rows);
+      checks.push({ met: avg >= mandate.min_avg_apy, detail: `${days}d avg ${avg.toFixed(2)}% (min ${mandate.min_avg_apy}%)` });
+    }
+  }
+
+  if (isSet(mandate.max_apy_swing)) {
+    const days = mandate.stable_days || config.mandateTrends.defaultStableDays;
+    const rows = windowRows(history, days, now);
+
+    if (!rows) {
+      checks.push({ met: false, detail: `Stability: under ${days} days of history` });
+    } else {
+      // Rollups carry their bucket's extremes; the current APY counts too
+      const mean = averageAPY(rows);
+      const swing = Math.max(
+        Math.abs(currentAPY - mean),
+        ...rows.map(row => Math.max(Math.abs(row.supply_apy_max - mean), Math.abs(row.supply_apy_min - mean)))
+      );
+      checks.push({ met: swing <= mandate.max_apy_swing, detail: `±${swing.toFixed(2)}% over ${days}d (max ±${mandate.max_apy_swing}%)` });
+    }
+  }
+
+  if (isSet(mandate.min_apy_rise)) {
+    const yesterday = snapshotNear(history, now - DAY_MS);
+
+    if (!yesterday) {
+      checks.push({ met: false, detail: 'Rise: no snapshot from yesterday' });
+    } else {
+      const rise = currentAPY - yesterday.supply_apy;
+      checks.push({
+        met: rise > mandate.min_apy_rise,
+        detail: `${rise >= 0 ? '+' : ''}${rise.toFixed(2)}% since yesterday (min +${mandate.min_apy_rise}%)`,
+      });
+    }
+  }
+
+  return { met: checks.every(check => check.met), checks };
+}
+
+/**
+ * A mandate's trend conditions as one line
+ * @param {Object} mandate - Mandate row
+ * @returns {string} e.g. "7d avg ≥ 6%, ±0.5% over 3d", or '' without conditions
+ */
+function formatTrendConditions(mandate) {
+  const parts = [];
+
+  if (isSet(mandate.min_avg_apy)) {
+    parts.push(`${mandate.avg_apy_days || config.mandateTrends.defaultAvgDays}d avg ≥ ${mandate.min_avg_apy}%`);
+  }
+  if (isSet(mandate.max_apy_swing)) {
+    parts.push(`±${mandate.max_apy_swing}% over ${mandate.stable_days || config.mandateTrends.defaultStableDays}d`);
+  }
+  if (isSet(mandate.min_apy_rise)) {
+    parts.push(`+${mandate.min_apy_rise}% since yesterday`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Parse a trend condition typed in the bot
+ * "6" or "6 14" (APY/points, then days), "off" clears the condition.
+ * @param {string} field - 'avg', 'stable' or 'rise'
+ * @param {string} text - User input
+ * @returns {Object} Fields for db.updateMandateTrend(), or { error }
+ */
+function parseTrendInput(field, text) {
+  const spec = TREND_FIELDS[field];
+  if (!spec) {
+    return { error: 'Unknown condition.' };
+  }
+
+  const words = text.trim().toLowerCase().split(/\s+/);
+
+  if (['off', 'none', 'clear'].includes(words[0])) {
+    return spec.days ? { [spec.value]: null, [spec.days]: null } : { [spec.value]: null };
+  }
+
+  const value = parseFloat(words[0].replace('%', ''));
+  if (!Number.isFinite(value) || value <= 0 || value > 100) {
+    return { error: 'Please send a number between 0 and 100, or "off".' };
+  }
+
+  if (!spec.days) {
+    return { [spec.value]: value };
+  }
+
+  const days = words[1] === undefined ? null : Number(words[1].replace(/d$/, ''));
+  if (days !== null && (!Number.isInteger(days) || days < 1 || days > config.mandateTrends.maxDays)) {
+    return { error: `Days must be a whole number from 1 to ${config.mandateTrends.maxDays}.` };
+  }
+
+  return { [spec.value]: value, [spec.days]: days };
+}
+
+module.exports = {
+  hasTrendConditions,
+  evaluateTrend,
+  formatTrendConditions,
+  parseTrendInput,
+};
@@ -3,7 +3,7 @@
  * Real balance checking using viem for Ethereum and Plasma chains
  */
 
-const { createPublicClient, http, parseUnits, formatUnits } = require('viem');
+const { createPublicClient, http, parseUnits, formatUnits, verifyMessage, verifyTypedData } = require('viem');
 const { mainnet } = require('viem/chains');
 const config = require('../config');
 
@@ -93,6 +93,42 @@ async function withRetry(fn, maxRetries = config.blockchain.rpc.maxRetries, init
   throw lastError;
 }
 
+/**
+ * Fetch event logs over a block range in chunks
+ * Public RPCs cap eth_getLogs by block range or result count, so the range is
+ * split into chunks that shrink whenever the node rejects one.
+ * @param {number} chainId - Chain ID
+ * @param {Object} filter - viem getLogs parameters without a block range ({ address, event, args })
+ * @param {bigint} fromBlock - First block (inclusive)
+ * @param {bigint} toBlock - Last block (inclusive)
+ * @returns {Promise<Array>} Logs in block order
+ */
+async function getLogsPaginated(chainId, filter, fromBlock, toBlock) {
+  const client = getClient(chainId);
+  const minChunkSize = BigInt(config.positions.history.minLogChunkSize);
+  let chunkSize = BigInt(config.positions.history.logChunkSize);
+  const logs = [];
+
+  let start = fromBlock;
+  while (start <= toBlock) {
+    const end = start + chunkSize - 1n < toBlock ? start + chunkSize - 1n : toBlock;
+
+    try {
+      logs.push(...await client.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+      start = end + 1n;
+    } catch (error) {
+      if (chunkSize <= minChunkSize) {
+        throw error;
+      }
+
+      chunkSize = chunkSize / 2n > minChunkSize ? chunkSize / 2n : minChunkSize;
+      console.log(`⚠️ getLogs rejected blocks ${start}-${end} on chain ${chainId}, retrying with ${chunkSize} blocks`);
+    }
+  }
+
+  return logs;
+}
+
 /**
  * Get pool token balance (shares) for a user
  * @param {string} poolAddress - Gearbox pool contract address
@@ -259,42 +295,589 @@ async function getPoolAPY(poolAddress, chainId) {
   }
 }
 
+// Gearbox V3 pool liquidity (all amounts in underlying units)
+const POOL_LIQUIDITY_ABI = [
+  { name: 'decimals', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint8' }] },
+  { name: 'expectedLiquidity', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+  { name: 'availableLiquidity', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+  { name: 'totalBorrowed', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+];
+
+// Gearbox V3 ABIs used for credit account detection
+const CREDIT_POOL_ABI = [
+  { name: 'creditManagers', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address[]' }] },
+  { name: 'poolQuotaKeeper', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address' }] },
+  { name: 'asset', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address' }] },
+  { name: 'availableLiquidity', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+  { name: 'baseInterestRate', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+  {
+    name: 'maxDeposit',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'receiver', type: 'address' }],
+    outputs: [{ type: 'uint256' }],
+  },
+];
+
+const CREDIT_MANAGER_ABI = [
+  { name: 'name', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  { name: 'creditFacade', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address' }] },
+  { name: 'collateralTokensCount', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint8' }] },
+  {
+    name: 'liquidationThresholds',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'token', type: 'address' }],
+    outputs: [{ type: 'uint16' }],
+  },
+  { name: 'creditAccountsLen', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+  {
+    name: 'creditAccounts',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'offset', type: 'uint256' }, { name: 'limit', type: 'uint256' }],
+    outputs: [{ type: 'address[]' }],
+  },
+  {
+    name: 'creditAccountInfo',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'creditAccount', type: 'address' }],
+    outputs: [
+      { name: 'debt', type: 'uint256' },
+      { name: 'cumulativeIndexLastUpdate', type: 'uint256' },
+      { name: 'cumulativeQuotaInterest', type: 'uint128' },
+      { name: 'quotaFees', type: 'uint128' },
+      { name: 'enabledTokensMask', type: 'uint256' },
+      { name: 'flags', type: 'uint16' },
+      { name: 'lastDebtUpdate', type: 'uint64' },
+      { name: 'borrower', type: 'address' },
+    ],
+  },
+  {
+    name: 'getTokenByMask',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'tokenMask', type: 'uint256' }],
+    outputs: [{ type: 'address' }],
+  },
+  {
+    name: 'calcDebtAndCollateral',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'creditAccount', type: 'address' }, { name: 'task', type: 'uint8' }],
+    outputs: [
+      {
+        name: 'cdd',
+        type: 'tuple',
+        components: [
+          { name: 'debt', type: 'uint256' },
+          { name: 'cumulativeIndexNow', type: 'uint256' },
+          { name: 'cumulativeIndexLastUpdate', type: 'uint256' },
+          { name: 'cumulativeQuotaInterest', type: 'uint128' },
+          { name: 'accruedInterest', type: 'uint256' },
+          { name: 'accruedFees', type: 'uint256' },
+          { name: 'totalDebtUSD', type: 'uint256' },
+          { name: 'totalValue', type: 'uint256' },
+          { name: 'totalValueUSD', type: 'uint256' },
+          { name: 'twvUSD', type: 'uint256' },
+          { name: 'enabledTokensMask', type: 'uint256' },
+          { name: 'quotedTokensMask', type: 'uint256' },
+          { name: 'quotedTokens', type: 'address[]' },
+          { name: '_poolQuotaKeeper', type: 'address' },
+        ],
+      },
+    ],
+  },
+];
+
+const CREDIT_FACADE_ABI = [
+  {
+    name: 'debtLimits',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: 'minDebt', type: 'uint128' }, { name: 'maxDebt', type: 'uint128' }],
+  },
+];
+
+const CREDIT_ACCOUNT_ABI = [
+  { name: 'creditManager', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address' }] },
+];
+
+const QUOTA_KEEPER_ABI = [
+  {
+    name: 'getQuota',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'creditAccount', type: 'address' }, { name: 'token', type: 'address' }],
+    outputs: [{ name: 'quota', type: 'uint96' }, { name: 'cumulativeIndexLU', type: 'uint192' }],
+  },
+  {
+    name: 'getTokenQuotaParams',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'token', type: 'address' }],
+    outputs: [
+      { name: 'rate', type: 'uint16' },
+      { name: 'cumulativeIndexLU', type: 'uint192' },
+      { name: 'quotaIncreaseFee', type: 'uint16' },
+      { name: 'totalQuoted', type: 'uint96' },
+      { name: 'limit', type: 'uint96' },
+      { name: 'isActive', type: 'bool' },
+    ],
+  },
+];
+
+const ERC20_METADATA_ABI = [
+  { name: 'symbol', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }] },
+  { name: 'decimals', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint8' }] },
+];
+
+// CollateralCalcTask.DEBT_COLLATERAL in CreditManagerV3
+const DEBT_COLLATERAL_TASK = 3;
+
+// Borrower -> credit accounts index per credit manager (enumeration is expensive)
+const borrowerIndexCache = new Map();
+
+// Token metadata rarely changes, cache it for the process lifetime
+const tokenMetadataCache = new Map();
+
+// Credit manager strategy parameters per pool
+const creditStrategyCache = new Map();
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Get token symbol and decimals (cached)
+ * @param {string} tokenAddress - ERC20 token address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Token metadata { address, symbol, decimals }
+ */
+async function getTokenMetadata(tokenAddress, chainId) {
+  const cacheKey = `${chainId}-${tokenAddress.toLowerCase()}`;
+  if (tokenMetadataCache.has(cacheKey)) {
+    return tokenMetadataCache.get(cacheKey);
+  }
+
+  const client = getClient(chainId);
+  const [symbol, decimals] = await Promise.all([
+    client.readContract({ address: tokenAddress, abi: ERC20_METADATA_ABI, functionName: 'symbol' }).catch(() => 'UNKNOWN'),
+    client.readContract({ address: tokenAddress, abi: ERC20_METADATA_ABI, functionName: 'decimals' }).catch(() => 18),
+  ]);
+
+  const metadata = { address: tokenAddress, symbol, decimals: Number(decimals) };
+  tokenMetadataCache.set(cacheKey, metadata);
+  return metadata;
+}
+
+/**
+ * Run async calls in fixed-size batches to avoid hammering the RPC
+ * @param {Array} items - Items to process
+ * @param {Function} fn - Async function applied to each item
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapInBatches(items, fn) {
+  const batchSize = config.leverage.rpcBatchSize;
+  const results = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    results.push(...await Promise.all(batch.map(fn)));
+  }
+
+  return results;
+}
+
+/**
+ * Build (or reuse) the borrower -> credit accounts index for a credit manager
+ * @param {string} creditManager - Credit manager address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Map>} Map of lowercase borrower address to credit account addresses
+ */
+async function getBorrowerIndex(creditManager, chainId) {
+  const cacheKey = `${chainId}-${creditManager.toLowerCase()}`;
+  const cached = borrowerIndexCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.timestamp < config.leverage.borrowerIndexCacheDuration) {
+    return cached.index;
+  }
+
+  const client = getClient(chainId);
+
+  const total = Number(await withRetry(() => client.readContract({
+    address: creditManager,
+    abi: CREDIT_MANAGER_ABI,
+    functionName: 'creditAccountsLen',
+  })));
+
+  const accounts = [];
+  for (let offset = 0; offset < total; offset += config.leverage.accountsPageSize) {
+    const page = await withRetry(() => client.readContract({
+      address: creditManager,
+      abi: CREDIT_MANAGER_ABI,
+      functionName: 'creditAccounts',
+      args: [BigInt(offset), BigInt(config.leverage.accountsPageSize)],
+    }));
+    accounts.push(...page);
+  }
+
+  const borrowers = await mapInBatches(accounts, (creditAccount) =>
+    client.readContract({
+      address: creditManager,
+      abi: CREDIT_MANAGER_ABI,
+      functionName: 'creditAccountInfo',
+      args: [creditAccount],
+    }).then(info => info[7]).catch(() => null)
+  );
+
+  const index = new Map();
+  accounts.forEach((creditAccount, i) => {
+    if (!borrowers[i]) return;
+    const borrower = borrowers[i].toLowerCase();
+    if (!index.has(borrower)) {
+      index.set(borrower, []);
+    }
+    index.get(borrower).push(creditAccount);
+  });
+
+  borrowerIndexCache.set(cacheKey, { index, timestamp: Date.now() });
+  console.log(`   📇 Indexed ${accounts.length} credit accounts for CM ${creditManager.slice(0, 10)}... on chain ${chainId}`);
+
+  return index;
+}
+
 /**
- * Check if user has a credit account (leveraged position) for a pool
+ * Read a credit account's debt and collateral from its credit manager
+ * @param {Object} client - Viem public client
+ * @param {string} creditManager - Credit manager address
+ * @param {string} creditAccount - Credit account address
+ * @returns {Promise<Object|null>} CollateralDebtData struct or null if the call reverts
+ */
+async function calcDebtAndCollateral(client, creditManager, creditAccount) {
+  try {
+    return await client.readContract({
+      address: creditManager,
+      abi: CREDIT_MANAGER_ABI,
+      functionName: 'calcDebtAndCollateral',
+      args: [creditAccount, DEBT_COLLATERAL_TASK],
+    });
+  } catch (error) {
+    // Reverts when price feeds need on-demand updates (e.g. RedStone pull oracles)
+    console.log(`   ⚠️ calcDebtAndCollateral reverted for ${creditAccount.slice(0, 10)}...: ${error.shortMessage || error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the credit accounts (leveraged positions) a user holds against a pool
+ *
+ * Enumerates every credit manager attached to the pool, finds the accounts
+ * whose borrower is the user, and decodes their debt, enabled collateral
+ * tokens and quotas (with each quoted token's rate).
+ *
  * @param {string} poolAddress - Gearbox pool contract address
  * @param {string} userAddress - User's wallet address
  * @param {number} chainId - Chain ID
- * @returns {Promise<Object|null>} Credit account info or null if no leverage
+ * @returns {Promise<Array>} Credit accounts (empty if the user has no leverage in this pool)
  */
 async function getCreditAccount(poolAddress, userAddress, chainId) {
   try {
-    // TODO: Implement credit account detection using Gearbox SDK
-    // This requires querying the Credit Manager contract associated with the pool
-    // For now, return null (assumes non-leveraged positions)
-    return null;
+    const client = getClient(chainId);
+
+    const [creditManagers, quotaKeeper, underlying] = await withRetry(() => Promise.all([
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'creditManagers' }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'poolQuotaKeeper' }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'asset' }),
+    ]));
+
+    if (creditManagers.length === 0) {
+      return [];
+    }
+
+    const underlyingMeta = await getTokenMetadata(underlying, chainId);
+    const creditAccounts = [];
+
+    for (const creditManager of creditManagers) {
+      const index = await getBorrowerIndex(creditManager, chainId);
+      const userAccounts = index.get(userAddress.toLowerCase()) || [];
+
+      if (userAccounts.length === 0) {
+        continue;
+      }
+
+      const creditFacade = await client.readContract({
+        address: creditManager,
+        abi: CREDIT_MANAGER_ABI,
+        functionName: 'creditFacade',
+      });
+
+      for (const creditAccount of userAccounts) {
+        const info = await withRetry(() => client.readContract({
+          address: creditManager,
+          abi: CREDIT_MANAGER_ABI,
+          functionName: 'creditAccountInfo',
+          args: [creditAccount],
+        }));
+
+        const enabledTokensMask = info[4];
+
+        // Each set bit of the mask is an enabled collateral token
+        const masks = [];
+        for (let bit = 0n; (enabledTokensMask >> bit) > 0n; bit++) {
+          if ((enabledTokensMask >> bit) & 1n) {
+            masks.push(1n << bit);
+          }
+        }
+
+        const tokenAddresses = await Promise.all(masks.map(mask =>
+          client.readContract({
+            address: creditManager,
+            abi: CREDIT_MANAGER_ABI,
+            functionName: 'getTokenByMask',
+            args: [mask],
+          })
+        ));
+
+        const collateralTokens = await Promise.all(tokenAddresses.map(token => getTokenMetadata(token, chainId)));
+
+        // Underlying is never quoted, every other enabled token may carry a quota
+        const quotas = [];
+        for (const token of collateralTokens) {
+          if (token.address.toLowerCase() === underlying.toLowerCase()) continue;
+
+          const [quota] = await client.readContract({
+            address: quotaKeeper,
+            abi: QUOTA_KEEPER_ABI,
+            functionName: 'getQuota',
+            args: [creditAccount, token.address],
+          }).catch(() => [0n]);
+
+          if (quota > 0n) {
+            const [rate] = await client.readContract({
+              address: quotaKeeper,
+              abi: QUOTA_KEEPER_ABI,
+              functionName: 'getTokenQuotaParams',
+              args: [token.address],
+            }).catch(() => [null]);
+
+            quotas.push({
+              token: token.address,
+              symbol: token.symbol,
+              quota: parseFloat(formatUnits(quota, underlyingMeta.decimals)),
+              rate: rate === null ? null : Number(rate) / 100, // bps -> percent
+            });
+          }
+        }
+
+        const cdd = await calcDebtAndCollateral(client, creditManager, creditAccount);
+
+        creditAccounts.push({
+          address: creditAccount,
+          creditManager,
+          creditFacade,
+          borrower: info[7],
+          underlyingToken: underlyingMeta.symbol,
+          debt: parseFloat(formatUnits(info[0], underlyingMeta.decimals)),
+          totalDebt: cdd
+            ? parseFloat(formatUnits(cdd.debt + cdd.accruedInterest + cdd.accruedFees, underlyingMeta.decimals))
+            : null,
+          totalValue: cdd ? parseFloat(formatUnits(cdd.totalValue, underlyingMeta.decimals)) : null,
+          healthFactor: healthFactorFromCollateralDebt(cdd),
+          collateralTokens: collateralTokens.map(t => ({ address: t.address, symbol: t.symbol })),
+          quotas,
+        });
+      }
+    }
+
+    if (creditAccounts.length > 0) {
+      console.log(`   ✅ Found ${creditAccounts.length} credit account(s) for ${userAddress.slice(0, 10)}... in pool ${poolAddress.slice(0, 10)}...`);
+    }
+
+    return creditAccounts;
   } catch (error) {
     console.error(`❌ Error checking credit account:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the leveraged strategies offered by a pool's credit managers
+ *
+ * For every credit manager the strongest collateral (highest liquidation
+ * threshold among active quoted tokens) defines the strategy: its LT bounds
+ * the leverage, its quota rate is paid on the position on top of the pool's
+ * base borrow rate, and its remaining quota limit caps how much can be
+ * borrowed into it.
+ *
+ * @param {string} poolAddress - Gearbox pool contract address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object|null>} { underlyingToken, borrowAPY, availableLiquidity, depositCapacity, strategies } or null on error
+ */
+async function getCreditStrategies(poolAddress, chainId) {
+  const cacheKey = `${chainId}-${poolAddress.toLowerCase()}`;
+  const cached = creditStrategyCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.timestamp < config.leverage.strategyCacheDuration) {
+    return cached.data;
+  }
+
+  try {
+    const client = getClient(chainId);
+
+    const [creditManagers, quotaKeeper, underlying, availableLiquidity, maxDeposit, baseInterestRate] = await withRetry(() => Promise.all([
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'creditManagers' }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'poolQuotaKeeper' }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'asset' }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'availableLiquidity' }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'maxDeposit', args: [ZERO_ADDRESS] }),
+      client.readContract({ address: poolAddress, abi: CREDIT_POOL_ABI, functionName: 'baseInterestRate' }),
+    ]));
+
+    const underlyingMeta = await getTokenMetadata(underlying, chainId);
+    const toUnits = (amount) => parseFloat(formatUnits(amount, underlyingMeta.decimals));
+    const strategies = [];
+
+    for (const creditManager of creditManagers) {
+      try {
+        const [name, creditFacade, tokensCount] = await Promise.all([
+          client.readContract({ address: creditManager, abi: CREDIT_MANAGER_ABI, functionName: 'name' }).catch(() => null),
+          client.readContract({ address: creditManager, abi: CREDIT_MANAGER_ABI, functionName: 'creditFacade' }),
+          client.readContract({ address: creditManager, abi: CREDIT_MANAGER_ABI, functionName: 'collateralTokensCount' }),
+        ]);
+
+        // Mask 1 is always the underlying, quoted collateral starts at mask 2
+        const masks = [];
+        for (let i = 1n; i < BigInt(tokensCount); i++) {
+          masks.push(1n << i);
+        }
+
+        const collaterals = await mapInBatches(masks, async (mask) => {
+          const token = await client.readContract({
+            address: creditManager,
+            abi: CREDIT_MANAGER_ABI,
+            functionName: 'getTokenByMask',
+            args: [mask],
+          });
+
+          const [lt, quotaParams] = await Promise.all([
+            client.readContract({
+              address: creditManager,
+              abi: CREDIT_MANAGER_ABI,
+              functionName: 'liquidationThresholds',
+              args: [token],
+            }),
+            client.readContract({
+              address: quotaKeeper,
+              abi: QUOTA_KEEPER_ABI,
+              functionName: 'getTokenQuotaParams',
+              args: [token],
+            }),
+          ]);
+
+          const [rate, , , totalQuoted, limit, isActive] = quotaParams;
+          return { token, lt: Number(lt) / 10000, rate, totalQuoted, limit, isActive };
+        });
+
+        const usable = collaterals.filter(c => c.isActive && c.lt > 0 && c.limit > c.totalQuoted);
+        if (usable.length === 0) {
+          continue;
+        }
+
+        const best = usable.reduce((a, b) => (b.lt > a.lt ? b : a));
+
+        const absoluteMaxLeverage = Math.floor(1 / (1 - best.lt * config.leverage.ltSafetyFactor));
+        const maxLeverage = Math.min(absoluteMaxLeverage, config.leverage.maxStrategyLeverage);
+
+        if (!isFinite(maxLeverage) || maxLeverage <= 1) {
+          continue;
+        }
+
+        const [minDebt, maxDebt] = await client.readContract({
+          address: creditFacade,
+          abi: CREDIT_FACADE_ABI,
+          functionName: 'debtLimits',
+        });
+
+        const collateralMeta = await getTokenMetadata(best.token, chainId);
+
+        strategies.push({
+          creditManager,
+          name: name || `${collateralMeta.symbol} Credit Manager`,
+          collateralToken: collateralMeta.symbol,
+          collateralAddress: best.token,
+          liquidationThreshold: best.lt,
+          quotaRate: Number(best.rate) / 100, // bps -> percent
+          maxLeverage,
+          minDebt: toUnits(minDebt),
+          maxDebt: toUnits(maxDebt),
+          quotaRoom: toUnits(best.limit - best.totalQuoted),
+        });
+      } catch (error) {
+        console.log(`   ⚠️ Skipping CM ${creditManager.slice(0, 10)}...: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    const RAY = BigInt('1000000000000000000000000000'); // 1e27
+
+    const data = {
+      underlyingToken: underlyingMeta.symbol,
+      borrowAPY: Number((BigInt(baseInterestRate) * 10000n) / RAY) / 100,
+      availableLiquidity: toUnits(availableLiquidity),
+      depositCapacity: toUnits(maxDeposit),
+      strategies,
+    };
+
+    creditStrategyCache.set(cacheKey, { data, timestamp: Date.now() });
+    console.log(`   ✅ Pool ${poolAddress.slice(0, 10)}... on chain ${chainId}: ${strategies.length} leveraged strategies`);
+
+    return data;
+  } catch (error) {
+    console.error(`❌ Error fetching credit strategies for ${poolAddress} on chain ${chainId}:`, error.message);
     return null;
   }
 }
 
 /**
  * Get health factor for a leveraged position
+ * HF = total weighted value (collateral × liquidation thresholds) / total debt, both in USD
  * @param {string} creditAccountAddress - Credit account contract address
  * @param {number} chainId - Chain ID
  * @returns {Promise<number|null>} Health factor (1.0 = at liquidation threshold) or null
  */
 async function getHealthFactor(creditAccountAddress, chainId) {
   try {
-    // TODO: Implement health factor calculation from credit account
-    // This involves querying the Credit Facade contract
-    return null;
+    const client = getClient(chainId);
+
+    const creditManager = await withRetry(() => client.readContract({
+      address: creditAccountAddress,
+      abi: CREDIT_ACCOUNT_ABI,
+      functionName: 'creditManager',
+    }));
+
+    const cdd = await calcDebtAndCollateral(client, creditManager, creditAccountAddress);
+
+    return healthFactorFromCollateralDebt(cdd);
   } catch (error) {
     console.error(`❌ Error fetching health factor:`, error.message);
     return null;
   }
 }
 
+/**
+ * Derive health factor from a CollateralDebtData struct
+ * @param {Object|null} cdd - Result of calcDebtAndCollateral()
+ * @returns {number|null} Health factor or null when there is no debt / no data
+ */
+function healthFactorFromCollateralDebt(cdd) {
+  if (!cdd || cdd.totalDebtUSD === 0n) {
+    return null;
+  }
+
+  // Keep 4 decimals of precision before converting out of bigint
+  return Number((cdd.twvUSD * 10000n) / cdd.totalDebtUSD) / 10000;
+}
+
 /**
  * Get Total Value Locked (TVL) for an ERC4626 pool
  * @param {string} poolAddress - ERC4626 pool contract address
@@ -375,6 +958,94 @@ async function getPoolTVL(poolAddress, chainId) {
   }
 }
 
+/**
+ * Borrowed share of a pool's expected liquidity
+ * @param {bigint} totalBorrowed - Lent out to credit accounts
+ * @param {bigint} expectedLiquidity - Deposits plus accrued interest
+ * @returns {number} Utilization (0-1)
+ */
+function utilizationOf(totalBorrowed, expectedLiquidity) {
+  if (expectedLiquidity === 0n) {
+    return 0;
+  }
+
+  // Keep 4 decimals of precision before converting out of bigint
+  return Number((totalBorrowed * 10000n) / expectedLiquidity) / 10000;
+}
+
+/**
+ * Get how much of a pool is lent out and how much lenders can withdraw now
+ * @param {string} poolAddress - Gearbox pool contract address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object|null>} { expectedLiquidity, availableLiquidity, totalBorrowed, utilization }
+ *   in underlying units (utilization 0-1), or null if it can't be read
+ */
+async function getPoolLiquidity(poolAddress, chainId) {
+  try {
+    const client = getClient(chainId);
+
+    const [decimals, expectedLiquidity, availableLiquidity, totalBorrowed] = await withRetry(() => Promise.all([
+      client.readContract({ address: poolAddress, abi: POOL_LIQUIDITY_ABI, functionName: 'decimals' }),
+      client.readContract({ address: poolAddress, abi: POOL_LIQUIDITY_ABI, functionName: 'expectedLiquidity' }),
+      client.readContract({ address: poolAddress, abi: POOL_LIQUIDITY_ABI, functionName: 'availableLiquidity' }),
+      client.readContract({ address: poolAddress, abi: POOL_LIQUIDITY_ABI, functionName: 'totalBorrowed' }),
+    ]));
+
+    const toUnits = (amount) => parseFloat(formatUnits(amount, decimals));
+
+    return {
+      expectedLiquidity: toUnits(expectedLiquidity),
+      availableLiquidity: toUnits(availableLiquidity),
+      totalBorrowed: toUnits(totalBorrowed),
+      utilization: utilizationOf(totalBorrowed, expectedLiquidity),
+    };
+  } catch (error) {
+    console.error(`❌ Error fetching liquidity for ${poolAddress} on chain ${chainId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Find the block a contract was deployed in
+ * Binary search for the first block with code at the address, so the RPC
+ * must serve historical state (archive node). Throws if it can't.
+ * @param {string} address - Contract address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object|null>} { blockNumber, timestamp (ISO) }, or null if there's no code
+ */
+async function getDeploymentBlock(address, chainId) {
+  const client = getClient(chainId);
+
+  const hasCode = async (blockNumber) => {
+    const code = await withRetry(() => client.getCode({ address, blockNumber }));
+    return Boolean(code && code !== '0x');
+  };
+
+  let high = await withRetry(() => client.getBlockNumber());
+  if (!await hasCode(high)) {
+    return null;
+  }
+
+  // Gearbox V3 pools are all younger than the history start block
+  let low = BigInt(config.positions.history.startBlocks[chainId] || 0);
+
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    if (await hasCode(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1n;
+    }
+  }
+
+  const block = await withRetry(() => client.getBlock({ blockNumber: high }));
+
+  return {
+    blockNumber: Number(high),
+    timestamp: new Date(Number(block.timestamp) * 1000).toISOString(),
+  };
+}
+
 /**
  * Get pool info (name, symbol, underlying token)
  * @param {string} poolAddress - Gearbox pool contract address
@@ -418,14 +1089,88 @@ async function getPoolInfo(poolAddress, chainId) {
   }
 }
 
+/**
+ * Run a signature check, falling back to ERC-1271 for smart contract wallets
+ * @param {string} address - Wallet that should have signed
+ * @param {Function} verifyOffline - () => Promise<boolean>, EOA check via signature recovery
+ * @param {Function} verifyOnChain - (client) => Promise<boolean>, check through a chain client
+ * @returns {Promise<boolean>} True if either check passes
+ */
+async function verifyWithContractFallback(address, verifyOffline, verifyOnChain) {
+  try {
+    if (await verifyOffline()) {
+      return true;
+    }
+  } catch (error) {
+    // Not an ECDSA signature - may still be valid for a contract wallet
+  }
+
+  for (const [chainId, client] of Object.entries(clients)) {
+    try {
+      const code = await client.getCode({ address });
+      if (!code || code === '0x') {
+        continue;
+      }
+
+      if (await verifyOnChain(client)) {
+        return true;
+      }
+    } catch (error) {
+      console.log(`   ⚠️  ERC-1271 check failed on chain ${chainId}: ${error.message}`);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Verify an EIP-191 (personal_sign) message signature
+ * EOA signatures are recovered offline. If that fails, the address is tried
+ * as a smart contract wallet (e.g. Safe) via ERC-1271 on each supported chain.
+ * @param {string} address - Wallet that should have signed
+ * @param {string} message - Exact message text that was signed
+ * @param {string} signature - Hex signature
+ * @returns {Promise<boolean>} True if the wallet signed the message
+ */
+function verifySignedMessage(address, message, signature) {
+  return verifyWithContractFallback(
+    address,
+    () => verifyMessage({ address, message, signature }),
+    (client) => client.verifyMessage({ address, message, signature })
+  );
+}
+
+/**
+ * Verify an EIP-712 typed data signature (EOA or ERC-1271 contract wallet)
+ * @param {string} address - Wallet that should have signed
+ * @param {Object} typedData - { domain, types, primaryType, message }
+ * @param {string} signature - Hex signature
+ * @returns {Promise<boolean>} True if the wallet signed the typed data
+ */
+function verifySignedTypedData(address, typedData, signature) {
+  return verifyWithContractFallback(
+    address,
+    () => verifyTypedData({ address, ...typedData, signature }),
+    (client) => client.verifyTypedData({ address, ...typedData, signature })
+  );
+}
+
 module.exports = {
   getClient,
   getPoolBalance,
   convertSharesToAssets,
   getPoolAPY,
   getPoolTVL,
+  getPoolLiquidity,
+  utilizationOf,
+  getDeploymentBlock,
   getCreditAccount,
+  getCreditStrategies,
   getHealthFactor,
+  getTokenMetadata,
   getPoolInfo,
+  getLogsPaginated,
+  verifySignedMessage,
+  verifySignedTypedData,
   withRetry,
 };
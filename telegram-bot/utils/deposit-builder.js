@@ -0,0 +1,178 @@
+/**
+ * Deposit Builder - Gearbox pool deposits signed outside the bot
+ *
+ * Prepares the same calls the web app makes in utils/pool-deposits.ts:
+ * ERC20 approve(pool, uint256 max) when the allowance is too low, then
+ * depositWithReferral(assets, receiver, referralCode). The user signs them
+ * in the web app (deep link) or submits the raw calldata from any wallet.
+ */
+
+const { encodeFunctionData, parseUnits, maxUint256 } = require('viem');
+const blockchain = require('./blockchain');
+const config = require('../config');
+
+const ERC20_ABI = [
+  { name: 'balanceOf', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256' }] },
+  { name: 'allowance', type: 'function', stateMutability: 'view', inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }], outputs: [{ type: 'uint256' }] },
+  { name: 'approve', type: 'function', stateMutability: 'nonpayable', inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ type: 'bool' }] },
+];
+
+const POOL_ABI = [
+  { name: 'asset', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address' }] },
+  {
+    name: 'depositWithReferral',
+    type: 'function',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'assets', type: 'uint256' },
+      { name: 'receiver', type: 'address' },
+      { name: 'referralCode', type: 'uint256' },
+    ],
+    outputs: [{ type: 'uint256' }],
+  },
+];
+
+// Transfer(address,address,uint256) - pool shares are minted from 0x0
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const ZERO_TOPIC = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+/**
+ * Read the pool's underlying token and the wallet's balance/allowance
+ * @param {string} poolAddress - Gearbox pool address
+ * @param {string} walletAddress - Depositing wallet
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} { tokenAddress, symbol, decimals, balance, allowance } (bigints for amounts)
+ */
+async function getDepositContext(poolAddress, walletAddress, chainId) {
+  const client = blockchain.getClient(chainId);
+
+  return blockchain.withRetry(async () => {
+    const tokenAddress = await client.readContract({ address: poolAddress, abi: POOL_ABI, functionName: 'asset' });
+
+    const [token, balance, allowance] = await Promise.all([
+      blockchain.getTokenMetadata(tokenAddress, chainId),
+      client.readContract({ address: tokenAddress, abi: ERC20_ABI, functionName: 'balanceOf', args: [walletAddress] }),
+      client.readContract({ address: tokenAddress, abi: ERC20_ABI, functionName: 'allowance', args: [walletAddress, poolAddress] }),
+    ]);
+
+    return { tokenAddress, symbol: token.symbol, decimals: token.decimals, balance, allowance };
+  });
+}
+
+/**
+ * Parse a user-entered amount into token base units
+ * @param {string} text - e.g. "1,000.5"
+ * @param {number} decimals - Token decimals
+ * @returns {bigint|null} Amount, or null if not a positive number with at most `decimals` decimals
+ */
+function parseAmount(text, decimals) {
+  const cleaned = text.trim().replace(/,/g, '');
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) {
+    return null;
+  }
+
+  // parseUnits would silently round extra decimals
+  if ((cleaned.split('.')[1] || '').length > decimals) {
+    return null;
+  }
+
+  try {
+    const amount = parseUnits(cleaned, decimals);
+    return amount > 0n ? amount : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the transactions for a deposit
+ * @param {Object} params - { poolAddress, tokenAddress, receiver, amount, allowance } (bigint amounts)
+ * @returns {Array} [{ to, data, description }] in execution order
+ */
+function buildDepositTransactions({ poolAddress, tokenAddress, receiver, amount, allowance }) {
+  const transactions = [];
+
+  // Infinite approval like the web app, so later deposits skip this step
+  if (allowance < amount) {
+    transactions.push({
+      to: tokenAddress,
+      data: encodeFunctionData({ abi: ERC20_ABI, functionName: 'approve', args: [poolAddress, maxUint256] }),
+      description: 'Approve pool to spend the token',
+    });
+  }
+
+  transactions.push({
+    to: poolAddress,
+    data: encodeFunctionData({
+      abi: POOL_ABI,
+      functionName: 'depositWithReferral',
+      args: [amount, receiver, BigInt(config.deposits.referralCode)],
+    }),
+    description: 'Deposit into the pool',
+  });
+
+  return transactions;
+}
+
+/**
+ * Web app link that runs the deposit with the user's browser wallet
+ * @param {Object} request - deposit_requests row
+ * @returns {string|null} URL, or null if config.bot.webAppUrl isn't set
+ */
+function depositLink(request) {
+  const base = config.bot.webAppUrl;
+  if (!base) {
+    return null;
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    chainId: request.chain_id,
+    pool: request.pool_address,
+    token: request.token_address,
+    symbol: request.token_symbol,
+    amount: request.amount,
+    receiver: request.wallet_address,
+  })).toString('base64url');
+
+  return `${base.replace(/\/$/, '')}/?deposit=${payload}`;
+}
+
+/**
+ * Block explorer link for a transaction
+ * @param {number} chainId - Chain ID
+ * @param {string} txHash - Transaction hash
+ * @returns {string|null} URL, or null for unknown chains
+ */
+function explorerTxUrl(chainId, txHash) {
+  const chain = Object.values(config.blockchain.chains).find(c => c.id === chainId);
+  return chain ? `${chain.explorerUrl}/tx/${txHash}` : null;
+}
+
+/**
+ * Pool shares minted to the receiver in a deposit receipt
+ * @param {Object} receipt - viem transaction receipt
+ * @param {string} poolAddress - Pool address (the share token)
+ * @param {string} receiver - Receiving wallet
+ * @returns {bigint|null} Minted shares, or null if no mint was found
+ */
+function parseMintedShares(receipt, poolAddress, receiver) {
+  const receiverTopic = receiver.toLowerCase().slice(2);
+
+  const mint = receipt.logs.find(log =>
+    log.address.toLowerCase() === poolAddress.toLowerCase() &&
+    log.topics[0] === TRANSFER_TOPIC &&
+    log.topics[1] === ZERO_TOPIC &&
+    log.topics[2]?.toLowerCase().endsWith(receiverTopic)
+  );
+
+  return mint ? BigInt(mint.data) : null;
+}
+
+module.exports = {
+  getDepositContext,
+  parseAmount,
+  buildDepositTransactions,
+  depositLink,
+  explorerTxUrl,
+  parseMintedShares,
+};
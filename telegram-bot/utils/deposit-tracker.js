@@ -0,0 +1,127 @@
+/**
+ * Deposit Tracker - Follows deposits prepared from Telegram until they confirm
+ *
+ * Each submitted deposit_requests row is checked for a receipt. A mined
+ * transaction only counts if it succeeded and minted pool shares to the
+ * user's wallet; the user is told the outcome either way.
+ */
+
+const { formatUnits } = require('viem');
+const db = require('../database');
+const config = require('../config');
+const blockchain = require('./blockchain');
+const { explorerTxUrl, parseMintedShares } = require('./deposit-builder');
+
+/**
+ * Check that a receipt is the expected deposit
+ * Judged by the pool's share mint to the wallet rather than the tx sender,
+ * so deposits executed through a Safe or other contract wallet count too.
+ * @param {Object} receipt - viem transaction receipt
+ * @param {Object} request - deposit_requests row
+ * @returns {boolean} True if the pool minted shares to the request's wallet
+ */
+function isExpectedDeposit(receipt, request) {
+  return parseMintedShares(receipt, request.pool_address, request.wallet_address) !== null;
+}
+
+/**
+ * Check one submitted deposit
+ * @param {Object} request - Row from db.getSubmittedDeposits()
+ * @returns {Promise<Object|null>} { status, shares?, message } once final, null while pending
+ */
+async function checkDeposit(request) {
+  const client = blockchain.getClient(request.chain_id);
+  const link = explorerTxUrl(request.chain_id, request.tx_hash);
+  const txLine = link ? `[View transaction](${link})` : `\`${request.tx_hash}\``;
+
+  let receipt;
+  try {
+    receipt = await client.getTransactionReceipt({ hash: request.tx_hash });
+  } catch (error) {
+    if (error.name !== 'TransactionReceiptNotFoundError') {
+      throw error;
+    }
+
+    if (request.minutes_pending < config.deposits.confirmationTimeoutMinutes) {
+      return null;
+    }
+
+    return {
+      status: 'expired',
+      message:
+        `⌛ *Deposit Not Found*\n\n` +
+        `Your ${request.amount} ${request.token_symbol} deposit wasn't mined within ${config.deposits.confirmationTimeoutMinutes} minutes.\n` +
+        `${txLine}\n\n` +
+        `_If it was dropped, tap 💸 Deposit on the alert to prepare a new one._`,
+    };
+  }
+
+  if (receipt.status !== 'success') {
+    return {
+      status: 'failed',
+      message: `❌ *Deposit Reverted*\n\nYour ${request.amount} ${request.token_symbol} deposit failed on-chain. No funds were deposited.\n${txLine}`,
+    };
+  }
+
+  if (!isExpectedDeposit(receipt, request)) {
+    return {
+      status: 'failed',
+      message:
+        `⚠️ *Not a Deposit*\n\n` +
+        `This transaction isn't a deposit from \`${request.wallet_address}\` into the pool ` +
+        `(an approval hash, perhaps?). Prepare the deposit again and send the deposit transaction's hash.\n${txLine}`,
+    };
+  }
+
+  const shares = parseMintedShares(receipt, request.pool_address, request.wallet_address);
+  const sharesText = `Received *${parseFloat(formatUnits(shares, request.token_decimals)).toFixed(4)}* pool shares.\n`;
+
+  return {
+    status: 'confirmed',
+    shares: shares.toString(),
+    message:
+      `✅ *Deposit Confirmed!*\n\n` +
+      `*${request.amount} ${request.token_symbol}* deposited in block ${receipt.blockNumber}.\n` +
+      sharesText +
+      `${txLine}\n\n` +
+      `_Your position appears in /positions after the next scan._`,
+  };
+}
+
+/**
+ * Check every submitted deposit and notify users of final outcomes
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<number>} Number of deposits resolved
+ */
+async function trackDeposits(bot) {
+  const requests = await db.getSubmittedDeposits();
+  let resolved = 0;
+
+  for (const request of requests) {
+    try {
+      const result = await checkDeposit(request);
+      if (!result) {
+        continue;
+      }
+
+      await db.completeDepositRequest(request.id, result.status, result.shares);
+      await bot.sendMessage(request.telegram_chat_id, result.message, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+      });
+
+      console.log(`   💸 Deposit request ${request.id} ${result.status}`);
+      resolved++;
+    } catch (error) {
+      console.error(`   ❌ Error tracking deposit ${request.id}:`, error.message);
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  isExpectedDeposit,
+  checkDeposit,
+  trackDeposits,
+};
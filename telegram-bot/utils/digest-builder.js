@@ -0,0 +1,176 @@
+/**
+ * Digest Builder - Daily/weekly alert reports
+ *
+ * For users who chose a digest delivery mode, the notification gateway only
+ * logs routine alerts. This module collects what was logged since the last
+ * digest (mandate matches, APY changes, new pools) and sends it as one
+ * formatted report at the user's chosen hour (in the user's timezone).
+ */
+
+const db = require('../database');
+const config = require('../config');
+const { localParts, zonedTime, formatDate, formatTime, isQuietHours } = require('./timezone');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Most recent scheduled digest time at or before `now`
+ * digest_hour and digest_day are wall-clock values in the user's timezone.
+ * @param {Object} user - User row with delivery_mode, digest_hour, digest_day, timezone
+ * @param {Date} now - Reference time
+ * @returns {Date} Scheduled digest time
+ */
+function lastScheduledTime(user, now = new Date()) {
+  const timezone = user.timezone || 'UTC';
+  const weekly = user.delivery_mode === 'weekly';
+  const local = localParts(now, timezone);
+  const daysBack = weekly ? (local.weekday - user.digest_day + 7) % 7 : 0;
+
+  let slot = zonedTime(local.year, local.month, local.day - daysBack, user.digest_hour, timezone);
+
+  if (slot > now) {
+    slot = zonedTime(local.year, local.month, local.day - daysBack - (weekly ? 7 : 1), user.digest_hour, timezone);
+  }
+
+  return slot;
+}
+
+/**
+ * Describe a user's delivery schedule, e.g. "Weekly on Monday at 09:00 (Europe/Berlin)"
+ * @param {Object} user - User row
+ * @returns {string} Human-readable schedule
+ */
+function describeSchedule(user) {
+  const hour = `${String(user.digest_hour).padStart(2, '0')}:00 (${user.timezone || 'UTC'})`;
+
+  switch (user.delivery_mode) {
+    case 'daily':
+      return `Daily at ${hour}`;
+    case 'weekly':
+      return `Weekly on ${DAY_NAMES[user.digest_day]} at ${hour}`;
+    default:
+      return 'Instant';
+  }
+}
+
+/**
+ * Format one digest section, capped at config.digest.maxItemsPerSection lines
+ */
+function formatSection(title, lines) {
+  const max = config.digest.maxItemsPerSection;
+  const shown = lines.slice(0, max).join('\n');
+  const more = lines.length > max ? `\n…and ${lines.length - max} more` : '';
+
+  return `${title} (${lines.length})\n${shown}${more}`;
+}
+
+/**
+ * Build the digest message from logged alerts
+ * @param {Object} user - User row
+ * @param {Object} entries - From db.getDigestEntries()
+ * @param {Date} since - Start of the digest window
+ * @returns {string|null} Markdown message, or null if there is nothing to report
+ */
+function buildDigest(user, entries, since) {
+  const sections = [];
+
+  if (entries.opportunities.length > 0) {
+    sections.push(formatSection(
+      '🎯 *Mandate Matches*',
+      entries.opportunities.map(o => `• ${o.strategy || o.opportunity_id} — ${o.apy.toFixed(2)}% APY${o.asset ? ` (${o.asset} alert)` : ''}`)
+    ));
+  }
+
+  if (entries.apyChanges.length > 0) {
+    // Several changes on the same position collapse into first → latest
+    const byPosition = new Map();
+    for (const change of entries.apyChanges) {
+      const existing = byPosition.get(change.position_id);
+      byPosition.set(change.position_id, {
+        token: change.underlying_token || 'Position',
+        oldAPY: existing ? existing.oldAPY : change.old_apy,
+        newAPY: change.new_apy,
+      });
+    }
+
+    sections.push(formatSection(
+      '📈 *APY Changes*',
+      [...byPosition.values()].map(c => {
+        const diff = c.newAPY - c.oldAPY;
+        return `• ${c.token}: ${c.oldAPY.toFixed(2)}% → ${c.newAPY.toFixed(2)}% (${diff >= 0 ? '+' : ''}${diff.toFixed(2)}%)`;
+      })
+    ));
+  }
+
+  if (entries.newPools.length > 0) {
+    sections.push(formatSection(
+      '🆕 *New Pools*',
+      entries.newPools.map(p => (
+        `• ${p.pool_name || p.pool_address}${p.underlying_token ? ` (${p.underlying_token})` : ''}` +
+        `${p.apy !== null && p.apy !== undefined ? ` — ${p.apy.toFixed(2)}% APY` : ''}`
+      ))
+    ));
+  }
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  const title = user.delivery_mode === 'weekly' ? 'Weekly' : 'Daily';
+
+  return `📰 *Your ${title} Digest*\n` +
+    `_Since ${formatDate(since, user.timezone)}, ${formatTime(since, user.timezone)}_\n\n` +
+    sections.join('\n\n') +
+    `\n\n_Change delivery with /digest_`;
+}
+
+/**
+ * Send digests to every user whose scheduled time has passed since their last one
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function sendDueDigests(bot) {
+  const users = await db.getDigestUsers();
+  const now = new Date();
+  let sent = 0;
+
+  for (const user of users) {
+    try {
+      const slot = lastScheduledTime(user, now);
+      const lastDigest = user.last_digest_at ? new Date(user.last_digest_at) : null;
+
+      // Due digests wait until the user's quiet hours are over
+      if ((lastDigest && lastDigest >= slot) || isQuietHours(user, now)) {
+        continue;
+      }
+
+      // No previous digest: cover one period back from the scheduled time
+      const since = lastDigest || new Date(slot.getTime() - (user.delivery_mode === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000);
+      const entries = await db.getDigestEntries(user.id, since.toISOString());
+      const message = buildDigest(user, entries, since);
+
+      if (message) {
+        await bot.sendMessage(user.telegram_chat_id, message, { parse_mode: 'Markdown' });
+        sent++;
+      }
+
+      await db.markDigestSent(user.id, now);
+    } catch (error) {
+      console.error(`   ❌ Error sending digest to user ${user.id}:`, error.message);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`   📰 Sent ${sent} digests`);
+  }
+
+  return sent;
+}
+
+module.exports = {
+  DAY_NAMES,
+  lastScheduledTime,
+  describeSchedule,
+  buildDigest,
+  sendDueDigests,
+};
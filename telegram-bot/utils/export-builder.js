@@ -0,0 +1,242 @@
+/**
+ * Export Builder - CSV/JSON records of positions, APY history and alerts
+ *
+ * Shared by /export (files sent as Telegram documents) and the HTTP export
+ * endpoint (export-server.js). Ranges are whole UTC days: from is inclusive,
+ * to is exclusive.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATASETS = {
+  positions: {
+    label: 'Positions',
+    columns: [
+      'id', 'wallet_address', 'wallet_label', 'chain_id', 'pool_address', 'position_type', 'underlying_token',
+      'shares', 'deposited_amount', 'current_value', 'realized_pnl', 'initial_supply_apy',
+      'current_supply_apy', 'net_apy', 'leverage', 'health_factor', 'credit_account', 'debt',
+      'deposited_at', 'last_updated', 'active',
+    ],
+    load: (userId, from, to) => db.getPositionsForExport(userId, from, to),
+  },
+  apy_history: {
+    label: 'APY history',
+    columns: [
+      'recorded_at', 'resolution', 'chain_id', 'pool_address', 'supply_apy', 'supply_apy_min',
+      'supply_apy_max', 'borrow_apy', 'tvl', 'utilization', 'utilization_max', 'samples',
+    ],
+    load: (userId, from, to) => db.getAPYHistoryForExport(userId, from, to),
+  },
+  alerts: {
+    label: 'Alerts',
+    columns: ['sent_at', 'type', 'chain_id', 'pool_address', 'subject', 'value', 'previous_value', 'details'],
+    load: (userId, from, to) => db.getAlertHistory(userId, from, to),
+  },
+};
+
+// Accepted spellings of each dataset
+const DATASET_ALIASES = {
+  positions: 'positions',
+  apy: 'apy_history',
+  apy_history: 'apy_history',
+  alerts: 'alerts',
+  notifications: 'alerts',
+  all: 'all',
+};
+
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @returns {Date|null}
+ */
+function parseDay(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== text ? null : date;
+}
+
+/**
+ * Resolve a date range from its text form
+ * @param {Array<string>} dates - [] (last defaultDays), ['YYYY-MM'] (that month),
+ *   ['YYYY-MM-DD'] (that day until today) or ['YYYY-MM-DD', 'YYYY-MM-DD'] (both days included)
+ * @param {Date} [now] - Current time
+ * @returns {Object} { from, to } Dates, or { error }
+ */
+function parseDateRange(dates, now = new Date()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  let from;
+  let to;
+
+  if (dates.length === 0) {
+    to = new Date(today.getTime() + DAY_MS);
+    from = new Date(to.getTime() - config.exports.defaultDays * DAY_MS);
+  } else if (dates.length === 1 && /^\d{4}-\d{2}$/.test(dates[0])) {
+    from = parseDay(`${dates[0]}-01`);
+    if (!from) return { error: `Invalid month: ${dates[0]}` };
+    to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1));
+  } else if (dates.length <= 2) {
+    from = parseDay(dates[0]);
+    const last = dates[1] ? parseDay(dates[1]) : today;
+    if (!from || !last) return { error: 'Dates must look like 2025-01-31' };
+    to = new Date(last.getTime() + DAY_MS);
+  } else {
+    return { error: 'Give at most two dates' };
+  }
+
+  if (from >= to) {
+    return { error: 'The start date must be before the end date' };
+  }
+
+  if (to - from > config.exports.maxRangeDays * DAY_MS) {
+    return { error: `Ranges are limited to ${config.exports.maxRangeDays} days` };
+  }
+
+  return { from, to };
+}
+
+/**
+ * Parse /export arguments (any order): dataset, format and dates
+ * @param {Array<string>} args - e.g. ['alerts', 'json', '2025-01']
+ * @returns {Object} { dataset, format, from, to }, or { error }
+ */
+function parseExportArgs(args) {
+  let dataset = 'all';
+  let format = 'csv';
+  const dates = [];
+
+  for (const arg of args.map(a => a.toLowerCase())) {
+    if (DATASET_ALIASES[arg]) {
+      dataset = DATASET_ALIASES[arg];
+    } else if (FORMATS.includes(arg)) {
+      format = arg;
+    } else if (/^\d{4}-\d{2}(-\d{2})?$/.test(arg)) {
+      dates.push(arg);
+    } else {
+      return { error: `Unknown option: ${arg}` };
+    }
+  }
+
+  const range = parseDateRange(dates);
+  if (range.error) {
+    return range;
+  }
+
+  return { dataset, format, ...range };
+}
+
+/**
+ * SQLite datetime text of a Date (matches CURRENT_TIMESTAMP columns)
+ */
+function toSqlTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Escape one CSV field
+ * Text starting with a formula character is prefixed with ' so spreadsheets
+ * don't evaluate pool names or other on-chain strings.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as CSV
+ * @param {Array<string>} columns - Column order (also the header)
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build the export files for a user
+ * CSV gives one file per dataset; JSON puts every requested dataset in one file.
+ * @param {number} userId - User ID
+ * @param {Object} request - { dataset ('all' or a DATASETS key), format ('csv' | 'json'), from, to }
+ * @returns {Promise<Array>} [{ label, filename, contentType, content (Buffer), rows }]
+ */
+async function buildExport(userId, { dataset, format, from, to }) {
+  const names = dataset === 'all' ? Object.keys(DATASETS) : [dataset];
+  const lastDay = new Date(to.getTime() - DAY_MS).toISOString().slice(0, 10);
+  const suffix = `${from.toISOString().slice(0, 10)}_${lastDay}`;
+
+  const data = {};
+  for (const name of names) {
+    data[name] = await DATASETS[name].load(userId, toSqlTime(from), toSqlTime(to));
+  }
+
+  if (format === 'json') {
+    const body = {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      generated_at: new Date().toISOString(),
+      ...data,
+    };
+
+    return [{
+      label: dataset === 'all' ? 'Export' : DATASETS[dataset].label,
+      filename: `gearbox-${dataset === 'all' ? 'export' : dataset}_${suffix}.json`,
+      contentType: 'application/json',
+      content: Buffer.from(JSON.stringify(body, null, 2)),
+      rows: names.reduce((total, name) => total + data[name].length, 0),
+    }];
+  }
+
+  return names.map(name => ({
+    label: DATASETS[name].label,
+    filename: `gearbox-${name}_${suffix}.csv`,
+    contentType: 'text/csv',
+    content: Buffer.from(toCsv(DATASETS[name].columns, data[name])),
+    rows: data[name].length,
+  }));
+}
+
+/**
+ * Hash of an export API token (only the hash is stored)
+ * @param {string} token - Token as presented
+ * @returns {string} sha256 hex
+ */
+function hashExportToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new export API token, replacing any previous one
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} The token (shown to the user once)
+ */
+async function createExportToken(userId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  await db.setExportTokenHash(userId, hashExportToken(token));
+  return token;
+}
+
+module.exports = {
+  DATASETS,
+  DATASET_ALIASES,
+  FORMATS,
+  parseDateRange,
+  parseExportArgs,
+  toCsv,
+  buildExport,
+  hashExportToken,
+  createExportToken,
+};
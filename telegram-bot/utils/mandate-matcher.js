@@ -0,0 +1,152 @@
+/**
+ * Mandate Matcher - Decides whether an opportunity satisfies a mandate
+ *
+ * Shared by the mandate monitor and the pool discovery monitor so both apply
+ * the same rules: APY quoted at (or below) the mandate's max leverage, risk
+ * tier within the mandate's tolerance, and enough pool capacity for the
+ * mandate's max position. Risk is re-rated at the quoted leverage and APY
+ * with the pool's risk model inputs. Leverage is capped so the position opens
+ * at or above the bot's health factor warning threshold.
+ */
+
+const config = require('../config');
+const { netAPYAtLeverage, healthFactorAtLeverage, safeLeverage } = require('../query-opportunities');
+const { rateStrategy } = require('./pool-risk');
+
+// Ordered from safest to riskiest
+const RISK_TIERS = ['Low', 'Medium', 'High'];
+
+/**
+ * Position of a risk label in RISK_TIERS (case-insensitive)
+ * @returns {number} Tier index, or the riskiest tier if the label is unknown
+ */
+function riskTierIndex(risk) {
+  const index = RISK_TIERS.findIndex(tier => tier.toLowerCase() === String(risk).toLowerCase());
+  return index === -1 ? RISK_TIERS.length - 1 : index;
+}
+
+/**
+ * Quote an opportunity at the leverage a mandate allows
+ * @param {Object} opportunity - Opportunity from queryFarmOpportunities()
+ * @param {Object} mandate - Mandate row from the database
+ * @returns {Object|null} { leverage, apy, healthFactor, risk, riskScore, riskFactors } or null if the mandate can't use it
+ */
+function quoteForMandate(opportunity, mandate) {
+  const mandateMaxLeverage = mandate.max_leverage || 1;
+
+  let leverage;
+  let apy;
+  let healthFactor = null;
+
+  if (opportunity.strategyType === 'leveraged_credit_account') {
+    // Stepped down so the position doesn't open below the health factor warning threshold
+    leverage = Math.min(mandateMaxLeverage, safeLeverage(opportunity.liquidationThreshold, opportunity.maxLeverage));
+
+    // Not worth opening a credit account without leverage
+    if (leverage <= 1) {
+      return null;
+    }
+
+    apy = netAPYAtLeverage(opportunity.collateralAPY, opportunity.borrowAPY, opportunity.quotaRate, leverage);
+    healthFactor = healthFactorAtLeverage(opportunity.liquidationThreshold, leverage);
+  } else if (opportunity.supplyAPY === undefined) {
+    // Pre-quoted opportunity (mock data) - take it as is
+    leverage = opportunity.leverage || 1;
+    if (leverage > mandateMaxLeverage) {
+      return null;
+    }
+    apy = opportunity.projAPY || opportunity.apy || 0;
+    healthFactor = opportunity.healthFactor ?? null;
+  } else {
+    leverage = 1;
+    apy = opportunity.supplyAPY;
+  }
+
+  // Pre-quoted opportunities come rated
+  const rating = opportunity.riskInputs
+    ? rateStrategy(opportunity.riskInputs, apy, leverage)
+    : { risk: opportunity.risk, riskScore: null, riskFactors: [] };
+
+  return {
+    leverage,
+    apy,
+    healthFactor,
+    ...rating,
+  };
+}
+
+/**
+ * Check whether the pool can absorb the mandate's max position
+ * Lending needs deposit room, leverage needs borrowable liquidity for the debt part
+ * @returns {boolean} True if capacity is sufficient or unknown
+ */
+function hasCapacity(opportunity, quote, mandate) {
+  if (opportunity.capacity === null || opportunity.capacity === undefined) {
+    return true;
+  }
+
+  const required = quote.leverage > 1
+    ? mandate.max_position * (quote.leverage - 1)
+    : mandate.max_position;
+
+  return opportunity.capacity >= required;
+}
+
+/**
+ * Check if an opportunity matches mandate criteria
+ * @param {Object} opportunity - Opportunity from queryFarmOpportunities()
+ * @param {Object} mandate - Mandate row from the database
+ * @returns {Object|null} Quote from quoteForMandate() if it matches, null otherwise
+ */
+function matchesMandate(opportunity, mandate) {
+  const quote = quoteForMandate(opportunity, mandate);
+
+  if (!quote) {
+    return null;
+  }
+
+  if (quote.apy < mandate.min_apy) {
+    return null;
+  }
+
+  if (riskTierIndex(quote.risk) > riskTierIndex(mandate.risk)) {
+    return null;
+  }
+
+  // A position opened below the warning threshold would alert on the next health check
+  if (quote.healthFactor !== null && quote.healthFactor < config.healthFactor.warningThreshold) {
+    return null;
+  }
+
+  if (!hasCapacity(opportunity, quote, mandate)) {
+    return null;
+  }
+
+  return quote;
+}
+
+/**
+ * Find all opportunities matching a mandate, best net APY first
+ * @param {Array} opportunities - Opportunities from queryFarmOpportunities()
+ * @param {Object} mandate - Mandate row from the database
+ * @returns {Array} [{ opportunity, quote }] sorted by quoted APY descending
+ */
+function findMatches(opportunities, mandate) {
+  const matches = [];
+
+  for (const opportunity of opportunities) {
+    const quote = matchesMandate(opportunity, mandate);
+    if (quote) {
+      matches.push({ opportunity, quote });
+    }
+  }
+
+  return matches.sort((a, b) => b.quote.apy - a.quote.apy);
+}
+
+module.exports = {
+  RISK_TIERS,
+  quoteForMandate,
+  matchesMandate,
+  findMatches,
+};
@@ -0,0 +1,89 @@
+/**
+ * Mandate Signing - EIP-712 activation for alerts
+ *
+ * A mandate is only monitored once one of the user's wallets has signed its
+ * terms as typed data (mandate-typed-data.js, shared with the web app). The
+ * bot issues the terms, the user signs them in the web app (or any wallet
+ * supporting eth_signTypedData_v4) and pastes the signature back.
+ */
+
+const db = require('../database');
+const config = require('../config');
+const { toTerms, buildTypedData, sameTerms, encodeTerms } = require('./mandate-typed-data');
+const { verifySignedTypedData } = require('./blockchain');
+
+/**
+ * Signable terms of a stored mandate
+ * @param {Object} mandate - mandates row
+ * @param {number} [issuedAt] - Unix seconds (defaults to now)
+ * @returns {Object} Terms for buildTypedData()
+ */
+function mandateTerms(mandate, issuedAt) {
+  return toTerms({
+    asset: mandate.asset,
+    minAPY: mandate.min_apy,
+    maxLeverage: mandate.max_leverage,
+    risk: mandate.risk,
+    maxPosition: mandate.max_position,
+    expiresAt: mandate.expires_at,
+  }, issuedAt);
+}
+
+/**
+ * Web app link that opens the signing panel for these terms
+ * @param {Object} terms - From mandateTerms()
+ * @returns {string|null} URL, or null if config.bot.webAppUrl isn't set
+ */
+function signingLink(terms) {
+  const base = config.bot.webAppUrl;
+  return base ? `${base.replace(/\/$/, '')}/?signMandate=${encodeTerms(terms)}` : null;
+}
+
+/**
+ * Verify a pasted signature and activate the mandate
+ * The signer has to be one of the user's wallets. A valid signature also
+ * proves ownership, so a watch-only signer wallet becomes verified.
+ * @param {Object} mandate - Current mandates row
+ * @param {Object} terms - Terms issued with the signing request
+ * @param {string} signature - Hex signature as pasted by the user
+ * @returns {Promise<Object>} { signed: boolean, wallet?, error?: 'expired'|'changed'|'format'|'mismatch' }
+ */
+async function activateMandate(mandate, terms, signature) {
+  if (Date.now() / 1000 - terms.issuedAt > config.mandates.signatureTtlMinutes * 60) {
+    return { signed: false, error: 'expired' };
+  }
+
+  // The mandate was edited after the signing request was issued
+  if (!sameTerms(mandateTerms(mandate, terms.issuedAt), terms)) {
+    return { signed: false, error: 'changed' };
+  }
+
+  const hex = signature.replace(/\s+/g, '');
+  if (!/^0x[0-9a-fA-F]+$/.test(hex)) {
+    return { signed: false, error: 'format' };
+  }
+
+  const wallets = await db.getUserWallets(mandate.user_id);
+
+  for (const wallet of wallets) {
+    if (!(await verifySignedTypedData(wallet.address, buildTypedData(terms, wallet.address), hex))) {
+      continue;
+    }
+
+    await db.signMandate(mandate.id, { signer: wallet.address, signature: hex, terms });
+    if (!wallet.verified_at) {
+      await db.markWalletVerified(wallet.id);
+    }
+
+    console.log(`✅ Mandate ${mandate.id} signed by ${wallet.address.slice(0, 10)}...`);
+    return { signed: true, wallet };
+  }
+
+  return { signed: false, error: 'mismatch' };
+}
+
+module.exports = {
+  mandateTerms,
+  signingLink,
+  activateMandate,
+};
@@ -0,0 +1,42 @@
+// Types for mandate-typed-data.js, imported by the API (see api/verify-mandate.ts)
+
+declare namespace MandateTypedData {
+  // A type alias (not an interface) so it fits viem's Record<string, unknown> message
+  type Terms = {
+    asset: string;
+    minApyBps: number;
+    maxLeverageBps: number;
+    risk: string;
+    maxPositionUsd: number;
+    expiresAt: number; // Unix seconds
+    issuedAt: number; // Unix seconds
+  };
+
+  interface TypedDataField {
+    name: string;
+    type: string;
+  }
+
+  interface TypedData {
+    domain: { name: string; version: string };
+    types: { Mandate: TypedDataField[] };
+    primaryType: 'Mandate';
+    message: Terms & { owner: string };
+  }
+}
+
+declare const MandateTypedData: {
+  DOMAIN: { name: string; version: string };
+  TYPES: { Mandate: MandateTypedData.TypedDataField[] };
+  PRIMARY_TYPE: 'Mandate';
+  toTerms(
+    mandate: { asset: string; minAPY: number; maxLeverage: number; risk: string; maxPosition: number; expiresAt: Date | string | number },
+    issuedAt?: number
+  ): MandateTypedData.Terms;
+  buildTypedData(terms: MandateTypedData.Terms, owner: string): MandateTypedData.TypedData;
+  sameTerms(a: MandateTypedData.Terms, b: MandateTypedData.Terms): boolean;
+  encodeTerms(terms: MandateTypedData.Terms): string;
+  decodeTerms(encoded: string): MandateTypedData.Terms | null;
+};
+
+export = MandateTypedData;
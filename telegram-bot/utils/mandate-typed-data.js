@@ -0,0 +1,127 @@
+// Mandate EIP-712 typed data, shared by the web app and the Telegram bot
+// Loaded via script tag in index.html (window.MandateTypedData) and via
+// require() in the bot, so both sides sign and verify identical data.
+// Keep it dependency-free and browser-safe.
+//
+// Numbers are encoded as integers: APY in basis points (6.5% = 650),
+// leverage in basis points (2x = 20000), max position in whole USD and
+// timestamps in unix seconds.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MandateTypedData = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DOMAIN = {
+    name: 'Gearbox Sigma',
+    version: '1',
+  };
+
+  const TYPES = {
+    Mandate: [
+      { name: 'owner', type: 'address' },
+      { name: 'asset', type: 'string' },
+      { name: 'minApyBps', type: 'uint32' },
+      { name: 'maxLeverageBps', type: 'uint32' },
+      { name: 'risk', type: 'string' },
+      { name: 'maxPositionUsd', type: 'uint256' },
+      { name: 'expiresAt', type: 'uint64' },
+      { name: 'issuedAt', type: 'uint64' },
+    ],
+  };
+
+  const PRIMARY_TYPE = 'Mandate';
+
+  /**
+   * Convert a mandate to the integer terms that get signed
+   * @param {Object} mandate - { asset, minAPY, maxLeverage, risk, maxPosition, expiresAt }
+   *   where expiresAt is a Date, an ISO string or milliseconds
+   * @param {number} [issuedAt] - Unix seconds (defaults to now)
+   * @returns {Object} Terms (every Mandate field except owner)
+   */
+  function toTerms(mandate, issuedAt) {
+    return {
+      asset: String(mandate.asset),
+      minApyBps: Math.round(Number(mandate.minAPY) * 100),
+      maxLeverageBps: Math.round(Number(mandate.maxLeverage) * 10000),
+      risk: String(mandate.risk),
+      maxPositionUsd: Math.round(Number(mandate.maxPosition)),
+      expiresAt: Math.floor(new Date(mandate.expiresAt).getTime() / 1000),
+      issuedAt: issuedAt === undefined ? Math.floor(Date.now() / 1000) : issuedAt,
+    };
+  }
+
+  /**
+   * Full typed data for eth_signTypedData_v4 / viem verifyTypedData
+   * @param {Object} terms - From toTerms()
+   * @param {string} owner - Signing wallet address
+   * @returns {Object} { domain, types, primaryType, message }
+   */
+  function buildTypedData(terms, owner) {
+    return {
+      domain: DOMAIN,
+      types: TYPES,
+      primaryType: PRIMARY_TYPE,
+      message: {
+        owner,
+        asset: terms.asset,
+        minApyBps: terms.minApyBps,
+        maxLeverageBps: terms.maxLeverageBps,
+        risk: terms.risk,
+        maxPositionUsd: terms.maxPositionUsd,
+        expiresAt: terms.expiresAt,
+        issuedAt: terms.issuedAt,
+      },
+    };
+  }
+
+  /**
+   * Check that two sets of terms are identical
+   * @returns {boolean} True if every signed field matches
+   */
+  function sameTerms(a, b) {
+    return TYPES.Mandate
+      .filter(field => field.name !== 'owner')
+      .every(field => a[field.name] === b[field.name]);
+  }
+
+  /**
+   * Encode terms for a URL parameter (base64url JSON)
+   * @param {Object} terms - From toTerms()
+   * @returns {string} Encoded terms
+   */
+  function encodeTerms(terms) {
+    return btoa(JSON.stringify(terms)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode terms from encodeTerms()
+   * @param {string} encoded - Encoded terms
+   * @returns {Object|null} Terms, or null if malformed
+   */
+  function decodeTerms(encoded) {
+    try {
+      const terms = JSON.parse(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')));
+      const complete = TYPES.Mandate
+        .filter(field => field.name !== 'owner')
+        .every(field => terms[field.name] !== undefined);
+
+      return complete ? terms : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    DOMAIN,
+    TYPES,
+    PRIMARY_TYPE,
+    toTerms,
+    buildTypedData,
+    sameTerms,
+    encodeTerms,
+    decodeTerms,
+  };
+});
@@ -0,0 +1,20 @@
+/**
+ * Markdown Utilities - Safe user and token text in legacy Telegram Markdown
+ *
+ * Messages use parse_mode 'Markdown', where one stray _, *, ` or [ (e.g. in
+ * a wallet label or a strategy name) makes Telegram reject the whole message.
+ */
+
+/**
+ * Escape text for legacy Markdown
+ * Only valid outside entities: inside *bold* or _italic_ the backslash shows.
+ * @param {string} text - Plain text
+ * @returns {string} Text with Markdown control characters escaped
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+module.exports = {
+  escapeMarkdown,
+};
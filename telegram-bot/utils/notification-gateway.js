@@ -0,0 +1,216 @@
+/**
+ * Notification Gateway - Single entry point for user notifications
+ *
+ * Enforces config.notifications.maxNotificationsPerDay per user, counted across
+ * every notification log (mandate, APY change, pool discovery, health factor).
+ * Notifications over the budget are held in the notification_queue and rolled
+ * into one summary message once the budget resets. Critical alerts (e.g.
+ * imminent liquidation) always go through.
+ *
+ * Users on a daily or weekly digest don't get routine alerts (see
+ * config.digest.kinds) as messages at all; those are only logged and later
+ * reported by utils/digest-builder.js. Their other alerts count against the
+ * budget as usual.
+ *
+ * During a user's quiet hours non-critical alerts are held in the queue too
+ * and summarized once the quiet window ends.
+ */
+
+const db = require('../database');
+const config = require('../config');
+const { isQuietHours } = require('./timezone');
+const { escapeMarkdown } = require('./markdown');
+
+/**
+ * Deliver a notification, respecting the user's daily budget
+ *
+ * Callers should only write their notification log (logNotification etc.)
+ * when isDelivered(status), so the budget counts real deliveries and digests
+ * find the alerts they batched.
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} notification
+ * @param {number} notification.userId - User ID
+ * @param {number|string} notification.chatId - Telegram chat ID
+ * @param {string} notification.message - Message text
+ * @param {Object} [notification.options] - sendMessage options (parse_mode, reply_markup...)
+ * @param {string} notification.kind - 'opportunity', 'apy_change', 'new_pool', 'health_factor', 'liquidity', 'tvl', 'price_alert', 'position_closed', 'mandate_expiry'
+ * @param {string} notification.summary - One-line plain-text description used in held-alert summaries
+ * @param {string} [notification.dedupeKey] - Identifies repeats of the same alert while it is held
+ * @param {boolean} [notification.critical] - Bypass digest, quiet hours and the budget
+ * @returns {Promise<string>} 'sent', 'digest', 'held', 'overflow' or 'failed'
+ */
+async function deliver(bot, notification) {
+  const { userId, chatId, message, options = {}, kind, critical = false } = notification;
+
+  try {
+    const user = await db.getUserById(userId);
+    const digestMode = !!user && !!user.delivery_mode && user.delivery_mode !== 'instant';
+
+    if (!critical && digestMode && config.digest.kinds.includes(kind)) {
+      return 'digest';
+    }
+
+    if (!critical && user && isQuietHours(user)) {
+      await db.queueNotification({
+        userId,
+        chatId,
+        kind,
+        summary: notification.summary,
+        dedupeKey: notification.dedupeKey,
+        reason: 'quiet',
+      });
+      console.log(`   🌙 Quiet hours for user ${userId}, held ${kind} notification`);
+      return 'held';
+    }
+
+    // Digest users' logs also hold batched alerts; only the kinds sent as messages count
+    if (!critical) {
+      const sentToday = await db.countNotificationsToday(userId, digestMode ? config.digest.kinds : []);
+
+      if (sentToday >= config.notifications.maxNotificationsPerDay) {
+        await holdOverflow(bot, notification);
+        return 'overflow';
+      }
+    }
+
+    await bot.sendMessage(chatId, message, options);
+    return 'sent';
+  } catch (error) {
+    console.error(`   ❌ Error delivering ${notification.kind} notification to ${chatId}:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Whether a deliver() status should be written to the caller's notification log
+ * @param {string} status - Status returned by deliver()
+ * @returns {boolean} True if sent now, batched into the user's digest or held for quiet hours
+ */
+function isDelivered(status) {
+  return status === 'sent' || status === 'digest' || status === 'held';
+}
+
+/**
+ * Queue an over-budget notification; the first one of the day tells the user
+ */
+async function holdOverflow(bot, notification) {
+  const { queued } = await db.queueNotification({
+    userId: notification.userId,
+    chatId: notification.chatId,
+    kind: notification.kind,
+    summary: notification.summary,
+    dedupeKey: notification.dedupeKey,
+    reason: 'overflow',
+  });
+
+  if (!queued) {
+    return;
+  }
+
+  console.log(`   📪 Daily limit reached for user ${notification.userId}, held ${notification.kind} notification`);
+
+  const heldToday = await db.countQueuedToday(notification.userId, 'overflow');
+  if (heldToday === 1) {
+    await bot.sendMessage(
+      notification.chatId,
+      `📪 *Daily alert limit reached*\n\n` +
+      `You've received ${config.notifications.maxNotificationsPerDay} alerts today. ` +
+      `Further alerts are bundled into one summary tomorrow.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Send one summary message per user for queued notifications
+ * Users still in quiet hours are skipped and picked up on a later run.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Array} pending - Queue entries from db.getPendingNotifications()
+ * @param {string} title - Summary heading (Markdown)
+ * @returns {Promise<number>} Number of summaries sent
+ */
+async function sendSummaries(bot, pending, title) {
+  const byUser = new Map();
+  for (const item of pending) {
+    if (!byUser.has(item.user_id)) {
+      byUser.set(item.user_id, []);
+    }
+    byUser.get(item.user_id).push(item);
+  }
+
+  let sent = 0;
+
+  for (const [userId, items] of byUser) {
+    const user = await db.getUserById(userId);
+    if (user && isQuietHours(user)) {
+      continue;
+    }
+
+    // Keep the summary well under Telegram's message limit
+    const shown = items.slice(0, 20);
+    // Summaries are plain text (pool, strategy and token names can contain _ or *)
+    const lines = shown.map(item => `• ${escapeMarkdown(item.summary)}`).join('\n');
+    const more = items.length > shown.length ? `\n…and ${items.length - shown.length} more` : '';
+
+    try {
+      await bot.sendMessage(
+        items[0].chat_id,
+        `${title}\n\n` +
+        `${items.length} alert${items.length > 1 ? 's' : ''}:\n\n` +
+        `${lines}${more}`,
+        { parse_mode: 'Markdown' }
+      );
+
+      await db.markNotificationsDelivered(items.map(item => item.id));
+      sent++;
+    } catch (error) {
+      console.error(`   ❌ Error sending held alerts summary to ${items[0].chat_id}:`, error.message);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Send one summary per user for alerts held over the budget on previous days
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<number>} Number of summaries sent
+ */
+async function flushOverflow(bot) {
+  const pending = await db.getPendingNotifications('overflow', true);
+
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const sent = await sendSummaries(bot, pending, `📬 *Summary of alerts over yesterday's limit*`);
+  console.log(`   📬 Sent ${sent} overflow summaries`);
+  return sent;
+}
+
+/**
+ * Send one summary per user for alerts held during quiet hours that have ended
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<number>} Number of summaries sent
+ */
+async function flushQuietHours(bot) {
+  const pending = await db.getPendingNotifications('quiet');
+
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const sent = await sendSummaries(bot, pending, `🌅 *Alerts held during your quiet hours*`);
+  if (sent > 0) {
+    console.log(`   🌅 Sent ${sent} quiet-hours summaries`);
+  }
+  return sent;
+}
+
+module.exports = {
+  deliver,
+  isDelivered,
+  flushOverflow,
+  flushQuietHours,
+};
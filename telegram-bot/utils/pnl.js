@@ -0,0 +1,165 @@
+/**
+ * PnL - Realized earnings of positions
+ *
+ * Pool positions with synced Deposit/Withdraw events get exact totals and a
+ * time-weighted APY from the share price. Anything else (no history, credit
+ * accounts) is estimated from deposited_amount and the pool's APY history.
+ */
+
+const { formatUnits } = require('viem');
+const db = require('../database');
+const blockchain = require('./blockchain');
+const { timeWeightedReturn } = require('./position-history');
+const { getPositionPrices } = require('./price-feed');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Totals and realized APY from a position's events
+ * @param {Object} position - positions row with realized_pnl set
+ * @returns {Promise<Object|null>} { deposited, withdrawn, apy, daysHeld }, or null without events
+ */
+async function getEventTotals(position) {
+  const events = await db.getPositionEvents(position.chain_id, position.pool_address, position.wallet_address);
+  if (!events.some(event => event.event_type === 'deposit')) {
+    return null;
+  }
+
+  const { decimals } = await blockchain.getTokenMetadata(position.pool_address, position.chain_id);
+  const sum = type => events
+    .filter(event => event.event_type === type)
+    .reduce((total, event) => total + Number(formatUnits(BigInt(event.assets), decimals)), 0);
+
+  const sharePrice = position.shares > 0 ? (position.current_value || 0) / position.shares : 0;
+  const twr = timeWeightedReturn(events, sharePrice);
+
+  return {
+    deposited: sum('deposit'),
+    withdrawn: sum('withdraw'),
+    apy: twr ? twr.apy : null,
+    daysHeld: twr ? twr.daysHeld : null,
+  };
+}
+
+/**
+ * Average pool supply APY since a date, from apy_history
+ * @param {Object} position - positions row
+ * @param {number} daysHeld - Days since deposit
+ * @returns {Promise<number|null>} Average APY in %, or null without snapshots
+ */
+async function getAverageHistoricalAPY(position, daysHeld) {
+  const history = await db.getAPYHistory(position.pool_address, position.chain_id, Math.max(1, Math.ceil(daysHeld)));
+  if (history.length === 0) {
+    return null;
+  }
+
+  // Rolled-up rows stand for several snapshots
+  const samples = history.reduce((total, snapshot) => total + snapshot.samples, 0);
+  return history.reduce((total, snapshot) => total + snapshot.supply_apy * snapshot.samples, 0) / samples;
+}
+
+/**
+ * PnL of one position
+ * @param {Object} position - positions row
+ * @param {number|null} price - USD price of the underlying
+ * @returns {Promise<Object>} { deposited, withdrawn, currentValue, earned, valueUsd, earnedUsd, price,
+ *   apy, apySource ('realized' | 'pool_history' | 'net_apy'), daysHeld }
+ */
+async function getPositionPnL(position, price) {
+  const currentValue = position.current_value || 0;
+  let totals = null;
+
+  // realized_pnl is only set when the scanner rebuilt the position from events
+  if (position.realized_pnl !== null && position.wallet_address) {
+    try {
+      totals = await getEventTotals(position);
+    } catch (error) {
+      console.error(`   ⚠️ Could not read events for position ${position.id}:`, error.message);
+    }
+  }
+
+  const deposited = totals ? totals.deposited : position.deposited_amount;
+  const withdrawn = totals ? totals.withdrawn : null;
+  const earned = currentValue + (withdrawn || 0) - deposited;
+
+  let apy = totals ? totals.apy : null;
+  let apySource = 'realized';
+  let daysHeld = totals ? totals.daysHeld : null;
+
+  if (apy === null) {
+    daysHeld = daysHeld ?? Math.max(0, (Date.now() - new Date(position.deposited_at).getTime()) / DAY_MS);
+
+    if (position.credit_account) {
+      apy = position.net_apy;
+      apySource = 'net_apy';
+    } else {
+      apy = await getAverageHistoricalAPY(position, daysHeld);
+      apySource = 'pool_history';
+    }
+  }
+
+  return {
+    deposited,
+    withdrawn,
+    currentValue,
+    earned,
+    valueUsd: price !== null ? currentValue * price : null,
+    earnedUsd: price !== null ? earned * price : null,
+    price,
+    apy,
+    apySource,
+    daysHeld,
+  };
+}
+
+/**
+ * PnL of every position plus USD totals
+ * Only positions with a price count towards the totals; the APY total is
+ * weighted by USD value.
+ * @param {Array} positions - positions rows
+ * @returns {Promise<Object>} { positions: [{ position, pnl }], totals: { valueUsd, earnedUsd, apy, unpriced } }
+ */
+async function getPnLReport(positions) {
+  const prices = await getPositionPrices(positions);
+  const results = [];
+
+  for (const position of positions) {
+    results.push({ position, pnl: await getPositionPnL(position, prices.get(position.id) ?? null) });
+  }
+
+  let valueUsd = 0;
+  let earnedUsd = 0;
+  let weightedApy = 0;
+  let apyWeight = 0;
+  let unpriced = 0;
+
+  for (const { pnl } of results) {
+    if (pnl.valueUsd === null) {
+      unpriced++;
+      continue;
+    }
+
+    valueUsd += pnl.valueUsd;
+    earnedUsd += pnl.earnedUsd;
+
+    if (pnl.apy !== null) {
+      weightedApy += pnl.apy * pnl.valueUsd;
+      apyWeight += pnl.valueUsd;
+    }
+  }
+
+  return {
+    positions: results,
+    totals: {
+      valueUsd,
+      earnedUsd,
+      apy: apyWeight > 0 ? weightedApy / apyWeight : null,
+      unpriced,
+    },
+  };
+}
+
+module.exports = {
+  getPositionPnL,
+  getPnLReport,
+};
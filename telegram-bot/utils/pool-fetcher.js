@@ -7,6 +7,7 @@
 const { GearboxSDK } = require('@gearbox-protocol/sdk');
 const { createPublicClient, http, defineChain, formatUnits } = require('viem');
 const config = require('../config');
+const { utilizationOf } = require('./blockchain');
 
 // Cache SDK instances per chain
 const sdkCache = new Map();
@@ -55,6 +56,27 @@ const POOL_ABI = [
     inputs: [],
     outputs: [{ type: 'uint256' }],
   },
+  {
+    name: 'expectedLiquidity',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ type: 'uint256' }],
+  },
+  {
+    name: 'availableLiquidity',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ type: 'uint256' }],
+  },
+  {
+    name: 'totalBorrowed',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ type: 'uint256' }],
+  },
 ];
 
 // ERC20 ABI for token info
@@ -75,6 +97,24 @@ const ERC20_ABI = [
   },
 ];
 
+/**
+ * Liquidity fields of a pool object
+ * Lenders can only withdraw what isn't lent out (availableLiquidity).
+ * @param {bigint} expectedLiquidity - Deposits plus accrued interest
+ * @param {bigint} availableLiquidity - Idle in the pool
+ * @param {bigint} totalBorrowed - Lent out to credit accounts
+ * @param {number} decimals - Underlying decimals
+ * @returns {Object} { expectedLiquidity, availableLiquidity, totalBorrowed, utilization } in underlying units
+ */
+function liquidityFields(expectedLiquidity, availableLiquidity, totalBorrowed, decimals) {
+  return {
+    expectedLiquidity: Number(formatUnits(expectedLiquidity, decimals)),
+    availableLiquidity: Number(formatUnits(availableLiquidity, decimals)),
+    totalBorrowed: Number(formatUnits(totalBorrowed, decimals)),
+    utilization: utilizationOf(totalBorrowed, expectedLiquidity),
+  };
+}
+
 /**
  * Get or initialize Gearbox SDK for a specific chain
  */
@@ -85,6 +125,19 @@ async function getSDKForChain(chainId, chainConfig) {
     return sdkCache.get(cacheKey);
   }
 
+  const sdk = await attachSDK(chainId, chainConfig);
+  if (sdk) {
+    sdkCache.set(cacheKey, sdk);
+  }
+
+  return sdk;
+}
+
+/**
+ * Attach a new Gearbox SDK instance for a chain (not cached)
+ * @returns {Promise<Object|null>} SDK, or null if it can't attach
+ */
+async function attachSDK(chainId, chainConfig) {
   try {
     console.log(`   🔄 Initializing Gearbox SDK for chain ${chainId}...`);
 
@@ -97,7 +150,6 @@ async function getSDKForChain(chainId, chainConfig) {
       ignoreUpdateablePrices: true, // Skip RedStone price feed updates
     });
 
-    sdkCache.set(cacheKey, sdk);
     console.log(`   ✅ SDK initialized: ${sdk.marketRegister.markets.length} markets found`);
 
     return sdk;
@@ -160,6 +212,12 @@ async function getPoolsFromSDK(chainKey, chainConfig) {
         apy,
         asset: poolData.underlying,
         chainName: chainConfig.name,
+        ...liquidityFields(
+          BigInt(poolData.expectedLiquidity || 0n),
+          BigInt(poolData.availableLiquidity || 0n),
+          BigInt(poolData.totalBorrowed || 0n),
+          decimals
+        ),
       });
     }
 
@@ -258,7 +316,7 @@ async function getEthereumPoolsFallback(chainKey, chainConfig) {
     // Fetch details for each pool
     for (const poolAddress of poolAddresses) {
       try {
-        const [symbol, asset, totalAssets, supplyRate] = await Promise.all([
+        const [symbol, asset, totalAssets, supplyRate, expectedLiquidity, availableLiquidity, totalBorrowed] = await Promise.all([
           client.readContract({
             address: poolAddress,
             abi: POOL_ABI,
@@ -286,6 +344,27 @@ async function getEthereumPoolsFallback(chainKey, chainConfig) {
             functionName: 'supplyRate',
             gas: 100_000n,
           }).catch(() => 0n),
+
+          client.readContract({
+            address: poolAddress,
+            abi: POOL_ABI,
+            functionName: 'expectedLiquidity',
+            gas: 100_000n,
+          }).catch(() => 0n),
+
+          client.readContract({
+            address: poolAddress,
+            abi: POOL_ABI,
+            functionName: 'availableLiquidity',
+            gas: 100_000n,
+          }).catch(() => 0n),
+
+          client.readContract({
+            address: poolAddress,
+            abi: POOL_ABI,
+            functionName: 'totalBorrowed',
+            gas: 100_000n,
+          }).catch(() => 0n),
         ]);
 
         // Get underlying token details
@@ -331,6 +410,7 @@ async function getEthereumPoolsFallback(chainKey, chainConfig) {
           apy,
           asset,
           chainName: chainConfig.name,
+          ...liquidityFields(expectedLiquidity, availableLiquidity, totalBorrowed, decimals),
         });
 
         console.log(`     💎 ${poolName}: $${tvl.toFixed(2)} TVL, ${apy.toFixed(2)}% APY`);
@@ -373,7 +453,7 @@ async function getPlasmaPoolDetails(poolAddress, chainId, chainKey, poolName) {
     });
 
     // Fetch pool data in parallel
-    const [symbol, decimals, asset, totalAssets, supplyRate] = await Promise.all([
+    const [symbol, decimals, asset, totalAssets, supplyRate, expectedLiquidity, availableLiquidity, totalBorrowed] = await Promise.all([
       client.readContract({
         address: poolAddress,
         abi: POOL_ABI,
@@ -403,6 +483,24 @@ async function getPlasmaPoolDetails(poolAddress, chainId, chainKey, poolName) {
         abi: POOL_ABI,
         functionName: 'supplyRate',
       }).catch(() => 0n),
+
+      client.readContract({
+        address: poolAddress,
+        abi: POOL_ABI,
+        functionName: 'expectedLiquidity',
+      }).catch(() => 0n),
+
+      client.readContract({
+        address: poolAddress,
+        abi: POOL_ABI,
+        functionName: 'availableLiquidity',
+      }).catch(() => 0n),
+
+      client.readContract({
+        address: poolAddress,
+        abi: POOL_ABI,
+        functionName: 'totalBorrowed',
+      }).catch(() => 0n),
     ]);
 
     // Get underlying token symbol
@@ -438,6 +536,7 @@ async function getPlasmaPoolDetails(poolAddress, chainId, chainKey, poolName) {
       apy,
       asset,
       chainName: 'Plasma',
+      ...liquidityFields(expectedLiquidity, availableLiquidity, totalBorrowed, decimals),
     };
   } catch (error) {
     console.error(`     ❌ Error fetching Plasma pool ${poolAddress.slice(0, 10)}... details:`, error.message);
@@ -548,6 +647,7 @@ module.exports = {
   shouldRefreshPools,
   getChainCount,
   getSDKForChain,
+  attachSDK,
   getPoolsFromSDK,
   getPlasmaPoolDetails,
   getEthereumPoolsFallback,
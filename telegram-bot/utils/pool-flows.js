@@ -0,0 +1,98 @@
+/**
+ * Pool Flows - TVL drops and large withdrawals in held pools
+ *
+ * Capital leaving a pool usually comes before APY spikes and withdrawal
+ * liquidity crunches. A drop is the current totalAssets against the highest
+ * TVL apy_history recorded over the window; large withdrawals come from the
+ * pool's ERC-4626 Withdraw events, scanned incrementally from the last block
+ * seen (pool_event_sync), so each one is reported once.
+ */
+
+const db = require('../database');
+const config = require('../config');
+const blockchain = require('./blockchain');
+const { WITHDRAW_EVENT } = require('./position-history');
+const { formatUnits } = require('viem');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Drop of a pool's TVL from its peak over a window
+ * @param {Array} history - getAPYHistory() rows
+ * @param {number} currentTVL - TVL now (underlying units)
+ * @param {number} windowHours - Window length
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object|null} { peakTVL, peakAt, changePct } (changePct negative on a drop), or null
+ *   without history in the window
+ */
+function tvlDrop(history, currentTVL, windowHours, now = Date.now()) {
+  // A TVL of 0 means it couldn't be read
+  const rows = history.filter(row =>
+    row.tvl > 0 && now - new Date(row.recorded_at).getTime() <= windowHours * HOUR_MS
+  );
+
+  if (rows.length === 0 || !(currentTVL > 0)) {
+    return null;
+  }
+
+  const peak = rows.reduce((max, row) => (row.tvl > max.tvl ? row : max));
+
+  return {
+    peakTVL: peak.tvl,
+    peakAt: peak.recorded_at,
+    changePct: (currentTVL - peak.tvl) / peak.tvl * 100,
+  };
+}
+
+/**
+ * Scan a pool's new Withdraw events for large single withdrawals
+ * The first scan of a pool only sets the starting block, so past exits
+ * aren't reported as news.
+ * @param {string} poolAddress - Pool address
+ * @param {number} chainId - Chain ID
+ * @param {Object} tvl - From blockchain.getPoolTVL() ({ tvlFormatted, decimals }), read successfully
+ * @returns {Promise<Array>} { owner, assets, sharePct, txHash, blockNumber }, largest first
+ */
+async function findLargeWithdrawals(poolAddress, chainId, tvl) {
+  const client = blockchain.getClient(chainId);
+  const toBlock = await blockchain.withRetry(() => client.getBlockNumber());
+  const lastBlock = await db.getPoolEventSyncBlock(chainId, poolAddress);
+
+  if (lastBlock === null) {
+    await db.savePoolEventSyncBlock(chainId, poolAddress, Number(toBlock));
+    return [];
+  }
+
+  const fromBlock = BigInt(lastBlock) + 1n;
+  if (fromBlock > toBlock) {
+    return [];
+  }
+
+  const logs = await blockchain.getLogsPaginated(chainId, {
+    address: poolAddress,
+    event: WITHDRAW_EVENT,
+  }, fromBlock, toBlock);
+
+  await db.savePoolEventSyncBlock(chainId, poolAddress, Number(toBlock));
+
+  return logs
+    .map(log => {
+      const assets = parseFloat(formatUnits(log.args.assets, tvl.decimals));
+
+      return {
+        owner: log.args.owner,
+        assets,
+        // Against the TVL before the withdrawal left
+        sharePct: assets / (tvl.tvlFormatted + assets) * 100,
+        txHash: log.transactionHash,
+        blockNumber: Number(log.blockNumber),
+      };
+    })
+    .filter(withdrawal => withdrawal.sharePct >= config.tvlMonitor.largeWithdrawalPct)
+    .sort((a, b) => b.assets - a.assets);
+}
+
+module.exports = {
+  tvlDrop,
+  findLargeWithdrawals,
+};
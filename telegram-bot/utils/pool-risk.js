@@ -0,0 +1,203 @@
+/**
+ * Pool Risk - Gathers the bot's inputs for the shared risk model
+ *
+ * Scoring lives in risk-model.js so the API rates pools the same way. The bot
+ * adds what only it can see: on-chain utilization, TVL in USD, the TVL trend
+ * and APY volatility from apy_history, and the pool's deployment date. Inputs
+ * are per pool and cached; the quoted APY and leverage are added per strategy
+ * when scoring, so a mandate can re-rate a strategy at its own leverage.
+ */
+
+const db = require('../database');
+const config = require('../config');
+const blockchain = require('./blockchain');
+const { getPoolPrice } = require('./price-feed');
+const riskModel = require('./risk-model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const inputCache = new Map(); // 'chainId-pool' -> { data, timestamp }
+
+// Pools whose deployment the RPC couldn't find (no archive state) aren't searched again
+const deploymentLookupFailed = new Set();
+
+/**
+ * Sample-weighted standard deviation of supply APY
+ * Rollups stand in for their snapshots at the bucket average.
+ * @param {Array} history - getAPYHistory() rows
+ * @returns {number|null} Std dev in percentage points, or null with too few snapshots
+ */
+function apyVolatility(history) {
+  const samples = history.reduce((sum, row) => sum + (row.samples || 1), 0);
+  if (samples < config.risk.minVolatilitySamples) {
+    return null;
+  }
+
+  const mean = history.reduce((sum, row) => sum + row.supply_apy * (row.samples || 1), 0) / samples;
+  const variance = history.reduce((sum, row) => sum + (row.samples || 1) * Math.pow(row.supply_apy - mean, 2), 0) / samples;
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * TVL change between the oldest and newest snapshot of a window
+ * @param {Array} history - getAPYHistory() rows
+ * @param {number} days - Window length
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object|null} { changePct, days } or null if the history spans less than a day
+ */
+function tvlTrend(history, days, now = Date.now()) {
+  // A TVL of 0 means it couldn't be read
+  const rows = history
+    .map(row => ({ tvl: row.tvl, time: new Date(row.recorded_at).getTime() }))
+    .filter(row => row.tvl > 0 && now - row.time <= days * DAY_MS)
+    .sort((a, b) => a.time - b.time);
+
+  if (rows.length < 2) {
+    return null;
+  }
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const spanDays = (last.time - first.time) / DAY_MS;
+
+  if (spanDays < 1) {
+    return null;
+  }
+
+  return {
+    changePct: (last.tvl - first.tvl) / first.tvl * 100,
+    days: Math.round(spanDays),
+  };
+}
+
+/**
+ * Age of a pool contract
+ * Uses the deployment block (looked up once and stored); without archive
+ * state, falls back to when the bot first saw the pool, a lower bound.
+ * @param {string} poolAddress - Pool address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object|null>} { days, isMinimum } or null if unknown
+ */
+async function getPoolAge(poolAddress, chainId) {
+  const key = `${chainId}-${poolAddress.toLowerCase()}`;
+  let deployment = await db.getPoolDeployment(poolAddress, chainId);
+
+  if (!deployment && !deploymentLookupFailed.has(key)) {
+    try {
+      const found = await blockchain.getDeploymentBlock(poolAddress, chainId);
+      if (found) {
+        await db.savePoolDeployment(poolAddress, chainId, found.blockNumber, found.timestamp);
+        deployment = { block_number: found.blockNumber, deployed_at: found.timestamp };
+      }
+    } catch (error) {
+      console.error(`   ⚠️ Could not find deployment of ${poolAddress.slice(0, 10)}... on chain ${chainId}:`, error.shortMessage || error.message);
+      deploymentLookupFailed.add(key);
+    }
+  }
+
+  if (deployment) {
+    return { days: (Date.now() - new Date(deployment.deployed_at).getTime()) / DAY_MS, isMinimum: false };
+  }
+
+  const firstSeen = await db.getPoolFirstSeen(poolAddress, chainId);
+  return firstSeen
+    ? { days: (Date.now() - new Date(firstSeen).getTime()) / DAY_MS, isMinimum: true }
+    : null;
+}
+
+/**
+ * Gather the risk model inputs of a pool (cached)
+ * Anything that can't be read is left null and the model skips that factor.
+ * @param {Object} pool - { address, chainId, symbol } (symbol = underlying token)
+ * @returns {Promise<Object>} Inputs for riskModel.scorePool(), without apy and leverage
+ */
+async function getPoolRiskInputs({ address, chainId, symbol }) {
+  const cacheKey = `${chainId}-${address.toLowerCase()}`;
+  const cached = inputCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.timestamp < config.risk.cacheDuration) {
+    return cached.data;
+  }
+
+  const historyDays = Math.max(config.risk.tvlTrendDays, config.risk.volatilityDays);
+
+  const [liquidity, tvl, price, history, age] = await Promise.all([
+    blockchain.getPoolLiquidity(address, chainId),
+    blockchain.getPoolTVL(address, chainId),
+    getPoolPrice(address, chainId, symbol).catch(() => null),
+    db.getAPYHistory(address, chainId, historyDays).catch(() => []),
+    getPoolAge(address, chainId).catch(() => null),
+  ]);
+
+  const volatilityFrom = Date.now() - config.risk.volatilityDays * DAY_MS;
+  const trend = tvlTrend(history, config.risk.tvlTrendDays);
+
+  const data = {
+    poolAddress: address,
+    chainId,
+    symbol,
+    utilization: liquidity ? liquidity.utilization : null,
+    tvlUsd: tvl.tvlFormatted > 0 && price !== null ? tvl.tvlFormatted * price : null,
+    tvlChangePct: trend ? trend.changePct : null,
+    tvlChangeDays: trend ? trend.days : null,
+    apyVolatility: apyVolatility(history.filter(row => new Date(row.recorded_at).getTime() >= volatilityFrom)),
+    poolAgeDays: age ? age.days : null,
+    poolAgeIsMinimum: age ? age.isMinimum : false,
+  };
+
+  inputCache.set(cacheKey, { data, timestamp: Date.now() });
+
+  return data;
+}
+
+/**
+ * Rate a strategy on a pool
+ * @param {Object} inputs - From getPoolRiskInputs()
+ * @param {number} apy - Quoted APY (%)
+ * @param {number} leverage - Quoted leverage
+ * @returns {Object} { risk ('Low'|'Medium'|'High'), riskScore, riskFactors }
+ */
+function rateStrategy(inputs, apy, leverage) {
+  const assessment = riskModel.scorePool({ ...inputs, apy, leverage });
+
+  return {
+    risk: riskLabel(assessment.level),
+    riskScore: assessment.score,
+    riskFactors: assessment.factors,
+  };
+}
+
+/**
+ * Capitalized risk level, as stored on mandates
+ * @param {string} level - 'low', 'medium' or 'high'
+ * @returns {string} 'Low', 'Medium' or 'High'
+ */
+function riskLabel(level) {
+  return level.charAt(0).toUpperCase() + level.slice(1);
+}
+
+/**
+ * One-line risk summary for opportunity cards (Markdown-safe)
+ * @param {Object} rating - { risk, riskScore, riskFactors } from rateStrategy()
+ * @param {number} [count] - Number of driving factors to list
+ * @returns {string} e.g. "Medium (44/100) · 95% borrowed, 60+ days old"
+ */
+function formatRiskSummary(rating, count = 2) {
+  if (rating.riskScore === undefined || rating.riskScore === null) {
+    return rating.risk;
+  }
+
+  const drivers = riskModel.topFactors({ factors: rating.riskFactors }, count).map(f => f.detail);
+
+  return `${rating.risk} (${rating.riskScore}/100)${drivers.length > 0 ? ` · ${drivers.join(', ')}` : ''}`;
+}
+
+module.exports = {
+  apyVolatility,
+  tvlTrend,
+  getPoolRiskInputs,
+  rateStrategy,
+  riskLabel,
+  formatRiskSummary,
+};
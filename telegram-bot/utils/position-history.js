@@ -0,0 +1,240 @@
+/**
+ * Position History - Cost basis from pool Deposit/Withdraw events
+ *
+ * The scanner only sees current share balances. Gearbox pools are ERC-4626,
+ * so every Deposit (owner = who received shares) and Withdraw (owner = whose
+ * shares were burnt) is logged; replaying a wallet's events gives what it
+ * actually put in and took out. Events are synced incrementally into
+ * position_events, so only new blocks are scanned after the first run.
+ */
+
+const { parseAbiItem, parseUnits, formatUnits } = require('viem');
+const db = require('../database');
+const config = require('../config');
+const blockchain = require('./blockchain');
+
+const DEPOSIT_EVENT = parseAbiItem('event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)');
+const WITHDRAW_EVENT = parseAbiItem('event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)');
+
+/**
+ * Scan new blocks for a wallet's events in a pool and store them
+ * @param {string} poolAddress - Pool address
+ * @param {string} walletAddress - Wallet address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<number>} Number of new events found
+ */
+async function syncPositionEvents(poolAddress, walletAddress, chainId) {
+  const client = blockchain.getClient(chainId);
+  const lastBlock = await db.getPositionEventsSyncBlock(chainId, poolAddress, walletAddress);
+
+  const fromBlock = lastBlock !== null
+    ? BigInt(lastBlock) + 1n
+    : BigInt(config.positions.history.startBlocks[chainId] || 0);
+  const toBlock = await blockchain.withRetry(() => client.getBlockNumber());
+
+  if (fromBlock > toBlock) {
+    return 0;
+  }
+
+  const deposits = await blockchain.getLogsPaginated(chainId, {
+    address: poolAddress,
+    event: DEPOSIT_EVENT,
+    args: { owner: walletAddress },
+  }, fromBlock, toBlock);
+
+  const withdrawals = await blockchain.getLogsPaginated(chainId, {
+    address: poolAddress,
+    event: WITHDRAW_EVENT,
+    args: { owner: walletAddress },
+  }, fromBlock, toBlock);
+
+  const logs = [
+    ...deposits.map(log => ({ type: 'deposit', log })),
+    ...withdrawals.map(log => ({ type: 'withdraw', log })),
+  ];
+
+  // One timestamp lookup per block
+  const timestamps = new Map();
+  for (const { log } of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      const block = await blockchain.withRetry(() => client.getBlock({ blockNumber: log.blockNumber }));
+      timestamps.set(log.blockNumber, new Date(Number(block.timestamp) * 1000).toISOString());
+    }
+  }
+
+  const events = logs.map(({ type, log }) => ({
+    type,
+    assets: log.args.assets.toString(),
+    shares: log.args.shares.toString(),
+    blockNumber: Number(log.blockNumber),
+    logIndex: log.logIndex,
+    txHash: log.transactionHash,
+    blockTimestamp: timestamps.get(log.blockNumber),
+  }));
+
+  await db.savePositionEvents(chainId, poolAddress, walletAddress, events, Number(toBlock));
+
+  if (events.length > 0) {
+    console.log(`   📜 Synced ${events.length} pool events for ${walletAddress.slice(0, 10)}... in ${poolAddress.slice(0, 10)}...`);
+  }
+
+  return events.length;
+}
+
+/**
+ * Replay events at average cost
+ * A withdrawal realizes (assets received - average cost of the shares burnt).
+ * Shares moved by plain transfers have no event, so what's left is valued at
+ * average cost per share actually held.
+ * @param {Array} events - position_events rows, oldest first
+ * @param {number} decimals - Pool (= underlying) decimals
+ * @param {bigint} currentShares - Shares held now
+ * @param {number} currentValue - Value of those shares in underlying
+ * @returns {Object|null} { costBasis, realizedPnl, unrealizedPnl, firstDepositAt }, or null
+ *   if no share came from a logged deposit
+ */
+function computeCostBasis(events, decimals, currentShares, currentValue) {
+  let costBasis = 0;
+  let realizedPnl = 0;
+  let trackedShares = 0n;
+  let firstDepositAt = null;
+
+  for (const event of events) {
+    const assets = Number(formatUnits(BigInt(event.assets), decimals));
+    const shares = BigInt(event.shares);
+
+    if (event.event_type === 'deposit') {
+      costBasis += assets;
+      trackedShares += shares;
+      firstDepositAt = firstDepositAt || event.block_timestamp;
+      continue;
+    }
+
+    // Shares that arrived by transfer carry no cost
+    const burnt = shares < trackedShares ? shares : trackedShares;
+    const cost = trackedShares > 0n ? costBasis * Number(burnt) / Number(trackedShares) : 0;
+
+    realizedPnl += assets - cost;
+    costBasis -= cost;
+    trackedShares -= burnt;
+  }
+
+  if (trackedShares === 0n) {
+    return null;
+  }
+
+  if (trackedShares !== currentShares) {
+    costBasis = costBasis * Number(currentShares) / Number(trackedShares);
+  }
+
+  return {
+    costBasis,
+    realizedPnl,
+    unrealizedPnl: currentValue - costBasis,
+    firstDepositAt,
+  };
+}
+
+/**
+ * Time-weighted return of a pool position, annualized
+ * A pool position only grows through the share price, so chaining the share
+ * price (assets / shares of each event, then today's) over the periods shares
+ * were held gives the realized yield regardless of deposit timing or size.
+ * @param {Array} events - position_events rows, oldest first
+ * @param {number} currentSharePrice - Assets per share now
+ * @param {Date} [now] - Valuation time
+ * @returns {Object|null} { apy, daysHeld } (apy in %, null if held under a day), or null
+ *   if no period with shares held is known
+ */
+function timeWeightedReturn(events, currentSharePrice, now = new Date()) {
+  let growth = 1;
+  let heldMs = 0;
+  let shares = 0n;
+  let lastPrice = null;
+  let lastTime = null;
+
+  const step = (price, time) => {
+    if (shares > 0n && lastPrice) {
+      growth *= price / lastPrice;
+      heldMs += time - lastTime;
+    }
+    lastPrice = price;
+    lastTime = time;
+  };
+
+  for (const event of events) {
+    const eventShares = BigInt(event.shares);
+    if (eventShares === 0n || !event.block_timestamp) continue;
+
+    step(Number(event.assets) / Number(eventShares), new Date(event.block_timestamp).getTime());
+
+    if (event.event_type === 'deposit') {
+      shares += eventShares;
+    } else {
+      shares = eventShares < shares ? shares - eventShares : 0n;
+    }
+  }
+
+  if (currentSharePrice > 0) {
+    step(currentSharePrice, now.getTime());
+  }
+
+  if (heldMs <= 0) {
+    return null;
+  }
+
+  const daysHeld = heldMs / (24 * 60 * 60 * 1000);
+
+  // Annualizing a few hours of interest gives meaningless numbers
+  const apy = daysHeld >= 1 ? (Math.pow(growth, 365 / daysHeld) - 1) * 100 : null;
+
+  return { apy, daysHeld };
+}
+
+/**
+ * Reconstruct a pool position's cost basis from chain history
+ * @param {string} poolAddress - Pool address
+ * @param {string} walletAddress - Wallet address
+ * @param {number} chainId - Chain ID
+ * @param {string} sharesBalance - Current shares (human-readable, as from getPoolBalance)
+ * @param {number} currentValue - Current value in underlying
+ * @returns {Promise<Object|null>} { depositedAmount, realizedPnl, depositedAt }, or null if
+ *   history is disabled, unavailable, or doesn't explain the position
+ */
+async function getPositionHistory(poolAddress, walletAddress, chainId, sharesBalance, currentValue) {
+  if (!config.positions.history.enabled) {
+    return null;
+  }
+
+  try {
+    await syncPositionEvents(poolAddress, walletAddress, chainId);
+
+    const [events, pool] = await Promise.all([
+      db.getPositionEvents(chainId, poolAddress, walletAddress),
+      blockchain.getTokenMetadata(poolAddress, chainId),
+    ]);
+
+    const result = computeCostBasis(events, pool.decimals, parseUnits(sharesBalance, pool.decimals), currentValue);
+    if (!result) {
+      return null;
+    }
+
+    return {
+      depositedAmount: result.costBasis,
+      realizedPnl: result.realizedPnl,
+      depositedAt: result.firstDepositAt,
+    };
+  } catch (error) {
+    console.error(`      ⚠️ Could not reconstruct history for ${poolAddress}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  DEPOSIT_EVENT,
+  WITHDRAW_EVENT,
+  syncPositionEvents,
+  computeCostBasis,
+  timeWeightedReturn,
+  getPositionHistory,
+};
@@ -0,0 +1,118 @@
+/**
+ * Price Alerts - "tell me if wstETH drops below X" rules
+ *
+ * An alert fires once when the oracle price crosses its target, then stays
+ * disarmed until the price moves back past the target by
+ * config.priceAlerts.hysteresisPct, so a price hovering around the target
+ * doesn't alert on every check.
+ */
+
+const DIRECTIONS = {
+  below: 'below',
+  under: 'below',
+  '<': 'below',
+  above: 'above',
+  over: 'above',
+  '>': 'above',
+};
+
+/**
+ * Parse /pricealert <token> <below|above> <price>
+ * @param {Array<string>} args - Command words
+ * @returns {Object} { symbol, direction, target } or { error }
+ */
+function parsePriceAlertArgs(args) {
+  const [symbol, directionWord, priceWord] = args;
+  const direction = DIRECTIONS[(directionWord || '').toLowerCase()];
+  const target = parseFloat((priceWord || '').replace(/[$,]/g, ''));
+
+  if (!symbol || !direction || !priceWord) {
+    return { error: 'Usage: /pricealert <token> <below|above> <price>, e.g. /pricealert wstETH below 3000' };
+  }
+
+  if (!Number.isFinite(target) || target <= 0) {
+    return { error: `⚠️ "${priceWord}" isn't a valid USD price.` };
+  }
+
+  return { symbol, direction, target };
+}
+
+/**
+ * Whether a price is past an alert's target
+ * @param {string} direction - 'below' or 'above'
+ * @param {number} price - USD price
+ * @param {number} target - Target USD price
+ * @returns {boolean}
+ */
+function isCrossed(direction, price, target) {
+  return direction === 'below' ? price < target : price > target;
+}
+
+/**
+ * Price at which a fired alert re-arms
+ * @param {Object} alert - { direction, target_price }
+ * @param {number} hysteresisPct - Band around the target (%)
+ * @returns {number} USD price
+ */
+function rearmPrice(alert, hysteresisPct) {
+  const band = alert.target_price * hysteresisPct / 100;
+  return alert.direction === 'below' ? alert.target_price + band : alert.target_price - band;
+}
+
+/**
+ * Next state of an alert at a new price
+ * @param {Object} alert - price_alerts row ({ direction, target_price, armed })
+ * @param {number} price - Current USD price
+ * @param {number} hysteresisPct - Re-arm band (%)
+ * @returns {Object} { fire, armed }
+ */
+function evaluatePriceAlert(alert, price, hysteresisPct) {
+  if (alert.armed) {
+    const fire = isCrossed(alert.direction, price, alert.target_price);
+    return { fire, armed: !fire };
+  }
+
+  // Re-arm only once the price is back on the far side of the band
+  const rearm = rearmPrice(alert, hysteresisPct);
+  const recovered = alert.direction === 'below' ? price >= rearm : price <= rearm;
+
+  return { fire: false, armed: recovered };
+}
+
+/**
+ * USD price for messages, e.g. $3,012.40 or $0.9998
+ * @param {number} price - USD price
+ * @returns {string}
+ */
+function formatPrice(price) {
+  const digits = price < 10 ? 4 : 2;
+  return `$${price.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+/**
+ * A user's leveraged positions whose value moves with a token
+ * @param {Array} positions - Active positions of the user
+ * @param {string} symbol - Token symbol
+ * @returns {Array} Positions with the token as collateral or underlying
+ */
+function exposedPositions(positions, symbol) {
+  const key = symbol.toUpperCase();
+
+  return positions.filter(position => {
+    if (!position.credit_account) {
+      return false;
+    }
+
+    const collateral = (position.collateral_tokens || '').split(',').map(s => s.toUpperCase());
+    return collateral.includes(key) || position.underlying_token.toUpperCase() === key;
+  });
+}
+
+module.exports = {
+  parsePriceAlertArgs,
+  isCrossed,
+  rearmPrice,
+  evaluatePriceAlert,
+  formatPrice,
+  exposedPositions,
+};
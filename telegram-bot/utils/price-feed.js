@@ -0,0 +1,113 @@
+/**
+ * Price Feed - USD prices for pool underlying tokens
+ *
+ * Positions store the underlying symbol only, so the token address is read
+ * from the pool (asset()) and priced through DefiLlama's coins API by chain +
+ * address. Stablecoins fall back to $1 when no price is available.
+ */
+
+const config = require('../config');
+const blockchain = require('./blockchain');
+
+const priceCache = new Map(); // 'chain:address' -> { price, timestamp }
+const underlyingCache = new Map(); // 'chainId-pool' -> token address
+
+/**
+ * Underlying token address of a pool (cached, it never changes)
+ * @param {string} poolAddress - Pool address
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<string>} Token address
+ */
+async function getUnderlyingAddress(poolAddress, chainId) {
+  const cacheKey = `${chainId}-${poolAddress.toLowerCase()}`;
+  if (!underlyingCache.has(cacheKey)) {
+    const { asset } = await blockchain.getPoolInfo(poolAddress, chainId);
+    underlyingCache.set(cacheKey, asset);
+  }
+  return underlyingCache.get(cacheKey);
+}
+
+/**
+ * Fetch missing or stale prices from DefiLlama into the cache
+ * @param {Array<string>} coins - DefiLlama coin IDs ('ethereum:0x...')
+ */
+async function refreshPrices(coins) {
+  const stale = coins.filter(coin => {
+    const cached = priceCache.get(coin);
+    return !cached || Date.now() - cached.timestamp > config.prices.cacheDuration;
+  });
+
+  if (stale.length === 0) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${config.prices.apiUrl}/prices/current/${stale.join(',')}`, {
+      headers: { 'Accept': 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    for (const coin of stale) {
+      priceCache.set(coin, { price: data.coins?.[coin]?.price ?? null, timestamp: Date.now() });
+    }
+  } catch (error) {
+    console.error(`   ❌ Error fetching token prices:`, error.message);
+  }
+}
+
+/**
+ * USD price of each position's underlying token
+ * @param {Array} positions - positions rows (id, pool_address, chain_id, underlying_token)
+ * @returns {Promise<Map>} Position ID -> USD price, or null if unknown
+ */
+async function getPositionPrices(positions) {
+  const coinByPosition = new Map();
+
+  for (const position of positions) {
+    const slug = config.prices.chainSlugs[position.chain_id];
+    if (!slug) continue;
+
+    try {
+      const token = await getUnderlyingAddress(position.pool_address, position.chain_id);
+      coinByPosition.set(position.id, `${slug}:${token.toLowerCase()}`);
+    } catch (error) {
+      console.error(`   ⚠️ Could not resolve underlying of ${position.pool_address}:`, error.message);
+    }
+  }
+
+  await refreshPrices([...new Set(coinByPosition.values())]);
+
+  const prices = new Map();
+  for (const position of positions) {
+    const coin = coinByPosition.get(position.id);
+    const price = coin ? priceCache.get(coin)?.price ?? null : null;
+    const isStable = config.prices.stablecoins.includes(position.underlying_token?.toUpperCase());
+
+    prices.set(position.id, price ?? (isStable ? 1 : null));
+  }
+
+  return prices;
+}
+
+/**
+ * USD price of a pool's underlying token
+ * @param {string} poolAddress - Pool address
+ * @param {number} chainId - Chain ID
+ * @param {string} symbol - Underlying symbol (for the stablecoin fallback)
+ * @returns {Promise<number|null>} Price, or null if unknown
+ */
+async function getPoolPrice(poolAddress, chainId, symbol) {
+  const prices = await getPositionPrices([
+    { id: poolAddress, pool_address: poolAddress, chain_id: chainId, underlying_token: symbol },
+  ]);
+  return prices.get(poolAddress);
+}
+
+module.exports = {
+  getPositionPrices,
+  getPoolPrice,
+};
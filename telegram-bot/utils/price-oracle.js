@@ -0,0 +1,102 @@
+/**
+ * Price Oracle - USD prices from Gearbox's on-chain price oracle
+ *
+ * Same path as the chat API (api/utils/price-oracle.ts): the token is looked
+ * up by symbol in the SDK's token metadata and priced with a market oracle's
+ * mainPrice (8 decimals). Each market has its own oracle, so markets are tried
+ * in turn until one prices the token. The SDK holds prices as of when it
+ * attached, so it is re-attached once config.priceAlerts.oracleMaxAge passes.
+ * That is a separate instance from pool discovery's cached SDK, which is left alone.
+ */
+
+const config = require('../config');
+const { attachSDK } = require('./pool-fetcher');
+
+let oracleSDK = null; // Promise of the SDK, shared by concurrent lookups
+let attachedAt = 0;
+
+/**
+ * Mainnet Gearbox SDK with prices no older than config.priceAlerts.oracleMaxAge
+ * @returns {Promise<Object|null>} SDK, or null if it can't attach
+ */
+async function getOracleSDK() {
+  if (!oracleSDK || Date.now() - attachedAt >= config.priceAlerts.oracleMaxAge) {
+    const chainConfig = config.blockchain.chains.Mainnet;
+    oracleSDK = attachSDK(chainConfig.id, chainConfig);
+    attachedAt = Date.now();
+  }
+
+  const pending = oracleSDK;
+  const sdk = await pending;
+  if (!sdk && oracleSDK === pending) {
+    // Retry on the next lookup rather than caching the failure
+    oracleSDK = null;
+  }
+  return sdk;
+}
+
+/**
+ * Price one token with the first market oracle that knows it
+ * @param {Object} sdk - Gearbox SDK
+ * @param {Object} token - Token metadata ({ addr, symbol })
+ * @returns {Promise<number|null>} USD price, or null if no oracle prices it
+ */
+async function priceToken(sdk, token) {
+  for (const market of sdk.marketRegister.markets) {
+    try {
+      const price = await market.priceOracle.mainPrice(token.addr);
+      if (price > 0n) {
+        return Number(price) / 1e8;
+      }
+    } catch (error) {
+      // Not a collateral of this market
+    }
+  }
+
+  return null;
+}
+
+/**
+ * USD prices of tokens by symbol (case-insensitive)
+ * @param {Array<string>} symbols - Token symbols
+ * @returns {Promise<Map>} Uppercased symbol -> { symbol (as the SDK spells it), price }, or null if unknown
+ */
+async function getOraclePrices(symbols) {
+  const prices = new Map(symbols.map(symbol => [symbol.toUpperCase(), null]));
+
+  const sdk = await getOracleSDK();
+  if (!sdk) {
+    return prices;
+  }
+
+  const tokens = Array.from(sdk.tokensMeta.values());
+
+  for (const key of prices.keys()) {
+    const token = tokens.find(t => t.symbol.toUpperCase() === key);
+    if (!token) {
+      continue;
+    }
+
+    const price = await priceToken(sdk, token);
+    if (price !== null) {
+      prices.set(key, { symbol: token.symbol, price });
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * USD price of one token
+ * @param {string} symbol - Token symbol (case-insensitive)
+ * @returns {Promise<Object|null>} { symbol, price }, or null if the oracle can't price it
+ */
+async function getOraclePrice(symbol) {
+  const prices = await getOraclePrices([symbol]);
+  return prices.get(symbol.toUpperCase());
+}
+
+module.exports = {
+  getOraclePrices,
+  getOraclePrice,
+};
@@ -0,0 +1,62 @@
+// Types for risk-model.js, imported by the API (see api/tools/query-strategies.ts)
+
+declare namespace RiskModel {
+  type RiskLevel = 'low' | 'medium' | 'high';
+
+  type RiskFactorKey =
+    | 'utilization'
+    | 'tvl'
+    | 'tvlTrend'
+    | 'apyVolatility'
+    | 'apy'
+    | 'asset'
+    | 'age'
+    | 'curator'
+    | 'leverage';
+
+  interface RiskInputs {
+    utilization?: number | null; // Borrowed / total assets, 0-1
+    tvlUsd?: number | null;
+    tvlChangePct?: number | null;
+    tvlChangeDays?: number | null;
+    apyVolatility?: number | null; // Std dev of supply APY, percentage points
+    apy?: number | null; // Quoted APY, %
+    symbol?: string | null; // Underlying token
+    poolAgeDays?: number | null;
+    poolAgeIsMinimum?: boolean;
+    poolAddress?: string | null;
+    chainId?: number | null;
+    leverage?: number | null;
+  }
+
+  interface RiskFactor {
+    key: RiskFactorKey;
+    label: string;
+    weight: number;
+    available: boolean;
+    value: number | string | null;
+    score: number | null; // 0 (safe) - 100 (risky)
+    detail: string;
+  }
+
+  interface RiskAssessment {
+    score: number;
+    level: RiskLevel;
+    coverage: number; // Share of the weight that had data, 0-1
+    factors: RiskFactor[];
+  }
+}
+
+declare const RiskModel: {
+  LEVELS: RiskModel.RiskLevel[];
+  THRESHOLDS: { low: number; medium: number };
+  WEIGHTS: Record<RiskModel.RiskFactorKey, number>;
+  CURATORS: Record<string, string>;
+  classifyAsset(symbol: string): { type: string; label: string; score: number };
+  curatorOf(poolAddress: string, chainId?: number | null): { name: string | null; kind: 'curator' | 'dao' | 'unknown' };
+  scorePool(inputs: RiskModel.RiskInputs): RiskModel.RiskAssessment;
+  topFactors(assessment: RiskModel.RiskAssessment, count?: number): RiskModel.RiskFactor[];
+  withinTolerance(level: string, tolerance?: string | null): boolean;
+};
+
+export = RiskModel;
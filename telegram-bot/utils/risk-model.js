@@ -0,0 +1,295 @@
+// Pool risk model, shared by the Telegram bot and the chat API
+// Loaded via require() in the bot and imported by api/tools/query-strategies.ts,
+// so mandate matching, opportunity cards and the Gemini tool rate a pool the
+// same way. Keep it dependency-free: each side gathers the inputs it can
+// (only the bot has APY history) and factors without data are left out of
+// the score.
+//
+// Every factor scores 0 (safe) to 100 (risky); the pool score is their
+// weighted average, mapped to low / medium / high.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RiskModel = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Ordered from safest to riskiest
+  const LEVELS = ['low', 'medium', 'high'];
+
+  // Highest score still rated low / medium
+  const THRESHOLDS = {
+    low: 35,
+    medium: 60,
+  };
+
+  // A factor this bad keeps the pool out of the low tier whatever the average says
+  const CRITICAL_FACTOR_SCORE = 85;
+
+  const WEIGHTS = {
+    utilization: 20,
+    tvl: 10,
+    tvlTrend: 15,
+    apyVolatility: 15,
+    apy: 10,
+    asset: 10,
+    age: 10,
+    curator: 10,
+    leverage: 20,
+  };
+
+  const LABELS = {
+    utilization: 'Utilization',
+    tvl: 'TVL',
+    tvlTrend: 'TVL trend',
+    apyVolatility: 'APY volatility',
+    apy: 'APY level',
+    asset: 'Underlying asset',
+    age: 'Pool age',
+    curator: 'Curator',
+    leverage: 'Leverage',
+  };
+
+  // Piecewise linear [input, score] curves, clamped at both ends
+  const CURVES = {
+    utilization: [[0, 5], [0.7, 10], [0.9, 60], [1, 100]], // Borrowed share of the pool
+    tvl: [[0, 100], [1e6, 70], [10e6, 35], [50e6, 15], [250e6, 5]], // USD
+    tvlTrend: [[-50, 100], [-30, 85], [-10, 40], [-5, 20], [0, 10]], // % change
+    apyVolatility: [[0, 5], [0.5, 10], [2, 45], [5, 85], [10, 100]], // Std dev in percentage points
+    apy: [[0, 5], [10, 10], [20, 40], [30, 70], [50, 100]], // %
+    age: [[0, 90], [30, 70], [90, 45], [180, 25], [365, 10], [730, 5]], // Days
+    leverage: [[1, 0], [3, 50], [5, 75], [10, 100]],
+  };
+
+  // Matched on the upper-cased symbol; anything else is 'other'
+  const ASSET_CLASSES = [
+    { type: 'stablecoin', label: 'fiat-backed stablecoin', score: 10, symbols: ['USDC', 'USDT', 'USDT0', 'PYUSD', 'RLUSD'] },
+    { type: 'crypto_stablecoin', label: 'crypto-backed stablecoin', score: 20, symbols: ['DAI', 'USDS', 'GHO', 'LUSD', 'FRAX', 'CRVUSD'] },
+    { type: 'eth', label: 'ETH', score: 20, symbols: ['ETH', 'WETH'] },
+    { type: 'btc', label: 'wrapped BTC', score: 25, symbols: ['WBTC', 'CBBTC', 'TBTC'] },
+    { type: 'yield_stablecoin', label: 'yield-bearing stablecoin', score: 30, symbols: ['SDAI', 'SUSDS', 'SCRVUSD', 'SFRXUSD'] },
+    { type: 'lst', label: 'liquid staking token', score: 35, symbols: ['WSTETH', 'STETH', 'RETH', 'CBETH', 'SFRXETH', 'OSETH'] },
+    { type: 'synthetic_stablecoin', label: 'synthetic stablecoin', score: 45, symbols: ['USDE', 'SUSDE'] },
+    { type: 'lrt', label: 'liquid restaking token', score: 55, symbols: ['WEETH', 'EZETH', 'RSETH', 'PUFETH', 'RSWETH'] },
+  ];
+  const OTHER_ASSET = { type: 'other', label: 'volatile / long-tail token', score: 70 };
+
+  // Pools run by a named risk curator (lowercase address -> name)
+  const CURATORS = {
+    '0x76309a9a56309104518847bba321c261b7b4a43f': 'Invariant Group',
+    '0x53e4e9b8766969c43895839cc9c673bb6bc8ac97': 'Edge UltraYield',
+    '0xb74760fd26400030620027dd29d19d74d514700e': 'Hyperithm',
+  };
+
+  // Unlisted pools on these chains are governed by the DAO (chain ID -> name)
+  const DAO_CHAINS = {
+    1: 'Gearbox DAO',
+  };
+
+  const CURATOR_SCORES = {
+    dao: 15,
+    curator: 35,
+    unknown: 65,
+  };
+
+  function interpolate(curve, x) {
+    if (x <= curve[0][0]) return curve[0][1];
+
+    for (let i = 1; i < curve.length; i++) {
+      const [x1, y1] = curve[i];
+      if (x <= x1) {
+        const [x0, y0] = curve[i - 1];
+        return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+      }
+    }
+
+    return curve[curve.length - 1][1];
+  }
+
+  function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  function formatUsd(amount) {
+    if (amount >= 1e9) return `$${(amount / 1e9).toFixed(2)}B`;
+    if (amount >= 1e6) return `$${(amount / 1e6).toFixed(2)}M`;
+    if (amount >= 1e3) return `$${(amount / 1e3).toFixed(1)}K`;
+    return `$${amount.toFixed(0)}`;
+  }
+
+  /**
+   * Classify a pool's underlying token
+   * @param {string} symbol - Token symbol (e.g. USDC, wstETH)
+   * @returns {Object} { type, label, score }
+   */
+  function classifyAsset(symbol) {
+    const upper = String(symbol || '').toUpperCase();
+    const match = ASSET_CLASSES.find(assetClass => assetClass.symbols.includes(upper));
+    return match
+      ? { type: match.type, label: match.label, score: match.score }
+      : { ...OTHER_ASSET };
+  }
+
+  /**
+   * Who manages a pool's risk parameters
+   * @param {string} poolAddress - Pool address
+   * @param {number} chainId - Chain ID
+   * @returns {Object} { name, kind } with kind 'curator', 'dao' or 'unknown'
+   */
+  function curatorOf(poolAddress, chainId) {
+    const name = CURATORS[String(poolAddress || '').toLowerCase()];
+    if (name) return { name, kind: 'curator' };
+    if (DAO_CHAINS[chainId]) return { name: DAO_CHAINS[chainId], kind: 'dao' };
+    return { name: null, kind: 'unknown' };
+  }
+
+  /**
+   * Score one factor from its input, or report it as missing
+   * @returns {Object} { key, label, weight, available, value, score, detail }
+   */
+  function factor(key, value, score, detail) {
+    const available = isNumber(score);
+    return {
+      key,
+      label: LABELS[key],
+      weight: WEIGHTS[key],
+      available,
+      value: available ? value : null,
+      score: available ? Math.round(score) : null,
+      detail: available ? detail : 'No data',
+    };
+  }
+
+  /**
+   * Rate a pool (and, with leverage > 1, a strategy on it)
+   * @param {Object} inputs - Any of:
+   *   utilization (borrowed / total assets, 0-1), tvlUsd, tvlChangePct and tvlChangeDays
+   *   (TVL trend), apyVolatility (std dev of supply APY in percentage points), apy (quoted %),
+   *   symbol (underlying), poolAgeDays (+ poolAgeIsMinimum if only a lower bound is known),
+   *   poolAddress + chainId (curator), leverage (defaults to 1)
+   * @returns {Object} { score (0-100), level ('low'|'medium'|'high'), coverage (share of the
+   *   weight that had data, 0-1), factors: [{ key, label, weight, available, value, score, detail }] }
+   */
+  function scorePool(inputs) {
+    const {
+      utilization,
+      tvlUsd,
+      tvlChangePct,
+      tvlChangeDays,
+      apyVolatility,
+      apy,
+      symbol,
+      poolAgeDays,
+      poolAgeIsMinimum,
+      poolAddress,
+      chainId,
+    } = inputs;
+    const leverage = isNumber(inputs.leverage) ? inputs.leverage : 1;
+
+    const asset = symbol ? classifyAsset(symbol) : null;
+    const curator = poolAddress ? curatorOf(poolAddress, chainId) : null;
+    const sign = tvlChangePct > 0 ? '+' : '';
+
+    const factors = [
+      factor('utilization', utilization,
+        isNumber(utilization) ? interpolate(CURVES.utilization, utilization) : null,
+        isNumber(utilization) && `${(utilization * 100).toFixed(0)}% borrowed`),
+      factor('tvl', tvlUsd,
+        isNumber(tvlUsd) && tvlUsd > 0 ? interpolate(CURVES.tvl, tvlUsd) : null,
+        isNumber(tvlUsd) && `${formatUsd(tvlUsd)} supplied`),
+      factor('tvlTrend', tvlChangePct,
+        isNumber(tvlChangePct) ? interpolate(CURVES.tvlTrend, tvlChangePct) : null,
+        isNumber(tvlChangePct) && `${sign}${tvlChangePct.toFixed(1)}% over ${tvlChangeDays || '?'}d`),
+      factor('apyVolatility', apyVolatility,
+        isNumber(apyVolatility) ? interpolate(CURVES.apyVolatility, apyVolatility) : null,
+        isNumber(apyVolatility) && `±${apyVolatility.toFixed(2)}pp std dev`),
+      factor('apy', apy,
+        isNumber(apy) ? interpolate(CURVES.apy, apy) : null,
+        isNumber(apy) && `${apy.toFixed(2)}% APY`),
+      factor('asset', asset && asset.type,
+        asset ? asset.score : null,
+        asset && `${symbol} (${asset.label})`),
+      factor('age', poolAgeDays,
+        isNumber(poolAgeDays) ? interpolate(CURVES.age, poolAgeDays) : null,
+        isNumber(poolAgeDays) && `${Math.floor(poolAgeDays)}${poolAgeIsMinimum ? '+' : ''} days old`),
+      factor('curator', curator && curator.name,
+        curator ? CURATOR_SCORES[curator.kind] : null,
+        curator && (curator.kind === 'unknown' ? 'Unknown curator' : `${curator.name}${curator.kind === 'curator' ? ' (curator)' : ''}`)),
+    ];
+
+    // Lending has no liquidation risk, so leverage only counts when used
+    if (leverage > 1) {
+      factors.push(factor('leverage', leverage, interpolate(CURVES.leverage, leverage), `${leverage.toFixed(1)}x leverage`));
+    }
+
+    const available = factors.filter(f => f.available);
+    const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+    const usedWeight = available.reduce((sum, f) => sum + f.weight, 0);
+    const score = usedWeight > 0
+      ? Math.round(available.reduce((sum, f) => sum + f.score * f.weight, 0) / usedWeight)
+      : 100;
+
+    let levelIndex = score <= THRESHOLDS.low ? 0 : score <= THRESHOLDS.medium ? 1 : 2;
+
+    if (available.some(f => f.score >= CRITICAL_FACTOR_SCORE)) {
+      levelIndex = Math.max(levelIndex, 1);
+    }
+
+    // Same leverage limits both old heuristics used
+    if (leverage > 5) {
+      levelIndex = 2;
+    } else if (leverage > 3) {
+      levelIndex = Math.max(levelIndex, 1);
+    }
+
+    return {
+      score,
+      level: LEVELS[levelIndex],
+      coverage: totalWeight > 0 ? Number((usedWeight / totalWeight).toFixed(2)) : 0,
+      factors,
+    };
+  }
+
+  /**
+   * Factors contributing most to a score
+   * @param {Object} assessment - Result of scorePool()
+   * @param {number} [count] - How many to return
+   * @returns {Array} Available factors, largest score × weight first
+   */
+  function topFactors(assessment, count = 3) {
+    return assessment.factors
+      .filter(f => f.available)
+      .sort((a, b) => b.score * b.weight - a.score * a.weight)
+      .slice(0, count);
+  }
+
+  /**
+   * Check a risk level against a tolerance
+   * @param {string} level - Rated level (any case)
+   * @param {string} [tolerance] - Highest acceptable level (any case); no tolerance accepts all
+   * @returns {boolean} True if the level is within tolerance
+   */
+  function withinTolerance(level, tolerance) {
+    if (!tolerance) return true;
+
+    const levelIndex = LEVELS.indexOf(String(level).toLowerCase());
+    const toleranceIndex = LEVELS.indexOf(String(tolerance).toLowerCase());
+
+    // Unknown labels are treated as the riskiest tier
+    return (levelIndex === -1 ? LEVELS.length - 1 : levelIndex) <=
+      (toleranceIndex === -1 ? LEVELS.length - 1 : toleranceIndex);
+  }
+
+  return {
+    LEVELS,
+    THRESHOLDS,
+    WEIGHTS,
+    CURATORS,
+    classifyAsset,
+    curatorOf,
+    scorePool,
+    topFactors,
+    withinTolerance,
+  };
+});
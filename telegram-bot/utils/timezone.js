@@ -0,0 +1,151 @@
+/**
+ * Timezone Utilities - User-local times for alerts, digests and quiet hours
+ *
+ * Uses the IANA timezone database built into Node's Intl, so users can set
+ * any zone name (e.g. "Europe/Berlin", "America/New_York").
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Canonical form of a timezone name, e.g. "europe/berlin" → "Europe/Berlin"
+ * @param {string} timezone - IANA timezone name (case-insensitive)
+ * @returns {string|null} Canonical name, or null if Intl doesn't know it
+ */
+function normalizeTimezone(timezone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wall-clock date parts of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { year, month (0-11), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')) - 1,
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')),
+    minute: parseInt(get('minute')),
+    second: parseInt(get('second')),
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given moment, in milliseconds
+ */
+function offsetMs(date, timezone) {
+  const p = localParts(date, timezone);
+  const wallClockAsUTC = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Moment at which the wall clock in a timezone shows the given date and hour
+ * Day overflow is allowed (e.g. day 0 is the last day of the previous month).
+ * @returns {Date} The matching moment
+ */
+function zonedTime(year, month, day, hour, timezone) {
+  const wallClock = Date.UTC(year, month, day, hour);
+  const firstGuess = wallClock - offsetMs(new Date(wallClock), timezone);
+
+  // Re-check the offset at the first guess in case a DST switch lies in between
+  return new Date(wallClock - offsetMs(new Date(firstGuess), timezone));
+}
+
+/**
+ * Format a time for a user, e.g. "09:15 AM CET"
+ * @param {Date} date - Moment to format
+ * @param {string} [timezone] - IANA timezone name (defaults to UTC)
+ * @returns {string} Formatted time
+ */
+function formatTime(date, timezone) {
+  return date.toLocaleTimeString('en-US', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  });
+}
+
+/**
+ * Format a date for a user, e.g. "Oct 19, 2026"
+ * @param {Date} date - Moment to format
+ * @param {string} [timezone] - IANA timezone name (defaults to UTC)
+ * @returns {string} Formatted date
+ */
+function formatDate(date, timezone) {
+  return date.toLocaleDateString('en-US', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Check if a user's quiet hours are in effect
+ * The window runs from quiet_start up to (not including) quiet_end in the
+ * user's timezone and may wrap past midnight (e.g. 22 → 7).
+ * @param {Object} user - User row with timezone, quiet_start, quiet_end
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if alerts should be held
+ */
+function isQuietHours(user, now = new Date()) {
+  const start = user.quiet_start;
+  const end = user.quiet_end;
+
+  if (start === null || start === undefined || end === null || end === undefined || start === end) {
+    return false;
+  }
+
+  const hour = localParts(now, user.timezone || 'UTC').hour;
+
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+/**
+ * Describe a user's quiet hours, e.g. "22:00–07:00"
+ * @returns {string} Window, or "Off"
+ */
+function describeQuietHours(user) {
+  if (user.quiet_start === null || user.quiet_start === undefined || user.quiet_end === null || user.quiet_end === undefined) {
+    return 'Off';
+  }
+
+  const pad = (hour) => `${String(hour).padStart(2, '0')}:00`;
+  return `${pad(user.quiet_start)}–${pad(user.quiet_end)}`;
+}
+
+module.exports = {
+  normalizeTimezone,
+  localParts,
+  zonedTime,
+  formatTime,
+  formatDate,
+  isQuietHours,
+  describeQuietHours,
+};
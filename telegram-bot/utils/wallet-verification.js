@@ -0,0 +1,71 @@
+/**
+ * Wallet Verification - Prove ownership of a tracked wallet
+ *
+ * Any address can be added with /wallet, so a wallet is watch-only until the
+ * user signs a bot-issued nonce with it (EIP-191 personal_sign, supported by
+ * every wallet and by Etherscan's "Sign Message" tool) and pastes the
+ * signature back to the bot.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const config = require('../config');
+const { verifySignedMessage } = require('./blockchain');
+
+/**
+ * Exact text the user has to sign
+ * @param {Object} wallet - user_wallets row
+ * @param {string} nonce - Issued nonce
+ * @returns {string} Message to sign
+ */
+function buildVerificationMessage(wallet, nonce) {
+  return `Gearbox Sigma wallet verification\n\nWallet: ${wallet.address}\nNonce: ${nonce}`;
+}
+
+/**
+ * Issue a fresh nonce for a wallet
+ * @param {Object} wallet - user_wallets row
+ * @returns {Promise<Object>} { message, expiresAt }
+ */
+async function createChallenge(wallet) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + config.positions.verificationNonceTtlMinutes * 60 * 1000);
+
+  await db.setWalletNonce(wallet.id, nonce, expiresAt);
+
+  return { message: buildVerificationMessage(wallet, nonce), expiresAt };
+}
+
+/**
+ * Check a pasted signature against the wallet's pending nonce
+ * The wallet is marked verified on success; the nonce is single-use.
+ * @param {Object} wallet - user_wallets row (freshly loaded)
+ * @param {string} signature - Hex signature as pasted by the user
+ * @returns {Promise<Object>} { verified: boolean, error?: string }
+ */
+async function verifyChallenge(wallet, signature) {
+  if (!wallet.verification_nonce || new Date(wallet.nonce_expires_at) < new Date()) {
+    return { verified: false, error: 'expired' };
+  }
+
+  const hex = signature.replace(/\s+/g, '');
+  if (!/^0x[0-9a-fA-F]+$/.test(hex)) {
+    return { verified: false, error: 'format' };
+  }
+
+  const message = buildVerificationMessage(wallet, wallet.verification_nonce);
+  if (!(await verifySignedMessage(wallet.address, message, hex))) {
+    return { verified: false, error: 'mismatch' };
+  }
+
+  await db.markWalletVerified(wallet.id);
+  console.log(`✅ Wallet ${wallet.address.slice(0, 10)}... verified for user ${wallet.user_id}`);
+
+  return { verified: true };
+}
+
+module.exports = {
+  buildVerificationMessage,
+  createChallenge,
+  verifyChallenge,
+};
@@ -21,6 +21,7 @@ const OPTIONAL_VARS = [
   'OPTIMISM_RPC_URL',
   'SONIC_RPC_URL',
   'PLASMA_RPC_URL',
+  'EXPORT_API_PORT',
 ];
 
 console.log('\n🔍 Validating Environment Variables\n');